@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * Configuration Check
+ *
+ *   node config.js check    Validate config.json and the environment, and print
+ *                           every effective setting with where it came from
+ *                           (secrets masked)
+ *
+ * Exits with 1 when a setting is invalid or a required one is missing, so it
+ * can gate a deployment. The settings are described in lib/config.js.
+ */
+
+const path = require('path');
+const { SETTINGS, loadConfig } = require('./lib/config');
+const { getWindowConfig } = require('./lib/report_window');
+const { getAnomalyConfig } = require('./lib/upload_anomalies');
+const { getFileFilters } = require('./lib/file_filters');
+const { getCaseTaxonomy } = require('./lib/case_folders');
+const { getDateLayouts } = require('./lib/date_layout');
+const { getLlmConfig } = require('./lib/llm_provider');
+const { getDocumentConfig } = require('./lib/pdf_document');
+const { getVerificationConfig } = require('./lib/answer_verification');
+
+require('dotenv').config({ path: path.resolve(__dirname, '.env') });
+
+// The lib modules that check their own settings further
+const MODULE_CHECKS = [
+  ['Reporting window', getWindowConfig],
+  ['Anomaly alerts', getAnomalyConfig],
+  ['File filters', getFileFilters],
+  ['Case taxonomy', getCaseTaxonomy],
+  ['Date layouts', getDateLayouts],
+  ['LLM provider', getLlmConfig],
+  ['PDF input', getDocumentConfig],
+  ['Question verification', getVerificationConfig],
+];
+
+function mask(value) {
+  return value.length > 12 ? `****${value.slice(-4)}` : '****';
+}
+
+function formatValue(setting, value) {
+  if (value === undefined) return setting.note ? `(from ${setting.note})` : '-';
+  if (setting.secret) return mask(String(value));
+  if (setting.type === 'list') return value.length > 0 ? value.join(', ') : '-';
+  if (setting.type === 'object') return Object.keys(value).length > 0 ? JSON.stringify(value) : '-';
+  return String(value);
+}
+
+function getValue(values, key) {
+  const [section, name] = key.split('.');
+  return values[section][name];
+}
+
+function check() {
+  let config;
+  try {
+    config = loadConfig();
+  } catch (error) {
+    console.error(`✗ Invalid configuration: ${error.message}`);
+    process.exit(1);
+  }
+  const { values, origins } = config;
+
+  console.log('');
+  console.log(config.source
+    ? `Config file: ${config.source} (environment variables take precedence)`
+    : 'Config file: none (config.json next to the scripts, or CONFIG_FILE); environment and defaults only');
+  console.log('');
+  console.log(`${'Setting'.padEnd(32)} ${'Variable'.padEnd(28)} ${'From'.padEnd(8)} Value`);
+  for (const setting of SETTINGS) {
+    const value = getValue(values, setting.key);
+    console.log(`${setting.key.padEnd(32)} ${setting.envName.padEnd(28)} ${origins[setting.key].padEnd(8)} ${formatValue(setting, value)}`);
+  }
+
+  const problems = [];
+  console.log('');
+  for (const [label, getter] of MODULE_CHECKS) {
+    try {
+      getter(config.env);
+      console.log(`✓ ${label}`);
+    } catch (error) {
+      // The getters name the variable; say so when the value came from the file
+      const setting = SETTINGS.find(s => error.message.startsWith(`${s.envName} `));
+      const where = setting && origins[setting.key] === 'file' ? ` (${setting.key} in ${path.basename(config.source)})` : '';
+      console.log(`✗ ${label}: ${error.message}${where}`);
+      problems.push(label);
+    }
+  }
+
+  const required = [
+    [values.aws.accessKeyId && values.aws.secretAccessKey, 'AWS credentials (aws.accessKeyId, aws.secretAccessKey)'],
+    [values.email.from || values.email.smtpUsername, 'Sender (email.from or email.smtpUsername)'],
+    [values.email.to.length > 0, 'Recipients (email.to)'],
+    [values.llm.provider !== 'anthropic' || values.llm.claudeApiKey, 'Claude API key (llm.claudeApiKey)'],
+  ];
+  for (const [present, label] of required) {
+    if (present) continue;
+    console.log(`✗ Missing: ${label}`);
+    problems.push(label);
+  }
+
+  console.log('');
+  if (problems.length > 0) {
+    console.log(`${problems.length} problem(s) found.`);
+    process.exit(1);
+  }
+  console.log('Configuration OK.');
+}
+
+const COMMANDS = { check };
+
+const command = process.argv[2];
+if (!COMMANDS[command]) {
+  console.log('Usage: node config.js check');
+  process.exit(command ? 1 : 0);
+}
+
+COMMANDS[command]();
@@ -0,0 +1,145 @@
+/**
+ * Answer Verification
+ *
+ * A second pass over every generated question: the model answers it from the
+ * same document and quotes the passage the answer comes from. A question is
+ * verified when the document answers it, the question is specific to this
+ * document, and (for extracted text) the quoted excerpt really is in the text
+ * that was sent. Unverified questions are regenerated by the caller.
+ *
+ *   QUESTION_VERIFICATION=on          verify every question (default)
+ *   QUESTION_VERIFICATION=off         accept the first valid question
+ *   QUESTION_MAX_REGENERATIONS=2      new questions to try after a rejection
+ */
+
+const { numberSetting } = require('./env_settings');
+const { replyParser, replyTemplate } = require('./json_reply');
+
+const VERIFICATION_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['answerable', 'specific', 'answer', 'excerpt'],
+  properties: {
+    answerable: {
+      type: 'boolean',
+      description: 'true only if the document itself answers the question',
+    },
+    specific: {
+      type: 'boolean',
+      description: 'true if the question is about this document in particular, false if it would fit almost any judgment',
+    },
+    answer: {
+      type: ['string', 'null'],
+      description: 'The answer in one or two sentences, taken only from the document, or null',
+    },
+    excerpt: {
+      type: ['string', 'null'],
+      description: 'The sentence(s) of the document that give the answer, copied exactly, or null',
+    },
+  },
+};
+
+// Summary sheet column for each verification field, in sheet order
+const VERIFICATION_COLUMNS = [
+  ['answer', 'Verified Answer'],
+  ['excerpt', 'Answer Excerpt'],
+];
+
+// Questions that would fit any document, whatever the verifier says
+const GENERIC_QUESTION_PATTERNS = [
+  /\bwhat\s+(is|was|are)\s+(this|the)\s+(document|file|judgment|judgement|order|case|text|pdf)\s+(about|regarding)\b/i,
+  /\bwhat\s+(is|was)\s+the\s+(main|key|central|primary)?\s*(topic|subject|purpose|gist|summary)\s+of\s+(this|the)\s+(document|file|judgment|judgement|order|case|text)\b/i,
+  /\b(summari[sz]e|describe)\s+(this|the)\s+(document|file|judgment|judgement|order|case|text)\b/i,
+  /\bwhat\s+(type|kind)\s+of\s+(document|file|case)\b/i,
+];
+
+/**
+ * Read the verification settings from the environment. Throws with the
+ * variable name on invalid input.
+ */
+function getVerificationConfig(env = process.env) {
+  const setting = (env.QUESTION_VERIFICATION || 'on').trim().toLowerCase();
+  if (!['on', 'off'].includes(setting)) {
+    throw new Error(`QUESTION_VERIFICATION must be on or off (got "${env.QUESTION_VERIFICATION}")`);
+  }
+
+  return {
+    enabled: setting === 'on',
+    maxRegenerations: numberSetting(env, 'QUESTION_MAX_REGENERATIONS', 2, 0, 10),
+  };
+}
+
+function isGenericQuestion(question) {
+  return GENERIC_QUESTION_PATTERNS.some(pattern => pattern.test(question));
+}
+
+/**
+ * The verifier prompt. contentSection is the same "Content..." section the
+ * question was generated from.
+ */
+function buildVerificationPrompt(question, contentSection) {
+  return `You are checking a question that was written about a legal/financial/regulatory document. Answer it using ONLY the document below, not your own knowledge.
+
+Question: ${question}
+
+${contentSection}
+
+If the document does not answer the question, set "answerable" to false and use null for the answer and excerpt. The excerpt must be copied word for word from the document (in its original language).
+
+Reply with ONLY this JSON object, with no preamble, explanation or code fences:
+${replyTemplate(VERIFICATION_SCHEMA)}`;
+}
+
+const parseVerificationResponse = replyParser(VERIFICATION_SCHEMA);
+
+// Quotes, case and whitespace (which PDF extraction scatters) do not count
+function normalizeForMatch(text) {
+  return text.toLowerCase().replace(/[\s"'`“”‘’]+/g, '');
+}
+
+/**
+ * Whether every part of the excerpt (split at "..." elisions) appears in the
+ * source text.
+ */
+function excerptInText(excerpt, sourceText) {
+  const source = normalizeForMatch(sourceText);
+  const parts = excerpt.split(/\.{3}|…/).map(normalizeForMatch).filter(Boolean);
+  return parts.length > 0 && parts.every(part => source.includes(part));
+}
+
+/**
+ * Judge a validated verifier reply. sourceText is the text the model was
+ * given, or null when it read the PDF itself (the excerpt cannot be checked).
+ * Returns { verified: true, answer, excerpt } or { verified: false, reason }.
+ */
+function checkVerification(value, sourceText) {
+  if (!value.specific) return { verified: false, reason: 'generic question' };
+  if (!value.answerable || !value.answer) return { verified: false, reason: 'not answered by the document' };
+  if (!value.excerpt) return { verified: false, reason: 'no supporting excerpt' };
+  if (sourceText && !excerptInText(value.excerpt, sourceText)) {
+    return { verified: false, reason: 'excerpt not found in the document' };
+  }
+  return { verified: true, answer: value.answer.trim(), excerpt: value.excerpt.trim() };
+}
+
+/**
+ * Summary sheet cells for a verified answer (all empty when there is none).
+ */
+function verificationCells(verification) {
+  const cells = {};
+  for (const [field, column] of VERIFICATION_COLUMNS) {
+    cells[column] = verification ? verification[field] : '';
+  }
+  return cells;
+}
+
+module.exports = {
+  VERIFICATION_SCHEMA,
+  VERIFICATION_COLUMNS,
+  getVerificationConfig,
+  isGenericQuestion,
+  buildVerificationPrompt,
+  parseVerificationResponse,
+  checkVerification,
+  verificationCells,
+};
@@ -0,0 +1,289 @@
+/**
+ * Case Folder Dimensions
+ *
+ * Upload folders are classified into the dimensions declared in
+ * case_taxonomy.json next to the scripts (CASE_TAXONOMY_FILE to use another
+ * file). The upload report groups by every dimension, the High-Level Summary
+ * and per-case-type models (LLM_MODEL_BY_CASE_TYPE) use the first one.
+ *
+ *   {
+ *     "dimensions": [
+ *       { "name": "caseType", "label": "Case Type", "default": "Other Cases" },
+ *       { "name": "country", "label": "Country", "default": "Unknown" },
+ *       { "name": "courtAuthority", "label": "Court / Authority", "default": "General" },
+ *       { "name": "year", "label": "Year", "default": "-" }
+ *     ],
+ *     "rules": [
+ *       {
+ *         "buckets": ["judgments-archive"],
+ *         "pattern": "^(?<courtAuthority>[^/]+)/(?<year>\\d{4})",
+ *         "set": { "caseType": "Direct Tax Cases", "country": "India" }
+ *       },
+ *       {
+ *         "template": "{caseType}/{country}/{courtAuthority*}",
+ *         "rename": { "caseType": { "Direct-Tax": "Direct Tax Cases" } }
+ *       }
+ *     ]
+ *   }
+ *
+ * The first rule whose buckets (all when omitted) and path match a folder
+ * classifies it:
+ *   template  one folder per part: {name} captures it, {name*} captures the
+ *             rest of the path (joined with "join", default " – "), anything
+ *             else must match the folder (* wildcards, any case). A shorter
+ *             path leaves the dimensions it does not reach at their default.
+ *   pattern   a regular expression on the folder path; named groups capture.
+ *   set       fixed values, for dimensions the path does not carry.
+ *   rename    per dimension, { regex: value }: the first regex found in the
+ *             captured value replaces it.
+ * Dimensions nothing captured, and folders no rule matches, get the default.
+ * Without the file, folders are read as <case type>/<country>/<court or
+ * authority>/..., e.g. Direct-Taxes/India/ITAT/Mumbai.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TAXONOMY_FILE = path.join(__dirname, '..', 'case_taxonomy.json');
+const DEFAULT_TAXONOMY = {
+  dimensions: [
+    { name: 'caseType', label: 'Case Type', default: 'Other Cases' },
+    { name: 'country', label: 'Country', default: 'Unknown' },
+    { name: 'courtAuthority', label: 'Court / Authority', default: 'General' },
+  ],
+  rules: [
+    {
+      template: '{caseType}/{country}/{courtAuthority*}',
+      rename: {
+        caseType: {
+          'Direct-Tax': 'Direct Tax Cases',
+          'Indirect-Tax': 'Indirect Tax Cases',
+          'commercial': 'Commercial Cases',
+        },
+      },
+    },
+  ],
+};
+// Used as row fields next to the counts, so they cannot be dimension names
+const RESERVED_NAMES = ['count', 'previous', 'average', 'series', 'kind', 'change', 'line'];
+// Column headers next to the dimensions in the Trends sheet, and the Uploads
+// columns the summarizer reads back
+const RESERVED_LABELS = ['Files', 'Bucket', 'Key', 'Size', 'ETag'];
+const DEFAULT_JOIN = ' – ';
+
+function wildcardToRegExp(text) {
+  return new RegExp(`^${text.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`, 'i');
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function compileTemplate(template, names, where) {
+  const parts = template.split('/').filter(Boolean);
+  return parts.map((part, i) => {
+    const capture = part.match(/^\{([A-Za-z][A-Za-z0-9_]*)(\*?)\}$/);
+    if (!capture) {
+      if (/[{}]/.test(part)) throw new Error(`${where}.template: "${part}" must be {name}, {name*} or a folder name`);
+      return { literal: wildcardToRegExp(part) };
+    }
+    const [, name, rest] = capture;
+    if (!names.includes(name)) throw new Error(`${where}.template: unknown dimension "${name}"`);
+    if (rest && i !== parts.length - 1) throw new Error(`${where}.template: {${name}*} must be the last part`);
+    return { name, rest: Boolean(rest) };
+  });
+}
+
+function compileRule(rule, names, where) {
+  if (!isObject(rule)) throw new Error(`${where} must be an object`);
+  const unknown = Object.keys(rule).filter(k => !['buckets', 'template', 'pattern', 'join', 'set', 'rename'].includes(k));
+  if (unknown.length > 0) throw new Error(`${where} has unknown setting(s): ${unknown.join(', ')}`);
+  if ((rule.template === undefined) === (rule.pattern === undefined)) {
+    throw new Error(`${where} needs either a template or a pattern`);
+  }
+  if (rule.buckets !== undefined && (!Array.isArray(rule.buckets) || !rule.buckets.every(b => typeof b === 'string' && b))) {
+    throw new Error(`${where}.buckets must be a list of bucket names`);
+  }
+
+  const compiled = {
+    buckets: rule.buckets ? new Set(rule.buckets) : null,
+    join: rule.join === undefined ? DEFAULT_JOIN : rule.join,
+    set: {},
+    rename: {},
+  };
+  if (typeof compiled.join !== 'string') throw new Error(`${where}.join must be a string`);
+
+  if (rule.template !== undefined) {
+    if (typeof rule.template !== 'string' || !rule.template.trim()) throw new Error(`${where}.template must be a string`);
+    compiled.template = compileTemplate(rule.template, names, where);
+  } else {
+    try {
+      compiled.pattern = new RegExp(rule.pattern);
+    } catch (error) {
+      throw new Error(`${where}.pattern: ${error.message}`);
+    }
+    const groups = [...rule.pattern.matchAll(/\(\?<([A-Za-z][A-Za-z0-9_]*)>/g)].map(m => m[1]);
+    const stray = groups.filter(g => !names.includes(g));
+    if (stray.length > 0) throw new Error(`${where}.pattern: unknown dimension(s) ${stray.join(', ')}`);
+  }
+
+  for (const [key, target] of [['set', compiled.set], ['rename', compiled.rename]]) {
+    if (rule[key] === undefined) continue;
+    if (!isObject(rule[key])) throw new Error(`${where}.${key} must be an object keyed by dimension`);
+    for (const [name, value] of Object.entries(rule[key])) {
+      if (!names.includes(name)) throw new Error(`${where}.${key}: unknown dimension "${name}"`);
+      if (key === 'set') {
+        if (typeof value !== 'string') throw new Error(`${where}.set.${name} must be a string`);
+        target[name] = value;
+        continue;
+      }
+      if (!isObject(value) || !Object.values(value).every(v => typeof v === 'string')) {
+        throw new Error(`${where}.rename.${name} must map regular expressions to names`);
+      }
+      target[name] = Object.entries(value).map(([re, to]) => {
+        try {
+          return { re: new RegExp(re), to };
+        } catch (error) {
+          throw new Error(`${where}.rename.${name}: ${error.message}`);
+        }
+      });
+    }
+  }
+  return compiled;
+}
+
+/**
+ * Read the taxonomy (the built-in one when the file does not exist) as
+ * { source, dimensions: [{ name, label, default }], rules }. Throws with the
+ * file and setting on invalid input.
+ */
+function getCaseTaxonomy(env = process.env) {
+  const taxonomyFile = env.CASE_TAXONOMY_FILE
+    ? path.resolve(path.dirname(DEFAULT_TAXONOMY_FILE), env.CASE_TAXONOMY_FILE)
+    : DEFAULT_TAXONOMY_FILE;
+  if (env.CASE_TAXONOMY_FILE && !fs.existsSync(taxonomyFile)) {
+    throw new Error(`CASE_TAXONOMY_FILE not found: ${taxonomyFile}`);
+  }
+
+  let config = DEFAULT_TAXONOMY;
+  let source = null;
+  let where = 'taxonomy';
+  if (fs.existsSync(taxonomyFile)) {
+    where = path.basename(taxonomyFile);
+    try {
+      config = JSON.parse(fs.readFileSync(taxonomyFile, 'utf-8'));
+    } catch (error) {
+      throw new Error(`${where} is not valid JSON: ${error.message}`);
+    }
+    source = taxonomyFile;
+  }
+  if (!isObject(config)) throw new Error(`${where} must contain an object`);
+
+  const { dimensions, rules } = config;
+  if (!Array.isArray(dimensions) || dimensions.length === 0) {
+    throw new Error(`${where}: dimensions must be a non-empty list`);
+  }
+  const names = [];
+  const labels = [];
+  const compiledDimensions = dimensions.map((d, i) => {
+    const at = `${where}: dimensions[${i}]`;
+    if (!isObject(d) || typeof d.name !== 'string' || !/^[A-Za-z][A-Za-z0-9_]*$/.test(d.name)) {
+      throw new Error(`${at} needs a name made of letters, digits and _`);
+    }
+    if (RESERVED_NAMES.includes(d.name) || names.includes(d.name)) {
+      throw new Error(`${at}: the name "${d.name}" is reserved or already used`);
+    }
+    if (d.label !== undefined && typeof d.label !== 'string') throw new Error(`${at}.label must be a string`);
+    if (labels.includes(d.label || d.name) || RESERVED_LABELS.includes(d.label || d.name)) {
+      throw new Error(`${at}: the label "${d.label || d.name}" is reserved or already used`);
+    }
+    labels.push(d.label || d.name);
+    if (d.default !== undefined && typeof d.default !== 'string') throw new Error(`${at}.default must be a string`);
+    names.push(d.name);
+    return { name: d.name, label: d.label || d.name, default: d.default === undefined ? 'Unknown' : d.default };
+  });
+
+  if (!Array.isArray(rules)) throw new Error(`${where}: rules must be a list`);
+  return {
+    source,
+    dimensions: compiledDimensions,
+    rules: rules.map((rule, i) => compileRule(rule, names, `${where}: rules[${i}]`)),
+  };
+}
+
+// Captured values of a template rule, or null when the folder does not fit it
+function matchTemplate(rule, segments) {
+  const values = {};
+  for (let i = 0; i < rule.template.length; i++) {
+    const part = rule.template[i];
+    if (i >= segments.length) {
+      // Dimensions past the end of the path keep their default; required folder names must be there
+      if (part.literal) return null;
+      continue;
+    }
+    if (part.literal) {
+      if (!part.literal.test(segments[i])) return null;
+    } else if (part.rest) {
+      values[part.name] = segments.slice(i).join(rule.join);
+    } else {
+      values[part.name] = segments[i];
+    }
+  }
+  return values;
+}
+
+/**
+ * The dimension values of a folder ("Direct-Taxes/India/ITAT/Mumbai") in a
+ * bucket, as { [dimension name]: value } in the order of the dimensions.
+ */
+function classifyFolder(taxonomy, bucket, folderPath) {
+  const segments = folderPath.split('/').filter(Boolean);
+  const values = {};
+  for (const rule of taxonomy.rules) {
+    if (rule.buckets && !rule.buckets.has(bucket)) continue;
+
+    let captured;
+    if (rule.template) {
+      captured = matchTemplate(rule, segments);
+    } else {
+      const match = rule.pattern.exec(segments.join('/'));
+      captured = match ? { ...match.groups } : null;
+    }
+    if (!captured) continue;
+
+    for (const [name, value] of Object.entries(captured)) {
+      if (value === undefined || value === '') continue;
+      const renamed = (rule.rename[name] || []).find(r => r.re.test(value));
+      values[name] = renamed ? renamed.to : value;
+    }
+    Object.assign(values, rule.set);
+    break;
+  }
+
+  const row = {};
+  for (const d of taxonomy.dimensions) {
+    row[d.name] = values[d.name] === undefined ? d.default : values[d.name];
+  }
+  return row;
+}
+
+/**
+ * The value of the first dimension (the case type), which picks the model.
+ */
+function caseTypeOf(taxonomy, bucket, folderPath) {
+  return classifyFolder(taxonomy, bucket, folderPath)[taxonomy.dimensions[0].name];
+}
+
+/**
+ * "Direct Tax Cases › India › ITAT – Mumbai" for a row with dimension values.
+ */
+function lineLabel(dimensions, row) {
+  return dimensions.map(d => row[d.name]).join(' › ');
+}
+
+module.exports = {
+  getCaseTaxonomy,
+  classifyFolder,
+  caseTypeOf,
+  lineLabel,
+};
@@ -0,0 +1,66 @@
+/**
+ * Concurrency Helpers
+ *
+ * Bounded parallelism and retry with jittered exponential backoff.
+ */
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run fn(item, index) over items with at most `limit` calls in flight.
+ * Resolves to settled results in input order, like Promise.allSettled.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.max(1, Math.min(limit, items.length)); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * "Full jitter" backoff: a random delay between 0 and min(cap, base * 2^attempt).
+ */
+function backoffDelay(attempt, { baseMs = 500, capMs = 20000 } = {}) {
+  return Math.floor(Math.random() * Math.min(capMs, baseMs * 2 ** attempt));
+}
+
+/**
+ * Call fn(attempt) until it succeeds, shouldRetry(error) is false or
+ * maxAttempts is reached. onRetry(error, attempt, delayMs) is called before
+ * each wait.
+ */
+async function retryWithBackoff(fn, { maxAttempts = 5, shouldRetry = () => true, onRetry = () => {}, baseMs, capMs } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= maxAttempts || !shouldRetry(error)) throw error;
+      const delay = backoffDelay(attempt, { baseMs, capMs });
+      onRetry(error, attempt, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  sleep,
+  mapWithConcurrency,
+  backoffDelay,
+  retryWithBackoff,
+};
@@ -0,0 +1,305 @@
+/**
+ * Configuration
+ *
+ * Every setting the scripts read, from config.json next to the scripts
+ * (CONFIG_FILE to use another file), with environment variables (and .env)
+ * taking precedence over the file:
+ *
+ *   {
+ *     "email": { "to": ["ops@example.com"], "ops": ["oncall@example.com"] },
+ *     "scan": { "buckets": ["judgments-archive"], "mode": "incremental" },
+ *     "summaries": { "concurrency": 2, "maxRetries": 5 },
+ *     "report": { "holidays": ["2026-10-20"] }
+ *   }
+ *
+ * SETTINGS lists them all with their environment variable and default. The
+ * merged values are checked against a JSON Schema built from that list
+ * before anything runs; errors name the file and setting, or the variable
+ * when the value came from the environment. Lists can be given in the
+ * environment as JSON arrays or comma separated, booleans as true/false,
+ * yes/no, on/off or 1/0, objects as JSON.
+ *
+ * Settings owned by a lib module (report window, anomaly alerts, LLM, PDF
+ * input, question verification, file filter and taxonomy files, date
+ * layouts) are only type-checked here. Their getters receive config.env, the
+ * environment with the configured values under the same variable names, and
+ * check the rest.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'config.json');
+
+// [path in config.json, environment variable, schema and default]
+// secret: masked by "node config.js check"; note: where an unset value comes from
+const SETTINGS = [
+  ['aws.region', 'AWS_REGION', { type: 'string', default: 'us-east-1' }],
+  ['aws.accessKeyId', 'AWS_ACCESS_KEY_ID', { type: 'string', secret: true }],
+  ['aws.secretAccessKey', 'AWS_SECRET_ACCESS_KEY', { type: 'string', secret: true }],
+
+  ['email.smtpServer', 'SMTP_SERVER', { type: 'string', default: 'smtp.gmail.com' }],
+  ['email.smtpPort', 'SMTP_PORT', { type: 'integer', minimum: 1, maximum: 65535, default: 587 }],
+  ['email.smtpUsername', 'SMTP_USERNAME', { type: 'string' }],
+  ['email.smtpPassword', 'SMTP_PASSWORD', { type: 'string', secret: true }],
+  ['email.from', 'FROM_EMAIL', { type: 'string', note: 'email.smtpUsername' }],
+  ['email.to', 'TO_EMAIL', { type: 'list', default: [] }],
+  // Gets the anomaly alert, and the failure alert instead of email.to
+  ['email.ops', 'OPS_EMAIL', { type: 'list', default: [] }],
+
+  // No buckets: every bucket the credentials can list
+  ['scan.buckets', 'S3_BUCKETS', { type: 'list', default: [] }],
+  ['scan.mode', 'SCAN_MODE', { type: 'string', enum: ['list', 'incremental', 'inventory'], default: 'list' }],
+  ['scan.inventory', 'S3_INVENTORY', { type: 'object', default: {} }],
+  // Buckets whose keys start with the upload date are listed by day (lib/date_layout.js)
+  ['scan.dateLayout', 'S3_DATE_LAYOUT', { type: 'object', default: {} }],
+  ['scan.concurrency', 'S3_SCAN_CONCURRENCY', { type: 'integer', minimum: 1, maximum: 64, default: 4 }],
+  ['scan.maxAttempts', 'S3_MAX_ATTEMPTS', { type: 'integer', minimum: 1, maximum: 20, default: 6 }],
+  ['scan.resumeRounds', 'S3_RESUME_ROUNDS', { type: 'integer', minimum: 0, maximum: 10, default: 1 }],
+  ['scan.byPrefix', 'S3_SCAN_BY_PREFIX', { type: 'boolean', default: true }],
+
+  ['files.filters', 'FILE_FILTERS_FILE', { type: 'string', default: 'file_filters.json' }],
+  ['files.caseTaxonomy', 'CASE_TAXONOMY_FILE', { type: 'string', default: 'case_taxonomy.json' }],
+
+  ['report.timezone', 'REPORT_TIMEZONE', { type: 'string', default: 'Asia/Kolkata' }],
+  ['report.timezoneLabel', 'REPORT_TIMEZONE_LABEL', { type: 'string', note: 'report.timezone' }],
+  ['report.cutoff', 'REPORT_CUTOFF', { type: 'string', default: '12:00' }],
+  ['report.span', 'REPORT_SPAN', { type: 'string', default: '1d' }],
+  ['report.skipWeekends', 'REPORT_SKIP_WEEKENDS', { type: 'boolean', default: false }],
+  ['report.holidays', 'REPORT_HOLIDAYS', { type: 'list', default: [] }],
+
+  ['anomalies.threshold', 'ANOMALY_THRESHOLD', { type: 'number', default: 50 }],
+  ['anomalies.minAverage', 'ANOMALY_MIN_AVERAGE', { type: 'number', default: 3 }],
+  ['anomalies.minHistoryDays', 'ANOMALY_MIN_HISTORY_DAYS', { type: 'number', default: 3 }],
+
+  ['llm.provider', 'LLM_PROVIDER', { type: 'string', default: 'anthropic' }],
+  ['llm.model', 'LLM_MODEL', { type: 'string', note: 'llm.provider' }],
+  ['llm.modelByCaseType', 'LLM_MODEL_BY_CASE_TYPE', { type: 'object', default: {} }],
+  ['llm.baseUrl', 'LLM_BASE_URL', { type: 'string' }],
+  ['llm.apiKey', 'LLM_API_KEY', { type: 'string', secret: true }],
+  ['llm.claudeApiKey', 'CLAUDE_API_KEY', { type: 'string', secret: true }],
+  ['llm.maxTokens', 'LLM_MAX_TOKENS', { type: 'number', default: 1024 }],
+  ['llm.temperature', 'LLM_TEMPERATURE', { type: 'number', default: 0.3 }],
+  ['llm.timeoutSeconds', 'LLM_TIMEOUT_SECONDS', { type: 'number', default: 120 }],
+
+  ['pdf.mode', 'CLAUDE_PDF_MODE', { type: 'string', default: 'text' }],
+  ['pdf.documentModel', 'CLAUDE_DOCUMENT_MODEL', { type: 'string', default: 'claude-3-5-sonnet-20241022' }],
+  ['pdf.documentMaxPages', 'PDF_DOCUMENT_MAX_PAGES', { type: 'number', default: 20 }],
+  ['pdf.documentMaxMb', 'PDF_DOCUMENT_MAX_MB', { type: 'number', default: 10 }],
+  ['pdf.minCharsPerPage', 'PDF_MIN_CHARS_PER_PAGE', { type: 'number', default: 200 }],
+
+  ['verification.questions', 'QUESTION_VERIFICATION', { type: 'string', default: 'on' }],
+  ['verification.maxRegenerations', 'QUESTION_MAX_REGENERATIONS', { type: 'number', default: 2 }],
+
+  // Model calls in flight at once, and the account limits the pool stays under
+  ['summaries.concurrency', 'CLAUDE_CONCURRENCY', { type: 'integer', minimum: 1, maximum: 64, default: 4 }],
+  ['summaries.requestsPerMinute', 'CLAUDE_RPM', { type: 'integer', minimum: 1, maximum: 100000, default: 50 }],
+  ['summaries.tokensPerMinute', 'CLAUDE_TPM', { type: 'integer', minimum: 1000, maximum: 100000000, default: 50000 }],
+  // Attempts per model call, and the wait between failed ones (429s wait for the limiter instead)
+  ['summaries.maxRetries', 'CLAUDE_MAX_RETRIES', { type: 'integer', minimum: 1, maximum: 10, default: 3 }],
+  ['summaries.retryDelaySeconds', 'CLAUDE_RETRY_DELAY_SECONDS', { type: 'number', minimum: 0, maximum: 300, default: 5 }],
+  // --mode batch-api: seconds between status polls, batches before giving up on failing requests
+  ['summaries.batchPollSeconds', 'CLAUDE_BATCH_POLL_SECONDS', { type: 'integer', minimum: 5, maximum: 3600, default: 60 }],
+  ['summaries.batchMaxRounds', 'CLAUDE_BATCH_MAX_ROUNDS', { type: 'integer', minimum: 1, maximum: 10, default: 3 }],
+  ['summaries.checkpointEvery', 'SUMMARY_CHECKPOINT_EVERY', { type: 'integer', minimum: 1, maximum: 1000, default: 10 }],
+  // Larger files are skipped; extracted text is cut to maxContentChars
+  ['summaries.maxDownloadMb', 'MAX_DOWNLOAD_MB', { type: 'number', minimum: 1, maximum: 500, default: 25 }],
+  ['summaries.maxContentChars', 'MAX_CONTENT_CHARS', { type: 'integer', minimum: 1000, maximum: 1000000, default: 50000 }],
+  ['summaries.resultCache', 'RESULT_CACHE', { type: 'string', enum: ['on', 'off'], default: 'on' }],
+
+  // Copies of the day's tables next to the XLSX reports: csv, jsonl and/or json (lib/dataset_export.js)
+  ['exports.formats', 'EXPORT_FORMATS', { type: 'list', enum: ['csv', 'jsonl', 'json'], default: [] }],
+
+  // Pause between the scan and summarization steps
+  ['pipeline.stepDelaySeconds', 'PIPELINE_STEP_DELAY_SECONDS', { type: 'number', minimum: 0, maximum: 600, default: 5 }],
+].map(([key, envName, spec]) => ({ key, envName, ...spec }));
+
+const ajv = new Ajv({ allErrors: true });
+
+function leafSchema(setting) {
+  const { type, minimum, maximum } = setting;
+  if (type === 'list') {
+    return { type: 'array', items: setting.enum ? { enum: setting.enum } : { type: 'string', minLength: 1 } };
+  }
+  const schema = { type };
+  if (setting.enum) schema.enum = setting.enum;
+  if (minimum !== undefined) schema.minimum = minimum;
+  if (maximum !== undefined) schema.maximum = maximum;
+  return schema;
+}
+
+// One nested object schema for the whole file; unknown keys are errors
+function buildSchema() {
+  const root = { type: 'object', properties: {}, additionalProperties: false };
+  for (const setting of SETTINGS) {
+    const [section, name] = setting.key.split('.');
+    if (!root.properties[section]) {
+      root.properties[section] = { type: 'object', properties: {}, additionalProperties: false };
+    }
+    root.properties[section].properties[name] = leafSchema(setting);
+  }
+  return root;
+}
+
+const validate = ajv.compile(buildSchema());
+
+/**
+ * A list from the environment: a JSON array (["a@x.com","b@y.com"]) or comma
+ * separated, with stray quotes around items removed.
+ */
+function parseList(raw) {
+  if (!raw) return [];
+  const cleaned = String(raw).trim();
+  const split = text => text
+    .split(',')
+    .map(e => e.replace(/^['"]|['"]$/g, '').trim())
+    .filter(Boolean);
+  if (cleaned.startsWith('[')) {
+    try {
+      const arr = JSON.parse(cleaned);
+      return (Array.isArray(arr) ? arr : []).filter(item => item != null).flatMap(item => split(String(item)));
+    } catch {
+      // Fallback: strip brackets and treat as CSV
+      return split(cleaned.replace(/^\[/, '').replace(/\]$/, ''));
+    }
+  }
+  return split(cleaned);
+}
+
+// The value of an environment variable as the setting's type; values that
+// do not convert are returned as they are, for the schema to reject
+function fromEnv(setting, raw) {
+  const text = raw.trim();
+  switch (setting.type) {
+    case 'integer':
+    case 'number':
+      return text !== '' && Number.isFinite(Number(text)) ? Number(text) : raw;
+    case 'boolean':
+      if (/^(1|true|yes|on)$/i.test(text)) return true;
+      if (/^(0|false|no|off)$/i.test(text)) return false;
+      return raw;
+    case 'list':
+      return setting.enum ? parseList(text).map(item => item.toLowerCase()) : parseList(text);
+    case 'object':
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        throw new Error(`${setting.envName} is not valid JSON: ${error.message}`);
+      }
+    default:
+      return setting.enum ? text.toLowerCase() : raw;
+  }
+}
+
+// The value as a lib getter expects it in the environment
+function toEnv(setting, value) {
+  if (setting.type === 'list') return value.join(',');
+  if (setting.type === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function getPath(object, key) {
+  const [section, name] = key.split('.');
+  return object[section] ? object[section][name] : undefined;
+}
+
+function setPath(object, key, value) {
+  const [section, name] = key.split('.');
+  if (!object[section]) object[section] = {};
+  object[section][name] = value;
+}
+
+function readConfigFile(configFile) {
+  const name = path.basename(configFile);
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configFile, 'utf-8'));
+  } catch (error) {
+    throw new Error(`${name} is not valid JSON: ${error.message}`);
+  }
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`${name} must contain an object`);
+  }
+  return config;
+}
+
+// "config.json: scan.concurrency must be <= 64", or the variable it came from
+function describeError(error, origins, fileName, env) {
+  const parts = error.instancePath.split('/').filter(Boolean);
+  if (error.keyword === 'additionalProperties') {
+    const where = parts.length > 0 ? `${parts.join('.')}: ` : '';
+    return `${fileName}: ${where}unknown setting "${error.params.additionalProperty}"`;
+  }
+  const key = parts.slice(0, 2).join('.');
+  const setting = SETTINGS.find(s => s.key === key);
+  let message = error.message;
+  if (error.keyword === 'enum') message = `must be one of ${error.params.allowedValues.join(', ')}`;
+  if (error.keyword === 'minLength') message = 'must not contain empty items';
+  if (setting && origins[key] === 'env') return `${setting.envName} ${message} (got "${env[setting.envName]}")`;
+  return `${fileName}: ${key || 'setting'} ${message}`;
+}
+
+/**
+ * Read config.json (when it exists) and the environment into
+ * { source, values, origins, env }: values are nested like the file, with
+ * defaults filled in; origins maps each setting key to "env", "file" or
+ * "default". Throws listing every invalid setting.
+ */
+function loadConfig(env = process.env) {
+  const configFile = env.CONFIG_FILE
+    ? path.resolve(path.dirname(DEFAULT_CONFIG_FILE), env.CONFIG_FILE)
+    : DEFAULT_CONFIG_FILE;
+  if (env.CONFIG_FILE && !fs.existsSync(configFile)) {
+    throw new Error(`CONFIG_FILE not found: ${configFile}`);
+  }
+  const source = fs.existsSync(configFile) ? configFile : null;
+  const fileConfig = source ? readConfigFile(source) : {};
+  const fileName = source ? path.basename(source) : 'config';
+  for (const [section, value] of Object.entries(fileConfig)) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error(`${fileName}: ${section} must be an object of settings`);
+    }
+  }
+
+  const values = {};
+  const origins = {};
+  const envView = { ...env };
+  for (const setting of SETTINGS) {
+    const fromFile = getPath(fileConfig, setting.key);
+    const raw = env[setting.envName];
+    if (raw !== undefined && raw !== '') {
+      setPath(values, setting.key, fromEnv(setting, raw));
+      origins[setting.key] = 'env';
+    } else if (fromFile !== undefined) {
+      setPath(values, setting.key, fromFile);
+      origins[setting.key] = 'file';
+    } else {
+      setPath(values, setting.key, setting.default);
+      origins[setting.key] = 'default';
+    }
+  }
+
+  // Unknown keys in the file are reported with everything else
+  const checked = JSON.parse(JSON.stringify(fileConfig));
+  for (const setting of SETTINGS) {
+    const value = getPath(values, setting.key);
+    if (value !== undefined) setPath(checked, setting.key, value);
+  }
+  if (!validate(checked)) {
+    const errors = [...new Set(validate.errors.map(e => describeError(e, origins, fileName, env)))];
+    throw new Error(errors.length === 1 ? errors[0] : `${errors.length} problems:\n  ${errors.join('\n  ')}`);
+  }
+
+  for (const setting of SETTINGS) {
+    const value = getPath(values, setting.key);
+    if (origins[setting.key] !== 'default') envView[setting.envName] = toEnv(setting, value);
+  }
+  return { source, values, origins, env: envView };
+}
+
+module.exports = {
+  SETTINGS,
+  parseList,
+  loadConfig,
+};
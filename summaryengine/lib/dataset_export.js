@@ -0,0 +1,127 @@
+/**
+ * Dataset Exports
+ *
+ * The day's data as CSV, JSON Lines and JSON next to the XLSX reports, so
+ * other jobs can load it without reading spreadsheets. exports.formats in
+ * config.json (EXPORT_FORMATS) picks any of csv, jsonl and json; nothing is
+ * exported by default.
+ *
+ *   csv    <report>.<table>.csv    a header row, then one row per record
+ *   jsonl  <report>.<table>.jsonl  one record per line
+ *   json   <report>.json           { schemaVersion, dataset, reportDate, window,
+ *                                    generatedAt, dimensions, tables: { <table>: [records] } }
+ *
+ * <report> is the XLSX name without its extension (YYYYMMDD_HHmm for
+ * sub-daily spans). Tables and their fields:
+ *
+ *   s3_daily_uploads_YYYYMMDD (s3_daily_summary.js, windows with uploads)
+ *     uploads    bucket, key, folder, <dimensions>, lastModified, size, etag, storageClass
+ *     highLevel  <first dimension>, count, previous, average
+ *     detailed   <dimensions>, count, previous, average
+ *     folders    bucket, folder, count
+ *   file_summaries_YYYYMMDD (process_in_batches.js)
+ *     summaries  bucket, key, <dimensions>, status, question, verifiedAnswer,
+ *                answerExcerpt, court, bench, caseNumber, parties, judgmentDate,
+ *                statutes, outcome, summary, inputMode, resultSource
+ *
+ * Every record starts with schemaVersion and reportDate (YYYY-MM-DD).
+ * <dimensions> are the case taxonomy's dimension names (caseType, country,
+ * courtAuthority by default; lib/case_folders.js). lastModified is ISO 8601
+ * in UTC, size in bytes; previous (the previous report day's count) and
+ * average (over the last 7 report days) are empty without history; statutes
+ * are separated by "; ". Empty values are "" in CSV and null in JSON.
+ *
+ * Fields may be added within a schema version; renaming or removing one, or
+ * changing its meaning, bumps EXPORT_SCHEMA_VERSION.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const EXPORT_SCHEMA_VERSION = 1;
+
+// The fields of each table, given the dimension names
+const TABLES = {
+  uploads: dims => ['bucket', 'key', 'folder', ...dims, 'lastModified', 'size', 'etag', 'storageClass'],
+  highLevel: dims => [dims[0], 'count', 'previous', 'average'],
+  detailed: dims => [...dims, 'count', 'previous', 'average'],
+  folders: () => ['bucket', 'folder', 'count'],
+  summaries: dims => [
+    'bucket', 'key', ...dims, 'status', 'question', 'verifiedAnswer', 'answerExcerpt',
+    'court', 'bench', 'caseNumber', 'parties', 'judgmentDate', 'statutes', 'outcome', 'summary',
+    'inputMode', 'resultSource',
+  ],
+};
+
+function writeAtomic(file, data) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, file);
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The record with exactly the table's fields, in order
+function project(fields, record, reportDate) {
+  const out = { schemaVersion: EXPORT_SCHEMA_VERSION, reportDate };
+  for (const field of fields) {
+    const value = record[field];
+    out[field] = value === undefined || value === '' ? null : value;
+  }
+  return out;
+}
+
+/**
+ * Write the tables ({ uploads: [records], ... }) of a report in each format
+ * and return the file names written. meta is { dataset, reportDate, window:
+ * { start, end }, dimensions: [{ name, label }] }.
+ */
+function exportDataset(reportPath, meta, tables, formats) {
+  if (formats.length === 0) return [];
+  const dir = path.dirname(reportPath);
+  const base = path.basename(reportPath, path.extname(reportPath));
+  const dims = meta.dimensions.map(d => d.name);
+
+  const projected = {};
+  for (const [table, records] of Object.entries(tables)) {
+    if (!TABLES[table]) throw new Error(`Unknown export table "${table}"`);
+    const fields = TABLES[table](dims);
+    projected[table] = { fields, records: records.map(r => project(fields, r, meta.reportDate)) };
+  }
+
+  const written = [];
+  for (const format of formats) {
+    if (format === 'json') {
+      const document = {
+        schemaVersion: EXPORT_SCHEMA_VERSION,
+        dataset: meta.dataset,
+        reportDate: meta.reportDate,
+        window: meta.window,
+        generatedAt: new Date().toISOString(),
+        dimensions: meta.dimensions,
+        tables: Object.fromEntries(Object.entries(projected).map(([table, { records }]) => [table, records])),
+      };
+      writeAtomic(path.join(dir, `${base}.json`), JSON.stringify(document, null, 2));
+      written.push(`${base}.json`);
+      continue;
+    }
+    for (const [table, { fields, records }] of Object.entries(projected)) {
+      const name = `${base}.${table}.${format}`;
+      const lines = format === 'csv'
+        ? [['schemaVersion', 'reportDate', ...fields].join(','), ...records.map(r => Object.values(r).map(csvValue).join(','))]
+        : records.map(r => JSON.stringify(r));
+      writeAtomic(path.join(dir, name), lines.length > 0 ? `${lines.join('\n')}\n` : '');
+      written.push(name);
+    }
+  }
+  return written;
+}
+
+module.exports = {
+  EXPORT_SCHEMA_VERSION,
+  exportDataset,
+};
@@ -0,0 +1,88 @@
+/**
+ * Date-Partitioned Key Layouts
+ *
+ * S3 cannot list objects by date, but it lists keys in lexicographic order.
+ * For buckets whose keys start with the upload date, a layout in
+ * S3_DATE_LAYOUT (scan.dateLayout in config.json) lets a scan list only the
+ * days of its range instead of the whole bucket:
+ *
+ *   S3_DATE_LAYOUT={"judgments-archive": "uploads/{yyyy}/{MM}/{dd}/"}
+ *
+ * Zero-padded year, month and day keep the key order chronological, so one
+ * listing that starts after the first day's folder (StartAfter) and stops at
+ * the folder of the day after the last covers the range. Days are UTC dates;
+ * one more day is listed on either side, for keys dated in another zone.
+ * Objects outside the layout are not scanned.
+ */
+
+const { DateTime } = require('luxon');
+
+const PARTS = ['{yyyy}', '{MM}', '{dd}'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function compileLayout(template, where) {
+  if (typeof template !== 'string') throw new Error(`${where} must be a string`);
+  const positions = PARTS.map(part => template.indexOf(part));
+  if (positions.some(p => p === -1) || positions.some((p, i) => i > 0 && p < positions[i - 1])) {
+    throw new Error(`${where} must contain {yyyy}, {MM} and {dd} in that order (got "${template}")`);
+  }
+  if (PARTS.some(part => template.split(part).length > 2) || /[{}]/.test(PARTS.reduce((t, part) => t.replace(part, ''), template))) {
+    throw new Error(`${where} may only use {yyyy}, {MM} and {dd} once each (got "${template}")`);
+  }
+  if (!template.endsWith('/')) throw new Error(`${where} must end with the day's folder "/" (got "${template}")`);
+  return { template, prefix: template.slice(0, positions[0]) };
+}
+
+/**
+ * Read the layouts from the environment as Map(bucket → { template, prefix }).
+ * Throws with the variable name on invalid input.
+ */
+function getDateLayouts(env = process.env) {
+  const raw = env.S3_DATE_LAYOUT;
+  if (raw === undefined || raw === '') return new Map();
+  let config;
+  try {
+    config = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`S3_DATE_LAYOUT is not valid JSON: ${error.message}`);
+  }
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('S3_DATE_LAYOUT must be an object keyed by bucket name');
+  }
+  return new Map(Object.entries(config).map(([bucket, template]) => [
+    bucket,
+    compileLayout(template, `S3_DATE_LAYOUT.${bucket}`),
+  ]));
+}
+
+// The folder of the UTC day of a Date, e.g. "uploads/2026/10/19/"
+function dayFolder(layout, date) {
+  const day = DateTime.fromJSDate(date, { zone: 'utc' });
+  return layout.template
+    .replace('{yyyy}', day.toFormat('yyyy'))
+    .replace('{MM}', day.toFormat('LL'))
+    .replace('{dd}', day.toFormat('dd'));
+}
+
+/**
+ * How to list the days of [start, end) (Dates): { prefix, startAfter,
+ * stopAt, firstDay, lastDay }. Keys from startAfter (exclusive) up to stopAt
+ * (exclusive) are the range's days; the listing can stop at the first key
+ * at or past stopAt.
+ */
+function layoutListing(layout, start, end) {
+  const first = new Date(start.getTime() - DAY_MS);
+  const last = new Date(end.getTime() + DAY_MS);
+  return {
+    prefix: layout.prefix,
+    startAfter: dayFolder(layout, first),
+    stopAt: dayFolder(layout, new Date(last.getTime() + DAY_MS)),
+    firstDay: DateTime.fromJSDate(first, { zone: 'utc' }).toISODate(),
+    lastDay: DateTime.fromJSDate(last, { zone: 'utc' }).toISODate(),
+  };
+}
+
+module.exports = {
+  getDateLayouts,
+  layoutListing,
+};
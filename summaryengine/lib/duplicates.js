@@ -0,0 +1,140 @@
+/**
+ * Duplicate Upload Detection
+ *
+ * Groups uploads that are probably the same document:
+ *
+ *   exact       same ETag and size (same content), across keys or buckets
+ *   same name   same file name in different folders or buckets, different content
+ *   same text   same extracted text, different bytes (e.g. a re-saved PDF);
+ *               found by the summarizer, which is the step that extracts text
+ *
+ * Groups go to the "Duplicates" sheet of the daily upload report and a short
+ * section of the email, so uploaders can clean up before indexing.
+ */
+
+const crypto = require('crypto');
+const { escapeHtml } = require('./html');
+
+const DUPLICATES_SHEET = 'Duplicates';
+const DUPLICATE_COLUMNS = ['Group', 'Match', 'Bucket', 'Key', 'Size', 'ETag'];
+// Shorter texts (cover pages, "IN THE SUPREME COURT OF INDIA") match too easily
+const MIN_FINGERPRINT_CHARS = 500;
+// Groups listed in the email; the sheet has all of them
+const EMAIL_GROUP_LIMIT = 15;
+
+function fileNameOf(key) {
+  return key.slice(key.lastIndexOf('/') + 1);
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (key === null) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return [...groups.values()].filter(group => group.length > 1);
+}
+
+function contentKey(upload) {
+  return upload.ETag && upload.Size > 0 ? `${upload.ETag}|${upload.Size}` : null;
+}
+
+/**
+ * Exact and same-name groups among uploads ({ Bucket, Key, Size, ETag }).
+ * Returns [{ match, items }], exact groups first.
+ */
+function findDuplicateGroups(uploads) {
+  const exact = groupBy(uploads, contentKey)
+    .map(items => ({ match: 'exact', items }));
+
+  // A name shared only by copies of the same content is already an exact group
+  const sameName = groupBy(uploads, u => fileNameOf(u.Key).toLowerCase())
+    .filter(items => new Set(items.map(u => contentKey(u) || `${u.Bucket}/${u.Key}`)).size > 1)
+    .map(items => ({ match: 'same name', items }));
+
+  return [...exact, ...sameName];
+}
+
+/**
+ * A hash of the text with case, whitespace and punctuation removed, or null
+ * when there is too little text to compare.
+ */
+function textFingerprint(text) {
+  const normalized = (text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+  if (normalized.length < MIN_FINGERPRINT_CHARS) return null;
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Same-text groups among items ({ Bucket, Key, Size, ETag, fingerprint })
+ * whose content differs; identical content is an exact group already.
+ */
+function findTextDuplicateGroups(items) {
+  return groupBy(items, item => item.fingerprint || null)
+    .filter(group => new Set(group.map(u => contentKey(u) || `${u.Bucket}/${u.Key}`)).size > 1)
+    .map(group => ({ match: 'same text', items: group }));
+}
+
+/**
+ * Sheet rows for the groups, one per file, numbered from firstGroup.
+ */
+function duplicateRows(groups, firstGroup = 1) {
+  return groups.flatMap((group, i) => group.items.map(u => ({
+    Group: firstGroup + i,
+    Match: group.match,
+    Bucket: u.Bucket,
+    Key: u.Key,
+    Size: u.Size,
+    ETag: u.ETag || '',
+  })));
+}
+
+/**
+ * Email section listing the groups (empty string when there are none).
+ */
+function buildDuplicatesHtml(groups, title = '🧬 Possible Duplicates') {
+  if (groups.length === 0) return '';
+
+  const counts = new Map();
+  for (const group of groups) {
+    counts.set(group.match, (counts.get(group.match) || 0) + 1);
+  }
+  const summary = [...counts.entries()].map(([match, n]) => `${n} ${match}`).join(', ');
+
+  let rows = '';
+  for (const group of groups.slice(0, EMAIL_GROUP_LIMIT)) {
+    const files = group.items.map(u => escapeHtml(`${u.Bucket}/${u.Key}`)).join('<br>');
+    rows += `
+      <tr>
+        <td style="padding:8px;border:1px solid #e5e7eb;vertical-align:top;">${escapeHtml(group.match)}</td>
+        <td style="padding:8px;border:1px solid #e5e7eb;">${files}</td>
+      </tr>`;
+  }
+  const more = groups.length > EMAIL_GROUP_LIMIT
+    ? `<p style="color:#64748b;">…and ${groups.length - EMAIL_GROUP_LIMIT} more group(s) in the "${DUPLICATES_SHEET}" sheet.</p>`
+    : '';
+
+  return `
+    <h2 style="margin-top:32px;color:#1e40af;">${title}</h2>
+    <p>${groups.length} group(s) of files that look like the same document (${summary}). Please remove the extra copies before indexing.</p>
+    <table width="100%" cellpadding="0" cellspacing="0" style="border-collapse:collapse;">
+      <tr>
+        <th style="padding:10px;border:1px solid #e5e7eb;background:#1e40af;color:#ffffff;text-align:left;">Match</th>
+        <th style="padding:10px;border:1px solid #e5e7eb;background:#1e40af;color:#ffffff;text-align:left;">Files</th>
+      </tr>
+      ${rows}
+    </table>
+    ${more}`;
+}
+
+module.exports = {
+  DUPLICATES_SHEET,
+  DUPLICATE_COLUMNS,
+  findDuplicateGroups,
+  textFingerprint,
+  findTextDuplicateGroups,
+  duplicateRows,
+  buildDuplicatesHtml,
+};
@@ -0,0 +1,21 @@
+/**
+ * Environment Setting Helpers
+ */
+
+/**
+ * Read env[name] as a number in [min, max], or fallback when it is unset.
+ * Throws with the variable name on invalid input.
+ */
+function numberSetting(env, name, fallback, min, max) {
+  const raw = env[name];
+  if (raw === undefined || raw === '') return fallback;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < min || value > max) {
+    throw new Error(`${name} must be a number between ${min} and ${max} (got "${raw}")`);
+  }
+  return value;
+}
+
+module.exports = {
+  numberSetting,
+};
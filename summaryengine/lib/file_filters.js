@@ -0,0 +1,259 @@
+/**
+ * File Filters
+ *
+ * Which objects the scan reports and which reported files are summarized,
+ * from file_filters.json next to the scripts (FILE_FILTERS_FILE to use
+ * another file):
+ *
+ *   {
+ *     "scan": {
+ *       "extensions": [".pdf", ".docx", ".html", ".txt"],
+ *       "exclude": ["**\/tmp/**"],
+ *       "buckets": {
+ *         "judgments-archive": { "include": ["supreme-court/**"], "exclude": ["**\/drafts/**"] }
+ *       }
+ *     },
+ *     "summarize": {
+ *       "exclude": ["**\/*commercial-case-laws*\/**", "**\/*usecase-reports*\/**"]
+ *     }
+ *   }
+ *
+ * A key passes a stage when its extension is listed (no list: any extension),
+ * it matches one of the include globs (no list: every key) and none of the
+ * exclude globs. A bucket's entry replaces the stage's extensions and include
+ * list, and adds its exclude globs to the stage's. Globs match the whole key,
+ * case-insensitively: * and ? stay within a folder, ** spans folders, and
+ * {a,b} matches either. Without the file the scan keeps PDFs only and nothing
+ * is excluded from summarization.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./html');
+
+const DEFAULT_FILTERS_FILE = path.join(__dirname, '..', 'file_filters.json');
+const STAGES = ['scan', 'summarize'];
+const DEFAULT_RULES = {
+  scan: { extensions: ['.pdf'] },
+  summarize: {},
+};
+// Excluded files listed per bucket in the email; all are counted
+const EMAIL_REASON_LIMIT = 10;
+
+/**
+ * Compile a glob to a RegExp matching a whole key.
+ */
+function globToRegExp(glob) {
+  let re = '';
+  let braces = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      i++;
+      if (glob[i + 1] === '/') {
+        i++;
+        re += '(?:.*/)?';
+      } else {
+        re += '.*';
+      }
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '{') {
+      braces++;
+      re += '(?:';
+    } else if (c === '}' && braces > 0) {
+      braces--;
+      re += ')';
+    } else if (c === ',' && braces > 0) {
+      re += '|';
+    } else {
+      re += c.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  if (braces > 0) throw new Error(`unclosed "{" in glob "${glob}"`);
+  return new RegExp(`^${re}$`, 'i');
+}
+
+function checkStringList(value, where) {
+  if (value === undefined) return undefined;
+  if (!Array.isArray(value) || !value.every(v => typeof v === 'string' && v !== '')) {
+    throw new Error(`${where} must be a list of non-empty strings`);
+  }
+  return value;
+}
+
+function compileRule(rule, where) {
+  if (rule === null || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new Error(`${where} must be an object`);
+  }
+  const extensions = checkStringList(rule.extensions, `${where}.extensions`);
+  if (extensions && !extensions.every(e => e.startsWith('.'))) {
+    throw new Error(`${where}.extensions must start with "." (e.g. ".pdf")`);
+  }
+  const globs = (list, name) => (checkStringList(list, `${where}.${name}`) || []).map(glob => {
+    try {
+      return { glob, re: globToRegExp(glob) };
+    } catch (error) {
+      throw new Error(`${where}.${name}: ${error.message}`);
+    }
+  });
+  return {
+    extensions: extensions ? extensions.map(e => e.toLowerCase()) : undefined,
+    include: rule.include === undefined ? undefined : globs(rule.include, 'include'),
+    exclude: globs(rule.exclude, 'exclude'),
+  };
+}
+
+function compileStage(config, where) {
+  const { buckets = {}, ...defaults } = config;
+  if (buckets === null || typeof buckets !== 'object' || Array.isArray(buckets)) {
+    throw new Error(`${where}.buckets must be an object keyed by bucket name`);
+  }
+  const unknown = Object.keys(defaults).filter(k => !['extensions', 'include', 'exclude'].includes(k));
+  if (unknown.length > 0) throw new Error(`${where} has unknown setting(s): ${unknown.join(', ')}`);
+
+  const base = compileRule(defaults, where);
+  const perBucket = new Map();
+  for (const [bucket, rule] of Object.entries(buckets)) {
+    const own = compileRule(rule, `${where}.buckets.${bucket}`);
+    perBucket.set(bucket, {
+      extensions: own.extensions || base.extensions,
+      include: own.include || base.include,
+      exclude: [...base.exclude, ...own.exclude],
+    });
+  }
+  return { base, perBucket };
+}
+
+/**
+ * Read the filters (built-in defaults when the file does not exist). Throws
+ * with the file and setting on invalid input.
+ */
+function getFileFilters(env = process.env) {
+  const filtersFile = env.FILE_FILTERS_FILE
+    ? path.resolve(path.dirname(DEFAULT_FILTERS_FILE), env.FILE_FILTERS_FILE)
+    : DEFAULT_FILTERS_FILE;
+  if (env.FILE_FILTERS_FILE && !fs.existsSync(filtersFile)) {
+    throw new Error(`FILE_FILTERS_FILE not found: ${filtersFile}`);
+  }
+
+  let config = DEFAULT_RULES;
+  let source = null;
+  if (fs.existsSync(filtersFile)) {
+    const name = path.basename(filtersFile);
+    try {
+      config = JSON.parse(fs.readFileSync(filtersFile, 'utf-8'));
+    } catch (error) {
+      throw new Error(`${name} is not valid JSON: ${error.message}`);
+    }
+    if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error(`${name} must contain an object`);
+    }
+    const unknown = Object.keys(config).filter(k => !STAGES.includes(k));
+    if (unknown.length > 0) throw new Error(`${name} has unknown section(s): ${unknown.join(', ')}`);
+    source = filtersFile;
+  }
+
+  const filters = { source };
+  for (const stage of STAGES) {
+    filters[stage] = compileStage(config[stage] || {}, source ? `${path.basename(source)}: ${stage}` : stage);
+  }
+  return filters;
+}
+
+function extensionOf(key) {
+  const name = key.slice(key.lastIndexOf('/') + 1);
+  const dot = name.lastIndexOf('.');
+  return dot <= 0 ? '' : name.slice(dot).toLowerCase();
+}
+
+/**
+ * Why a stage leaves bucket/key out ("extension .docx", "not included",
+ * "excluded by <glob>"), or null when the key passes.
+ */
+function exclusionReason(stageFilters, bucket, key) {
+  const rule = stageFilters.perBucket.get(bucket) || stageFilters.base;
+  if (rule.extensions) {
+    const ext = extensionOf(key);
+    if (!rule.extensions.includes(ext)) return `extension ${ext || '(none)'}`;
+  }
+  if (rule.include && !rule.include.some(g => g.re.test(key))) return 'not included';
+  const excludedBy = rule.exclude.find(g => g.re.test(key));
+  return excludedBy ? `excluded by ${excludedBy.glob}` : null;
+}
+
+/**
+ * One line per stage describing the rules in force, for the logs.
+ */
+function describeStage(stageFilters) {
+  const describe = rule => [
+    rule.extensions ? rule.extensions.join(' ') : 'any extension',
+    rule.include ? `include ${rule.include.map(g => g.glob).join(', ')}` : null,
+    rule.exclude.length > 0 ? `exclude ${rule.exclude.map(g => g.glob).join(', ')}` : null,
+  ].filter(Boolean).join('; ');
+  const buckets = [...stageFilters.perBucket.entries()].map(([bucket, rule]) => ` | ${bucket}: ${describe(rule)}`);
+  return `${describe(stageFilters.base)}${buckets.join('')}`;
+}
+
+/**
+ * Count excluded files ({ bucket, reason }) as [{ bucket, total, reasons:
+ * [{ reason, count }] }], largest first.
+ */
+function countExclusions(excluded) {
+  const byBucket = new Map();
+  for (const { bucket, reason } of excluded) {
+    if (!byBucket.has(bucket)) byBucket.set(bucket, new Map());
+    const reasons = byBucket.get(bucket);
+    reasons.set(reason, (reasons.get(reason) || 0) + 1);
+  }
+  return [...byBucket.entries()]
+    .map(([bucket, reasons]) => ({
+      bucket,
+      total: [...reasons.values()].reduce((sum, n) => sum + n, 0),
+      reasons: [...reasons.entries()].map(([reason, count]) => ({ reason, count })).sort((a, b) => b.count - a.count),
+    }))
+    .sort((a, b) => b.total - a.total || a.bucket.localeCompare(b.bucket));
+}
+
+/**
+ * Email section with the excluded counts per bucket and reason (empty string
+ * when nothing was excluded), so filtered files never disappear silently.
+ */
+function buildExclusionsHtml(counts, title, note) {
+  if (counts.length === 0) return '';
+  const total = counts.reduce((sum, c) => sum + c.total, 0);
+
+  let rows = '';
+  for (const { bucket, reasons } of counts) {
+    const shown = reasons.slice(0, EMAIL_REASON_LIMIT);
+    const rest = reasons.slice(EMAIL_REASON_LIMIT).reduce((sum, r) => sum + r.count, 0);
+    const lines = shown.map(r => `${r.count} × ${escapeHtml(r.reason)}`);
+    if (rest > 0) lines.push(`${rest} × other reasons`);
+    rows += `
+      <tr>
+        <td style="padding:8px;border:1px solid #e5e7eb;vertical-align:top;">${escapeHtml(bucket)}</td>
+        <td style="padding:8px;border:1px solid #e5e7eb;">${lines.join('<br>')}</td>
+      </tr>`;
+  }
+
+  return `
+    <h2 style="margin-top:32px;color:#1e40af;">${title}</h2>
+    <p>${total} file(s) ${note}</p>
+    <table width="100%" cellpadding="0" cellspacing="0" style="border-collapse:collapse;">
+      <tr>
+        <th style="padding:10px;border:1px solid #e5e7eb;background:#1e40af;color:#ffffff;text-align:left;">Bucket</th>
+        <th style="padding:10px;border:1px solid #e5e7eb;background:#1e40af;color:#ffffff;text-align:left;">Files</th>
+      </tr>
+      ${rows}
+    </table>`;
+}
+
+module.exports = {
+  getFileFilters,
+  exclusionReason,
+  describeStage,
+  countExclusions,
+  buildExclusionsHtml,
+};
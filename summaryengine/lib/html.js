@@ -0,0 +1,23 @@
+/**
+ * HTML Helpers
+ *
+ * Shared by the email builders of the scripts and of lib/. Everything taken
+ * from S3 keys, settings or error messages goes through escapeHtml() before
+ * it is put into an email.
+ */
+
+/**
+ * Escape text for an HTML element or a quoted attribute value.
+ */
+function escapeHtml(s) {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = {
+  escapeHtml,
+};
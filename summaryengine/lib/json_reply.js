@@ -0,0 +1,65 @@
+/**
+ * JSON Model Replies
+ *
+ * Parses a model reply that should be one JSON object and validates it
+ * against a JSON Schema. Shared by the structured replies the summarizer
+ * asks for (judgment metadata, answer verification).
+ */
+
+const Ajv = require('ajv');
+
+// Unknown extra fields are dropped rather than failing the reply
+const ajv = new Ajv({ allErrors: true, removeAdditional: true });
+
+// Models sometimes wrap the object in a code fence or a sentence
+function extractJsonObject(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) return null;
+  return text.slice(start, end + 1);
+}
+
+/**
+ * Compile a schema into parse(text), which returns { value } on success, or
+ * { error } describing what was wrong, for the retry prompt and the log.
+ */
+function replyParser(schema) {
+  const validate = ajv.compile(schema);
+
+  return function parse(text) {
+    const json = extractJsonObject(text || '');
+    if (!json) return { error: 'no JSON object in the reply' };
+
+    let value;
+    try {
+      value = JSON.parse(json);
+    } catch (error) {
+      return { error: `invalid JSON (${error.message})` };
+    }
+
+    if (!validate(value)) {
+      return { error: ajv.errorsText(validate.errors, { dataVar: 'reply' }) };
+    }
+    return { value };
+  };
+}
+
+/**
+ * The reply format as shown to the model: one "field": description line
+ * per schema property.
+ */
+function replyTemplate(schema) {
+  const entries = Object.entries(schema.properties);
+  const lines = entries.map(([name, prop], i) => {
+    const comma = i < entries.length - 1 ? ',' : '';
+    const types = [].concat(prop.type);
+    const placeholder = types.includes('array') ? '[...]' : types.includes('boolean') ? 'true|false' : '"..."';
+    return `  "${name}": ${placeholder}${comma}  // ${prop.description}`;
+  });
+  return `{\n${lines.join('\n')}\n}`;
+}
+
+module.exports = {
+  replyParser,
+  replyTemplate,
+};
@@ -0,0 +1,102 @@
+/**
+ * Judgment Metadata
+ *
+ * The structured reply the summarizer asks the model for: the generated
+ * question plus court, bench, case number, parties, judgment date, statutes
+ * cited, outcome and a short summary. Replies are parsed and validated
+ * against JUDGMENT_SCHEMA (JSON Schema) before they are accepted.
+ *
+ * parseJudgmentResponse(text) returns { value } or { error }.
+ */
+
+const { replyParser, replyTemplate } = require('./json_reply');
+
+const JUDGMENT_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['question', 'court', 'bench', 'case_number', 'parties', 'judgment_date', 'statutes', 'outcome', 'summary'],
+  properties: {
+    question: {
+      type: 'string',
+      minLength: 10,
+      description: 'ONE highly specific question about this document, in English',
+    },
+    court: {
+      type: ['string', 'null'],
+      description: 'Court or tribunal that decided the case, or null',
+    },
+    bench: {
+      type: ['string', 'null'],
+      description: 'Judges or members on the bench, or null',
+    },
+    case_number: {
+      type: ['string', 'null'],
+      description: 'Case, appeal or petition number(s), or null',
+    },
+    parties: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Names of the parties, e.g. ["ABC Ltd (appellant)", "DCIT (respondent)"]',
+    },
+    judgment_date: {
+      type: ['string', 'null'],
+      pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+      description: 'Date of the judgment or order as YYYY-MM-DD, or null',
+    },
+    statutes: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Statutes and sections cited, e.g. ["Income-tax Act, 1961 - s. 143(3)"]',
+    },
+    outcome: {
+      type: ['string', 'null'],
+      description: 'Outcome, e.g. "Appeal allowed", "Dismissed", "Remanded", or null',
+    },
+    summary: {
+      type: 'string',
+      minLength: 20,
+      description: 'A 3-5 sentence summary in English',
+    },
+  },
+};
+
+// Summary sheet column for each metadata field, in sheet order
+const METADATA_COLUMNS = [
+  ['court', 'Court'],
+  ['bench', 'Bench'],
+  ['case_number', 'Case Number'],
+  ['parties', 'Parties'],
+  ['judgment_date', 'Judgment Date'],
+  ['statutes', 'Statutes Cited'],
+  ['outcome', 'Outcome'],
+  ['summary', 'Summary'],
+];
+
+const parseJudgmentResponse = replyParser(JUDGMENT_SCHEMA);
+
+/**
+ * The reply format as shown to the model.
+ */
+function responseTemplate() {
+  return replyTemplate(JUDGMENT_SCHEMA);
+}
+
+/**
+ * Summary sheet cells for validated metadata (all empty when there is none).
+ */
+function metadataCells(value) {
+  const cells = {};
+  for (const [field, column] of METADATA_COLUMNS) {
+    const v = value ? value[field] : null;
+    cells[column] = Array.isArray(v) ? v.join('; ') : (v ?? '');
+  }
+  return cells;
+}
+
+module.exports = {
+  JUDGMENT_SCHEMA,
+  METADATA_COLUMNS,
+  responseTemplate,
+  parseJudgmentResponse,
+  metadataCells,
+};
@@ -0,0 +1,252 @@
+/**
+ * LLM Providers
+ *
+ * One interface over the model backends the summarizer can use:
+ *
+ *   LLM_PROVIDER=anthropic   Claude via @anthropic-ai/sdk (default)
+ *   LLM_PROVIDER=openai      any OpenAI-compatible /chat/completions server,
+ *                            e.g. a local vLLM, Ollama or LM Studio
+ *   LLM_PROVIDER=fake        deterministic answers, no network (tests, dry runs)
+ *
+ * provider.complete({ model, prompt, document, maxTokens, temperature, schema })
+ * resolves to { text, usage: { inputTokens, outputTokens } }. `schema` is the
+ * JSON Schema the reply should match; real models get it through the prompt. Errors carry
+ * `status` and `headers` like the Anthropic SDK's, so 429 handling is shared.
+ */
+
+const crypto = require('crypto');
+const Anthropic = require('@anthropic-ai/sdk');
+const { numberSetting } = require('./env_settings');
+
+const PROVIDERS = ['anthropic', 'openai', 'fake'];
+const DEFAULT_ANTHROPIC_MODEL = 'claude-3-haiku-20240307';
+// Beta flag for PDF content blocks in @anthropic-ai/sdk 0.32
+const PDF_BETA = 'pdfs-2024-09-25';
+
+/**
+ * Read the provider and model settings from the environment. Throws with
+ * the variable name on invalid input.
+ */
+function getLlmConfig(env = process.env) {
+  const provider = (env.LLM_PROVIDER || 'anthropic').trim().toLowerCase();
+  if (!PROVIDERS.includes(provider)) {
+    throw new Error(`LLM_PROVIDER must be one of ${PROVIDERS.join(', ')} (got "${env.LLM_PROVIDER}")`);
+  }
+
+  let modelsByCaseType = {};
+  if (env.LLM_MODEL_BY_CASE_TYPE) {
+    try {
+      modelsByCaseType = JSON.parse(env.LLM_MODEL_BY_CASE_TYPE);
+    } catch (error) {
+      throw new Error(`LLM_MODEL_BY_CASE_TYPE is not valid JSON: ${error.message}`);
+    }
+    if (!modelsByCaseType || typeof modelsByCaseType !== 'object' || Array.isArray(modelsByCaseType)
+      || Object.values(modelsByCaseType).some(m => typeof m !== 'string' || !m)) {
+      throw new Error('LLM_MODEL_BY_CASE_TYPE must map case types to model names, e.g. {"Direct Tax Cases":"claude-3-5-haiku-20241022"}');
+    }
+  }
+
+  const model = env.LLM_MODEL || (provider === 'anthropic' ? DEFAULT_ANTHROPIC_MODEL : provider === 'fake' ? 'fake-model' : null);
+  if (!model) {
+    throw new Error(`LLM_MODEL is required for LLM_PROVIDER=${provider}`);
+  }
+  if (provider === 'openai' && !env.LLM_BASE_URL) {
+    throw new Error('LLM_BASE_URL is required for LLM_PROVIDER=openai (e.g. http://localhost:8000/v1)');
+  }
+
+  return {
+    provider,
+    model,
+    modelsByCaseType,
+    // Room for the JSON reply with its summary (see lib/judgment_metadata.js)
+    maxTokens: numberSetting(env, 'LLM_MAX_TOKENS', 1024, 1, 8192),
+    temperature: numberSetting(env, 'LLM_TEMPERATURE', 0.3, 0, 2),
+    baseUrl: env.LLM_BASE_URL ? env.LLM_BASE_URL.replace(/\/+$/, '') : null,
+    apiKey: provider === 'anthropic' ? env.CLAUDE_API_KEY : env.LLM_API_KEY,
+    timeoutMs: numberSetting(env, 'LLM_TIMEOUT_SECONDS', 120, 1, 3600) * 1000,
+  };
+}
+
+/**
+ * The model for a file of the given case type: its LLM_MODEL_BY_CASE_TYPE
+ * entry, or LLM_MODEL.
+ */
+function modelForCaseType(config, caseType) {
+  return config.modelsByCaseType[caseType] || config.model;
+}
+
+class AnthropicProvider {
+  constructor(config) {
+    this.name = 'anthropic';
+    this.supportsDocuments = true;
+    this.supportsBatches = true;
+    // Retries are the caller's, so that 429s also slow down its rate limiter
+    this.client = new Anthropic({ apiKey: config.apiKey, maxRetries: 0 });
+  }
+
+  // Messages API parameters, shared by direct calls and message batches
+  messageParams({ model, prompt, document, maxTokens, temperature }) {
+    return {
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      messages: [{
+        role: 'user',
+        content: document
+          ? [
+            { type: 'document', source: { type: 'base64', media_type: 'application/pdf', data: document.data } },
+            { type: 'text', text: prompt },
+          ]
+          : prompt,
+      }],
+    };
+  }
+
+  // The reply's text; '' when it has no text block (e.g. empty content), which
+  // then fails parsing as invalid output instead of throwing
+  static textOf(message) {
+    const block = (message.content || []).find(b => b.type === 'text');
+    return block ? block.text : '';
+  }
+
+  async complete(request) {
+    const params = this.messageParams(request);
+    const message = request.document
+      ? await this.client.beta.messages.create({ ...params, betas: [PDF_BETA] })
+      : await this.client.messages.create(params);
+
+    return {
+      text: AnthropicProvider.textOf(message),
+      usage: message.usage
+        ? { inputTokens: message.usage.input_tokens, outputTokens: message.usage.output_tokens }
+        : null,
+    };
+  }
+}
+
+class OpenAICompatibleProvider {
+  constructor(config) {
+    this.name = 'openai';
+    this.supportsDocuments = false;
+    this.supportsBatches = false;
+    this.baseUrl = config.baseUrl;
+    this.apiKey = config.apiKey;
+    this.timeoutMs = config.timeoutMs;
+  }
+
+  async complete({ model, prompt, document, maxTokens, temperature }) {
+    if (document) {
+      throw new Error('The openai provider does not accept PDF documents');
+    }
+
+    const headers = { 'content-type': 'application/json' };
+    if (this.apiKey) headers.authorization = `Bearer ${this.apiKey}`;
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model,
+        max_tokens: maxTokens,
+        temperature,
+        messages: [{ role: 'user', content: prompt }],
+      }),
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      const error = new Error(`${response.status} ${response.statusText}${body ? `: ${body.slice(0, 200)}` : ''}`);
+      error.status = response.status;
+      error.headers = response.headers;
+      throw error;
+    }
+
+    const data = await response.json();
+    const choice = data.choices && data.choices[0];
+    if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+      throw new Error('Unexpected response from chat/completions (no choices[0].message.content)');
+    }
+
+    return {
+      text: choice.message.content,
+      usage: data.usage
+        ? { inputTokens: data.usage.prompt_tokens, outputTokens: data.usage.completion_tokens }
+        : null,
+    };
+  }
+}
+
+class FakeProvider {
+  constructor() {
+    this.name = 'fake';
+    this.supportsDocuments = true;
+    this.supportsBatches = false;
+  }
+
+  /**
+   * A value matching a (simple) JSON Schema: strings mention the field name,
+   * lists hold one such string, nullable patterned strings are null and
+   * booleans are true. An "excerpt" field quotes `quote`, when given, so
+   * answer verification can find it in the document text.
+   */
+  static sample(schema, hash, name = 'value', quote = null) {
+    const types = [].concat(schema.type);
+    if (types.includes('object')) {
+      const out = {};
+      for (const [key, prop] of Object.entries(schema.properties || {})) {
+        out[key] = FakeProvider.sample(prop, hash, key, quote);
+      }
+      return out;
+    }
+    if (types.includes('array')) return [FakeProvider.sample(schema.items || { type: 'string' }, hash, name, quote)];
+    if (name === 'excerpt' && quote && types.includes('string')) return quote;
+    if (types.includes('string') && !(schema.pattern && types.includes('null'))) {
+      return `Fake ${name} (${hash}).`.padEnd(schema.minLength || 0, '.');
+    }
+    if (types.includes('null')) return null;
+    return types.includes('boolean') ? true : 0;
+  }
+
+  // Same request, same answer: a hash of the model and the input
+  async complete({ model, prompt, document, schema }) {
+    const hash = crypto.createHash('sha256')
+      .update(model)
+      .update(prompt)
+      .update(document ? document.data : '')
+      .digest('hex')
+      .slice(0, 8);
+    const file = /^File: (.*)$/m.exec(prompt);
+    const content = /^Content \(text extracted from the document\):\n\s*(\S[^\n]{0,99})/m.exec(prompt);
+    const question = `What is the key finding of ${file ? file[1] : 'this document'}? [fake ${model} ${hash}]`;
+    let text = question;
+    if (schema) {
+      const value = FakeProvider.sample(schema, hash, 'value', content && content[1]);
+      if ('question' in value) value.question = question;
+      text = JSON.stringify(value);
+    }
+
+    return {
+      text,
+      usage: { inputTokens: Math.ceil(prompt.length / 4), outputTokens: Math.ceil(text.length / 4) },
+    };
+  }
+}
+
+function createProvider(config) {
+  switch (config.provider) {
+    case 'anthropic': return new AnthropicProvider(config);
+    case 'openai': return new OpenAICompatibleProvider(config);
+    case 'fake': return new FakeProvider(config);
+    default: throw new Error(`Unknown LLM provider: ${config.provider}`);
+  }
+}
+
+module.exports = {
+  PROVIDERS,
+  PDF_BETA,
+  getLlmConfig,
+  modelForCaseType,
+  createProvider,
+  AnthropicProvider,
+};
@@ -0,0 +1,100 @@
+/**
+ * Anthropic Message Batches
+ *
+ * Submits many Messages requests as one batch, polls it until it ends and
+ * reads its results. Batches are processed asynchronously (usually within
+ * the hour, at most 24h) at half the price of synchronous calls.
+ *
+ * custom_id must match ^[a-zA-Z0-9_-]{1,64}$, which S3 keys do not, so
+ * requests are numbered and the caller keeps the custom_id -> file mapping.
+ */
+
+const { sleep, retryWithBackoff } = require('./concurrency');
+
+// Documented limits per batch: 100,000 requests and 256 MB, which leaves
+// room for the prompts around PDF document data up to MAX_BATCH_BYTES
+const MAX_BATCH_REQUESTS = 100000;
+const MAX_BATCH_BYTES = 200 * 1024 * 1024;
+
+function customIdFor(index) {
+  return `file-${index}`;
+}
+
+// The client is created with maxRetries: 0, so transient failures are retried here
+const RETRY = { maxAttempts: 6, baseMs: 1000, capMs: 60000 };
+
+// Transient API failures while polling; anything else is a real problem
+function isTransientApiError(error) {
+  return !error.status || error.status === 429 || error.status >= 500;
+}
+
+// Creating a batch is only retried when the API answered with an error: after
+// a dropped connection the batch may exist, and a second one is paid twice
+function isRejectedCreate(error) {
+  return error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Create a batch from [{ customId, params }]. `betas` are beta flags the
+ * requests need (e.g. PDF support). Resolves to the batch object.
+ * `retry` overrides the retryWithBackoff options (lib/concurrency.js).
+ */
+async function submitBatch(client, requests, { betas = [], retry = {} } = {}) {
+  if (requests.length > MAX_BATCH_REQUESTS) {
+    throw new Error(`Too many requests for one message batch (${requests.length} > ${MAX_BATCH_REQUESTS})`);
+  }
+  const body = {
+    requests: requests.map(r => ({ custom_id: r.customId, params: r.params })),
+    ...(betas.length ? { betas } : {}),
+  };
+  return retryWithBackoff(
+    () => client.beta.messages.batches.create(body),
+    { ...RETRY, shouldRetry: isRejectedCreate, ...retry }
+  );
+}
+
+/**
+ * Poll a batch every pollMs until its processing_status is "ended".
+ * onPoll(batch) is called after every poll.
+ */
+async function waitForBatch(client, batchId, { pollMs = 60000, onPoll = () => {}, retry = {} } = {}) {
+  for (;;) {
+    const batch = await retryWithBackoff(
+      () => client.beta.messages.batches.retrieve(batchId),
+      { ...RETRY, shouldRetry: isTransientApiError, ...retry }
+    );
+    onPoll(batch);
+    if (batch.processing_status === 'ended') return batch;
+    await sleep(pollMs);
+  }
+}
+
+/**
+ * Yield { customId, type, message, error } for every request in an ended
+ * batch. type is succeeded, errored, canceled or expired; error is the API
+ * error ({ type, message }) of an errored request.
+ */
+async function* readBatchResults(client, batchId, { retry = {} } = {}) {
+  const results = await retryWithBackoff(
+    () => client.beta.messages.batches.results(batchId),
+    { ...RETRY, shouldRetry: isTransientApiError, ...retry }
+  );
+  for await (const entry of results) {
+    const { result } = entry;
+    yield {
+      customId: entry.custom_id,
+      type: result.type,
+      message: result.type === 'succeeded' ? result.message : null,
+      error: result.type === 'errored' && result.error ? result.error.error : null,
+    };
+  }
+}
+
+module.exports = {
+  MAX_BATCH_REQUESTS,
+  MAX_BATCH_BYTES,
+  customIdFor,
+  submitBatch,
+  waitForBatch,
+  readBatchResults,
+};
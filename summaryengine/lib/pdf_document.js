@@ -0,0 +1,118 @@
+/**
+ * PDF Document Input
+ *
+ * Decides whether a file is sent to Claude as extracted text or as the PDF
+ * itself (a base64 "document" content block, which the model reads page by
+ * page as text plus image, so scanned pages are readable too).
+ *
+ *   CLAUDE_PDF_MODE=text       always extracted text (default)
+ *   CLAUDE_PDF_MODE=document   the PDF whenever it fits the limits below
+ *   CLAUDE_PDF_MODE=auto       the PDF only when there is little extractable
+ *                              text per page (scanned judgments)
+ *
+ * A PDF with more pages than the page limit is cut down to its first pages;
+ * one that is still too large falls back to text.
+ */
+
+const { PDFDocument } = require('pdf-lib');
+const { numberSetting } = require('./env_settings');
+
+const PDF_MODES = ['text', 'document', 'auto'];
+// API limits: 100 pages and a 32 MB request (base64 adds a third)
+const API_MAX_PAGES = 100;
+const API_MAX_MB = 24;
+
+/**
+ * Read the document-mode settings from the environment. Throws with the
+ * variable name on invalid input.
+ */
+function getDocumentConfig(env = process.env) {
+  const mode = (env.CLAUDE_PDF_MODE || 'text').trim().toLowerCase();
+  if (!PDF_MODES.includes(mode)) {
+    throw new Error(`CLAUDE_PDF_MODE must be one of ${PDF_MODES.join(', ')} (got "${env.CLAUDE_PDF_MODE}")`);
+  }
+
+  return {
+    mode,
+    // PDF input needs a model with PDF support
+    model: env.CLAUDE_DOCUMENT_MODEL || 'claude-3-5-sonnet-20241022',
+    maxPages: numberSetting(env, 'PDF_DOCUMENT_MAX_PAGES', 20, 1, API_MAX_PAGES),
+    maxBytes: numberSetting(env, 'PDF_DOCUMENT_MAX_MB', 10, 0.1, API_MAX_MB) * 1024 * 1024,
+    minCharsPerPage: numberSetting(env, 'PDF_MIN_CHARS_PER_PAGE', 200, 0, 100000),
+  };
+}
+
+/**
+ * Keep only the first `count` pages of a PDF. Resolves to a Buffer.
+ */
+async function firstPages(buffer, count) {
+  const source = await PDFDocument.load(buffer, { updateMetadata: false });
+  const target = await PDFDocument.create();
+  const indices = Array.from({ length: Math.min(count, source.getPageCount()) }, (_, i) => i);
+  const pages = await target.copyPages(source, indices);
+  pages.forEach(page => target.addPage(page));
+  return Buffer.from(await target.save());
+}
+
+/**
+ * Choose how a downloaded file is sent to Claude.
+ *
+ * `file` is { buffer, isPdf, encrypted, pageCount, text }. Resolves to
+ *   { mode: 'text', reason }
+ *   { mode: 'document', data, pagesSent, pageCount, reason }   (data is base64)
+ * where reason explains a fallback or page selection for the summary sheet.
+ */
+async function chooseInput(file, config) {
+  if (config.mode === 'text' || !file.isPdf) {
+    return { mode: 'text', reason: null };
+  }
+  if (file.encrypted) {
+    return { mode: 'text', reason: 'encrypted PDF' };
+  }
+
+  const chars = file.text ? file.text.length : 0;
+  const charsPerPage = file.pageCount ? chars / file.pageCount : chars;
+  if (config.mode === 'auto' && charsPerPage >= config.minCharsPerPage) {
+    return { mode: 'text', reason: null };
+  }
+
+  let data = file.buffer;
+  let pagesSent = file.pageCount;
+  if (file.pageCount > config.maxPages) {
+    try {
+      data = await firstPages(file.buffer, config.maxPages);
+      pagesSent = config.maxPages;
+    } catch (error) {
+      return { mode: 'text', reason: `could not select pages: ${error.message}` };
+    }
+  }
+
+  if (data.length > config.maxBytes) {
+    const mb = (data.length / 1024 / 1024).toFixed(1);
+    return { mode: 'text', reason: `PDF too large for document mode (${mb} MB)` };
+  }
+
+  return {
+    mode: 'document',
+    data: data.toString('base64'),
+    pagesSent,
+    pageCount: file.pageCount,
+    reason: pagesSent < file.pageCount ? `pages 1-${pagesSent} of ${file.pageCount}` : null,
+  };
+}
+
+/**
+ * The value written to the summary sheet's "Input Mode" column.
+ */
+function describeInput(input) {
+  if (!input) return '';
+  return input.reason ? `${input.mode} (${input.reason})` : input.mode;
+}
+
+module.exports = {
+  PDF_MODES,
+  getDocumentConfig,
+  firstPages,
+  chooseInput,
+  describeInput,
+};
@@ -0,0 +1,110 @@
+/**
+ * PDF Text Extraction
+ *
+ * Parses a PDF with pdf.js (legacy CommonJS build), decompresses its content
+ * streams and returns the page text in reading order, together with the page
+ * count and whether the document is encrypted.
+ */
+
+const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+
+// Items whose baselines are within this many points are treated as one line
+const LINE_TOLERANCE = 2;
+
+function isPdfBuffer(buffer) {
+  return buffer.length >= 5 && buffer.subarray(0, 5).toString('latin1') === '%PDF-';
+}
+
+// pdf.js resolves the trailer wherever it lives (classic trailer, xref
+// stream or the latest incremental update) and names the security handler
+async function isEncrypted(doc) {
+  try {
+    const { info } = await doc.getMetadata();
+    return Boolean(info && info.EncryptFilterName);
+  } catch (error) {
+    return false;
+  }
+}
+
+function pageItemsToText(items) {
+  const lines = [];
+
+  for (const item of items) {
+    if (typeof item.str !== 'string' || item.str.length === 0) continue;
+    const x = item.transform[4];
+    const y = item.transform[5];
+
+    let line = lines.find(l => Math.abs(l.y - y) <= LINE_TOLERANCE);
+    if (!line) {
+      line = { y, parts: [] };
+      lines.push(line);
+    }
+    line.parts.push({ x, str: item.str });
+  }
+
+  // PDF coordinates grow upwards: top of page first, then left to right
+  lines.sort((a, b) => b.y - a.y);
+
+  return lines
+    .map(l => l.parts
+      .sort((a, b) => a.x - b.x)
+      .map(p => p.str)
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Extract ordered page text from a PDF buffer.
+ *
+ * Resolves to { text, pages, pageCount, encrypted }. Encrypted documents that
+ * need a user password resolve with encrypted: true and empty text instead of
+ * rejecting; malformed documents reject.
+ */
+async function extractPdfText(buffer, { maxPages = Infinity } = {}) {
+  const loadingTask = pdfjsLib.getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    useSystemFonts: false,
+    disableFontFace: true,
+    verbosity: pdfjsLib.VerbosityLevel.ERRORS,
+  });
+
+  let doc;
+  try {
+    doc = await loadingTask.promise;
+  } catch (error) {
+    if (error && error.name === 'PasswordException') {
+      return { text: '', pages: [], pageCount: 0, encrypted: true };
+    }
+    throw error;
+  }
+
+  try {
+    const pageCount = doc.numPages;
+    const pages = [];
+
+    for (let pageNum = 1; pageNum <= Math.min(pageCount, maxPages); pageNum++) {
+      const page = await doc.getPage(pageNum);
+      const content = await page.getTextContent();
+      pages.push(pageItemsToText(content.items));
+      page.cleanup();
+    }
+
+    return {
+      text: pages.filter(Boolean).join('\n\n'),
+      pages,
+      pageCount,
+      encrypted: await isEncrypted(doc),
+    };
+  } finally {
+    await doc.destroy();
+  }
+}
+
+module.exports = {
+  isPdfBuffer,
+  extractPdfText,
+};
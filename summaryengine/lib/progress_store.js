@@ -0,0 +1,124 @@
+/**
+ * Summary Progress Checkpoint
+ *
+ * Reads and writes reports/progress_summaries.json. Results are keyed by
+ * "<bucket>/<key>" so an interrupted run can skip files it already handled,
+ * and every checkpoint records the upload report it was written for so a
+ * checkpoint from another day's report is never merged into this one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROGRESS_VERSION = 2;
+
+// Outcomes that are worth another attempt when a run is resumed
+const RETRYABLE_STATUSES = new Set(['api-error', 'download-error', 'invalid-output']);
+
+function fileId(bucket, key) {
+  return `${bucket}/${key}`;
+}
+
+function sameReport(a, b) {
+  if (!a || !b) return false;
+  return path.resolve(a) === path.resolve(b) || path.basename(a) === path.basename(b);
+}
+
+function createProgress(excelPath) {
+  const now = new Date().toISOString();
+  return {
+    version: PROGRESS_VERSION,
+    excelPath,
+    startedAt: now,
+    timestamp: now,
+    lastProcessed: 0,
+    results: {},
+  };
+}
+
+function readProgressFile(progressFile) {
+  if (!fs.existsSync(progressFile)) return null;
+  return JSON.parse(fs.readFileSync(progressFile, 'utf-8'));
+}
+
+/**
+ * Move a checkpoint into reports/archive/ instead of deleting it.
+ * Returns the archive path, or null when there was nothing to archive.
+ */
+function archiveProgress(progressFile, reason = 'archived') {
+  if (!fs.existsSync(progressFile)) return null;
+
+  const archiveDir = path.join(path.dirname(progressFile), 'archive');
+  fs.mkdirSync(archiveDir, { recursive: true });
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const base = path.basename(progressFile, '.json');
+  const target = path.join(archiveDir, `${base}_${reason}_${stamp}.json`);
+  fs.renameSync(progressFile, target);
+  return target;
+}
+
+/**
+ * Load the checkpoint for excelPath. A checkpoint written for a different
+ * report, in the pre-v2 format, or that cannot be parsed is archived and a
+ * fresh one is returned. `log` receives (level, message).
+ */
+function loadProgress(progressFile, excelPath, log = () => {}) {
+  let progress;
+  try {
+    progress = readProgressFile(progressFile);
+  } catch (err) {
+    const archived = archiveProgress(progressFile, 'unreadable');
+    log('warn', `Could not parse progress file (${err.message}); archived to ${path.basename(archived)}`);
+    return createProgress(excelPath);
+  }
+
+  if (!progress) return createProgress(excelPath);
+
+  if (progress.version !== PROGRESS_VERSION || !progress.results) {
+    const archived = archiveProgress(progressFile, 'legacy');
+    log('warn', `Progress file uses an old format; archived to ${path.basename(archived)}`);
+    return createProgress(excelPath);
+  }
+
+  if (!sameReport(progress.excelPath, excelPath)) {
+    const archived = archiveProgress(progressFile, 'other-report');
+    log('warn', `Progress file belongs to ${path.basename(progress.excelPath || 'unknown')}, not ${path.basename(excelPath)}; archived to ${path.basename(archived)}`);
+    return createProgress(excelPath);
+  }
+
+  log('info', `Resuming from checkpoint: ${Object.keys(progress.results).length} file(s) already have results`);
+  return progress;
+}
+
+function saveProgress(progressFile, progress) {
+  progress.timestamp = new Date().toISOString();
+  const tmp = `${progressFile}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(progress, null, 2));
+  fs.renameSync(tmp, progressFile);
+}
+
+function isDone(progress, file) {
+  const result = progress.results[fileId(file.bucket, file.key)];
+  return Boolean(result) && !RETRYABLE_STATUSES.has(result.status);
+}
+
+// details are kept alongside the row, e.g. { textFingerprint }
+function recordResult(progress, file, status, row, details = {}) {
+  progress.results[fileId(file.bucket, file.key)] = { status, row, ...details };
+  progress.lastProcessed = Object.keys(progress.results).length;
+}
+
+module.exports = {
+  PROGRESS_VERSION,
+  RETRYABLE_STATUSES,
+  fileId,
+  sameReport,
+  createProgress,
+  readProgressFile,
+  archiveProgress,
+  loadProgress,
+  saveProgress,
+  isDone,
+  recordResult,
+};
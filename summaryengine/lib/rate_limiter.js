@@ -0,0 +1,120 @@
+/**
+ * Token-Bucket Rate Limiter
+ *
+ * Two buckets, requests per minute and tokens per minute, refilled
+ * continuously. acquire(tokens) waits until both have room. On a 429 the
+ * limiter pauses every caller for the server's retry-after and cuts its rate;
+ * each success then wins back a little of the configured rate (additive
+ * increase, multiplicative decrease).
+ */
+
+const { sleep } = require('./concurrency');
+
+const BACKOFF_FACTOR = 0.75;
+const RECOVERY_STEP = 0.02;
+const MIN_RATE_FRACTION = 0.1;
+
+class RateLimiter {
+  // now and sleep can be replaced by a fake clock
+  constructor({ requestsPerMinute, tokensPerMinute, now = Date.now, sleep: wait = sleep }) {
+    this.now = now;
+    this.sleep = wait;
+    this.limits = { requests: requestsPerMinute, tokens: tokensPerMinute };
+    this.scale = 1;
+    this.available = { requests: requestsPerMinute, tokens: tokensPerMinute };
+    this.lastRefill = now();
+    this.pausedUntil = 0;
+    this.queue = Promise.resolve();
+  }
+
+  refill() {
+    const now = this.now();
+    const minutes = (now - this.lastRefill) / 60000;
+    this.lastRefill = now;
+    for (const kind of ['requests', 'tokens']) {
+      const rate = this.limits[kind] * this.scale;
+      this.available[kind] = Math.min(rate, this.available[kind] + rate * minutes);
+    }
+  }
+
+  waitTime(tokens) {
+    const pause = Math.max(0, this.pausedUntil - this.now());
+    const waits = [pause];
+    // A request larger than the whole bucket only has to wait for a full bucket
+    const need = { requests: 1, tokens: Math.min(tokens, this.limits.tokens * this.scale) };
+    for (const kind of ['requests', 'tokens']) {
+      const missing = need[kind] - this.available[kind];
+      if (missing > 0) {
+        waits.push((missing / (this.limits[kind] * this.scale)) * 60000);
+      }
+    }
+    return Math.ceil(Math.max(...waits));
+  }
+
+  /**
+   * Wait for capacity for one request of roughly `tokens` tokens.
+   * Callers are served in arrival order.
+   */
+  acquire(tokens = 0) {
+    const turn = this.queue.then(async () => {
+      for (;;) {
+        this.refill();
+        const wait = this.waitTime(tokens);
+        if (wait <= 0) break;
+        await this.sleep(wait);
+      }
+      this.available.requests -= 1;
+      this.available.tokens -= tokens;
+    });
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * Correct the token bucket once the real usage is known.
+   */
+  settle(estimatedTokens, actualTokens) {
+    if (typeof actualTokens === 'number') {
+      this.available.tokens += estimatedTokens - actualTokens;
+    }
+  }
+
+  onSuccess() {
+    this.scale = Math.min(1, this.scale + RECOVERY_STEP);
+  }
+
+  /**
+   * Record a 429: pause everyone for retryAfterMs and slow down.
+   */
+  onRateLimited(retryAfterMs) {
+    this.scale = Math.max(MIN_RATE_FRACTION, this.scale * BACKOFF_FACTOR);
+    this.pausedUntil = Math.max(this.pausedUntil, this.now() + retryAfterMs);
+    this.available.requests = Math.min(this.available.requests, 0);
+  }
+
+  currentRate() {
+    return {
+      requestsPerMinute: Math.round(this.limits.requests * this.scale),
+      tokensPerMinute: Math.round(this.limits.tokens * this.scale),
+    };
+  }
+}
+
+/**
+ * Milliseconds to wait according to a 429 response's retry-after header
+ * (seconds or an HTTP date), or null when there is none.
+ */
+function retryAfterMs(headers) {
+  if (!headers) return null;
+  const raw = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  if (!raw) return null;
+  const seconds = Number(raw);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(raw);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+module.exports = {
+  RateLimiter,
+  retryAfterMs,
+};
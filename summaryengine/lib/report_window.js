@@ -0,0 +1,242 @@
+/**
+ * Reporting Window
+ *
+ * A window ends at the cutoff time on the report date and spans a fixed
+ * duration before it. The defaults reproduce the original schedule: 12:00
+ * Asia/Kolkata, 24 hours. All of it is configurable through .env:
+ *
+ *   REPORT_TIMEZONE        IANA zone, e.g. Europe/Berlin            (Asia/Kolkata)
+ *   REPORT_TIMEZONE_LABEL  Label shown in emails and subjects       (IST, else the zone's offset name)
+ *   REPORT_CUTOFF          HH:mm in REPORT_TIMEZONE                 (12:00)
+ *   REPORT_SPAN            <n>h, <n>d or <n>w, e.g. 24h, 1d, 1w     (1d)
+ *   REPORT_SKIP_WEEKENDS   true to produce no report on Sat/Sun     (false)
+ *   REPORT_HOLIDAYS        YYYY-MM-DD list (JSON array or CSV) with no report
+ *
+ * When a report date is skipped its uploads roll into the next window: that
+ * window starts at the last cutoff that was not skipped. The report date
+ * names the upload report (s3_daily_uploads_YYYYMMDD.xlsx), so a backfill for
+ * --date 2026-10-15 regenerates exactly the report the 15 Oct run would have
+ * produced.
+ */
+
+const { DateTime, Duration } = require('luxon');
+
+const DEFAULT_ZONE = 'Asia/Kolkata';
+const MAX_BACKFILL_WINDOWS = 62;
+// Stop walking back over skipped days after this many spans
+const MAX_SKIPPED_SPANS = 31;
+
+function parseList(raw) {
+  if (!raw) return [];
+  const cleaned = String(raw).trim();
+  if (cleaned.startsWith('[')) {
+    try {
+      const arr = JSON.parse(cleaned);
+      return Array.isArray(arr) ? arr.map(String) : [];
+    } catch {}
+  }
+  return cleaned.replace(/^\[|\]$/g, '')
+    .split(',')
+    .map(v => v.replace(/^['"]|['"]$/g, '').trim())
+    .filter(Boolean);
+}
+
+function parseSpan(raw) {
+  const match = /^(\d+)\s*([hdw])$/i.exec(String(raw).trim());
+  if (!match || Number(match[1]) === 0) {
+    throw new Error(`REPORT_SPAN must look like 24h, 1d or 1w (got "${raw}")`);
+  }
+  const unit = { h: 'hours', d: 'days', w: 'weeks' }[match[2].toLowerCase()];
+  return Duration.fromObject({ [unit]: Number(match[1]) });
+}
+
+/**
+ * Read the window definition from the environment. Throws with a message
+ * naming the offending variable when a value is invalid.
+ */
+function getWindowConfig(env = process.env) {
+  const zone = env.REPORT_TIMEZONE || DEFAULT_ZONE;
+  const probe = DateTime.now().setZone(zone);
+  if (!probe.isValid) {
+    throw new Error(`REPORT_TIMEZONE is not a valid IANA time zone (got "${zone}")`);
+  }
+
+  const cutoffRaw = env.REPORT_CUTOFF || '12:00';
+  const cutoffMatch = /^(\d{1,2}):(\d{2})$/.exec(cutoffRaw.trim());
+  if (!cutoffMatch || Number(cutoffMatch[1]) > 23 || Number(cutoffMatch[2]) > 59) {
+    throw new Error(`REPORT_CUTOFF must be HH:mm (got "${cutoffRaw}")`);
+  }
+
+  const holidays = parseList(env.REPORT_HOLIDAYS);
+  for (const day of holidays) {
+    if (!DateTime.fromISO(day).isValid) {
+      throw new Error(`REPORT_HOLIDAYS contains an invalid date: "${day}"`);
+    }
+  }
+
+  return {
+    zone,
+    zoneLabel: env.REPORT_TIMEZONE_LABEL || (zone === DEFAULT_ZONE ? 'IST' : probe.offsetNameShort),
+    cutoff: { hour: Number(cutoffMatch[1]), minute: Number(cutoffMatch[2]) },
+    span: parseSpan(env.REPORT_SPAN || '1d'),
+    skipWeekends: /^(1|true|yes)$/i.test(env.REPORT_SKIP_WEEKENDS || ''),
+    holidays: new Set(holidays),
+  };
+}
+
+function isSkippedDay(dt, config) {
+  if (config.skipWeekends && dt.weekday >= 6) return true;
+  return config.holidays.has(dt.toISODate());
+}
+
+function cutoffOn(date, config) {
+  return date.setZone(config.zone).set({
+    hour: config.cutoff.hour,
+    minute: config.cutoff.minute,
+    second: 0,
+    millisecond: 0,
+  });
+}
+
+function windowEndingAt(end, config) {
+  let start = end.minus(config.span);
+
+  if (config.skipWeekends || config.holidays.size > 0) {
+    for (let i = 0; i < MAX_SKIPPED_SPANS && isSkippedDay(start, config); i++) {
+      start = start.minus(config.span);
+    }
+  }
+
+  return {
+    start,
+    end,
+    startUTC: start.toUTC(),
+    endUTC: end.toUTC(),
+    zoneLabel: config.zoneLabel,
+    skipped: isSkippedDay(end, config),
+  };
+}
+
+/**
+ * The window that ends at the cutoff on reportDate's calendar day (in the
+ * configured zone). Spans shorter than a day end at the latest
+ * cutoff + n × span boundary that is not after reportDate. `skipped` is true
+ * when no report is due for that window.
+ */
+function computeReportWindow(reportDate = DateTime.now(), config = getWindowConfig()) {
+  let end = cutoffOn(reportDate, config);
+
+  if (config.span.as('days') < 1) {
+    const spanMs = config.span.as('milliseconds');
+    const steps = Math.floor((reportDate.toMillis() - end.toMillis()) / spanMs);
+    end = end.plus({ milliseconds: steps * spanMs });
+  }
+
+  return windowEndingAt(end, config);
+}
+
+function formatWindow(window) {
+  return `${window.start.toFormat('dd LLL yyyy, hh:mm a')} → ${window.end.toFormat('dd LLL yyyy, hh:mm a')} ${window.zoneLabel}`;
+}
+
+function reportTitle(config = getWindowConfig()) {
+  const span = config.span;
+  if (span.as('days') === 1) return 'Daily S3 Ingestion Summary';
+  if (span.as('weeks') === 1) return 'Weekly S3 Ingestion Summary';
+  return 'S3 Ingestion Summary';
+}
+
+function reportDateStamp(window) {
+  // Sub-daily spans produce several reports per day
+  return window.end.diff(window.start, 'hours').hours < 24
+    ? window.end.toFormat('yyyyLLdd_HHmm')
+    : window.end.toFormat('yyyyLLdd');
+}
+
+/**
+ * The upload history key of a window (lib/upload_history.js): its report date
+ * YYYY-MM-DD, with the end time (YYYY-MM-DDTHH:mm) for sub-daily spans so
+ * their windows are recorded separately.
+ */
+function historyKey(window) {
+  return window.end.diff(window.start, 'hours').hours < 24
+    ? window.end.toFormat("yyyy-LL-dd'T'HH:mm")
+    : window.end.toISODate();
+}
+
+function uploadReportFilename(window) {
+  return `s3_daily_uploads_${reportDateStamp(window)}.xlsx`;
+}
+
+function argValue(argv, name) {
+  const idx = argv.indexOf(name);
+  return idx !== -1 && idx + 1 < argv.length ? argv[idx + 1] : null;
+}
+
+function parseDateArg(name, value, config) {
+  const date = DateTime.fromISO(value, { zone: config.zone });
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || !date.isValid) {
+    throw new Error(`${name} must be a date in YYYY-MM-DD format (got "${value}")`);
+  }
+  return date;
+}
+
+/**
+ * Parse --date YYYY-MM-DD or --from YYYY-MM-DD --to YYYY-MM-DD.
+ * Returns null when no backfill was requested, otherwise the windows to
+ * report on in chronological order, one every REPORT_SPAN, leaving out
+ * skipped days. Throws on invalid input.
+ */
+function parseBackfillWindows(argv, config = getWindowConfig()) {
+  const dateArg = argValue(argv, '--date');
+  const fromArg = argValue(argv, '--from');
+  const toArg = argValue(argv, '--to');
+
+  if (!dateArg && !fromArg && !toArg) return null;
+  if (dateArg && (fromArg || toArg)) {
+    throw new Error('Use either --date or --from/--to, not both');
+  }
+  if (!dateArg && !(fromArg && toArg)) {
+    throw new Error('--from and --to must be given together');
+  }
+
+  const from = dateArg ? parseDateArg('--date', dateArg, config) : parseDateArg('--from', fromArg, config);
+  const to = dateArg ? from : parseDateArg('--to', toArg, config);
+
+  if (to < from) {
+    throw new Error('--to must not be before --from');
+  }
+
+  const lastEnd = cutoffOn(to, config);
+  const windows = [];
+  for (let end = cutoffOn(from, config); end <= lastEnd; end = end.plus(config.span)) {
+    const window = windowEndingAt(end, config);
+    if (!window.skipped) windows.push(window);
+    if (windows.length > MAX_BACKFILL_WINDOWS) {
+      throw new Error(`Backfill is limited to ${MAX_BACKFILL_WINDOWS} windows`);
+    }
+  }
+
+  if (windows.length === 0) {
+    throw new Error('Every date in the backfill range is a skipped day (weekend or holiday)');
+  }
+
+  const now = DateTime.now();
+  const future = windows.find(w => w.endUTC > now);
+  if (future) {
+    throw new Error(`Window ending ${future.end.toFormat('dd LLL yyyy, hh:mm a')} ${future.zoneLabel} has not closed yet`);
+  }
+
+  return windows;
+}
+
+module.exports = {
+  getWindowConfig,
+  computeReportWindow,
+  formatWindow,
+  reportTitle,
+  reportDateStamp,
+  historyKey,
+  uploadReportFilename,
+  parseBackfillWindows,
+};
@@ -0,0 +1,93 @@
+/**
+ * Summary Result Cache
+ *
+ * Remembers the summarized result of every document by the SHA-256 of its
+ * content and the prompt version (lib/summary_prompt.js), so the same
+ * judgment uploaded to several buckets, or uploaded again with a new
+ * LastModified, is only sent to the model once. S3 ETags are kept as an
+ * alias for the content hash, so a known ETag is recognized before the
+ * object is downloaded. Stored in reports/result_cache.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CACHE_VERSION = 1;
+
+function emptyCache() {
+  return { version: CACHE_VERSION, entries: {}, etags: {} };
+}
+
+function cacheKey(sha256, version) {
+  return `${sha256}:${version}`;
+}
+
+function loadCache(cacheFile) {
+  if (!fs.existsSync(cacheFile)) return emptyCache();
+  const cache = JSON.parse(fs.readFileSync(cacheFile, 'utf-8'));
+  if (cache.version !== CACHE_VERSION || !cache.entries || !cache.etags) {
+    throw new Error(`Unsupported result cache format in ${path.basename(cacheFile)}`);
+  }
+  return cache;
+}
+
+function saveCache(cacheFile, cache) {
+  fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+  const tmp = `${cacheFile}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(cache));
+  fs.renameSync(tmp, cacheFile);
+}
+
+/**
+ * The cached entry for a document under this prompt version, or null.
+ * Looks up by sha256 when it is known (after download), else by ETag.
+ */
+function lookupResult(cache, { sha256, etag }, version) {
+  const hash = sha256 || (etag ? cache.etags[etag] : null);
+  if (!hash) return null;
+  return cache.entries[cacheKey(hash, version)] || null;
+}
+
+/**
+ * Remember a summarized result. `source` is { sha256, etag, bucket, key };
+ * `result` is what the summary sheet needs to show it again.
+ */
+function storeResult(cache, source, version, result) {
+  cache.entries[cacheKey(source.sha256, version)] = {
+    sha256: source.sha256,
+    promptVersion: version,
+    source: `${source.bucket}/${source.key}`,
+    cachedAt: new Date().toISOString(),
+    ...result,
+  };
+  if (source.etag) cache.etags[source.etag] = source.sha256;
+}
+
+/**
+ * Remove the entries matching predicate(entry), and ETag aliases left
+ * pointing at no entry. Returns the number of entries removed.
+ */
+function invalidateEntries(cache, predicate) {
+  let removed = 0;
+  for (const [key, entry] of Object.entries(cache.entries)) {
+    if (predicate(entry)) {
+      delete cache.entries[key];
+      removed++;
+    }
+  }
+
+  const hashes = new Set(Object.values(cache.entries).map(e => e.sha256));
+  for (const [etag, sha256] of Object.entries(cache.etags)) {
+    if (!hashes.has(sha256)) delete cache.etags[etag];
+  }
+  return removed;
+}
+
+module.exports = {
+  CACHE_VERSION,
+  loadCache,
+  saveCache,
+  lookupResult,
+  storeResult,
+  invalidateEntries,
+};
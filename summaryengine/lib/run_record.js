@@ -0,0 +1,139 @@
+/**
+ * Pipeline Run Records
+ *
+ * Every run of run_complete_pipeline.js leaves an audit record in
+ * reports/runs/<run id>.json: the code version, the steps with their
+ * durations, the scan manifest of step 1 (windows, buckets, errors, email)
+ * and the summary manifest of each step 2 run (every file with its outcome,
+ * the models, token usage and email). Records are never pruned, so they show
+ * which documents were reviewed on which day. run_history.js lists, shows
+ * and diffs them.
+ *
+ * The steps learn the run ID from PIPELINE_RUN_ID and write it into their
+ * manifests, so a manifest left by another run is never attributed to this one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+
+const RECORD_VERSION = 1;
+const SUMMARY_MANIFEST_VERSION = 1;
+
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * A sortable, unique run ID: UTC start time plus a random suffix,
+ * e.g. 20261019-063000-3fa2.
+ */
+function newRunId(now = new Date()) {
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * package.json version and the git commit of the checkout (null outside a
+ * git checkout or without git), with whether it had local changes.
+ */
+function versionInfo(repoDir) {
+  const info = { package: null, commit: null, dirty: null };
+  try {
+    info.package = JSON.parse(fs.readFileSync(path.join(repoDir, 'package.json'), 'utf-8')).version;
+  } catch {}
+  try {
+    const git = args => execFileSync('git', args, { cwd: repoDir, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    info.commit = git(['rev-parse', 'HEAD']);
+    info.dirty = git(['status', '--porcelain']) !== '';
+  } catch {}
+  return info;
+}
+
+function writeSummaryManifest(manifestFile, manifest) {
+  writeJson(manifestFile, { version: SUMMARY_MANIFEST_VERSION, ...manifest });
+}
+
+/**
+ * The summary manifest, or null when there is none or it is unreadable.
+ */
+function readSummaryManifest(manifestFile) {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf-8'));
+    return manifest.version === SUMMARY_MANIFEST_VERSION ? manifest : null;
+  } catch {
+    return null;
+  }
+}
+
+function saveRunRecord(runsDir, record) {
+  const file = path.join(runsDir, `${record.runId}.json`);
+  writeJson(file, { version: RECORD_VERSION, ...record });
+  return file;
+}
+
+/**
+ * All run records, oldest first. Unreadable files are skipped.
+ */
+function loadRunRecords(runsDir) {
+  if (!fs.existsSync(runsDir)) return [];
+  return fs.readdirSync(runsDir)
+    .filter(f => f.endsWith('.json'))
+    .sort()
+    .map(f => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(runsDir, f), 'utf-8'));
+      } catch {
+        return null;
+      }
+    })
+    .filter(record => record && record.version === RECORD_VERSION);
+}
+
+/**
+ * Every file outcome of a record (all step 2 runs), keyed by "bucket/key".
+ */
+function fileOutcomes(record) {
+  const outcomes = new Map();
+  for (const summary of record.summaries || []) {
+    for (const file of summary.files || []) {
+      outcomes.set(`${file.bucket}/${file.key}`, file);
+    }
+  }
+  return outcomes;
+}
+
+// An outcome as "status (reason)": failures of different kinds share a status
+function describeOutcome(file) {
+  return file.reason ? `${file.status} (${file.reason})` : file.status;
+}
+
+/**
+ * What changed from run a to run b: files only in one of them, and files
+ * whose outcome (status or reason) differs, as "status (reason)" strings.
+ */
+function diffRuns(a, b) {
+  const before = fileOutcomes(a);
+  const after = fileOutcomes(b);
+  const added = [...after.keys()].filter(id => !before.has(id));
+  const removed = [...before.keys()].filter(id => !after.has(id));
+  const changed = [...after.keys()]
+    .filter(id => before.has(id) && describeOutcome(before.get(id)) !== describeOutcome(after.get(id)))
+    .map(id => ({ file: id, from: describeOutcome(before.get(id)), to: describeOutcome(after.get(id)) }));
+  return { added, removed, changed };
+}
+
+module.exports = {
+  newRunId,
+  versionInfo,
+  writeSummaryManifest,
+  readSummaryManifest,
+  saveRunRecord,
+  loadRunRecords,
+  fileOutcomes,
+  diffRuns,
+};
@@ -0,0 +1,236 @@
+/**
+ * S3 Inventory Reader
+ *
+ * Reads the daily S3 Inventory report for a bucket instead of listing it
+ * object by object. Inventory is delivered to a destination bucket as
+ *   <prefix>/<YYYY-MM-DDTHH-MMZ>/manifest.json
+ * where <prefix> is "<destination prefix>/<source bucket>/<config id>".
+ * CSV (gzip) and Parquet inventories are supported; ORC is not. This
+ * saves the ListObjectsV2 requests, not the reading: every row of the
+ * snapshot is still read and filtered by LastModified. Buckets with a date
+ * layout (lib/date_layout.js) are listed by day instead.
+ *
+ * Every S3 request goes through retryWithBackoff (lib/concurrency.js);
+ * `retry` takes its options ({ maxAttempts, shouldRetry, onRetry }).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+const { pipeline } = require('stream/promises');
+const { GetObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+const { retryWithBackoff } = require('./concurrency');
+
+const SNAPSHOT_FOLDER = /\/(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})Z\/$/;
+
+// Inventory field names as they appear in manifest.fileSchema (CSV) and as
+// Parquet column names, mapped to the ListObjectsV2 field names we use
+const FIELD_MAP = {
+  Bucket: 'Bucket', bucket: 'Bucket',
+  Key: 'Key', key: 'Key',
+  Size: 'Size', size: 'Size',
+  LastModifiedDate: 'LastModified', last_modified_date: 'LastModified',
+  ETag: 'ETag', e_tag: 'ETag',
+  StorageClass: 'StorageClass', storage_class: 'StorageClass',
+};
+
+function send(s3, command, retry) {
+  return retryWithBackoff(() => s3.send(command), retry);
+}
+
+/**
+ * Find the newest inventory snapshot taken at or before notAfter (Date).
+ * Resolves to { manifestKey, snapshotTime } or null when there is none.
+ */
+async function findLatestManifest(s3, { bucket, prefix }, notAfter, retry = {}) {
+  const base = prefix.replace(/\/?$/, '/');
+  const snapshots = [];
+  let token;
+
+  do {
+    const resp = await send(s3, new ListObjectsV2Command({
+      Bucket: bucket,
+      Prefix: base,
+      Delimiter: '/',
+      ContinuationToken: token,
+    }), retry);
+    for (const p of resp.CommonPrefixes || []) {
+      const m = SNAPSHOT_FOLDER.exec(p.Prefix);
+      if (!m) continue; // e.g. the hive/ folder
+      const snapshotTime = new Date(`${m[1]}T${m[2]}:${m[3]}:00Z`);
+      if (snapshotTime <= notAfter) {
+        snapshots.push({ manifestKey: `${p.Prefix}manifest.json`, snapshotTime });
+      }
+    }
+    token = resp.NextContinuationToken;
+  } while (token);
+
+  snapshots.sort((a, b) => b.snapshotTime - a.snapshotTime);
+  return snapshots[0] || null;
+}
+
+async function readManifest(s3, bucket, manifestKey, retry = {}) {
+  const resp = await send(s3, new GetObjectCommand({ Bucket: bucket, Key: manifestKey }), retry);
+  const manifest = JSON.parse(await resp.Body.transformToString());
+  if (manifest.creationTimestamp) {
+    manifest.snapshotTime = new Date(Number(manifest.creationTimestamp));
+  }
+  return manifest;
+}
+
+function parseCsvLine(line) {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        current += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      fields.push(current);
+      current = '';
+    } else {
+      current += c;
+    }
+  }
+  fields.push(current);
+  return fields;
+}
+
+function toUploadRecord(raw) {
+  const obj = {};
+  for (const [field, value] of Object.entries(raw)) {
+    const name = FIELD_MAP[field];
+    if (name) obj[name] = value;
+  }
+  obj.Size = Number(obj.Size || 0);
+  obj.LastModified = obj.LastModified instanceof Date ? obj.LastModified : new Date(Number(obj.LastModified) || obj.LastModified);
+  if (obj.ETag && !obj.ETag.startsWith('"')) obj.ETag = `"${obj.ETag}"`;
+  return obj;
+}
+
+async function* readCsvFile(s3, bucket, fileKey, columns, retry) {
+  const resp = await send(s3, new GetObjectCommand({ Bucket: bucket, Key: fileKey }), retry);
+  const lines = readline.createInterface({
+    input: resp.Body.pipe(zlib.createGunzip()),
+    crlfDelay: Infinity,
+  });
+
+  for await (const line of lines) {
+    if (!line) continue;
+    const values = parseCsvLine(line);
+    const raw = {};
+    columns.forEach((col, i) => { raw[col] = values[i]; });
+    // Inventory keys are URL-encoded
+    if (raw.Key) raw.Key = decodeURIComponent(raw.Key.replace(/\+/g, ' '));
+    yield toUploadRecord(raw);
+  }
+}
+
+// Lazy: only inventories in Parquet format need the reader
+let parquet = null;
+
+function loadParquet() {
+  if (!parquet) parquet = require('parquetjs-lite');
+  return parquet;
+}
+
+// Milliseconds per unit of the Parquet timestamp types
+const TIMESTAMP_UNITS = { TIMESTAMP_MILLIS: 1, TIMESTAMP_MICROS: 0.001 };
+
+async function* readParquetFile(s3, bucket, fileKey, retry) {
+  const { ParquetReader } = loadParquet();
+  const tmpFile = path.join(os.tmpdir(), `inventory_${process.pid}_${path.basename(fileKey)}`);
+
+  const resp = await send(s3, new GetObjectCommand({ Bucket: bucket, Key: fileKey }), retry);
+  await pipeline(resp.Body, fs.createWriteStream(tmpFile));
+
+  // parquetjs-lite decodes INT64 as BigInt, which its own timestamp conversion
+  // rejects: timestamp columns are read as plain integers and converted here
+  const reader = await ParquetReader.openFile(tmpFile, { rawStatistics: true });
+  try {
+    const timestamps = {};
+    for (const field of Object.values(reader.schema.fieldList)) {
+      if (!TIMESTAMP_UNITS[field.originalType]) continue;
+      timestamps[field.name] = TIMESTAMP_UNITS[field.originalType];
+      field.originalType = undefined;
+    }
+    const cursor = reader.getCursor();
+    let record;
+    while ((record = await cursor.next())) {
+      for (const [name, unit] of Object.entries(timestamps)) {
+        if (record[name] != null) record[name] = new Date(Number(record[name]) * unit);
+      }
+      yield toUploadRecord(record);
+    }
+  } finally {
+    await reader.close();
+    fs.unlink(tmpFile, () => {});
+  }
+}
+
+/**
+ * Yield every object listed in an inventory manifest as
+ * { Key, Size, LastModified, ETag, StorageClass }.
+ */
+async function* iterateInventoryObjects(s3, manifest, retry = {}) {
+  const destBucket = String(manifest.destinationBucket).replace(/^arn:aws:s3:::/, '');
+  const format = String(manifest.fileFormat || '').toUpperCase();
+  const columns = String(manifest.fileSchema || '').split(',').map(c => c.trim());
+
+  for (const file of manifest.files || []) {
+    if (format === 'CSV') {
+      yield* readCsvFile(s3, destBucket, file.key, columns, retry);
+    } else if (format === 'PARQUET') {
+      yield* readParquetFile(s3, destBucket, file.key, retry);
+    } else {
+      throw new Error(`Unsupported inventory format: ${manifest.fileFormat}`);
+    }
+  }
+}
+
+/**
+ * The objects of an inventoried bucket modified in [start, end), read from
+ * its newest snapshot taken at or before end. Objects modified after the
+ * snapshot are not in it, so the range is only covered up to the snapshot
+ * time: `coveredUntil` is that time kept within [start, end], and is where
+ * the next scan has to start. Resolves to { objects, manifest,
+ * snapshotTime, coveredUntil, totalRead }.
+ */
+async function readInventoryRange(s3, inventory, start, end, retry = {}) {
+  const latest = await findLatestManifest(s3, inventory, end, retry);
+  if (!latest) {
+    throw new Error(`No inventory snapshot found at or before ${end.toISOString()}`);
+  }
+
+  const manifest = await readManifest(s3, inventory.bucket, latest.manifestKey, retry);
+  const snapshotTime = manifest.snapshotTime || latest.snapshotTime;
+  const coveredUntil = new Date(Math.min(Math.max(snapshotTime.getTime(), start.getTime()), end.getTime()));
+
+  const objects = [];
+  let totalRead = 0;
+  for await (const obj of iterateInventoryObjects(s3, manifest, retry)) {
+    totalRead++;
+    if (obj.LastModified >= start && obj.LastModified < coveredUntil) objects.push(obj);
+  }
+  return { objects, manifest, snapshotTime, coveredUntil, totalRead };
+}
+
+module.exports = {
+  findLatestManifest,
+  readManifest,
+  iterateInventoryObjects,
+  readInventoryRange,
+};
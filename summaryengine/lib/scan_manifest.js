@@ -0,0 +1,62 @@
+/**
+ * Scan Manifest
+ *
+ * s3_daily_summary.js records what its last run produced in
+ * reports/scan_manifest.json: the report windows, the upload report written
+ * for each (none for a window without uploads), the counts and how the run
+ * ended. process_in_batches.js summarizes the report the manifest names for
+ * the current window instead of the newest file in reports/, so a day whose
+ * scan found nothing or failed never re-sends an older day's summaries.
+ *
+ * Statuses: ok, partial (some buckets failed to scan), no-uploads, skipped
+ * (no report is due on a weekend or holiday), failed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_VERSION = 1;
+
+function writeScanManifest(manifestFile, manifest) {
+  fs.mkdirSync(path.dirname(manifestFile), { recursive: true });
+  const tmp = `${manifestFile}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ version: MANIFEST_VERSION, ...manifest }, null, 2));
+  fs.renameSync(tmp, manifestFile);
+}
+
+/**
+ * The manifest, or null when no scan has written one yet.
+ */
+function readScanManifest(manifestFile) {
+  if (!fs.existsSync(manifestFile)) return null;
+  const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf-8'));
+  if (manifest.version !== MANIFEST_VERSION || !Array.isArray(manifest.windows)) {
+    throw new Error(`Unsupported scan manifest format in ${path.basename(manifestFile)}`);
+  }
+  return manifest;
+}
+
+/**
+ * The manifest entry of the window ending at `end` (Date or luxon
+ * DateTime), or null. Matched on the end instant, not the date: with a
+ * sub-daily span several windows end on the same day.
+ */
+function manifestWindow(manifest, end) {
+  const endMs = new Date(end).getTime();
+  return manifest.windows.find(w => Date.parse(w.end) === endMs) || null;
+}
+
+/**
+ * Absolute path of a window's upload report (reports are recorded by file
+ * name, next to the manifest), or null when the window had no uploads.
+ */
+function manifestReportPath(manifestFile, window) {
+  return window.report ? path.join(path.dirname(manifestFile), window.report) : null;
+}
+
+module.exports = {
+  writeScanManifest,
+  readScanManifest,
+  manifestWindow,
+  manifestReportPath,
+};
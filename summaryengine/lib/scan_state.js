@@ -0,0 +1,122 @@
+/**
+ * S3 Scan State
+ *
+ * Persists, per bucket and top-level prefix, the watermark up to which
+ * uploads have been reported and the keys (with ETags) reported recently.
+ * The next scheduled run starts from the watermark instead of the window
+ * start, so a missed day or an object that landed late is still reported
+ * once, and a key already reported with the same ETag is never reported
+ * twice. Stored in reports/scan_state.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const STATE_VERSION = 1;
+// Seen keys older than this (relative to the watermark) are pruned
+const SEEN_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+// A bucket-wide entry, used when a prefix has no entry of its own
+const BUCKET_WIDE = '';
+// Entry for objects stored at the bucket root when prefixes are scanned separately
+const ROOT_OBJECTS = '/';
+
+function loadScanState(stateFile) {
+  if (!fs.existsSync(stateFile)) {
+    return { version: STATE_VERSION, buckets: {} };
+  }
+  const state = JSON.parse(fs.readFileSync(stateFile, 'utf-8'));
+  if (state.version !== STATE_VERSION || !state.buckets) {
+    throw new Error(`Unsupported scan state format in ${path.basename(stateFile)}`);
+  }
+  return state;
+}
+
+function saveScanState(stateFile, state) {
+  fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+  const tmp = `${stateFile}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+  fs.renameSync(tmp, stateFile);
+}
+
+function prefixEntry(state, bucket, prefix) {
+  const bucketState = state.buckets[bucket];
+  if (!bucketState) return null;
+  return bucketState.prefixes[prefix] || bucketState.prefixes[BUCKET_WIDE] || null;
+}
+
+/**
+ * Watermark (Date) for bucket/prefix, or null when it has never been scanned.
+ */
+function getWatermark(state, bucket, prefix = BUCKET_WIDE) {
+  const entry = prefixEntry(state, bucket, prefix);
+  return entry ? new Date(entry.watermark) : null;
+}
+
+/**
+ * Earliest watermark across a bucket's prefixes, or null if unknown.
+ */
+function getBucketWatermark(state, bucket) {
+  const bucketState = state.buckets[bucket];
+  if (!bucketState) return null;
+  const marks = Object.values(bucketState.prefixes).map(p => new Date(p.watermark).getTime());
+  return marks.length ? new Date(Math.min(...marks)) : null;
+}
+
+/**
+ * True when this exact object version was reported by an earlier run.
+ */
+function wasSeen(state, bucket, prefix, key, etag) {
+  const entry = prefixEntry(state, bucket, prefix);
+  if (!entry) return false;
+  const seen = entry.seen[key];
+  return Boolean(seen) && seen.etag === (etag || null);
+}
+
+/**
+ * Record a completed scan of bucket/prefix up to `watermark`, remembering
+ * the reported objects so overlapping ranges are not reported again.
+ */
+function advanceWatermark(state, bucket, prefix, watermark, reportedObjects) {
+  if (!state.buckets[bucket]) {
+    state.buckets[bucket] = { prefixes: {} };
+  }
+  const prefixes = state.buckets[bucket].prefixes;
+  const seen = {};
+  if (prefixes[prefix]) {
+    Object.assign(seen, prefixes[prefix].seen);
+  } else if (prefixes[BUCKET_WIDE]) {
+    // First scan of this prefix on its own: inherit its keys from the bucket-wide entry
+    for (const [key, info] of Object.entries(prefixes[BUCKET_WIDE].seen)) {
+      if (key.startsWith(prefix)) seen[key] = info;
+    }
+  }
+
+  for (const obj of reportedObjects) {
+    seen[obj.Key] = {
+      etag: obj.ETag || null,
+      lastModified: new Date(obj.LastModified).toISOString(),
+    };
+  }
+
+  const cutoff = watermark.getTime() - SEEN_RETENTION_MS;
+  for (const [key, info] of Object.entries(seen)) {
+    if (new Date(info.lastModified).getTime() < cutoff) delete seen[key];
+  }
+
+  prefixes[prefix] = {
+    watermark: watermark.toISOString(),
+    updatedAt: new Date().toISOString(),
+    seen,
+  };
+}
+
+module.exports = {
+  BUCKET_WIDE,
+  ROOT_OBJECTS,
+  loadScanState,
+  saveScanState,
+  getWatermark,
+  getBucketWatermark,
+  wasSeen,
+  advanceWatermark,
+};
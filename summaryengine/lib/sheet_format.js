@@ -0,0 +1,82 @@
+/**
+ * Report Sheet Formatting
+ *
+ * Every table in the XLSX reports gets an autofilter over its rows, column
+ * widths fitted to the content and a frozen header row. SheetJS (community
+ * edition) writes autofilters and widths but not frozen panes, so
+ * writeWorkbook() adds the pane to each sheet's XML on the way out. A report
+ * read back with XLSX.readFile loses the pane; read it with readWorkbook()
+ * and write it with writeWorkbook() again.
+ */
+
+const fs = require('fs');
+const XLSX = require('xlsx');
+
+const MIN_WIDTH = 8;
+const MAX_WIDTH = 60;
+const FROZEN_HEADER = '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>';
+
+/**
+ * Add an autofilter and fitted column widths to a sheet whose first row is
+ * its header. Set ws['!cols'] afterwards to override the widths.
+ */
+function formatTable(ws) {
+  if (!ws['!ref']) return ws;
+  const range = XLSX.utils.decode_range(ws['!ref']);
+  ws['!autofilter'] = { ref: ws['!ref'] };
+  const cols = [];
+  for (let c = range.s.c; c <= range.e.c; c++) {
+    let longest = 0;
+    for (let r = range.s.r; r <= range.e.r; r++) {
+      const cell = ws[XLSX.utils.encode_cell({ r, c })];
+      if (cell && cell.v != null) longest = Math.max(longest, String(cell.v).length);
+    }
+    cols.push({ wch: Math.min(MAX_WIDTH, Math.max(MIN_WIDTH, longest + 2)) });
+  }
+  ws['!cols'] = cols;
+  return ws;
+}
+
+/**
+ * A formatted sheet from a header and rows of values. A value can be a
+ * SheetJS cell object, e.g. { t: 's', v: key, l: { Target: url } } for a link.
+ */
+function tableSheet(header, rows) {
+  return formatTable(XLSX.utils.aoa_to_sheet([header, ...rows]));
+}
+
+/**
+ * XLSX.readFile(file) for a report that will be written again: column widths
+ * are kept ({ cellStyles: true }), and links are unescaped, since SheetJS
+ * reads them XML-escaped and writeWorkbook() would escape them twice.
+ */
+function readWorkbook(file) {
+  const wb = XLSX.readFile(file, { cellStyles: true });
+  for (const ws of Object.values(wb.Sheets)) {
+    for (const cell of Object.values(ws)) {
+      if (cell && cell.l && cell.l.Target) cell.l.Target = cell.l.Target.replace(/&amp;/g, '&');
+    }
+  }
+  return wb;
+}
+
+/**
+ * XLSX.writeFile(wb, file), with the header row of every sheet frozen.
+ */
+function writeWorkbook(wb, file) {
+  const zip = XLSX.CFB.read(XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' }), { type: 'buffer' });
+  zip.FullPaths.forEach((name, i) => {
+    if (!/\/xl\/worksheets\/sheet\d+\.xml$/.test(name)) return;
+    const entry = zip.FileIndex[i];
+    const xml = Buffer.from(entry.content).toString('utf-8');
+    entry.content = Buffer.from(xml.replace(/<sheetView([^>]*)\/>/, `<sheetView$1>${FROZEN_HEADER}</sheetView>`), 'utf-8');
+  });
+  fs.writeFileSync(file, XLSX.CFB.write(zip, { fileType: 'zip', type: 'buffer', compression: true }));
+}
+
+module.exports = {
+  formatTable,
+  tableSheet,
+  readWorkbook,
+  writeWorkbook,
+};
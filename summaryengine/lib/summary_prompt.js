@@ -0,0 +1,96 @@
+/**
+ * Summary Prompts
+ *
+ * The prompts sent for every file: question and metadata generation, the
+ * notes appended when a reply is asked for again, and answer verification.
+ * promptVersion() fingerprints all of them together with the model settings, so
+ * cached results (lib/result_cache.js) from other prompts are never reused.
+ */
+
+const crypto = require('crypto');
+const { responseTemplate } = require('./judgment_metadata');
+const { buildVerificationPrompt } = require('./answer_verification');
+
+// Extracted text shown to the model per file
+const PROMPT_CONTENT_CHARS = 10000;
+
+// fileContent is null when the PDF itself is attached as a document block
+function contentSection(fileContent) {
+  return fileContent === null
+    ? 'Content: the attached PDF document.'
+    : `Content (text extracted from the document):\n${fileContent.slice(0, PROMPT_CONTENT_CHARS)}`;
+}
+
+function buildPrompt(fileName, fileContent, pageCount) {
+  return `You are analyzing a legal/financial/regulatory document. Your task is to extract its key details and generate ONE highly specific question about this document's content.
+
+File: ${fileName}${pageCount ? `\nPages: ${pageCount}` : ''}
+
+${contentSection(fileContent)}
+
+INSTRUCTIONS:
+1. If the text is clearly readable and extractable (like the content provided above), generate a highly specific question based on the extracted text.
+
+2. If the file appears to be a scanned PDF or image-based document where text is not extractable, you should still analyze whatever content is visible and generate a highly specific question about what you can perceive from the document.
+
+3. If the document is in a foreign language (non-English), first understand the content in that language, then generate your question IN ENGLISH ONLY about the document's content.
+
+Your question should be:
+- HIGHLY SPECIFIC to this particular document
+- Focus on key facts, findings, decisions, or conclusions
+- Be clear and concise (one sentence)
+- Written in English regardless of the document's language
+- Answerable by someone who has read this document
+
+For the other fields, use null (or [] for lists) for anything the document does not state. Do not guess.
+
+Reply with ONLY this JSON object, with no preamble, explanation or code fences:
+${responseTemplate()}`;
+}
+
+// Appended to the prompt when the previous reply failed validation
+function repairNote(error) {
+  return `\n\nYour previous reply could not be used (${error}). Reply again with ONLY the JSON object described above.`;
+}
+
+// Appended to the prompt when earlier questions failed verification
+function rejectedQuestionsNote(rejected) {
+  if (rejected.length === 0) return '';
+  const lines = rejected.map(r => `- ${r.question} (${r.reason})`);
+  return `\n\nThese questions were already rejected; ask a different one that the document clearly answers:\n${lines.join('\n')}`;
+}
+
+/**
+ * A short fingerprint of the prompts, the provider and its model settings, how
+ * much extracted text is kept (maxContentChars), how PDFs are sent and the
+ * verification setting; it changes whenever the same document could get a
+ * different result. documentConfig.mode must be the one actually used, after
+ * any fallback to text for the provider.
+ */
+function promptVersion(llmConfig, documentConfig, verificationConfig, maxContentChars) {
+  const fingerprint = JSON.stringify([
+    buildPrompt('<file>', '<content>', 1),
+    repairNote('<error>'),
+    rejectedQuestionsNote([{ question: '<question>', reason: '<reason>' }]),
+    verificationConfig.enabled ? buildVerificationPrompt('<question>', contentSection('<content>')) : null,
+    llmConfig.provider,
+    llmConfig.model,
+    llmConfig.modelsByCaseType,
+    llmConfig.maxTokens,
+    llmConfig.temperature,
+    maxContentChars,
+    documentConfig.model,
+    documentConfig.mode,
+    documentConfig.mode === 'text' ? null : [documentConfig.maxPages, documentConfig.maxBytes, documentConfig.minCharsPerPage],
+  ]);
+  return crypto.createHash('sha256').update(fingerprint).digest('hex').slice(0, 12);
+}
+
+module.exports = {
+  PROMPT_CONTENT_CHARS,
+  contentSection,
+  buildPrompt,
+  repairNote,
+  rejectedQuestionsNote,
+  promptVersion,
+};
@@ -0,0 +1,120 @@
+/**
+ * Upload Anomalies
+ *
+ * Flags report lines (one per combination of the taxonomy's dimensions, e.g.
+ * case type, country and court/authority) whose uploads are
+ * far from their average over the last 7 report days (lib/upload_history.js).
+ * A line that stops getting uploads usually means a scraper broke, and it
+ * would otherwise just disappear from the report. Flagged lines are shown in
+ * an "Attention" block at the top of the email, and sent to OPS_EMAIL when it
+ * is set.
+ *
+ *   ANOMALY_THRESHOLD=50          % above or below the average that is flagged
+ *   ANOMALY_MIN_AVERAGE=3         lines averaging fewer uploads a day are never flagged
+ *   ANOMALY_MIN_HISTORY_DAYS=3    report days of history needed before flagging
+ */
+
+const { numberSetting } = require('./env_settings');
+const { AVERAGE_DAYS } = require('./upload_history');
+const { lineLabel } = require('./case_folders');
+const { escapeHtml } = require('./html');
+
+/**
+ * Read the anomaly settings from the environment. Throws with the variable
+ * name on invalid input.
+ */
+function getAnomalyConfig(env = process.env) {
+  return {
+    threshold: numberSetting(env, 'ANOMALY_THRESHOLD', 50, 1, 1000),
+    minAverage: numberSetting(env, 'ANOMALY_MIN_AVERAGE', 3, 0, 1000000),
+    minHistoryDays: numberSetting(env, 'ANOMALY_MIN_HISTORY_DAYS', 3, 1, AVERAGE_DAYS),
+  };
+}
+
+/**
+ * The anomalous lines among trends.detailed, as { ...dimension values, line,
+ * count, average, kind, change } where line reads "Direct Tax Cases › India ›
+ * ITAT", kind is "no uploads", "below normal" or "above normal" and change is
+ * the % off the average. Lines with no uploads come first, then the largest
+ * changes. Lines with uploads from one of failedBuckets (buckets that failed
+ * to scan, so their uploads are missing from the count) are not checked, nor
+ * are lines whose buckets the history does not know while any bucket failed.
+ */
+function findAnomalies(trends, config, { failedBuckets = [] } = {}) {
+  if (trends.averageDays < config.minHistoryDays) return [];
+
+  const failed = new Set(failedBuckets);
+  const anomalies = [];
+  for (const line of trends.detailed) {
+    if (line.average === null || line.average === 0 || line.average < config.minAverage) continue;
+    if (failed.size > 0 && (line.buckets.length === 0 || line.buckets.some(b => failed.has(b)))) continue;
+
+    const change = ((line.count - line.average) / line.average) * 100;
+    let kind = null;
+    if (line.count === 0) {
+      kind = 'no uploads';
+    } else if (change <= -config.threshold) {
+      kind = 'below normal';
+    } else if (change >= config.threshold) {
+      kind = 'above normal';
+    }
+    if (!kind) continue;
+
+    const values = {};
+    for (const d of trends.dimensions) values[d.name] = line[d.name];
+    anomalies.push({
+      ...values,
+      line: lineLabel(trends.dimensions, line),
+      count: line.count,
+      average: line.average,
+      kind,
+      change: Math.round(change),
+    });
+  }
+
+  return anomalies.sort((a, b) =>
+    (b.kind === 'no uploads') - (a.kind === 'no uploads') || Math.abs(b.change) - Math.abs(a.change));
+}
+
+/**
+ * The red "Attention" block for the top of an email (empty string when there
+ * are no anomalies). averageDays is trends.averageDays.
+ */
+function buildAttentionHtml(anomalies, config, averageDays) {
+  if (anomalies.length === 0) return '';
+
+  let rows = '';
+  for (const a of anomalies) {
+    const sign = a.change > 0 ? '+' : '';
+    rows += `
+      <tr>
+        <td style="padding:6px 8px;border:1px solid #fecaca;">${escapeHtml(a.line)}</td>
+        <td style="padding:6px 8px;border:1px solid #fecaca;font-weight:bold;color:#b91c1c;">${a.kind}</td>
+        <td style="padding:6px 8px;border:1px solid #fecaca;text-align:right;">${a.count}</td>
+        <td style="padding:6px 8px;border:1px solid #fecaca;text-align:right;">${Math.round(a.average * 10) / 10}</td>
+        <td style="padding:6px 8px;border:1px solid #fecaca;text-align:right;">${sign}${a.change}%</td>
+      </tr>`;
+  }
+
+  return `
+<div style="margin:0 0 20px;padding:14px;background:#fef2f2;border:2px solid #dc2626;">
+<h2 style="margin:0 0 6px;color:#b91c1c;">🚨 Attention: ${anomalies.length} folder(s) with unusual upload volume</h2>
+<p style="margin:0 0 10px;color:#7f1d1d;">Compared with the average of the last ${averageDays} report day(s); flagged at ${config.threshold}% off the average or no uploads at all. A folder with no uploads often means its scraper has stopped.</p>
+<table width="100%" cellpadding="0" cellspacing="0" style="border-collapse:collapse;background:#ffffff;">
+  <tr>
+    <th style="padding:6px 8px;border:1px solid #fecaca;background:#dc2626;color:#ffffff;text-align:left;">Folder</th>
+    <th style="padding:6px 8px;border:1px solid #fecaca;background:#dc2626;color:#ffffff;text-align:left;">Issue</th>
+    <th style="padding:6px 8px;border:1px solid #fecaca;background:#dc2626;color:#ffffff;text-align:right;">Files</th>
+    <th style="padding:6px 8px;border:1px solid #fecaca;background:#dc2626;color:#ffffff;text-align:right;">Average</th>
+    <th style="padding:6px 8px;border:1px solid #fecaca;background:#dc2626;color:#ffffff;text-align:right;">Change</th>
+  </tr>
+  ${rows}
+</table>
+</div>`;
+}
+
+module.exports = {
+  getAnomalyConfig,
+  findAnomalies,
+  buildAttentionHtml,
+};
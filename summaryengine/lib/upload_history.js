@@ -0,0 +1,239 @@
+/**
+ * Upload Count History
+ *
+ * Keeps the detailed summary (uploads per combination of the case taxonomy's
+ * dimensions, lib/case_folders.js) of every report date, so a report can be
+ * compared with the days before it: the previous report day, the average of
+ * the last 7 report days, and a sparkline of the last 14. Days are keyed by
+ * report date and only days before the reported one are compared, so a
+ * backfilled day is compared with the days before it, not with whatever ran
+ * last. A window of a sub-daily span is keyed by date and end time
+ * (YYYY-MM-DDTHH:mm) and compared with the same window on earlier days, so
+ * the windows of one day do not replace each other and are compared like for
+ * like. Skipped days (weekends, holidays) have no report and are not counted,
+ * and neither are days recorded with other dimensions or partial days (a
+ * bucket or prefix failed to scan, so its folders would read as 0). Stored
+ * in reports/upload_history.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HISTORY_VERSION = 1;
+const AVERAGE_DAYS = 7;
+const SPARKLINE_DAYS = 14;
+// Report dates kept (with all their windows); older ones are pruned when a day is recorded
+const RETENTION_DAYS = 400;
+const SPARK_BLOCKS = '▁▂▃▄▅▆▇█';
+
+// Dimensions of days recorded before the taxonomy was configurable
+const LEGACY_FIELDS = ['caseType', 'country', 'courtAuthority'];
+
+// The date and the window time ('' for a whole day) of a history key
+const dateOf = key => key.slice(0, 10);
+const timeOf = key => key.slice(10);
+
+function emptyHistory() {
+  return { version: HISTORY_VERSION, days: {} };
+}
+
+function loadHistory(historyFile) {
+  if (!fs.existsSync(historyFile)) return emptyHistory();
+  const history = JSON.parse(fs.readFileSync(historyFile, 'utf-8'));
+  if (history.version !== HISTORY_VERSION || !history.days) {
+    throw new Error(`Unsupported upload history format in ${path.basename(historyFile)}`);
+  }
+  return history;
+}
+
+function saveHistory(historyFile, history) {
+  fs.mkdirSync(path.dirname(historyFile), { recursive: true });
+  const tmp = `${historyFile}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(history, null, 2));
+  fs.renameSync(tmp, historyFile);
+}
+
+function keyFor(row, fields) {
+  return fields.map(f => row[f]).join('\u0000');
+}
+
+// Sum rows sharing the same fields (a folder can exist in several buckets),
+// keeping the buckets they came from (none on days recorded before that)
+function aggregate(rows, fields) {
+  const totals = new Map();
+  for (const row of rows) {
+    const key = keyFor(row, fields);
+    let entry = totals.get(key);
+    if (!entry) {
+      entry = { count: 0, buckets: [] };
+      for (const f of fields) entry[f] = row[f];
+      totals.set(key, entry);
+    }
+    entry.count += row.count;
+    for (const bucket of row.buckets || (row.bucket ? [row.bucket] : [])) {
+      if (!entry.buckets.includes(bucket)) entry.buckets.push(bucket);
+    }
+  }
+  return totals;
+}
+
+/**
+ * Record the detailed summary rows ({ ...dimension values, bucket, count }) of a
+ * report date (YYYY-MM-DD, or YYYY-MM-DDTHH:mm for a window of a sub-daily
+ * span), replacing any earlier record. fields are the dimension names. A
+ * partial day is kept for reference but never compared with, and never
+ * replaces a complete record of the same date; returns false when it was not
+ * recorded for that reason.
+ */
+function recordDay(history, date, rows, fields, { partial = false } = {}) {
+  const existing = history.days[date];
+  if (partial && existing && !existing.partial && sameFields(existing, fields)) return false;
+
+  const aggregated = [...aggregate(rows, fields).values()];
+  history.days[date] = {
+    recordedAt: new Date().toISOString(),
+    dimensions: fields,
+    ...(partial ? { partial: true } : {}),
+    total: aggregated.reduce((sum, row) => sum + row.count, 0),
+    rows: aggregated,
+  };
+
+  const dates = [...new Set(Object.keys(history.days).map(dateOf))].sort();
+  const oldest = dates[Math.max(0, dates.length - RETENTION_DAYS)];
+  for (const old of Object.keys(history.days).filter(key => dateOf(key) < oldest)) {
+    delete history.days[old];
+  }
+  return true;
+}
+
+function sameFields(day, fields) {
+  return (day.dimensions || LEGACY_FIELDS).join('\u0000') === fields.join('\u0000');
+}
+
+// The latest `limit` complete dates before `date` recorded with the same
+// dimensions (and the same window time), oldest first
+function daysBefore(history, date, limit, fields) {
+  return Object.keys(history.days)
+    .filter(d => d < date && timeOf(d) === timeOf(date) && !history.days[d].partial && sameFields(history.days[d], fields))
+    .sort()
+    .slice(-limit);
+}
+
+function compareRows(a, b, fields) {
+  for (const f of fields) {
+    const order = String(a[f]).localeCompare(String(b[f]));
+    if (order !== 0) return order;
+  }
+  return 0;
+}
+
+function trendsBy(history, pastDates, rows, fields) {
+  const today = aggregate(rows, fields);
+  const past = pastDates.map(d => aggregate(history.days[d].rows, fields));
+  const recent = past.slice(-AVERAGE_DAYS);
+
+  // Lines that had uploads recently but none today still get a row
+  const lines = new Map(today);
+  for (const day of recent) {
+    for (const [key, entry] of day) {
+      if (!lines.has(key)) lines.set(key, { ...entry, count: 0 });
+    }
+  }
+
+  return [...lines.entries()]
+    .map(([key, entry]) => {
+      const countOn = day => (day.get(key) || { count: 0 }).count;
+      const trend = { ...entry };
+      trend.buckets = [...new Set([entry, ...recent.map(day => day.get(key))].flatMap(e => (e ? e.buckets : [])))].sort();
+      trend.previous = past.length > 0 ? countOn(past[past.length - 1]) : null;
+      trend.average = recent.length > 0
+        ? recent.reduce((sum, day) => sum + countOn(day), 0) / recent.length
+        : null;
+      trend.series = [...past.map(countOn), entry.count];
+      return trend;
+    })
+    .sort((a, b) => compareRows(a, b, fields));
+}
+
+/**
+ * Trends for a report date: `detailed` per combination of the dimensions
+ * ([{ name, label }], the taxonomy's) and `primary` per value of the first
+ * one (the case type). Every row has `count`, `previous` (previous report
+ * day, null without history), `average` (mean of up to 7 previous report
+ * days, null without history), `series` (up to 14 daily counts ending
+ * with this date) and `buckets` (where its uploads came from on this date
+ * and the days of the average).
+ */
+function buildTrends(history, date, rows, dimensions) {
+  const fields = dimensions.map(d => d.name);
+  const pastDates = daysBefore(history, date, SPARKLINE_DAYS - 1, fields);
+  return {
+    date,
+    dimensions,
+    dates: [...pastDates, date],
+    previousDate: pastDates.length > 0 ? pastDates[pastDates.length - 1] : null,
+    averageDays: Math.min(pastDates.length, AVERAGE_DAYS),
+    detailed: trendsBy(history, pastDates, rows, fields),
+    primary: trendsBy(history, pastDates, rows, [fields[0]]),
+  };
+}
+
+/**
+ * Unicode block sparkline of a series, scaled to its own maximum. Renders as
+ * plain text in every email client.
+ */
+function sparkline(series) {
+  const max = Math.max(0, ...series);
+  return series
+    .map(v => (max === 0 ? SPARK_BLOCKS[0] : SPARK_BLOCKS[Math.round((v / max) * (SPARK_BLOCKS.length - 1))]))
+    .join('');
+}
+
+function roundTo(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * The "Trends" sheet as { header, rows }: the comparison columns, then one
+ * column per report date in the sparkline range.
+ */
+function trendSheet(trends) {
+  const header = [
+    ...trends.dimensions.map(d => d.label),
+    'Files',
+    'Previous Day',
+    'Change vs Previous Day',
+    `${AVERAGE_DAYS}-Day Average`,
+    `Change vs ${AVERAGE_DAYS}-Day Average`,
+    ...trends.dates,
+  ];
+  const rows = trends.detailed.map(t => {
+    const row = {};
+    for (const d of trends.dimensions) row[d.label] = t[d.name];
+    Object.assign(row, {
+      'Files': t.count,
+      'Previous Day': t.previous === null ? '' : t.previous,
+      'Change vs Previous Day': t.previous === null ? '' : t.count - t.previous,
+      [`${AVERAGE_DAYS}-Day Average`]: t.average === null ? '' : roundTo(t.average, 1),
+      [`Change vs ${AVERAGE_DAYS}-Day Average`]: t.average === null ? '' : roundTo(t.count - t.average, 1),
+    });
+    trends.dates.forEach((d, i) => {
+      row[d] = t.series[i];
+    });
+    return row;
+  });
+  return { header, rows };
+}
+
+module.exports = {
+  AVERAGE_DAYS,
+  SPARKLINE_DAYS,
+  emptyHistory,
+  loadHistory,
+  saveHistory,
+  recordDay,
+  buildTrends,
+  sparkline,
+  trendSheet,
+};
@@ -0,0 +1,53 @@
+/**
+ * Daily Upload Report Reader
+ *
+ * Reads the "Uploads" sheet of an s3_daily_uploads_*.xlsx report into the
+ * file list that the summarization scripts work through.
+ */
+
+const path = require('path');
+const XLSX = require('xlsx');
+
+function readFilesFromExcel(excelPath, log = () => {}) {
+  log('info', `Reading files from Excel report: ${path.basename(excelPath)}`);
+  
+  try {
+    const workbook = XLSX.readFile(excelPath);
+    const sheetName = 'Uploads';
+    
+    if (!workbook.SheetNames.includes(sheetName)) {
+      log('error', `Sheet "${sheetName}" not found in Excel file`);
+      return [];
+    }
+    
+    const worksheet = workbook.Sheets[sheetName];
+    const data = XLSX.utils.sheet_to_json(worksheet);
+    
+    const files = data.map((row) => {
+      const key = row.Key || '';
+      const idxSlash = key.lastIndexOf('/');
+      const fileName = idxSlash === -1 ? key : key.slice(idxSlash + 1);
+      const directory = idxSlash === -1 ? '/' : key.slice(0, idxSlash);
+      
+      return {
+        bucket: row.Bucket,
+        key: key,
+        fileName: fileName,
+        directory: directory,
+        size: row.Size || 0,
+        // Missing from reports written before the ETag column was added
+        etag: row.ETag || null,
+      };
+    });
+    
+    log('info', `Found ${files.length} files in the Excel report`);
+    return files;
+  } catch (error) {
+    log('error', `Failed to read Excel file: ${error.message}`);
+    return [];
+  }
+}
+
+module.exports = {
+  readFilesFromExcel,
+};
@@ -2,67 +2,191 @@
 /**
  * Batch Processing Orchestrator
  * 
- * This script processes files in batches of 50 using generate_file_summaries.js logic.
- * After each batch of 50 files, it stops and restarts with the next batch.
+ * This script generates a question for every file in the daily upload report
+ * with a pool of concurrent model workers, throttled by a requests/tokens per
+ * minute limiter. The model backend is configurable (lib/llm_provider.js);
+ * --dry uses the offline fake provider and sends no email. Progress is checkpointed so an interrupted run resumes.
  * Once all files are processed, it sends the email automatically.
+ *
+ * --mode batch-api submits every prompt as one Anthropic message batch
+ * instead (half price, no latency guarantee). The batch ID is checkpointed,
+ * so a restarted run picks up the same batch rather than paying twice.
+ *
+ * pdf.mode "document" or "auto" (config.json, or CLAUDE_PDF_MODE) sends PDFs
+ * as native document blocks, so scanned pages without a text layer can be
+ * read (see lib/pdf_document.js).
+ *
+ * Every question is then answered from the document in a second call and
+ * regenerated when the document does not answer it (lib/answer_verification.js).
+ *
+ * Results are cached by content hash and prompt version (lib/result_cache.js),
+ * so a document already summarized under another bucket or key is not sent
+ * to the model again. summaries.resultCache "off" (RESULT_CACHE) disables it.
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { DateTime } = require('luxon');
 const XLSX = require('xlsx');
 const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
-const Anthropic = require('@anthropic-ai/sdk');
 const nodemailer = require('nodemailer');
+const { isPdfBuffer, extractPdfText } = require('./lib/pdf_text');
+const { readFilesFromExcel } = require('./lib/upload_report');
+const { getFileFilters, exclusionReason, describeStage, countExclusions, buildExclusionsHtml } = require('./lib/file_filters');
+const { getWindowConfig, computeReportWindow, reportTitle } = require('./lib/report_window');
+const { readScanManifest, manifestWindow, manifestReportPath } = require('./lib/scan_manifest');
+const { writeSummaryManifest } = require('./lib/run_record');
+const { RETRYABLE_STATUSES, fileId, loadProgress, saveProgress, isDone, recordResult } = require('./lib/progress_store');
+const { mapWithConcurrency, sleep } = require('./lib/concurrency');
+const { RateLimiter, retryAfterMs } = require('./lib/rate_limiter');
+const { MAX_BATCH_BYTES, customIdFor, submitBatch, waitForBatch, readBatchResults } = require('./lib/message_batches');
+const { getDocumentConfig, chooseInput, describeInput } = require('./lib/pdf_document');
+const { PDF_BETA, getLlmConfig, modelForCaseType, createProvider, AnthropicProvider } = require('./lib/llm_provider');
+const { getCaseTaxonomy, caseTypeOf, classifyFolder } = require('./lib/case_folders');
+const { loadConfig } = require('./lib/config');
+const { formatTable, readWorkbook, writeWorkbook } = require('./lib/sheet_format');
+const { exportDataset } = require('./lib/dataset_export');
+const { JUDGMENT_SCHEMA, METADATA_COLUMNS, parseJudgmentResponse, metadataCells } = require('./lib/judgment_metadata');
+const {
+  VERIFICATION_SCHEMA,
+  VERIFICATION_COLUMNS,
+  getVerificationConfig,
+  isGenericQuestion,
+  buildVerificationPrompt,
+  parseVerificationResponse,
+  checkVerification,
+  verificationCells,
+} = require('./lib/answer_verification');
+const {
+  PROMPT_CONTENT_CHARS,
+  contentSection,
+  buildPrompt,
+  repairNote,
+  rejectedQuestionsNote,
+  promptVersion,
+} = require('./lib/summary_prompt');
+const { loadCache, saveCache, lookupResult, storeResult } = require('./lib/result_cache');
+const { escapeHtml } = require('./lib/html');
+const {
+  DUPLICATES_SHEET,
+  DUPLICATE_COLUMNS,
+  textFingerprint,
+  findTextDuplicateGroups,
+  duplicateRows,
+  buildDuplicatesHtml,
+} = require('./lib/duplicates');
 
 require('dotenv').config({ path: path.resolve(__dirname, '.env') });
 
+let CONFIG;
+try {
+  CONFIG = loadConfig();
+} catch (error) {
+  console.error(`Invalid configuration: ${error.message}`);
+  process.exit(1);
+}
+const { aws, email, summaries } = CONFIG.values;
+
 // Configuration
-const BATCH_SIZE = 25;
-const AWS_REGION = process.env.AWS_REGION || 'us-east-1';
-const AWS_ACCESS_KEY_ID = process.env.AWS_ACCESS_KEY_ID;
-const AWS_SECRET_ACCESS_KEY = process.env.AWS_SECRET_ACCESS_KEY;
-const CLAUDE_API_KEY = process.env.CLAUDE_API_KEY;
-const FROM_EMAIL = process.env.FROM_EMAIL || process.env.SMTP_USERNAME;
-const SMTP_SERVER = process.env.SMTP_SERVER || 'smtp.gmail.com';
-const SMTP_PORT = Number(process.env.SMTP_PORT || 587);
-const SMTP_USERNAME = process.env.SMTP_USERNAME;
-const SMTP_PASSWORD = process.env.SMTP_PASSWORD;
-
-// Parse TO_EMAIL from environment
-function parseEnvEmails(raw) {
-  if (!raw) return [];
-  const cleaned = String(raw).trim();
-  if (cleaned.startsWith('[')) {
-    try {
-      const arr = JSON.parse(cleaned);
-      const items = Array.isArray(arr) ? arr : [];
-      const out = [];
-      for (const item of items) {
-        if (item == null) continue;
-        String(item)
-          .split(',')
-          .forEach(p => {
-            const email = p.replace(/^['"]|['"]$/g, '').trim();
-            if (email) out.push(email);
-          });
-      }
-      return out;
-    } catch {
-      const withoutBrackets = cleaned.replace(/^\[/, '').replace(/\]$/, '');
-      return withoutBrackets
-        .split(',')
-        .map(e => e.replace(/^['"]|['"]$/g, '').trim())
-        .filter(Boolean);
-    }
-  }
-  return cleaned
-    .split(',')
-    .map(e => e.replace(/^['"]|['"]$/g, '').trim())
-    .filter(Boolean);
+// Claude calls in flight, and the account limits the pool stays under
+const CLAUDE_CONCURRENCY = summaries.concurrency;
+const CLAUDE_RPM = summaries.requestsPerMinute;
+const CLAUDE_TPM = summaries.tokensPerMinute;
+const CHECKPOINT_EVERY = summaries.checkpointEvery;
+// Attempts per model call, and the pause after a failed one
+const MAX_RETRIES = summaries.maxRetries;
+const RETRY_DELAY_MS = summaries.retryDelaySeconds * 1000;
+// batch-api mode: how often to poll the batch, and how many batches to
+// submit before giving up on requests that keep failing
+const BATCH_POLL_SECONDS = summaries.batchPollSeconds;
+const BATCH_MAX_ROUNDS = summaries.batchMaxRounds;
+const AWS_REGION = aws.region;
+const AWS_ACCESS_KEY_ID = aws.accessKeyId;
+const AWS_SECRET_ACCESS_KEY = aws.secretAccessKey;
+const FROM_EMAIL = email.from || email.smtpUsername;
+const SMTP_SERVER = email.smtpServer;
+const SMTP_PORT = email.smtpPort;
+const SMTP_USERNAME = email.smtpUsername;
+const SMTP_PASSWORD = email.smtpPassword;
+
+let WINDOW_CONFIG;
+try {
+  WINDOW_CONFIG = getWindowConfig(CONFIG.env);
+} catch (error) {
+  console.error(`Invalid reporting window configuration: ${error.message}`);
+  process.exit(1);
+}
+
+let DOCUMENT_CONFIG;
+try {
+  DOCUMENT_CONFIG = getDocumentConfig(CONFIG.env);
+} catch (error) {
+  console.error(`Invalid PDF document configuration: ${error.message}`);
+  process.exit(1);
+}
+
+let FILE_FILTERS;
+try {
+  FILE_FILTERS = getFileFilters(CONFIG.env);
+} catch (error) {
+  console.error(`Invalid file filter configuration: ${error.message}`);
+  process.exit(1);
+}
+
+let TAXONOMY;
+try {
+  TAXONOMY = getCaseTaxonomy(CONFIG.env);
+} catch (error) {
+  console.error(`Invalid case taxonomy configuration: ${error.message}`);
+  process.exit(1);
 }
 
-const TO_EMAIL = parseEnvEmails(process.env.TO_EMAIL || '');
+let VERIFICATION_CONFIG;
+try {
+  VERIFICATION_CONFIG = getVerificationConfig(CONFIG.env);
+} catch (error) {
+  console.error(`Invalid question verification configuration: ${error.message}`);
+  process.exit(1);
+}
+
+// --dry never calls a model API (fake provider) and sends no email
+const DRY_RUN = process.argv.includes('--dry');
+
+let LLM_CONFIG;
+try {
+  LLM_CONFIG = getLlmConfig(DRY_RUN ? { ...CONFIG.env, LLM_PROVIDER: 'fake' } : CONFIG.env);
+} catch (error) {
+  console.error(`Invalid LLM configuration: ${error.message}`);
+  process.exit(1);
+}
+
+const RESULT_CACHE = summaries.resultCache === 'on';
+// Cached results are only reused under the same prompts, models and PDF
+// input; set in main() once the PDF mode is settled for the provider
+let PROMPT_VERSION = null;
+
+const TO_EMAIL = email.to;
+// Formats the summaries are also written in (lib/dataset_export.js)
+const EXPORT_FORMATS = CONFIG.values.exports.formats;
+
+// The stamp of an upload report name: YYYYMMDD, with _HHmm for sub-daily spans
+// (lib/report_window.js reportDateStamp); the summary report keeps it whole
+const REPORT_STAMP = /(\d{8}(?:_(\d{4}))?)/;
+
+// Command line: --report <path> processes that report instead of the one the
+// scan manifest names for the current window;
+// --backfill marks a catch-up run, which keeps its own checkpoint file;
+// --mode pool|batch-api picks how the model is called
+function argValue(name) {
+  const idx = process.argv.indexOf(name);
+  return idx !== -1 && idx + 1 < process.argv.length ? process.argv[idx + 1] : null;
+}
+
+const REPORT_ARG = argValue('--report');
+const BACKFILL = process.argv.includes('--backfill');
+const MODES = ['pool', 'batch-api'];
+const MODE = argValue('--mode') || 'pool';
 
 // Initialize clients
 const s3 = new S3Client({
@@ -73,266 +197,733 @@ const s3 = new S3Client({
   },
 });
 
-const anthropic = new Anthropic({
-  apiKey: CLAUDE_API_KEY,
+const provider = createProvider(LLM_CONFIG);
+
+// Loaded in main() unless RESULT_CACHE=off
+let resultCache = null;
+let resultCacheFile = null;
+
+// What this run did, written at the end (or on failure) for the pipeline's
+// run record (lib/run_record.js); token usage per model lives in the
+// checkpoint, so a resumed run keeps counting
+const SUMMARY_MANIFEST_FILE = path.join(__dirname, 'reports', 'summary_manifest.json');
+const RUN_STARTED_AT = new Date();
+const runState = { report: null, files: [], progress: null, exports: [] };
+let tokenUsage = {};
+
+const limiter = new RateLimiter({
+  requestsPerMinute: CLAUDE_RPM,
+  tokensPerMinute: CLAUDE_TPM,
 });
 
 function log(level, msg) {
-  const ts = DateTime.now().setZone('Asia/Kolkata').toFormat('HH:mm:ss');
+  const ts = DateTime.now().setZone(WINDOW_CONFIG.zone).toFormat('HH:mm:ss');
   console.log(`[${ts}] [${level.toUpperCase()}] ${msg}`);
 }
 
-// Directories to skip for question generation
-const SKIP_DIRECTORIES = [
-  'commercial-case-laws',
-  'usecase-reports-2',
-  'usecase-reports-3',
-  'usecase-reports-4',
-  'usecase-reports-5',
-  'usecase-reports'
-];
+// PDFs must be downloaded whole: the xref table sits at the end of the file
+const MAX_DOWNLOAD_BYTES = summaries.maxDownloadMb * 1024 * 1024;
+const MAX_CONTENT_CHARS = summaries.maxContentChars;
 
-function shouldSkipDirectory(directory) {
-  // Check if the directory starts with or contains any of the skip patterns
-  const dirLower = directory.toLowerCase();
-  return SKIP_DIRECTORIES.some(skipDir => 
-    dirLower.includes(skipDir.toLowerCase())
-  );
-}
+async function downloadFile(bucket, key, maxSize = MAX_DOWNLOAD_BYTES) {
+  const command = new GetObjectCommand({ Bucket: bucket, Key: key });
+  const response = await s3.send(command);
 
-function readFilesFromExcel(excelPath) {
-  log('info', `Reading files from Excel report: ${path.basename(excelPath)}`);
-  
-  try {
-    const workbook = XLSX.readFile(excelPath);
-    const sheetName = 'Uploads';
-    
-    if (!workbook.SheetNames.includes(sheetName)) {
-      log('error', `Sheet "${sheetName}" not found in Excel file`);
-      return [];
+  if (response.ContentLength && response.ContentLength > maxSize) {
+    response.Body.destroy();
+    throw new Error(`File too large (${(response.ContentLength / 1024 / 1024).toFixed(1)} MB)`);
+  }
+
+  const chunks = [];
+  let totalSize = 0;
+
+  for await (const chunk of response.Body) {
+    totalSize += chunk.length;
+    if (totalSize > maxSize) {
+      throw new Error(`File too large (over ${(maxSize / 1024 / 1024).toFixed(0)} MB)`);
     }
-    
-    const worksheet = workbook.Sheets[sheetName];
-    const data = XLSX.utils.sheet_to_json(worksheet);
-    
-    const files = data.map((row) => {
-      const key = row.Key || '';
-      const idxSlash = key.lastIndexOf('/');
-      const fileName = idxSlash === -1 ? key : key.slice(idxSlash + 1);
-      const directory = idxSlash === -1 ? '/' : key.slice(0, idxSlash);
-      
-      return {
-        bucket: row.Bucket,
-        key: key,
-        fileName: fileName,
-        directory: directory,
-        size: row.Size || 0,
-      };
-    });
-    
-    log('info', `Found ${files.length} files in the Excel report`);
-    return files;
-  } catch (error) {
-    log('error', `Failed to read Excel file: ${error.message}`);
-    return [];
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+}
+
+function decodePlainText(buffer) {
+  const content = buffer.toString('utf-8');
+
+  // Check if it's readable text
+  const nonPrintable = content.split('').filter(c => {
+    const code = c.charCodeAt(0);
+    return code < 32 && code !== 9 && code !== 10 && code !== 13;
+  }).length;
+
+  if (nonPrintable > content.length * 0.3) {
+    return null; // Likely binary
   }
+
+  return content;
 }
 
-async function downloadFileContent(bucket, key, maxSize = 500000) {
+/**
+ * Download a file and return its text.
+ * Resolves to { text, pageCount, encrypted, isPdf, buffer }; text is null when
+ * nothing readable could be extracted, and the PDF bytes are only kept when
+ * they may be sent as a document. A failed download resolves to { error }, a
+ * PDF that cannot be parsed to { error, unreadable: true }.
+ */
+async function downloadFileContent(bucket, key, tag = '') {
+  let buffer;
   try {
-    const command = new GetObjectCommand({ Bucket: bucket, Key: key });
-    const response = await s3.send(command);
-    
-    const chunks = [];
-    let totalSize = 0;
-    
-    for await (const chunk of response.Body) {
-      totalSize += chunk.length;
-      if (totalSize > maxSize) {
-        break;
-      }
-      chunks.push(chunk);
-    }
-    
-    const buffer = Buffer.concat(chunks);
-    const content = buffer.toString('utf-8');
-    
-    // Check if it's readable text
-    const nonPrintable = content.split('').filter(c => {
-      const code = c.charCodeAt(0);
-      return code < 32 && code !== 9 && code !== 10 && code !== 13;
-    }).length;
-    
-    if (nonPrintable > content.length * 0.3) {
-      return null; // Likely binary
+    buffer = await downloadFile(bucket, key);
+  } catch (error) {
+    log('error', `${tag} Failed to download ${key}: ${error.message}`);
+    return { text: null, pageCount: null, encrypted: false, error: error.message };
+  }
+  
+  try {
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+
+    if (!isPdfBuffer(buffer)) {
+      const text = decodePlainText(buffer);
+      return {
+        text: text ? text.slice(0, MAX_CONTENT_CHARS) : null,
+        pageCount: null,
+        encrypted: false,
+        isPdf: false,
+        buffer: null,
+        sha256,
+        textFingerprint: textFingerprint(text),
+      };
     }
-    
-    return content.slice(0, 50000); // Limit to 50KB for Claude
+
+    const pdf = await extractPdfText(buffer);
+    const text = pdf.text.trim();
+    log('info', `${tag}   Extracted ${text.length} chars from ${pdf.pageCount} page(s)${pdf.encrypted ? ' (encrypted)' : ''}`);
+
+    return {
+      text: text ? text.slice(0, MAX_CONTENT_CHARS) : null,
+      pageCount: pdf.pageCount,
+      encrypted: pdf.encrypted,
+      isPdf: true,
+      buffer: DOCUMENT_CONFIG.mode === 'text' ? null : buffer,
+      sha256,
+      textFingerprint: textFingerprint(text),
+    };
   } catch (error) {
-    log('error', `Failed to download ${key}: ${error.message}`);
-    return null;
+    // The same bytes fail the same way every time, so this is not retried
+    log('error', `${tag} Failed to read ${key}: ${error.message}`);
+    return { text: null, pageCount: null, encrypted: false, error: error.message, unreadable: true };
   }
 }
 
-async function generateSummaryWithClaude(fileName, directory, fileContent, retries = 3) {
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      const contentPreview = fileContent.slice(0, 10000);
-      
-      const prompt = `You are analyzing a legal/financial/regulatory document. Your task is to generate ONE highly specific question about this document's content.
+const API_FAILURE_MESSAGE = 'Error generating question (API failure after retries)';
+const INVALID_OUTPUT_MESSAGE = 'Error generating question (invalid structured reply)';
+const UNVERIFIED_MESSAGE = 'Unverified question';
+// Replies that fail JSON/schema validation are asked for again this many times in total
+const JSON_MAX_ATTEMPTS = 3;
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
 
-File: ${fileName}
+function addUsage(model, usage) {
+  if (!usage) return;
+  const total = tokenUsage[model] || (tokenUsage[model] = { requests: 0, inputTokens: 0, outputTokens: 0 });
+  total.requests++;
+  total.inputTokens += usage.inputTokens || 0;
+  total.outputTokens += usage.outputTokens || 0;
+}
 
-Content:
-${contentPreview}
+// Documents go to the PDF-capable model, text to the case type's model
+// (the first dimension of the case taxonomy)
+function modelFor(file, isDocument) {
+  return isDocument ? DOCUMENT_CONFIG.model : modelForCaseType(LLM_CONFIG, caseTypeOf(TAXONOMY, file.bucket, file.directory));
+}
 
-INSTRUCTIONS:
-1. If the text is clearly readable and extractable (like the content provided above), generate a highly specific question based on the extracted text.
+/**
+ * The provider request for a file: documents go to the PDF-capable model,
+ * text to the file's case-type model (LLM_MODEL_BY_CASE_TYPE) or LLM_MODEL.
+ */
+function buildRequest(file, fileContent, pageCount, input) {
+  const isDocument = input.mode === 'document';
+  return {
+    model: modelFor(file, isDocument),
+    prompt: buildPrompt(file.fileName, isDocument ? null : fileContent, pageCount),
+    document: isDocument ? { data: input.data, pages: input.pagesSent } : null,
+    maxTokens: LLM_CONFIG.maxTokens,
+    temperature: LLM_CONFIG.temperature,
+    schema: JUDGMENT_SCHEMA,
+  };
+}
 
-2. If the file appears to be a scanned PDF or image-based document where text is not extractable, you should still analyze whatever content is visible and generate a highly specific question about what you can perceive from the document.
+// Each PDF page costs roughly 1,500-3,000 tokens (its text plus a page image)
+const TOKENS_PER_DOCUMENT_PAGE = 2000;
 
-3. If the document is in a foreign language (non-English), first understand the content in that language, then generate your question IN ENGLISH ONLY about the document's content.
+function cleanQuestion(text) {
+  return text.trim().replace(/^\d+\.\s*/, '').trim();
+}
 
-Your question should be:
-- HIGHLY SPECIFIC to this particular document
-- Focus on key facts, findings, decisions, or conclusions
-- Be clear and concise (one sentence)
-- Written in English regardless of the document's language
-- Answerable by someone who has read this document
+/**
+ * One model call with retries for API errors. Resolves to the reply text,
+ * or null when every attempt failed.
+ */
+async function completeWithRetries(request, retries, tag) {
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    try {
+      const estimatedTokens = estimateTokens(request.prompt) + request.maxTokens
+        + (request.document ? request.document.pages * TOKENS_PER_DOCUMENT_PAGE : 0);
+      await limiter.acquire(estimatedTokens);
 
-Generate ONE specific question only. Do not provide any preamble or explanation.`;
+      const { text, usage } = await provider.complete(request);
 
-      const message = await anthropic.messages.create({
-        model: 'claude-3-haiku-20240307',
-        max_tokens: 150,
-        temperature: 0.3,
-        messages: [{
-          role: 'user',
-          content: prompt,
-        }],
-      });
+      limiter.settle(estimatedTokens, usage ? usage.inputTokens + usage.outputTokens : undefined);
+      limiter.onSuccess();
+      addUsage(request.model, usage);
 
-      const question = message.content[0].text.trim();
-      const cleanQuestion = question.replace(/^\d+\.\s*/, '').trim();
-      
-      return cleanQuestion;
+      return text;
     } catch (error) {
-      log('error', `Claude API error (attempt ${attempt}/${retries}): ${error.message}`);
+      log('error', `${tag} ${provider.name} API error (attempt ${attempt}/${retries}): ${error.message}`);
       
-      // Rate limiting - wait longer before retry
+      // Rate limiting - pause the whole pool for retry-after and slow it down
       if (error.status === 429 && attempt < retries) {
-        const waitTime = attempt * 10000;
-        log('warn', `Rate limited! Waiting ${waitTime/1000}s before retry...`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
+        const waitTime = retryAfterMs(error.headers) ?? attempt * 10000;
+        limiter.onRateLimited(waitTime);
+        const rate = limiter.currentRate();
+        log('warn', `${tag} Rate limited! Pausing ${(waitTime / 1000).toFixed(0)}s; limiter now ${rate.requestsPerMinute} req/min, ${rate.tokensPerMinute} tokens/min`);
         continue;
       }
       
       // Other errors - shorter wait before retry
       if (attempt < retries) {
-        await new Promise(resolve => setTimeout(resolve, 5000));
+        await sleep(RETRY_DELAY_MS);
         continue;
       }
       
-      return 'Error generating question (API failure after retries)';
+      return null;
     }
   }
 }
 
-async function processBatch(files, startIndex, endIndex, progressFile, excelPath) {
-  log('info', `\n========================================`);
-  log('info', `Processing batch: Files ${startIndex + 1} to ${endIndex}`);
-  log('info', `========================================`);
+/**
+ * A model call whose reply must pass parse(), asked again (up to
+ * JSON_MAX_ATTEMPTS times) while it does not. Resolves to { value }, or to
+ * { status: 'api-error' } / { status: 'invalid-output', error }.
+ */
+async function completeStructured(request, parse, retries, tag) {
+  const basePrompt = request.prompt;
+  let lastError = null;
   
-  const summaries = [];
+  for (let attempt = 1; attempt <= JSON_MAX_ATTEMPTS; attempt++) {
+    const text = await completeWithRetries({ ...request, prompt: attempt === 1 ? basePrompt : basePrompt + repairNote(lastError) }, retries, tag);
+    if (text === null) return { status: 'api-error' };
+    
+    const { value, error } = parse(text);
+    if (value) return { value };
+    
+    lastError = error;
+    log('warn', `${tag}   Invalid structured reply (attempt ${attempt}/${JSON_MAX_ATTEMPTS}): ${error}`);
+  }
   
-  // Load existing progress if available
-  if (fs.existsSync(progressFile)) {
-    try {
-      const progress = JSON.parse(fs.readFileSync(progressFile, 'utf-8'));
-      if (progress.summaries) {
-        summaries.push(...progress.summaries);
-        log('info', `Loaded ${summaries.length} existing summaries`);
-      }
-    } catch (err) {
-      log('warn', `Could not load progress file: ${err.message}`);
+  return { status: 'invalid-output', error: lastError };
+}
+
+/**
+ * Answer the question from the same input the question came from.
+ * Resolves to { verified, ... } (see checkVerification), or to a failed
+ * completeStructured() result when the verifier call itself failed.
+ */
+async function verifyQuestion(request, question, fileContent, retries, tag) {
+  if (isGenericQuestion(question)) {
+    return { verified: false, reason: 'generic question' };
+  }
+  
+  const sourceText = request.document ? null : fileContent.slice(0, PROMPT_CONTENT_CHARS);
+  const result = await completeStructured({
+    ...request,
+    prompt: buildVerificationPrompt(question, contentSection(sourceText)),
+    schema: VERIFICATION_SCHEMA,
+  }, parseVerificationResponse, retries, tag);
+  
+  return result.value ? checkVerification(result.value, sourceText) : result;
+}
+
+// The outcome for a failed completeStructured() result
+function failedOutcome(result, source) {
+  const briefing = result.status === 'api-error' ? API_FAILURE_MESSAGE : `${INVALID_OUTPUT_MESSAGE}: ${source}${result.error}`;
+  return { status: result.status, briefing, metadata: null, verification: null };
+}
+
+/**
+ * Ask for the question and judgment metadata, then verify that the document
+ * answers the question, regenerating it (up to QUESTION_MAX_REGENERATIONS
+ * times) when it does not. `reply` is an already generated reply to start
+ * from (batch-api mode). Resolves to { status, briefing, metadata, verification }.
+ */
+async function generateSummaryWithClaude(file, fileContent, pageCount, input, retries = MAX_RETRIES, tag = '', reply = null) {
+  const request = buildRequest(file, fileContent, pageCount, input);
+  const basePrompt = request.prompt;
+  const maxQuestions = VERIFICATION_CONFIG.enabled ? VERIFICATION_CONFIG.maxRegenerations + 1 : 1;
+  const rejected = [];
+  let lastReply = null;
+  
+  for (let attempt = 1; attempt <= maxQuestions; attempt++) {
+    if (!reply) {
+      const generated = await completeStructured({ ...request, prompt: basePrompt + rejectedQuestionsNote(rejected) }, parseJudgmentResponse, retries, tag);
+      if (generated.status) return failedOutcome(generated, '');
+      reply = generated.value;
+    }
+    
+    const question = cleanQuestion(reply.question);
+    if (!VERIFICATION_CONFIG.enabled) {
+      return { status: 'summarized', briefing: question, metadata: reply, verification: null };
+    }
+    
+    const verification = await verifyQuestion(request, question, fileContent, retries, tag);
+    if (verification.status) return failedOutcome(verification, 'verifier ');
+    if (verification.verified) {
+      return { status: 'summarized', briefing: question, metadata: reply, verification };
     }
+    
+    log('warn', `${tag}   Question rejected (${verification.reason}, ${attempt}/${maxQuestions}): ${question}`);
+    rejected.push({ question, reason: verification.reason });
+    lastReply = reply;
+    reply = null;
+  }
+  
+  // Kept for review, but marked so it never passes for a verified question
+  const last = rejected[rejected.length - 1];
+  return { status: 'unverified', briefing: `${UNVERIFIED_MESSAGE} (${last.reason}): ${last.question}`, metadata: lastReply, verification: null };
+}
+
+// Summary sheet value for a result reused from the cache
+function cachedFrom(entry) {
+  const date = DateTime.fromISO(entry.cachedAt).setZone(WINDOW_CONFIG.zone).toFormat('dd LLL yyyy');
+  return `cached from ${entry.source}, ${date}`;
+}
+
+function cachedOutcome(entry, tag) {
+  log('info', `${tag}   ↺ Reusing cached result (${cachedFrom(entry)})`);
+  return {
+    status: 'cached',
+    briefing: entry.briefing,
+    inputMode: entry.inputMode,
+    metadata: entry.metadata,
+    verification: entry.verification,
+    cachedFrom: cachedFrom(entry),
+    textFingerprint: entry.textFingerprint || null,
+  };
+}
+
+/**
+ * Everything before the Claude call: the summarize filters, the result cache,
+ * download, text extraction and the text/document choice. Resolves to
+ * { outcome } when the file is finished without Claude, otherwise to
+ * { content, input }.
+ */
+async function prepareFile(file, tag) {
+  log('info', `${tag} Processing: ${file.fileName}`);
+  log('info', `${tag}   Directory: ${file.directory}`);
+  
+  // Summarize filters of file_filters.json
+  const excludedBy = exclusionReason(FILE_FILTERS.summarize, file.bucket, file.key);
+  if (excludedBy) {
+    log('info', `${tag}   ⊘ Skipped - ${excludedBy} (summarize filters)`);
+    return { outcome: { status: 'skipped', briefing: `Skipped (${excludedBy})` } };
+  }
+  
+  // A known ETag saves the download too
+  const cachedByEtag = resultCache && file.etag ? lookupResult(resultCache, { etag: file.etag }, PROMPT_VERSION) : null;
+  if (cachedByEtag) return { outcome: cachedOutcome(cachedByEtag, tag) };
+  
+  const content = await downloadFileContent(file.bucket, file.key, tag);
+  
+  if (content.unreadable) {
+    log('warn', `${tag}   Skipped (unreadable PDF)`);
+    return { outcome: { status: 'unreadable', briefing: `Unable to parse PDF: ${content.error}` } };
+  }
+  if (content.error) {
+    log('warn', `${tag}   Skipped (download failed)`);
+    return { outcome: { status: 'download-error', briefing: `Unable to read content: ${content.error}` } };
+  }
+  const cached = resultCache ? lookupResult(resultCache, { sha256: content.sha256 }, PROMPT_VERSION) : null;
+  if (cached) return { outcome: cachedOutcome(cached, tag) };
+  if (content.encrypted && !content.text) {
+    log('warn', `${tag}   Skipped (encrypted)`);
+    return { outcome: { status: 'encrypted', briefing: 'Encrypted PDF (password required to read content)' } };
+  }
+  
+  const input = await chooseInput(content, DOCUMENT_CONFIG);
+  content.buffer = null;
+  if (input.mode === 'document') {
+    log('info', `${tag}   Sending as PDF document (${input.pagesSent} of ${input.pageCount} page(s))`);
+  } else if (input.reason) {
+    log('info', `${tag}   Using extracted text: ${input.reason}`);
+  }
+  
+  if (input.mode === 'text' && !content.text) {
+    log('warn', `${tag}   Skipped (no extractable text)`);
+    return { outcome: { status: 'no-text', briefing: 'No extractable text (scanned or image-only document)', input } };
+  }
+  
+  return { content, input };
+}
+
+// Summary sheet columns, in order
+const SUMMARY_COLUMNS = [
+  'File Name',
+  'File Directory',
+  'Question Generated by LLM',
+  ...VERIFICATION_COLUMNS.map(([, column]) => column),
+  ...METADATA_COLUMNS.map(([, column]) => column),
+  'Input Mode',
+  'Result Source',
+];
+
+// inputMode is describeInput() of the input sent to Claude ('' when none was);
+// metadata is the validated reply and verification the verified answer, when
+// there are; cachedFrom is set when the result was reused from the cache
+function summaryRow(file, briefing, { inputMode = '', metadata = null, verification = null, cachedFrom = '' } = {}) {
+  return {
+    'File Name': file.fileName,
+    'File Directory': file.directory,
+    'Question Generated by LLM': briefing,
+    ...verificationCells(verification),
+    ...metadataCells(metadata),
+    'Input Mode': inputMode,
+    'Result Source': cachedFrom,
+  };
+}
+
+// The row for a processFile()/prepareFile() outcome
+function outcomeRow(file, outcome) {
+  return summaryRow(file, outcome.briefing, {
+    inputMode: outcome.inputMode ?? describeInput(outcome.input),
+    metadata: outcome.metadata,
+    verification: outcome.verification,
+    cachedFrom: outcome.cachedFrom,
+  });
+}
+
+// Remember a summarized result for identical documents in later runs
+function cacheResult(file, outcome) {
+  if (!resultCache || !outcome.sha256 || outcome.status !== 'summarized') return;
+  storeResult(resultCache, { sha256: outcome.sha256, etag: file.etag, bucket: file.bucket, key: file.key }, PROMPT_VERSION, {
+    briefing: outcome.briefing,
+    inputMode: outcome.inputMode ?? describeInput(outcome.input),
+    metadata: outcome.metadata,
+    verification: outcome.verification,
+    textFingerprint: outcome.textFingerprint || null,
+  });
+}
+
+// Record an outcome in the checkpoint (with the text fingerprint used to
+// find same-text duplicates) and the result cache
+function recordOutcome(progress, file, outcome) {
+  recordResult(progress, file, outcome.status, outcomeRow(file, outcome), { textFingerprint: outcome.textFingerprint || null });
+  cacheResult(file, outcome);
+}
+
+async function processFile(file, tag) {
+  try {
+    const { outcome, content, input } = await prepareFile(file, tag);
+    if (outcome) return outcome;
+    
+    const result = await generateSummaryWithClaude(file, content.text, content.pageCount, input, MAX_RETRIES, tag);
+    logOutcome(result.status, tag);
+    return { ...result, input, sha256: content.sha256, textFingerprint: content.textFingerprint };
+  } catch (error) {
+    log('error', `${tag}   Error processing file: ${error.message}`);
+    return { status: 'api-error', briefing: `Error: ${error.message}` };
+  }
+}
+
+function logOutcome(status, tag) {
+  if (status === 'summarized') {
+    log('info', `${tag}   ✓ Question ${VERIFICATION_CONFIG.enabled ? 'verified' : 'and metadata generated'} successfully`);
+  } else if (status === 'unverified') {
+    log('warn', `${tag}   ✗ No question the document answers after ${VERIFICATION_CONFIG.maxRegenerations + 1} attempt(s)`);
+  } else {
+    log('info', `${tag}   ✗ Question generation failed`);
+  }
+}
+
+function checkpoint(progressFile, progress, label) {
+  try {
+    saveProgress(progressFile, progress);
+    if (resultCache) saveCache(resultCacheFile, resultCache);
+    log('info', label);
+  } catch (err) {
+    log('error', `Failed to save progress: ${err.message}`);
   }
+}
+
+/**
+ * Run every pending file through a pool of CLAUDE_CONCURRENCY workers.
+ * Results are recorded by bucket/key as they finish, so the summary sheet
+ * keeps report order whatever order the workers finish in.
+ */
+async function processFiles(files, progress, progressFile, totalFiles) {
+  const alreadyDone = totalFiles - files.length;
+  let started = 0;
+  let completed = 0;
   
-  for (let i = startIndex; i < endIndex; i++) {
-    const file = files[i];
-    const fileNum = i + 1;
-    const percentComplete = ((fileNum / files.length) * 100).toFixed(1);
+  await mapWithConcurrency(files, CLAUDE_CONCURRENCY, async (file) => {
+    started++;
+    const tag = `[${alreadyDone + started}/${totalFiles}]`;
+    const outcome = await processFile(file, tag);
     
-    log('info', `\n[${fileNum}/${files.length}] (${percentComplete}%) Processing: ${file.fileName}`);
-    log('info', `  Directory: ${file.directory}`);
+    recordOutcome(progress, file, outcome);
+    completed++;
     
-    let briefing;
+    if (completed % CHECKPOINT_EVERY === 0) {
+      const percentComplete = (((alreadyDone + completed) / totalFiles) * 100).toFixed(1);
+      checkpoint(progressFile, progress, `  Progress saved (${alreadyDone + completed}/${totalFiles} files, ${percentComplete}%)`);
+    }
+  });
+  
+  // Save final progress
+  checkpoint(progressFile, progress, `✓ All files processed! Progress saved.`);
+  return progress;
+}
+
+function batchRetryLog(action) {
+  return (error, attempt, delay) => {
+    log('warn', `  ${action} failed (${error.status || error.message}, attempt ${attempt}), retrying in ${(delay / 1000).toFixed(1)}s`);
+  };
+}
+
+/**
+ * Wait for the checkpointed message batch to end and record its results.
+ * Failed requests are recorded as api-error and invalid replies as
+ * invalid-output; resolves to the IDs of those worth resubmitting (not the
+ * ones the API rejected as invalid).
+ *
+ * Valid replies are verified (and regenerated) with direct calls before the
+ * batch leaves the checkpoint. `prepared` holds the extracted content of the
+ * submitted files; files missing from it (a resumed batch) are downloaded
+ * again for verification. The content hashes that results are cached under
+ * come from the checkpoint, so a batch resumed by a new process caches too.
+ */
+async function collectBatchResults(progress, progressFile, filesById, prepared = new Map()) {
+  const { id, requests, inputModes = {}, hashes = {} } = progress.batch;
+  log('info', `Waiting for message batch ${id} (${Object.keys(requests).length} request(s), polling every ${BATCH_POLL_SECONDS}s)...`);
+  
+  await waitForBatch(provider.client, id, {
+    pollMs: BATCH_POLL_SECONDS * 1000,
+    retry: { onRetry: batchRetryLog('Polling the batch') },
+    onPoll: batch => {
+      const c = batch.request_counts;
+      log('info', `  Batch ${batch.processing_status}: ${c.succeeded} succeeded, ${c.errored} errored, ${c.canceled + c.expired} canceled/expired, ${c.processing} processing`);
+    },
+  });
+  
+  const retry = [];
+  const toVerify = [];
+  let succeeded = 0;
+  const unanswered = new Set(Object.keys(requests));
+  const fail = (file, customId, reason, retryable, status = 'api-error', briefing = API_FAILURE_MESSAGE) => {
+    log('warn', `  ✗ ${file.fileName}: ${reason}`);
+    recordResult(progress, file, status, summaryRow(file, briefing, { inputMode: inputModes[customId] }));
+    if (retryable) retry.push(fileId(file.bucket, file.key));
+  };
+  
+  for await (const result of readBatchResults(provider.client, id, { retry: { onRetry: batchRetryLog('Reading the results') } })) {
+    const file = filesById.get(requests[result.customId]);
+    if (!file) continue;
+    unanswered.delete(result.customId);
     
-    // Check if directory should be skipped
-    if (shouldSkipDirectory(file.directory)) {
-      briefing = 'Skipped (excluded directory)';
-      log('info', `  ⊘ Skipped - directory excluded from question generation`);
+    if (result.type === 'succeeded') {
+      const { usage: u, model } = result.message;
+      if (u) addUsage(model, { inputTokens: u.input_tokens, outputTokens: u.output_tokens });
+      const { value, error } = parseJudgmentResponse(AnthropicProvider.textOf(result.message));
+      if (value && VERIFICATION_CONFIG.enabled) {
+        toVerify.push({ file, reply: value });
+      } else if (value) {
+        const { sha256, textFingerprint } = hashes[result.customId] || {};
+        recordOutcome(progress, file, {
+          status: 'summarized',
+          briefing: cleanQuestion(value.question),
+          inputMode: inputModes[result.customId],
+          metadata: value,
+          sha256,
+          textFingerprint,
+        });
+        succeeded++;
+      } else {
+        fail(file, result.customId, `invalid structured reply: ${error}`, true, 'invalid-output', `${INVALID_OUTPUT_MESSAGE}: ${error}`);
+      }
+    } else if (result.error) {
+      fail(file, result.customId, `${result.error.type}: ${result.error.message}`, result.error.type !== 'invalid_request_error');
     } else {
+      fail(file, result.customId, result.type, true);
+    }
+  }
+  for (const customId of unanswered) {
+    const file = filesById.get(requests[customId]);
+    if (file) fail(file, customId, 'no result returned', true);
+  }
+  
+  if (toVerify.length > 0) {
+    log('info', `Verifying ${toVerify.length} question(s)...`);
+    let verified = 0;
+    await mapWithConcurrency(toVerify, CLAUDE_CONCURRENCY, async ({ file, reply }) => {
+      const tag = `[verify ${++verified}/${toVerify.length}]`;
+      const id = fileId(file.bucket, file.key);
       try {
-        const content = await downloadFileContent(file.bucket, file.key);
-        
-        if (!content) {
-          briefing = 'Binary file or unable to read content';
-          log('warn', `  Skipped (binary or unreadable)`);
-        } else {
-          briefing = await generateSummaryWithClaude(file.fileName, file.directory, content);
-          log('info', `  ✓ Question generated successfully`);
-          
-          // Add delay between requests to avoid rate limits
-          if (i < endIndex - 1) {
-            await new Promise(resolve => setTimeout(resolve, 3000));
+        let entry = prepared.get(id);
+        if (!entry) {
+          const { outcome, content, input } = await prepareFile(file, tag);
+          if (outcome) {
+            recordOutcome(progress, file, outcome);
+            if (RETRYABLE_STATUSES.has(outcome.status)) retry.push(id);
+            return;
           }
+          entry = { content, input };
         }
+        
+        const { content, input } = entry;
+        const result = await generateSummaryWithClaude(file, content.text, content.pageCount, input, MAX_RETRIES, tag, reply);
+        const outcome = { ...result, input, sha256: content.sha256, textFingerprint: content.textFingerprint };
+        logOutcome(outcome.status, tag);
+        recordOutcome(progress, file, outcome);
+        if (outcome.status === 'summarized') succeeded++;
+        if (RETRYABLE_STATUSES.has(outcome.status)) retry.push(id);
       } catch (error) {
-        log('error', `  Error processing file: ${error.message}`);
-        briefing = `Error: ${error.message}`;
+        log('error', `${tag}   Error verifying ${file.fileName}: ${error.message}`);
+        recordResult(progress, file, 'api-error', summaryRow(file, `Error: ${error.message}`));
+        retry.push(id);
+      }
+    });
+  }
+  
+  delete progress.batch;
+  checkpoint(progressFile, progress, `✓ Batch ${id} collected: ${succeeded} succeeded, ${Object.keys(requests).length - succeeded} failed, ${retry.length} to resubmit`);
+  return retry;
+}
+
+/**
+ * batch-api mode: download and extract every pending file, submit the
+ * prompts as one message batch, and resubmit the failed requests (up to
+ * BATCH_MAX_ROUNDS batches). A batch still in the checkpoint is collected
+ * first, so a restart never submits the same files twice.
+ */
+async function processFilesWithBatchApi(files, progress, progressFile, totalFiles, filesById) {
+  let rejected = new Set();
+  if (progress.batch) {
+    log('info', `Resuming message batch ${progress.batch.id} from checkpoint`);
+    const submitted = Object.values(progress.batch.requests);
+    const retry = new Set(await collectBatchResults(progress, progressFile, filesById));
+    // Requests the API rejected as invalid would only be rejected again
+    rejected = new Set(submitted.filter(id => !retry.has(id) && !isDone(progress, filesById.get(id))));
+  }
+  
+  const pending = files.filter(f => !isDone(progress, f) && !rejected.has(fileId(f.bucket, f.key)));
+  const alreadyDone = totalFiles - pending.length;
+  const prepared = new Map();
+  let documentBytes = 0;
+  let started = 0;
+  
+  await mapWithConcurrency(pending, CLAUDE_CONCURRENCY, async (file) => {
+    started++;
+    const tag = `[${alreadyDone + started}/${totalFiles}]`;
+    try {
+      const { outcome, content, input: chosen } = await prepareFile(file, tag);
+      if (outcome) {
+        recordOutcome(progress, file, outcome);
+        return;
+      }
+      
+      // Every request goes into one batch, which has a size limit
+      let input = chosen;
+      if (input.mode === 'document' && documentBytes + input.data.length > MAX_BATCH_BYTES) {
+        input = { mode: 'text', reason: 'message batch size limit' };
+        log('info', `${tag}   Using extracted text: ${input.reason}`);
+        if (!content.text) {
+          recordResult(progress, file, 'no-text', summaryRow(file, 'No extractable text (scanned or image-only document)', { inputMode: describeInput(input) }));
+          return;
+        }
       }
+      if (input.mode === 'document') documentBytes += input.data.length;
+      
+      const isDocument = input.mode === 'document';
+      const text = content.text ? content.text.slice(0, PROMPT_CONTENT_CHARS) : null;
+      prepared.set(fileId(file.bucket, file.key), {
+        params: provider.messageParams(buildRequest(file, text, content.pageCount, input)),
+        inputMode: describeInput(input),
+        isDocument,
+        // Kept for the verification pass
+        content: { text, pageCount: content.pageCount, sha256: content.sha256, textFingerprint: content.textFingerprint },
+        input,
+      });
+    } catch (error) {
+      log('error', `${tag}   Error processing file: ${error.message}`);
+      recordResult(progress, file, 'api-error', summaryRow(file, `Error: ${error.message}`));
+    }
+  });
+  checkpoint(progressFile, progress, `✓ Files prepared: ${prepared.size} prompt(s) to submit`);
+  
+  let toSubmit = [...prepared.keys()];
+  for (let round = 1; toSubmit.length > 0; round++) {
+    if (round > BATCH_MAX_ROUNDS) {
+      log('warn', `${toSubmit.length} request(s) still failing after ${BATCH_MAX_ROUNDS} batches; left as api-error for "resume_summaries.js resume"`);
+      break;
     }
     
-    summaries.push({
-      'File Name': file.fileName,
-      'File Directory': file.directory,
-      'Question Generated by LLM': briefing,
+    const requests = {};
+    const inputModes = {};
+    const hashes = {};
+    const batchRequests = toSubmit.map((id, i) => {
+      const customId = customIdFor(i);
+      const { inputMode, params, content } = prepared.get(id);
+      requests[customId] = id;
+      inputModes[customId] = inputMode;
+      hashes[customId] = { sha256: content.sha256, textFingerprint: content.textFingerprint };
+      return { customId, params };
     });
+    const betas = toSubmit.some(id => prepared.get(id).isDocument) ? [PDF_BETA] : [];
     
-    // Save progress every 10 files
-    if (fileNum % 10 === 0) {
-      try {
-        fs.writeFileSync(progressFile, JSON.stringify({
-          excelPath: excelPath,
-          summaries: summaries,
-          lastProcessed: fileNum,
-          timestamp: new Date().toISOString()
-        }, null, 2));
-        log('info', `  Progress saved (${fileNum} files)`);
-      } catch (err) {
-        log('error', `  Failed to save progress: ${err.message}`);
-      }
-    }
+    const batch = await submitBatch(provider.client, batchRequests, { betas, retry: { onRetry: batchRetryLog('Creating the batch') } });
+    progress.batch = { id: batch.id, submittedAt: new Date().toISOString(), round, requests, inputModes, hashes };
+    // Not checkpoint(): losing the batch ID would mean paying for the batch twice
+    saveProgress(progressFile, progress);
+    log('info', `✓ Submitted message batch ${batch.id} with ${batchRequests.length} request(s)${round > 1 ? ` (resubmission ${round - 1})` : ''}`);
+    
+    toSubmit = await collectBatchResults(progress, progressFile, filesById, prepared);
   }
   
-  // Save final progress
+  checkpoint(progressFile, progress, `✓ All files processed! Progress saved.`);
+  return progress;
+}
+
+/**
+ * Add same-text groups to the upload report's "Duplicates" sheet, after the
+ * exact and same-name groups the scan found. Rows from an earlier run of the
+ * same report are replaced.
+ */
+function addTextDuplicatesToReport(reportPath, groups) {
   try {
-    fs.writeFileSync(progressFile, JSON.stringify({
-      excelPath: excelPath,
-      summaries: summaries,
-      lastProcessed: endIndex,
-      timestamp: new Date().toISOString()
-    }, null, 2));
-    log('info', `✓ Batch complete! Progress saved.`);
-  } catch (err) {
-    log('error', `Failed to save final progress: ${err.message}`);
+    const wb = readWorkbook(reportPath);
+    const existing = wb.Sheets[DUPLICATES_SHEET] ? XLSX.utils.sheet_to_json(wb.Sheets[DUPLICATES_SHEET]) : [];
+    const kept = existing.filter(row => row.Match !== 'same text');
+    const firstGroup = kept.reduce((max, row) => Math.max(max, Number(row.Group) || 0), 0) + 1;
+    const sheet = formatTable(XLSX.utils.json_to_sheet([...kept, ...duplicateRows(groups, firstGroup)], { header: DUPLICATE_COLUMNS }));
+    
+    if (wb.Sheets[DUPLICATES_SHEET]) {
+      wb.Sheets[DUPLICATES_SHEET] = sheet;
+    } else {
+      XLSX.utils.book_append_sheet(wb, sheet, DUPLICATES_SHEET);
+    }
+    writeWorkbook(wb, reportPath);
+    log('info', `✓ Same-text duplicates added to ${path.basename(reportPath)}`);
+  } catch (error) {
+    log('warn', `Could not add duplicates to ${path.basename(reportPath)}: ${error.message}`);
   }
-  
-  return summaries;
 }
 
-async function sendEmail(summaryFilePath, uploadReportPath) {
+/**
+ * Email both reports. `failed` files still have a retryable error; the email
+ * says so instead of reporting success, and the checkpoint is kept for them.
+ */
+async function sendEmail(summaryFilePath, uploadReportPath, textDuplicates = [], exclusions = [], failed = 0) {
   log('info', '\n========================================');
   log('info', '📧 Sending Email');
   log('info', '========================================');
@@ -345,14 +936,14 @@ async function sendEmail(summaryFilePath, uploadReportPath) {
       auth: { user: SMTP_USERNAME, pass: SMTP_PASSWORD },
     });
 
-    // Extract date from filename for subject
+    // Extract date (and the window's end time, for sub-daily spans) from filename for subject
     const filename = path.basename(summaryFilePath);
-    const dateMatch = filename.match(/(\d{8})/);
-    const dateStr = dateMatch ? 
-      DateTime.fromFormat(dateMatch[1], 'yyyyLLdd').toFormat('dd LLL yyyy') :
-      DateTime.now().setZone('Asia/Kolkata').toFormat('dd LLL yyyy');
+    const dateMatch = filename.match(REPORT_STAMP);
+    const dateStr = dateMatch ?
+      DateTime.fromFormat(dateMatch[1], dateMatch[2] ? 'yyyyLLdd_HHmm' : 'yyyyLLdd').toFormat(dateMatch[2] ? 'dd LLL yyyy, HH:mm' : 'dd LLL yyyy') :
+      DateTime.now().setZone(WINDOW_CONFIG.zone).toFormat('dd LLL yyyy');
 
-    const subject = `Daily S3 Ingestion Summary — ${dateStr}`;
+    const subject = `${reportTitle(WINDOW_CONFIG)}${BACKFILL ? ' (catch-up)' : ''} — ${dateStr}${failed > 0 ? ` (incomplete: ${failed} file(s) failed)` : ''}`;
     const html = `
 <table width="100%" cellpadding="0" cellspacing="0" style="background:#f6f8fb;">
 <tr>
@@ -360,7 +951,7 @@ async function sendEmail(summaryFilePath, uploadReportPath) {
 <table width="800" cellpadding="0" cellspacing="0" style="background:#ffffff;border:1px solid #e5e7eb;">
 <tr>
 <td style="padding:20px;background:#2563eb;color:#ffffff;">
-<h1 style="margin:0;">📊 Daily S3 Ingestion Summary</h1>
+<h1 style="margin:0;">📊 ${reportTitle(WINDOW_CONFIG)}</h1>
 <p style="margin:6px 0 0;">${dateStr}</p>
 </td>
 </tr>
@@ -370,10 +961,14 @@ async function sendEmail(summaryFilePath, uploadReportPath) {
 <p>Hello,</p>
 <p>Please find attached the daily S3 ingestion reports:</p>
 <ul>
-<li><b>${path.basename(uploadReportPath)}</b> - Upload statistics and details</li>
-<li><b>${path.basename(summaryFilePath)}</b> - AI-generated file summaries</li>
+<li><b>${escapeHtml(path.basename(uploadReportPath))}</b> - Upload statistics and details</li>
+<li><b>${escapeHtml(path.basename(summaryFilePath))}</b> - AI-generated file summaries</li>
 </ul>
-<p>All files have been processed successfully.</p>
+${failed > 0
+    ? `<p style="padding:10px;background:#fffbeb;border:1px solid #f59e0b;color:#78350f;"><b>⚠️ Incomplete:</b> ${failed} file(s) failed with an API or download error and have no summary yet. They are retried with <code>node resume_summaries.js resume</code>, which sends the completed reports again.</p>`
+    : '<p>All files have been processed successfully.</p>'}
+${buildDuplicatesHtml(textDuplicates, '🧬 Possible Duplicates (same text)')}
+${buildExclusionsHtml(exclusions, '🚫 Not Summarized (filters)', `of the upload report were not summarized because of the summarize filters (${FILE_FILTERS.source ? escapeHtml(path.basename(FILE_FILTERS.source)) : 'defaults'}). They are listed in the summary sheet as skipped.`)}
 </td>
 </tr>
 
@@ -401,10 +996,121 @@ Sent automatically by NeurasixAI Batch Processing System
     
     log('info', `✓ Email sent successfully! Message ID: ${info.messageId}`);
     log('info', `  Recipients: ${TO_EMAIL.join(', ')}`);
-    return true;
+    return info;
   } catch (error) {
     log('error', `Failed to send email: ${error.message}`);
-    return false;
+    return null;
+  }
+}
+
+/**
+ * The summaries as CSV/JSON Lines/JSON next to the summary report, in the
+ * formats of exports.formats (lib/dataset_export.js). The window is the upload
+ * report's, worked out from the date stamp in its name.
+ */
+function exportSummaryDataset(summaryPath, uploadReport, ids, filesById, results) {
+  const stamp = path.basename(uploadReport).match(REPORT_STAMP);
+  const reportWindow = computeReportWindow(stamp
+    ? DateTime.fromFormat(stamp[1], stamp[2] ? 'yyyyLLdd_HHmm' : 'yyyyLLdd', { zone: WINDOW_CONFIG.zone })
+    : DateTime.now(), WINDOW_CONFIG);
+
+  const summaries = ids.filter(id => results[id]).map(id => {
+    const f = filesById.get(id);
+    const { status, row } = results[id];
+    return {
+      bucket: f.bucket,
+      key: f.key,
+      ...classifyFolder(TAXONOMY, f.bucket, f.directory),
+      status,
+      question: row['Question Generated by LLM'],
+      verifiedAnswer: row['Verified Answer'],
+      answerExcerpt: row['Answer Excerpt'],
+      court: row['Court'],
+      bench: row['Bench'],
+      caseNumber: row['Case Number'],
+      parties: row['Parties'],
+      judgmentDate: row['Judgment Date'],
+      statutes: row['Statutes Cited'],
+      outcome: row['Outcome'],
+      summary: row['Summary'],
+      inputMode: row['Input Mode'],
+      resultSource: row['Result Source'],
+    };
+  });
+
+  const written = exportDataset(summaryPath, {
+    dataset: 'file_summaries',
+    reportDate: reportWindow.end.toISODate(),
+    window: { start: reportWindow.startUTC.toISO(), end: reportWindow.endUTC.toISO() },
+    dimensions: TAXONOMY.dimensions.map(d => ({ name: d.name, label: d.label })),
+  }, { summaries }, EXPORT_FORMATS);
+  if (written.length > 0) log('info', `✓ Exported ${written.length} file(s): ${written.join(', ')}`);
+  return written;
+}
+
+// Statuses whose row came from a model call
+const MODEL_STATUSES = new Set(['summarized', 'unverified', 'invalid-output', 'api-error']);
+
+/**
+ * Write the summary manifest: every file of the report with its outcome (and
+ * the reason when it was not summarized), the models, token usage and email.
+ */
+function finishSummaryManifest(status, { email = null, error = null } = {}) {
+  const results = runState.progress ? runState.progress.results : {};
+  const seen = new Set();
+  const files = [];
+  const counts = {};
+  for (const f of runState.files) {
+    const id = fileId(f.bucket, f.key);
+    if (seen.has(id)) continue;
+    seen.add(id);
+    
+    const result = results[id];
+    const fileStatus = result ? result.status : 'not processed';
+    const row = result ? result.row : {};
+    const inputMode = row['Input Mode'] || null;
+    counts[fileStatus] = (counts[fileStatus] || 0) + 1;
+    files.push({
+      bucket: f.bucket,
+      key: f.key,
+      etag: f.etag,
+      size: f.size,
+      status: fileStatus,
+      reason: ['summarized', 'not processed'].includes(fileStatus) ? null
+        : fileStatus === 'cached' ? row['Result Source'] : row['Question Generated by LLM'],
+      model: MODEL_STATUSES.has(fileStatus) && inputMode
+        ? modelFor(f, inputMode.startsWith('document'))
+        : null,
+      inputMode,
+    });
+  }
+  
+  try {
+    writeSummaryManifest(SUMMARY_MANIFEST_FILE, {
+      runId: process.env.PIPELINE_RUN_ID || null,
+      status,
+      dryRun: DRY_RUN,
+      mode: MODE,
+      startedAt: RUN_STARTED_AT.toISOString(),
+      finishedAt: new Date().toISOString(),
+      durationSeconds: Number(((Date.now() - RUN_STARTED_AT.getTime()) / 1000).toFixed(2)),
+      report: runState.report ? path.basename(runState.report) : null,
+      exports: runState.exports,
+      provider: provider.name,
+      promptVersion: PROMPT_VERSION,
+      models: {
+        default: LLM_CONFIG.model,
+        byCaseType: LLM_CONFIG.modelsByCaseType,
+        document: DOCUMENT_CONFIG.mode === 'text' ? null : DOCUMENT_CONFIG.model,
+      },
+      usage: tokenUsage,
+      counts,
+      files,
+      email,
+      error,
+    });
+  } catch (err) {
+    log('warn', `Could not write the summary manifest: ${err.message}`);
   }
 }
 
@@ -412,12 +1118,34 @@ async function main() {
   log('info', '========================================');
   log('info', '🚀 Batch Processing Orchestrator Started');
   log('info', '========================================');
-  log('info', `Batch size: ${BATCH_SIZE} files`);
-  log('info', `Start time: ${DateTime.now().setZone('Asia/Kolkata').toFormat('dd LLL yyyy, HH:mm:ss')}`);
+  log('info', `Start time: ${DateTime.now().setZone(WINDOW_CONFIG.zone).toFormat('dd LLL yyyy, HH:mm:ss')}`);
   
   const startTime = Date.now();
   const reportsDir = path.join(__dirname, 'reports');
-  const progressFile = path.join(reportsDir, 'progress_summaries.json');
+  
+  if (BACKFILL && !REPORT_ARG) {
+    log('error', '--backfill requires --report <path>');
+    process.exit(1);
+  }
+  
+  if (!MODES.includes(MODE)) {
+    log('error', `Unknown --mode "${MODE}" (expected ${MODES.join(' or ')})`);
+    process.exit(1);
+  }
+  
+  if (MODE === 'batch-api' && !provider.supportsBatches) {
+    log('error', `--mode batch-api needs LLM_PROVIDER=anthropic (current provider: ${provider.name})`);
+    process.exit(1);
+  }
+  
+  if (DOCUMENT_CONFIG.mode !== 'text' && !provider.supportsDocuments) {
+    log('warn', `The ${provider.name} provider cannot read PDF documents; CLAUDE_PDF_MODE=${DOCUMENT_CONFIG.mode} ignored, using extracted text`);
+    DOCUMENT_CONFIG.mode = 'text';
+  }
+  PROMPT_VERSION = promptVersion(LLM_CONFIG, DOCUMENT_CONFIG, VERIFICATION_CONFIG, MAX_CONTENT_CHARS);
+  
+  const caseTypeModels = Object.entries(LLM_CONFIG.modelsByCaseType).map(([caseType, model]) => `${caseType} → ${model}`);
+  log('info', `LLM: ${provider.name}, model ${LLM_CONFIG.model}${caseTypeModels.length ? ` (${caseTypeModels.join(', ')})` : ''}${DRY_RUN ? ' [dry run]' : ''}`);
   
   // Find the most recent daily upload report
   if (!fs.existsSync(reportsDir)) {
@@ -425,83 +1153,176 @@ async function main() {
     process.exit(1);
   }
   
-  const reportFiles = fs.readdirSync(reportsDir)
-    .filter(f => f.startsWith('s3_daily_uploads_') && f.endsWith('.xlsx'))
-    .sort()
-    .reverse();
+  let latestReport;
+  if (REPORT_ARG) {
+    latestReport = path.resolve(REPORT_ARG);
+    if (!fs.existsSync(latestReport)) {
+      log('error', `Report not found: ${latestReport}`);
+      process.exit(1);
+    }
+  } else {
+    // Only the report the last scan wrote for today's window; an older one was already sent
+    const manifestFile = path.join(reportsDir, 'scan_manifest.json');
+    let manifest;
+    try {
+      manifest = readScanManifest(manifestFile);
+    } catch (error) {
+      log('error', `Scan manifest cannot be read: ${error.message}`);
+      process.exit(1);
+    }
+    if (!manifest) {
+      log('error', 'No scan manifest found. Run s3_daily_summary.js first, or pass --report <path>.');
+      process.exit(1);
+    }
+    
+    const todayWindow = computeReportWindow(DateTime.now(), WINDOW_CONFIG);
+    const today = todayWindow.end.toFormat('dd LLL yyyy, hh:mm a');
+    if (todayWindow.skipped) {
+      log('info', `${todayWindow.end.toFormat('dd LLL yyyy')} is a skipped day (weekend/holiday); nothing to summarize.`);
+      return;
+    }
+    if (manifest.status === 'failed') {
+      log('error', `The last scan (started ${manifest.startedAt}) failed: ${manifest.error}`);
+      log('error', 'Rerun s3_daily_summary.js once it is fixed, or pass --report <path> to summarize a report anyway.');
+      process.exit(1);
+    }
+    const scanned = manifestWindow(manifest, todayWindow.end);
+    if (!scanned) {
+      const covered = manifest.windows.map(w => DateTime.fromISO(w.end, { zone: WINDOW_CONFIG.zone }).toFormat('dd LLL yyyy, hh:mm a'));
+      log('error', `The last scan covered the window(s) ending ${covered.join(', ')}, not today's window (ending ${today}).`);
+      log('error', 'Run s3_daily_summary.js first, or pass --report <path> to summarize another day\'s report.');
+      process.exit(1);
+    }
+    if (!scanned.report) {
+      log('info', `The scan found no uploads in today's window (ending ${today}); nothing to summarize.`);
+      return;
+    }
+    
+    latestReport = manifestReportPath(manifestFile, scanned);
+    if (!fs.existsSync(latestReport)) {
+      log('error', `Report named in the scan manifest not found: ${latestReport}`);
+      process.exit(1);
+    }
+    log('info', `Scan manifest: ${manifest.status}${manifest.dryRun ? ' (dry-run scan)' : ''}, window ending ${today}, ${scanned.uploads} upload(s)`);
+    if (manifest.emailError) {
+      log('warn', `The upload email of that scan was not sent (${manifest.emailError}); summarizing its report anyway`);
+    }
+  }
+  log('info', `Using report: ${path.basename(latestReport)}`);
   
-  if (reportFiles.length === 0) {
-    log('error', 'No daily upload reports found. Run s3_daily_summary.js first.');
-    process.exit(1);
+  // A backfill never touches the daily checkpoint, so today's run can still
+  // resume; neither does a dry run, whose fake answers must not count as done
+  const checkpointName = BACKFILL
+    ? `progress_summaries_backfill_${path.basename(latestReport, '.xlsx').replace('s3_daily_uploads_', '')}`
+    : 'progress_summaries';
+  const progressFile = path.join(reportsDir, `${checkpointName}${DRY_RUN ? '_dry' : ''}.json`);
+  if (BACKFILL || DRY_RUN) {
+    log('info', `${DRY_RUN ? 'Dry-run' : 'Backfill'} checkpoint: ${path.basename(progressFile)}`);
   }
   
-  const latestReport = path.join(reportsDir, reportFiles[0]);
-  log('info', `Using report: ${reportFiles[0]}`);
+  // Fake answers from dry runs are cached separately
+  if (RESULT_CACHE) {
+    resultCacheFile = path.join(reportsDir, `result_cache${DRY_RUN ? '_dry' : ''}.json`);
+    try {
+      resultCache = loadCache(resultCacheFile);
+      log('info', `Result cache: ${Object.keys(resultCache.entries).length} cached result(s), prompt version ${PROMPT_VERSION}`);
+    } catch (error) {
+      log('warn', `Result cache not used: ${error.message} (run "node summary_cache.js clear" to start a new one)`);
+    }
+  }
   
   // Read all files from Excel
-  const files = readFilesFromExcel(latestReport);
+  const files = readFilesFromExcel(latestReport, log);
+  runState.report = latestReport;
+  runState.files = files;
   
   if (files.length === 0) {
     log('warn', 'No files to process');
+    finishSummaryManifest('nothing-to-do');
     return;
   }
   
-  log('info', `Total files to process: ${files.length}`);
-  const numBatches = Math.ceil(files.length / BATCH_SIZE);
-  log('info', `Will process in ${numBatches} batches of ${BATCH_SIZE} files each`);
-  log('info', `Estimated time: ${(files.length * 3 / 60).toFixed(1)} minutes`);
+  // Resume: skip every file that already has a result for this report
+  const progress = loadProgress(progressFile, latestReport, log);
+  runState.progress = progress;
+  tokenUsage = progress.usage || (progress.usage = {});
+  const seen = new Set();
+  const pending = files.filter(f => {
+    const id = fileId(f.bucket, f.key);
+    if (seen.has(id)) return false;
+    seen.add(id);
+    return !isDone(progress, f);
+  });
+  const totalFiles = seen.size;
   
-  // Process all batches
-  let allSummaries = [];
+  log('info', `Summarize filters${FILE_FILTERS.source ? ` (${path.basename(FILE_FILTERS.source)})` : ' (defaults)'}: ${describeStage(FILE_FILTERS.summarize)}`);
+  log('info', `Total files in report: ${totalFiles}`);
+  log('info', `Already processed: ${totalFiles - pending.length}`);
+  log('info', `Remaining to process: ${pending.length}`);
   
-  for (let batchNum = 0; batchNum < numBatches; batchNum++) {
-    const startIndex = batchNum * BATCH_SIZE;
-    const endIndex = Math.min(startIndex + BATCH_SIZE, files.length);
-    
-    log('info', `\n========================================`);
-    log('info', `📦 Batch ${batchNum + 1}/${numBatches}`);
-    log('info', `========================================`);
-    
-    allSummaries = await processBatch(files, startIndex, endIndex, progressFile, latestReport);
-    
-    log('info', `✓ Batch ${batchNum + 1}/${numBatches} complete!`);
-    log('info', `Total summaries generated so far: ${allSummaries.length}/${files.length}`);
-    
-    // Brief pause between batches
-    if (batchNum < numBatches - 1) {
-      log('info', `Pausing 5 seconds before next batch...`);
-      await new Promise(resolve => setTimeout(resolve, 5000));
-    }
+  // Recorded so that "resume_summaries.js resume" continues in the same mode
+  progress.mode = MODE;
+  if (MODE === 'batch-api') {
+    log('info', `Mode: message batch (downloads with ${CLAUDE_CONCURRENCY} workers; results usually within the hour, at most 24h)`);
+    const filesById = new Map(files.map(f => [fileId(f.bucket, f.key), f]));
+    await processFilesWithBatchApi(pending, progress, progressFile, totalFiles, filesById);
+  } else {
+    log('info', `Workers: ${CLAUDE_CONCURRENCY} | Limits: ${CLAUDE_RPM} req/min, ${CLAUDE_TPM} tokens/min`);
+    log('info', `Estimated time: at least ${(pending.length / CLAUDE_RPM).toFixed(1)} minutes`);
+    await processFiles(pending, progress, progressFile, totalFiles);
   }
   
-  // All batches complete - create final Excel file
+  // Same-text duplicates can only be found here, once the text is extracted
+  const textDuplicates = findTextDuplicateGroups(files
+    .filter(f => progress.results[fileId(f.bucket, f.key)])
+    .map(f => ({ Bucket: f.bucket, Key: f.key, Size: f.size, ETag: f.etag, fingerprint: progress.results[fileId(f.bucket, f.key)].textFingerprint })));
+  if (textDuplicates.length > 0) {
+    log('warn', `Possible duplicates: ${textDuplicates.length} group(s) of files with the same text`);
+    if (!DRY_RUN) addTextDuplicatesToReport(latestReport, textDuplicates);
+  }
+  
+  // Counted from the report, so files skipped by an earlier run of it count too
+  const exclusions = countExclusions([...new Map(files.map(f => [fileId(f.bucket, f.key), f])).values()]
+    .map(f => ({ bucket: f.bucket, reason: exclusionReason(FILE_FILTERS.summarize, f.bucket, f.key) }))
+    .filter(e => e.reason));
+  const excludedCount = exclusions.reduce((sum, e) => sum + e.total, 0);
+  if (excludedCount > 0) {
+    log('info', `Files excluded by the summarize filters: ${excludedCount}`);
+  }
+  
+  // One row per file, in report order, regardless of how many runs it took
+  const allSummaries = [...seen]
+    .map(id => progress.results[id])
+    .filter(Boolean)
+    .map(r => r.row);
+  
+  // All files processed - create final Excel file
   log('info', '\n========================================');
   log('info', '📊 Creating Final Summary Report');
   log('info', '========================================');
   
   const wb = XLSX.utils.book_new();
-  const ws = XLSX.utils.json_to_sheet(allSummaries);
-  
-  ws['!cols'] = [
-    { wch: 30 },
-    { wch: 50 },
-    { wch: 100 },
-  ];
+  const ws = formatTable(XLSX.utils.json_to_sheet(allSummaries, { header: SUMMARY_COLUMNS }));
   
   XLSX.utils.book_append_sheet(wb, ws, 'File Summaries');
   
   const inputFilename = path.basename(latestReport);
-  const dateMatch = inputFilename.match(/(\d{8})/);
-  const dateStr = dateMatch ? dateMatch[1] : DateTime.now().setZone('Asia/Kolkata').toFormat('yyyyLLdd');
+  const dateMatch = inputFilename.match(REPORT_STAMP);
+  const dateStr = dateMatch ? dateMatch[1] : DateTime.now().setZone(WINDOW_CONFIG.zone).toFormat('yyyyLLdd');
   
-  const summaryFilename = `file_summaries_${dateStr}.xlsx`;
+  const summaryFilename = `file_summaries_${dateStr}${DRY_RUN ? '_dry' : ''}.xlsx`;
   const summaryPath = path.join(reportsDir, summaryFilename);
   
-  XLSX.writeFile(wb, summaryPath);
+  writeWorkbook(wb, summaryPath);
   log('info', `✓ Summary report created: ${summaryFilename}`);
+  const filesById = new Map(files.map(f => [fileId(f.bucket, f.key), f]));
+  runState.exports = exportSummaryDataset(summaryPath, latestReport, [...seen], filesById, progress.results);
   
-  // Clean up progress file
-  if (fs.existsSync(progressFile)) {
+  // Keep the checkpoint while failures are left for "resume_summaries.js resume"
+  const retryable = [...seen].filter(id => progress.results[id] && RETRYABLE_STATUSES.has(progress.results[id].status));
+  if (retryable.length > 0) {
+    log('warn', `${retryable.length} file(s) failed with a retryable error; checkpoint kept, run "node resume_summaries.js resume --checkpoint ${path.basename(progressFile)}" to retry them`);
+  } else if (fs.existsSync(progressFile)) {
     try {
       fs.unlinkSync(progressFile);
       log('info', '✓ Progress file cleaned up');
@@ -511,7 +1332,15 @@ async function main() {
   }
   
   // Send email with both attachments
-  const emailSent = await sendEmail(summaryPath, latestReport);
+  let emailInfo = null;
+  if (DRY_RUN) {
+    log('info', 'Dry run: email not sent');
+  } else {
+    emailInfo = await sendEmail(summaryPath, latestReport, textDuplicates, exclusions, retryable.length);
+  }
+  finishSummaryManifest(retryable.length > 0 ? 'incomplete' : 'completed', {
+    email: emailInfo ? { messageId: emailInfo.messageId, recipients: TO_EMAIL } : null,
+  });
   
   const totalTime = ((Date.now() - startTime) / 1000 / 60).toFixed(1);
   
@@ -520,8 +1349,8 @@ async function main() {
   log('info', '========================================');
   log('info', `Total files processed: ${allSummaries.length}`);
   log('info', `Total time: ${totalTime} minutes`);
-  log('info', `Email sent: ${emailSent ? 'Yes' : 'No'}`);
-  log('info', `End time: ${DateTime.now().setZone('Asia/Kolkata').toFormat('dd LLL yyyy, HH:mm:ss')}`);
+  log('info', `Email sent: ${emailInfo ? 'Yes' : 'No'}`);
+  log('info', `End time: ${DateTime.now().setZone(WINDOW_CONFIG.zone).toFormat('dd LLL yyyy, HH:mm:ss')}`);
   log('info', '========================================');
 }
 
@@ -529,5 +1358,6 @@ async function main() {
 main().catch(err => {
   log('error', `Fatal error: ${err.message}`);
   log('error', `Stack: ${err.stack}`);
+  finishSummaryManifest('failed', { error: err.message });
   process.exit(1);
 });
@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+/**
+ * Summary Progress Tool
+ *
+ * Inspects and recovers the checkpoints written by process_in_batches.js:
+ * progress_summaries.json for the daily run, plus one per backfilled report
+ * (progress_summaries_backfill_<date>.json) and a "_dry" one for dry runs.
+ *
+ *   node resume_summaries.js status   Processed/remaining counts, ETA and failures by category, per checkpoint
+ *   node resume_summaries.js resume   Continue the interrupted run from the checkpoint
+ *   node resume_summaries.js clean    Archive the checkpoint so the next run starts fresh
+ *
+ * --checkpoint <file> picks one checkpoint (a name in reports/ or a path).
+ * Without it, status shows every checkpoint, and resume and clean act on the
+ * only one there is.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { DateTime } = require('luxon');
+const { readFilesFromExcel } = require('./lib/upload_report');
+const {
+  RETRYABLE_STATUSES,
+  fileId,
+  readProgressFile,
+  archiveProgress,
+} = require('./lib/progress_store');
+const { getWindowConfig } = require('./lib/report_window');
+const { loadConfig } = require('./lib/config');
+
+require('dotenv').config({ path: path.resolve(__dirname, '.env') });
+
+let CONFIG;
+try {
+  CONFIG = loadConfig();
+} catch (error) {
+  console.error(`Invalid configuration: ${error.message}`);
+  process.exit(1);
+}
+
+const REPORTS_DIR = path.join(__dirname, 'reports');
+// The names process_in_batches.js gives its checkpoints
+const CHECKPOINT_PATTERN = /^progress_summaries(_backfill_.+?)?(_dry)?\.json$/;
+
+let WINDOW_CONFIG;
+try {
+  WINDOW_CONFIG = getWindowConfig(CONFIG.env);
+} catch (error) {
+  console.error(`Invalid reporting window configuration: ${error.message}`);
+  process.exit(1);
+}
+
+// Used for the ETA until the checkpoint has enough history to measure a rate
+const DEFAULT_SECONDS_PER_FILE = 3;
+
+function log(level, msg) {
+  const ts = DateTime.now().setZone(WINDOW_CONFIG.zone).toFormat('HH:mm:ss');
+  console.log(`[${ts}] [${level.toUpperCase()}] ${msg}`);
+}
+
+function progressBar(fraction, width = 40) {
+  const filled = Math.round(fraction * width);
+  return `[${'='.repeat(filled)}${' '.repeat(width - filled)}] ${(fraction * 100).toFixed(1)}%`;
+}
+
+function argValue(name) {
+  const idx = process.argv.indexOf(name);
+  return idx !== -1 && idx + 1 < process.argv.length ? process.argv[idx + 1] : null;
+}
+
+function listCheckpoints() {
+  if (!fs.existsSync(REPORTS_DIR)) return [];
+  return fs.readdirSync(REPORTS_DIR)
+    .filter(name => CHECKPOINT_PATTERN.test(name))
+    .sort()
+    .map(name => path.join(REPORTS_DIR, name));
+}
+
+// The checkpoint named by --checkpoint, or every checkpoint in reports/
+function selectedCheckpoints() {
+  const arg = argValue('--checkpoint');
+  if (process.argv.includes('--checkpoint') && !arg) {
+    log('error', '--checkpoint needs a file name or path');
+    process.exit(1);
+  }
+  if (!arg) return listCheckpoints();
+
+  const file = arg.includes(path.sep) || arg.includes('/') ? path.resolve(arg) : path.join(REPORTS_DIR, arg);
+  if (!CHECKPOINT_PATTERN.test(path.basename(file))) {
+    log('error', `${path.basename(file)} is not a summary checkpoint (progress_summaries*.json)`);
+    process.exit(1);
+  }
+  if (!fs.existsSync(file)) {
+    log('error', `Checkpoint not found: ${file}`);
+    process.exit(1);
+  }
+  return [file];
+}
+
+// resume and clean act on one checkpoint; several need --checkpoint
+function singleCheckpoint(action) {
+  const files = selectedCheckpoints();
+  if (files.length === 0) {
+    log('info', `No progress file found - nothing to ${action}.`);
+    return null;
+  }
+  if (files.length > 1) {
+    log('error', `${files.length} checkpoints found; pick one with --checkpoint <file>:`);
+    files.forEach(f => log('error', `  ${path.basename(f)}`));
+    process.exit(1);
+  }
+  return files[0];
+}
+
+// The checkpoint, or null (with the problem logged) when it cannot be used
+function loadCheckpoint(progressFile) {
+  const name = path.basename(progressFile);
+  let progress;
+  try {
+    progress = readProgressFile(progressFile);
+  } catch (err) {
+    log('error', `${name} is not valid JSON: ${err.message}`);
+    log('info', `Run "node resume_summaries.js clean --checkpoint ${name}" to archive it.`);
+    return null;
+  }
+
+  if (!progress.results) {
+    log('error', `${name} uses the old (pre-v2) format and cannot be resumed.`);
+    log('info', `Run "node resume_summaries.js clean --checkpoint ${name}" to archive it.`);
+    return null;
+  }
+
+  return progress;
+}
+
+// Every checkpoint is shown; one that cannot be read only fails the exit code
+function status() {
+  const files = selectedCheckpoints();
+  if (files.length === 0) {
+    log('info', 'No progress file found - there is no interrupted run to resume.');
+    return;
+  }
+  const failed = files.filter(file => !showStatus(file));
+  if (failed.length > 0) {
+    log('error', `${failed.length} of ${files.length} checkpoint(s) could not be shown`);
+    process.exitCode = 1;
+  }
+}
+
+// Print one checkpoint's status; false when it cannot be read
+function showStatus(progressFile) {
+  const progress = loadCheckpoint(progressFile);
+  if (!progress) return false;
+
+  if (!progress.excelPath || !fs.existsSync(progress.excelPath)) {
+    log('error', `${path.basename(progressFile)}: source report not found: ${progress.excelPath || '(not recorded)'}`);
+    return false;
+  }
+
+  const files = readFilesFromExcel(progress.excelPath);
+  const ids = new Set(files.map(f => fileId(f.bucket, f.key)));
+  const total = ids.size;
+
+  const byStatus = new Map();
+  let done = 0;
+  for (const id of ids) {
+    const result = progress.results[id];
+    if (!result) continue;
+    byStatus.set(result.status, (byStatus.get(result.status) || 0) + 1);
+    if (!RETRYABLE_STATUSES.has(result.status)) done++;
+  }
+  const remaining = total - done;
+
+  const recorded = Object.keys(progress.results).length;
+  const elapsedSec = (new Date(progress.timestamp) - new Date(progress.startedAt)) / 1000;
+  const secondsPerFile = recorded > 0 && elapsedSec >= 60 ? elapsedSec / recorded : DEFAULT_SECONDS_PER_FILE;
+  const etaMin = (remaining * secondsPerFile) / 60;
+
+  console.log('');
+  console.log(`Checkpoint:    ${path.basename(progressFile)}`);
+  console.log(`Report:        ${path.basename(progress.excelPath)}`);
+  console.log(`Started:       ${DateTime.fromISO(progress.startedAt).setZone(WINDOW_CONFIG.zone).toFormat('dd LLL yyyy, HH:mm:ss')}`);
+  console.log(`Last saved:    ${DateTime.fromISO(progress.timestamp).setZone(WINDOW_CONFIG.zone).toFormat('dd LLL yyyy, HH:mm:ss')}`);
+  console.log(`Mode:          ${progress.mode || 'pool'}`);
+  console.log('');
+  console.log(progressBar(total > 0 ? done / total : 1));
+  console.log(`Processed:     ${done}/${total}`);
+  console.log(`Remaining:     ${remaining}`);
+  if (progress.batch) {
+    const submitted = DateTime.fromISO(progress.batch.submittedAt).setZone(WINDOW_CONFIG.zone).toFormat('dd LLL yyyy, HH:mm:ss');
+    console.log(`Batch:         ${progress.batch.id} (${Object.keys(progress.batch.requests).length} request(s), submitted ${submitted})`);
+  } else {
+    console.log(`ETA:           ${etaMin.toFixed(1)} minutes (${secondsPerFile.toFixed(1)}s per file)`);
+  }
+  console.log('');
+  console.log('Results by category:');
+  for (const [category, count] of [...byStatus.entries()].sort((a, b) => b[1] - a[1])) {
+    const note = RETRYABLE_STATUSES.has(category) ? ' (retried on resume)' : '';
+    console.log(`  ${category.padEnd(16)} ${count}${note}`);
+  }
+  if (byStatus.size === 0) console.log('  (none yet)');
+  console.log('');
+  return true;
+}
+
+function resume() {
+  const progressFile = singleCheckpoint('resume');
+  if (!progressFile) return;
+  const progress = loadCheckpoint(progressFile);
+  if (!progress) process.exit(1);
+  const [, backfill, dry] = path.basename(progressFile).match(CHECKPOINT_PATTERN);
+
+  log('info', `Resuming ${path.basename(progress.excelPath)} from ${path.basename(progressFile)}...`);
+
+  // Keep flags such as --expose-gc from run_with_gc.sh; --backfill and --dry
+  // make process_in_batches.js pick the same checkpoint again
+  const child = spawn(process.execPath, [
+    ...process.execArgv,
+    path.join(__dirname, 'process_in_batches.js'),
+    '--report', progress.excelPath,
+    '--mode', progress.mode || 'pool',
+    ...(backfill ? ['--backfill'] : []),
+    ...(dry ? ['--dry'] : []),
+  ], { cwd: __dirname, stdio: 'inherit' });
+
+  child.on('close', code => process.exit(code));
+}
+
+function clean() {
+  const progressFile = singleCheckpoint('clean');
+  if (!progressFile) return;
+  const archived = archiveProgress(progressFile, 'cleaned');
+  log('info', `Progress file archived to ${path.relative(__dirname, archived)}`);
+  log('info', 'The next run will start from the beginning.');
+}
+
+const COMMANDS = { status, resume, clean };
+
+const command = process.argv[2];
+if (!COMMANDS[command]) {
+  console.log('Usage: node resume_summaries.js <status|resume|clean> [--checkpoint <file>]');
+  process.exit(command ? 1 : 0);
+}
+
+COMMANDS[command]();
@@ -5,14 +5,65 @@
  * This script runs the entire data ingestion pipeline in one go:
  * 1. Scans S3 buckets and generates upload report (npm start)
  * 2. Processes files in batches and sends email (npm run batch)
+ *
+ * Backfill: --date YYYY-MM-DD or --from YYYY-MM-DD --to YYYY-MM-DD regenerates
+ * past windows (one upload report each); --no-summarize stops after step 1.
+ * --mode batch-api is passed on to step 2. Step 2 only summarizes the reports
+ * step 1 recorded in its scan manifest (reports/scan_manifest.json).
+ *
+ * Every run leaves an audit record in reports/runs/<run id>.json
+ * (lib/run_record.js); node run_history.js lists and diffs them.
  */
 
 const { spawn } = require('child_process');
 const path = require('path');
 const { DateTime } = require('luxon');
+const {
+  getWindowConfig,
+  parseBackfillWindows,
+} = require('./lib/report_window');
+const { loadConfig } = require('./lib/config');
+const { readScanManifest, manifestReportPath } = require('./lib/scan_manifest');
+const { newRunId, versionInfo, readSummaryManifest, saveRunRecord } = require('./lib/run_record');
+
+require('dotenv').config({ path: path.resolve(__dirname, '.env') });
+
+let CONFIG;
+try {
+  CONFIG = loadConfig();
+} catch (error) {
+  console.error(`Invalid configuration: ${error.message}`);
+  process.exit(1);
+}
+
+const BACKFILL_FLAGS = ['--date', '--from', '--to'];
+const NO_SUMMARIZE = process.argv.includes('--no-summarize');
+const MODE_IDX = process.argv.indexOf('--mode');
+const MODE_VALUE = MODE_IDX !== -1 ? process.argv[MODE_IDX + 1] : undefined;
+if (MODE_IDX !== -1 && (!MODE_VALUE || MODE_VALUE.startsWith('--'))) {
+  console.error('--mode needs a value (pool or batch-api)');
+  process.exit(1);
+}
+const MODE_ARGS = MODE_IDX !== -1 ? ['--mode', MODE_VALUE] : [];
+
+const REPORTS_DIR = path.join(__dirname, 'reports');
+const SCAN_MANIFEST_FILE = path.join(REPORTS_DIR, 'scan_manifest.json');
+const SUMMARY_MANIFEST_FILE = path.join(REPORTS_DIR, 'summary_manifest.json');
+const RUN_ID = newRunId();
+// Exit code of s3_daily_summary.js when only its upload email failed: the
+// report is complete, so step 2 still runs; the pipeline exits with it too
+const EXIT_EMAIL_FAILED = 2;
+
+let WINDOW_CONFIG;
+try {
+  WINDOW_CONFIG = getWindowConfig(CONFIG.env);
+} catch (error) {
+  console.error(`Invalid reporting window configuration: ${error.message}`);
+  process.exit(1);
+}
 
 function log(level, msg) {
-  const ts = DateTime.now().setZone('Asia/Kolkata').toFormat('HH:mm:ss');
+  const ts = DateTime.now().setZone(WINDOW_CONFIG.zone).toFormat('HH:mm:ss');
   console.log(`[${ts}] [${level.toUpperCase()}] ${msg}`);
 }
 
@@ -20,10 +71,12 @@ function runCommand(command, args = []) {
   return new Promise((resolve, reject) => {
     log('info', `Running: ${command} ${args.join(' ')}`);
     
+    // No shell, so report paths with spaces reach the step as one argument
     const proc = spawn(command, args, {
       cwd: __dirname,
       stdio: 'inherit',
-      shell: true
+      // The steps tag their manifests with it
+      env: { ...process.env, PIPELINE_RUN_ID: RUN_ID },
     });
     
     proc.on('close', (code) => {
@@ -32,7 +85,7 @@ function runCommand(command, args = []) {
         resolve();
       } else {
         log('error', `✗ Command failed with code ${code}`);
-        reject(new Error(`Process exited with code ${code}`));
+        reject(Object.assign(new Error(`Process exited with code ${code}`), { exitCode: code }));
       }
     });
     
@@ -43,30 +96,134 @@ function runCommand(command, args = []) {
   });
 }
 
+// Run one step and note it in the run record, with the manifest it wrote for this run
+async function runStep(record, script, args = []) {
+  const step = { script, args, startedAt: new Date().toISOString(), status: 'running' };
+  record.steps.push(step);
+  const started = Date.now();
+  try {
+    await runCommand('node', [script, ...args]);
+    step.status = 'ok';
+  } catch (error) {
+    step.error = error.message;
+    if (script === 's3_daily_summary.js' && error.exitCode === EXIT_EMAIL_FAILED) {
+      step.status = 'email-failed';
+    } else {
+      step.status = 'failed';
+      throw error;
+    }
+  } finally {
+    step.durationSeconds = Number(((Date.now() - started) / 1000).toFixed(2));
+    if (script === 's3_daily_summary.js') {
+      let scan = null;
+      try {
+        scan = readScanManifest(SCAN_MANIFEST_FILE);
+      } catch (error) {
+        log('warn', `Scan manifest cannot be read: ${error.message}`);
+      }
+      if (scan && scan.runId === RUN_ID) record.scan = scan;
+    } else {
+      const summary = readSummaryManifest(SUMMARY_MANIFEST_FILE);
+      if (summary && summary.runId === RUN_ID) record.summaries.push(summary);
+    }
+  }
+}
+
+function finishRecord(record, status, error = null) {
+  Object.assign(record, {
+    status,
+    error,
+    finishedAt: new Date().toISOString(),
+    durationSeconds: Number(((Date.now() - Date.parse(record.startedAt)) / 1000).toFixed(2)),
+  });
+  try {
+    const file = saveRunRecord(path.join(REPORTS_DIR, 'runs'), record);
+    log('info', `Run record: ${path.relative(__dirname, file)}`);
+  } catch (err) {
+    log('error', `Could not save the run record: ${err.message}`);
+  }
+}
+
 async function main() {
   const startTime = Date.now();
+  const record = {
+    runId: RUN_ID,
+    startedAt: new Date(startTime).toISOString(),
+    argv: process.argv.slice(2),
+    code: versionInfo(__dirname),
+    steps: [],
+    scan: null,
+    summaries: [],
+  };
   
   log('info', '========================================');
   log('info', '🚀 COMPLETE PIPELINE STARTED');
   log('info', '========================================');
-  log('info', `Start time: ${DateTime.now().setZone('Asia/Kolkata').toFormat('dd LLL yyyy, HH:mm:ss')}`);
+  log('info', `Start time: ${DateTime.now().setZone(WINDOW_CONFIG.zone).toFormat('dd LLL yyyy, HH:mm:ss')}`);
+  log('info', `Run ID: ${RUN_ID}`);
   
   try {
+    const backfillWindows = parseBackfillWindows(process.argv, WINDOW_CONFIG);
+    const backfillArgs = [];
+    for (const flag of BACKFILL_FLAGS) {
+      const idx = process.argv.indexOf(flag);
+      if (idx !== -1) backfillArgs.push(flag, process.argv[idx + 1]);
+    }
+    
+    if (backfillWindows) {
+      log('info', `🕰️ Backfill mode: ${backfillWindows.length} window(s), summarization ${NO_SUMMARIZE ? 'off' : 'on'}`);
+    }
+    
     // Step 1: Run S3 scan and generate upload report
     log('info', '\n========================================');
     log('info', '📊 STEP 1: Scanning S3 Buckets');
     log('info', '========================================');
-    await runCommand('node', ['s3_daily_summary.js']);
+    await runStep(record, 's3_daily_summary.js', backfillArgs);
     
     log('info', '\n✓ Step 1 complete! Upload report generated.');
-    log('info', 'Waiting 5 seconds before starting batch processing...\n');
-    await new Promise(resolve => setTimeout(resolve, 5000));
     
-    // Step 2: Process files in batches and send email
-    log('info', '========================================');
-    log('info', '🤖 STEP 2: Processing Files in Batches');
-    log('info', '========================================');
-    await runCommand('node', ['process_in_batches.js']);
+    const manifest = record.scan;
+    if (!manifest) {
+      throw new Error('Step 1 did not write a scan manifest for this run');
+    }
+    // No report is due on a skipped day; step 2 would otherwise re-send the last one
+    if (manifest.status === 'skipped') {
+      log('info', 'Today is a skipped day (weekend/holiday); skipping step 2.');
+      finishRecord(record, 'skipped');
+      return;
+    }
+    if (manifest.emailError) {
+      log('warn', `The upload email was not sent (${manifest.emailError}); its report is still summarized`);
+    }
+    
+    let summarized = !NO_SUMMARIZE;
+    if (NO_SUMMARIZE) {
+      log('info', 'Summarization disabled (--no-summarize); skipping step 2.');
+    } else if (backfillWindows) {
+      // Windows without uploads have no report
+      const reports = manifest.windows
+        .filter(w => w.report)
+        .map(w => manifestReportPath(SCAN_MANIFEST_FILE, w));
+      
+      log('info', '========================================');
+      log('info', `🤖 STEP 2: Processing ${reports.length} Backfilled Report(s)`);
+      log('info', '========================================');
+      for (const report of reports) {
+        await runStep(record, 'process_in_batches.js', ['--report', report, '--backfill', ...MODE_ARGS]);
+      }
+    } else if (manifest.status === 'no-uploads') {
+      log('info', 'No uploads in today\'s window (a notice was emailed); skipping step 2.');
+      summarized = false;
+    } else {
+      log('info', `Waiting ${CONFIG.values.pipeline.stepDelaySeconds} seconds before starting batch processing...\n`);
+      await new Promise(resolve => setTimeout(resolve, CONFIG.values.pipeline.stepDelaySeconds * 1000));
+      
+      // Step 2: Process files in batches and send email
+      log('info', '========================================');
+      log('info', '🤖 STEP 2: Processing Files in Batches');
+      log('info', '========================================');
+      await runStep(record, 'process_in_batches.js', MODE_ARGS);
+    }
     
     const totalTime = ((Date.now() - startTime) / 1000 / 60).toFixed(1);
     
@@ -74,9 +231,19 @@ async function main() {
     log('info', '✅ COMPLETE PIPELINE FINISHED!');
     log('info', '========================================');
     log('info', `Total time: ${totalTime} minutes`);
-    log('info', `End time: ${DateTime.now().setZone('Asia/Kolkata').toFormat('dd LLL yyyy, HH:mm:ss')}`);
-    log('info', '\n📧 Email has been sent with both reports attached!');
+    log('info', `End time: ${DateTime.now().setZone(WINDOW_CONFIG.zone).toFormat('dd LLL yyyy, HH:mm:ss')}`);
+    if (manifest.emailError) {
+      log('warn', `\n📧 The upload report email was not sent: ${manifest.emailError}`);
+    } else {
+      log('info', !summarized ? '\n📧 Upload report email has been sent.' : '\n📧 Email has been sent with both reports attached!');
+    }
     log('info', '========================================');
+    if (manifest.emailError) {
+      finishRecord(record, 'partial', `Upload email not sent: ${manifest.emailError}`);
+      process.exitCode = EXIT_EMAIL_FAILED;
+      return;
+    }
+    finishRecord(record, 'ok');
     
   } catch (error) {
     const totalTime = ((Date.now() - startTime) / 1000 / 60).toFixed(1);
@@ -87,6 +254,7 @@ async function main() {
     log('error', `Error: ${error.message}`);
     log('error', `Failed after ${totalTime} minutes`);
     log('error', '========================================');
+    finishRecord(record, 'failed', error.message);
     process.exit(1);
   }
 }
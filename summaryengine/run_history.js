@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+/**
+ * Pipeline Run History
+ *
+ * Reads the run records run_complete_pipeline.js leaves in reports/runs/.
+ *
+ *   node run_history.js list [--limit n]         Recent runs, newest first (default 20)
+ *   node run_history.js show <run id|latest>     Steps, scan, email and every file's outcome
+ *   node run_history.js diff [<run a> <run b>]   Files added, removed or with another outcome
+ *                                                (default: the two latest runs)
+ *   node run_history.js find <text>              Runs that reviewed files whose bucket/key contains text
+ *
+ * A run ID can be shortened to any unique prefix.
+ */
+
+const path = require('path');
+const { DateTime } = require('luxon');
+const { loadRunRecords, fileOutcomes, diffRuns } = require('./lib/run_record');
+const { getWindowConfig } = require('./lib/report_window');
+const { loadConfig } = require('./lib/config');
+
+require('dotenv').config({ path: path.resolve(__dirname, '.env') });
+
+let CONFIG;
+try {
+  CONFIG = loadConfig();
+} catch (error) {
+  console.error(`Invalid configuration: ${error.message}`);
+  process.exit(1);
+}
+
+const RUNS_DIR = path.join(__dirname, 'reports', 'runs');
+const args = process.argv.slice(3);
+
+let WINDOW_CONFIG;
+try {
+  WINDOW_CONFIG = getWindowConfig(CONFIG.env);
+} catch (error) {
+  console.error(`Invalid reporting window configuration: ${error.message}`);
+  process.exit(1);
+}
+
+function log(level, msg) {
+  const ts = DateTime.now().setZone(WINDOW_CONFIG.zone).toFormat('HH:mm:ss');
+  console.log(`[${ts}] [${level.toUpperCase()}] ${msg}`);
+}
+
+function formatTime(iso) {
+  return iso ? DateTime.fromISO(iso).setZone(WINDOW_CONFIG.zone).toFormat('dd LLL yyyy, HH:mm:ss') : '';
+}
+
+function readRecords() {
+  const records = loadRunRecords(RUNS_DIR);
+  if (records.length === 0) {
+    log('info', `No run records found (${path.relative(__dirname, RUNS_DIR)}). They are written by run_complete_pipeline.js.`);
+    process.exit(0);
+  }
+  return records;
+}
+
+function findRecord(records, id) {
+  if (id === 'latest') return records[records.length - 1];
+  const matches = records.filter(r => r.runId.startsWith(id));
+  if (matches.length === 1) return matches[0];
+  log('error', matches.length === 0 ? `No run ${id}` : `Run ID ${id} is ambiguous (${matches.length} runs)`);
+  process.exit(1);
+}
+
+function windowsOf(record) {
+  return record.scan ? record.scan.windows.map(w => w.date).join(', ') : '-';
+}
+
+function totalTokens(record) {
+  let tokens = 0;
+  for (const summary of record.summaries || []) {
+    for (const usage of Object.values(summary.usage || {})) {
+      tokens += usage.inputTokens + usage.outputTokens;
+    }
+  }
+  return tokens;
+}
+
+function list() {
+  const idx = args.indexOf('--limit');
+  const limit = idx !== -1 ? Number(args[idx + 1]) : 20;
+  if (!Number.isInteger(limit) || limit < 1) {
+    console.log('Usage: node run_history.js list [--limit n]');
+    process.exit(1);
+  }
+  const records = readRecords();
+
+  console.log('');
+  console.log(`${'Run ID'.padEnd(22)} ${'Started'.padEnd(22)} ${'Status'.padEnd(8)} ${'Window(s)'.padEnd(24)} ${'Uploads'.padStart(7)} ${'Files'.padStart(6)} ${'Tokens'.padStart(9)}`);
+  for (const record of records.slice(-limit).reverse()) {
+    const files = fileOutcomes(record).size;
+    console.log([
+      record.runId.padEnd(22),
+      formatTime(record.startedAt).padEnd(22),
+      record.status.padEnd(8),
+      windowsOf(record).slice(0, 24).padEnd(24),
+      String(record.scan ? record.scan.totalUploads ?? 0 : '-').padStart(7),
+      String(files).padStart(6),
+      String(totalTokens(record)).padStart(9),
+    ].join(' '));
+  }
+  console.log('');
+}
+
+function show() {
+  const [id] = args;
+  if (!id) {
+    console.log('Usage: node run_history.js show <run id|latest>');
+    process.exit(1);
+  }
+  const record = findRecord(readRecords(), id);
+  const { scan } = record;
+
+  console.log('');
+  console.log(`Run ID:           ${record.runId}`);
+  console.log(`Status:           ${record.status}${record.error ? ` (${record.error})` : ''}`);
+  console.log(`Started:          ${formatTime(record.startedAt)} (${record.durationSeconds}s)`);
+  console.log(`Command:          ${['run_complete_pipeline.js', ...record.argv].join(' ')}`);
+  console.log(`Code:             ${record.code.commit ? `${record.code.commit.slice(0, 12)}${record.code.dirty ? ' (local changes)' : ''}` : 'unknown'}, package ${record.code.package || '?'}`);
+  console.log('');
+  console.log('Steps:');
+  for (const step of record.steps) {
+    console.log(`  ${[step.script, ...step.args].join(' ')}  ${step.status}, ${step.durationSeconds}s${step.error ? ` (${step.error})` : ''}`);
+  }
+
+  if (scan) {
+    console.log('');
+    console.log(`Scan:             ${scan.status}, ${scan.totalUploads ?? 0} upload(s), window(s) ${windowsOf(record)}`);
+    if (scan.error) console.log(`Scan error:       ${scan.error}`);
+    if (scan.buckets) {
+      console.log(`Buckets:          ${scan.buckets.scanned}/${scan.buckets.names.length} scanned`);
+      for (const f of scan.buckets.errors) {
+        console.log(`  ✗ ${f.bucket}/${f.prefix || ''}  ${f.code}${f.status ? ` (HTTP ${f.status})` : ''}, request ID ${f.requestId || '-'}`);
+      }
+    }
+    if (scan.email) console.log(`Upload email:     ${scan.email.messageId} → ${scan.email.recipients.join(', ')}`);
+    if (scan.emailError) console.log(`Upload email:     not sent (${scan.emailError})`);
+  }
+
+  for (const summary of record.summaries) {
+    console.log('');
+    console.log(`Summaries of ${summary.report}: ${summary.status}, ${summary.durationSeconds}s, ${summary.mode}, prompt version ${summary.promptVersion}`);
+    if (summary.error) console.log(`  Error: ${summary.error}`);
+    for (const [model, usage] of Object.entries(summary.usage || {})) {
+      console.log(`  ${model}: ${usage.requests} request(s), ${usage.inputTokens} input + ${usage.outputTokens} output tokens`);
+    }
+    console.log(`  Outcomes: ${Object.entries(summary.counts).map(([status, n]) => `${n} ${status}`).join(', ') || 'none'}`);
+    if (summary.email) console.log(`  Email: ${summary.email.messageId} → ${summary.email.recipients.join(', ')}`);
+    for (const file of summary.files) {
+      const detail = file.reason ? `  (${file.reason})` : file.model ? `  [${file.model}]` : '';
+      console.log(`    ${file.status.padEnd(14)} ${file.bucket}/${file.key}${detail}`);
+    }
+  }
+  console.log('');
+}
+
+function diff() {
+  const records = readRecords();
+  let a;
+  let b;
+  if (args.length >= 2) {
+    a = findRecord(records, args[0]);
+    b = findRecord(records, args[1]);
+  } else if (records.length >= 2) {
+    [a, b] = records.slice(-2);
+  } else {
+    log('info', 'Only one run recorded - nothing to compare.');
+    return;
+  }
+
+  const { added, removed, changed } = diffRuns(a, b);
+  console.log('');
+  console.log(`${a.runId} (${windowsOf(a)}) → ${b.runId} (${windowsOf(b)})`);
+  console.log(`Uploads:          ${a.scan ? a.scan.totalUploads ?? 0 : '-'} → ${b.scan ? b.scan.totalUploads ?? 0 : '-'}`);
+  console.log(`Tokens:           ${totalTokens(a)} → ${totalTokens(b)}`);
+  console.log(`Files:            ${added.length} added, ${removed.length} removed, ${changed.length} with another outcome`);
+  for (const id of added) console.log(`  + ${id}`);
+  for (const id of removed) console.log(`  - ${id}`);
+  for (const c of changed) console.log(`  ~ ${c.file}: ${c.from} → ${c.to}`);
+  console.log('');
+}
+
+function find() {
+  const [text] = args;
+  if (!text) {
+    console.log('Usage: node run_history.js find <text in bucket/key>');
+    process.exit(1);
+  }
+  const needle = text.toLowerCase();
+  let found = 0;
+
+  console.log('');
+  for (const record of readRecords()) {
+    for (const [id, file] of fileOutcomes(record)) {
+      if (!id.toLowerCase().includes(needle)) continue;
+      found++;
+      console.log(`${record.runId}  ${windowsOf(record).padEnd(12)}  ${file.status.padEnd(14)} ${id}`);
+    }
+  }
+  if (found === 0) console.log(`No recorded run reviewed a file matching "${text}".`);
+  console.log('');
+}
+
+const COMMANDS = { list, show, diff, find };
+
+const command = process.argv[2];
+if (!COMMANDS[command]) {
+  console.log('Usage: node run_history.js <list|show|diff|find>');
+  process.exit(command ? 1 : 0);
+}
+
+COMMANDS[command]();
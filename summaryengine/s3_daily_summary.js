@@ -1,67 +1,148 @@
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const { DateTime } = require('luxon');
 const XLSX = require('xlsx');
 const nodemailer = require('nodemailer');
 const { S3Client, ListBucketsCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
 
+const {
+  getWindowConfig,
+  computeReportWindow,
+  formatWindow,
+  reportTitle,
+  historyKey,
+  uploadReportFilename,
+  parseBackfillWindows,
+} = require('./lib/report_window');
+const {
+  BUCKET_WIDE,
+  ROOT_OBJECTS,
+  loadScanState,
+  saveScanState,
+  getWatermark,
+  wasSeen,
+  advanceWatermark,
+} = require('./lib/scan_state');
+const { readInventoryRange } = require('./lib/s3_inventory');
+const { getDateLayouts, layoutListing } = require('./lib/date_layout');
+const { mapWithConcurrency, retryWithBackoff } = require('./lib/concurrency');
+const { getCaseTaxonomy, classifyFolder } = require('./lib/case_folders');
+const { DUPLICATES_SHEET, DUPLICATE_COLUMNS, findDuplicateGroups, duplicateRows, buildDuplicatesHtml } = require('./lib/duplicates');
+const {
+  AVERAGE_DAYS,
+  SPARKLINE_DAYS,
+  emptyHistory,
+  loadHistory,
+  saveHistory,
+  recordDay,
+  buildTrends,
+  sparkline,
+  trendSheet,
+} = require('./lib/upload_history');
+const { getAnomalyConfig, findAnomalies, buildAttentionHtml } = require('./lib/upload_anomalies');
+const { writeScanManifest } = require('./lib/scan_manifest');
+const { getFileFilters, exclusionReason, describeStage, countExclusions, buildExclusionsHtml } = require('./lib/file_filters');
+const { loadConfig } = require('./lib/config');
+const { formatTable, tableSheet, writeWorkbook } = require('./lib/sheet_format');
+const { exportDataset } = require('./lib/dataset_export');
+const { escapeHtml } = require('./lib/html');
+
 require('dotenv').config({ path: path.resolve(__dirname, '.env') });
 
-const AWS_REGION = process.env.AWS_REGION || 'us-east-1';
-const AWS_ACCESS_KEY_ID = process.env.AWS_ACCESS_KEY_ID;
-const AWS_SECRET_ACCESS_KEY = process.env.AWS_SECRET_ACCESS_KEY;
-const S3_BUCKETS_RAW = process.env.S3_BUCKETS;
+let CONFIG;
+try {
+  CONFIG = loadConfig();
+} catch (error) {
+  console.error(`Invalid configuration: ${error.message}`);
+  process.exit(1);
+}
+const { aws, email, scan } = CONFIG.values;
 
-function parseEnvEmails(raw) {
-  if (!raw) return [];
-  const cleaned = String(raw).trim();
-  // Prefer JSON array if provided, e.g. ["a@x.com","b@y.com"]
-  if (cleaned.startsWith('[')) {
-    try {
-      const arr = JSON.parse(cleaned);
-      const items = Array.isArray(arr) ? arr : [];
-      const out = [];
-      for (const item of items) {
-        if (item == null) continue;
-        String(item)
-          .split(',')
-          .forEach(p => {
-            const email = p.replace(/^['"]|['"]$/g, '').trim();
-            if (email) out.push(email);
-          });
-      }
-      return out;
-    } catch {
-      // Fallback: strip brackets and treat as CSV
-      const withoutBrackets = cleaned.replace(/^\[/, '').replace(/\]$/, '');
-      return withoutBrackets
-        .split(',')
-        .map(e => e.replace(/^['"]|['"]$/g, '').trim())
-        .filter(Boolean);
-    }
-  }
-  // Default: CSV string
-  return cleaned
-    .split(',')
-    .map(e => e.replace(/^['"]|['"]$/g, '').trim())
-    .filter(Boolean);
+const AWS_REGION = aws.region;
+const AWS_ACCESS_KEY_ID = aws.accessKeyId;
+const AWS_SECRET_ACCESS_KEY = aws.secretAccessKey;
+
+// list: full listing of the window (default)
+// incremental: start from the persisted watermark and never report a key twice
+// inventory: like incremental, reading S3 Inventory manifests for the buckets in scan.inventory
+// Buckets with a date layout (scan.dateLayout) are listed by day in every
+// mode, so a scan reads only the days since the watermark
+const SCAN_MODE = scan.mode;
+
+// Bucket/prefix listings in flight at once, attempts per page, and how many
+// extra rounds a failed listing gets to continue from its last page
+const S3_SCAN_CONCURRENCY = scan.concurrency;
+const S3_MAX_ATTEMPTS = scan.maxAttempts;
+const S3_RESUME_ROUNDS = scan.resumeRounds;
+// false: list each bucket as a whole instead of per top-level prefix
+const S3_SCAN_BY_PREFIX = scan.byPrefix;
+// Formats the report's tables are also written in (lib/dataset_export.js)
+const EXPORT_FORMATS = CONFIG.values.exports.formats;
+
+let WINDOW_CONFIG;
+try {
+  WINDOW_CONFIG = getWindowConfig(CONFIG.env);
+} catch (error) {
+  console.error(`Invalid reporting window configuration: ${error.message}`);
+  process.exit(1);
 }
 
-const TO_EMAIL = parseEnvEmails(process.env.TO_EMAIL || '');
+let FILE_FILTERS;
+try {
+  FILE_FILTERS = getFileFilters(CONFIG.env);
+} catch (error) {
+  console.error(`Invalid file filter configuration: ${error.message}`);
+  process.exit(1);
+}
+
+let TAXONOMY;
+try {
+  TAXONOMY = getCaseTaxonomy(CONFIG.env);
+} catch (error) {
+  console.error(`Invalid case taxonomy configuration: ${error.message}`);
+  process.exit(1);
+}
 
-const FROM_EMAIL = process.env.FROM_EMAIL || process.env.SMTP_USERNAME;
-const SMTP_SERVER = process.env.SMTP_SERVER || 'smtp.gmail.com';
-const SMTP_PORT = Number(process.env.SMTP_PORT || 587);
-const SMTP_USERNAME = process.env.SMTP_USERNAME;
-const SMTP_PASSWORD = process.env.SMTP_PASSWORD;
+let DATE_LAYOUTS;
+try {
+  DATE_LAYOUTS = getDateLayouts(CONFIG.env);
+} catch (error) {
+  console.error(`Invalid date layout configuration: ${error.message}`);
+  process.exit(1);
+}
+
+let ANOMALY_CONFIG;
+try {
+  ANOMALY_CONFIG = getAnomalyConfig(CONFIG.env);
+} catch (error) {
+  console.error(`Invalid anomaly alert configuration: ${error.message}`);
+  process.exit(1);
+}
+
+const TO_EMAIL = email.to;
+// Optional: gets a separate alert when upload volumes look wrong, and the
+// alert when a run fails outright (TO_EMAIL gets that one when unset)
+const OPS_EMAIL = email.ops;
+
+const FROM_EMAIL = email.from || email.smtpUsername;
+const SMTP_SERVER = email.smtpServer;
+const SMTP_PORT = email.smtpPort;
+const SMTP_USERNAME = email.smtpUsername;
+const SMTP_PASSWORD = email.smtpPassword;
 
 const DRY_RUN = process.argv.includes('--dry');
+// Exit code when the scan and report succeeded but the upload email was not
+// sent; run_complete_pipeline.js still runs the batch step on that report
+const EXIT_EMAIL_FAILED = 2;
+// Tells process_in_batches.js which report belongs to which window
+const SCAN_MANIFEST_FILE = path.join(__dirname, 'reports', 'scan_manifest.json');
 const ARGV = new Set(process.argv.slice(2));
 const VERBOSE = ARGV.has('--verbose');
 
 function log(level, msg) {
   if (VERBOSE || level !== 'debug') {
-    const ts = DateTime.now().setZone('Asia/Kolkata').toFormat('HH:mm:ss');
+    const ts = DateTime.now().setZone(WINDOW_CONFIG.zone).toFormat('HH:mm:ss');
     const memUsage = process.memoryUsage();
     const memMB = (memUsage.heapUsed / 1024 / 1024).toFixed(2);
     console.log(`[${ts}] [${level.toUpperCase()}] [MEM: ${memMB}MB] ${msg}`);
@@ -78,6 +159,9 @@ if (!FROM_EMAIL || TO_EMAIL.length === 0) {
   process.exit(1);
 }
 
+// {"source-bucket": {"bucket": "inventory-destination", "prefix": "inventory/source-bucket/daily"}}
+const S3_INVENTORY = scan.inventory;
+
 const s3 = new S3Client({
   region: AWS_REGION,
   credentials: {
@@ -86,29 +170,6 @@ const s3 = new S3Client({
   },
 });
 
-function computeISTWindow() {
-  const nowIST = DateTime.now().setZone('Asia/Kolkata');
-  const endIST = nowIST.set({ hour: 12, minute: 0, second: 0, millisecond: 0 });
-  const startIST = endIST.minus({ days: 1 });
-
-  return {
-    startIST,
-    endIST,
-    startUTC: startIST.toUTC(),
-    endUTC: endIST.toUTC(),
-  };
-}
-
-function parseEnvBuckets() {
-  if (!S3_BUCKETS_RAW) return null;
-  try {
-    if (S3_BUCKETS_RAW.trim().startsWith('[')) {
-      return JSON.parse(S3_BUCKETS_RAW);
-    }
-  } catch {}
-  return S3_BUCKETS_RAW.split(',').map(b => b.trim()).filter(Boolean);
-}
-
 async function listAllBuckets() {
   try {
     log('info', 'Fetching list of all buckets...');
@@ -122,92 +183,420 @@ async function listAllBuckets() {
   }
 }
 
-async function listBucketUploadsInWindow(bucket, startUTC, endUTC) {
-  const uploads = [];
+function folderOf(key) {
+  const idx = key.lastIndexOf('/');
+  return idx === -1 ? '/' : key.slice(0, idx);
+}
+
+function countFolders(uploads) {
   const folderCounts = new Map();
-  let token;
-  let totalScanned = 0;
+  for (const u of uploads) {
+    const folder = folderOf(u.Key);
+    folderCounts.set(folder, (folderCounts.get(folder) || 0) + 1);
+  }
+  return folderCounts;
+}
+
+function inRange(obj, startDate, endDate) {
+  if (!obj.LastModified || !obj.Key || obj.Key.endsWith('/')) return false;
+  return obj.LastModified >= startDate && obj.LastModified < endDate;
+}
+
+/**
+ * Sort the listed objects inside the range into uploads and the files the
+ * scan filters leave out (file_filters.json), which are only counted.
+ */
+function collectInRange(bucket, objects, startDate, endDate, uploads, excluded) {
+  for (const obj of objects) {
+    if (!inRange(obj, startDate, endDate)) continue;
+    const reason = exclusionReason(FILE_FILTERS.scan, bucket, obj.Key);
+    if (reason) {
+      excluded.push({ Key: obj.Key, LastModified: obj.LastModified, reason });
+    } else {
+      uploads.push(obj);
+    }
+  }
+}
+
+// S3 asks clients to back off on these; the page is retried with the same token
+const THROTTLING_ERRORS = new Set([
+  'SlowDown', 'Throttling', 'ThrottlingException', 'RequestLimitExceeded',
+  'ServiceUnavailable', 'InternalError', 'RequestTimeout',
+]);
+// Not retried: waiting does not fix a wrong clock
+const CLOCK_SKEW_HINT = 'The clock of this machine is more than 15 minutes off AWS time; sync it (e.g. NTP) and run again';
+const NETWORK_ERRORS = new Set(['ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'ECONNREFUSED', 'EAI_AGAIN']);
+
+function isRetryableS3Error(error) {
+  const status = error.$metadata && error.$metadata.httpStatusCode;
+  return THROTTLING_ERRORS.has(error.name) || THROTTLING_ERRORS.has(error.Code) ||
+    status === 500 || status === 503 || NETWORK_ERRORS.has(error.code);
+}
+
+function retryOptions(label) {
+  return {
+    maxAttempts: S3_MAX_ATTEMPTS,
+    shouldRetry: isRetryableS3Error,
+    onRetry: (error, attempt, delay) => {
+      log('warn', `[${label}] ${error.name || error.Code || 'Error'} (attempt ${attempt}/${S3_MAX_ATTEMPTS}), retrying in ${(delay / 1000).toFixed(1)}s`);
+    },
+  };
+}
+
+function sendWithRetry(command, label) {
+  return retryWithBackoff(() => s3.send(command), retryOptions(label));
+}
+
+function isClockSkewError(error) {
+  return error.name === 'RequestTimeTooSkewed' || error.Code === 'RequestTimeTooSkewed';
+}
+
+function logS3Error(label, error) {
+  log('error', `[${label}] Error details: ${error.message}`);
+  if (isClockSkewError(error)) log('error', `[${label}] ${CLOCK_SKEW_HINT}`);
+  if (error.Code) log('error', `[${label}] AWS Error Code: ${error.Code}`);
+  if (error.$metadata) {
+    log('error', `[${label}] HTTP Status: ${error.$metadata.httpStatusCode}`);
+    log('error', `[${label}] Request ID: ${error.$metadata.requestId}`);
+  }
+}
+
+/**
+ * List one bucket (or one prefix of it) and keep the uploads inside the
+ * range. With a date layout (lib/date_layout.js) only the range's days are
+ * listed. Throttled pages are retried with backoff. If the listing still
+ * fails, the error carries `resumeFrom` (continuation token and what was
+ * collected so far); passing it back continues from that page.
+ */
+async function listBucketUploadsInWindow(bucket, startUTC, endUTC, prefix = BUCKET_WIDE, resumeFrom = null, layout = null) {
+  const label = prefix ? `${bucket}/${prefix}` : bucket;
+  const days = layout ? layoutListing(layout, startUTC.toJSDate(), endUTC.toJSDate()) : null;
+  const uploads = resumeFrom ? resumeFrom.uploads : [];
+  const excluded = resumeFrom ? resumeFrom.excluded : [];
+  let token = resumeFrom ? resumeFrom.token : undefined;
+  let totalScanned = resumeFrom ? resumeFrom.totalScanned : 0;
   let batchCount = 0;
   const startTime = Date.now();
 
+  if (resumeFrom) {
+    log('info', `[${label}] Resuming listing after ${totalScanned} objects`);
+  } else if (days) {
+    log('info', `[${label}] Listing the days ${days.firstDay} to ${days.lastDay} of ${layout.template}`);
+  }
+
   try {
     do {
       batchCount++;
-      log('debug', `[${bucket}] Fetching batch ${batchCount} (continuation: ${token ? 'yes' : 'no'})...`);
+      log('debug', `[${label}] Fetching batch ${batchCount} (continuation: ${token ? 'yes' : 'no'})...`);
       
-      const resp = await s3.send(new ListObjectsV2Command({
+      const resp = await sendWithRetry(new ListObjectsV2Command({
         Bucket: bucket,
+        Prefix: (days ? days.prefix : prefix) || undefined,
+        StartAfter: days && !token ? days.startAfter : undefined,
         ContinuationToken: token,
         MaxKeys: 1000,
-      }));
+      }), label);
+
+      // Keys come in order: the first one past the range's days ends the listing
+      let contents = resp.Contents || [];
+      const pastRange = days ? contents.findIndex(obj => obj.Key >= days.stopAt) : -1;
+      if (pastRange !== -1) contents = contents.slice(0, pastRange);
 
-      const batchSize = (resp.Contents || []).length;
+      const batchSize = contents.length;
       totalScanned += batchSize;
       
-      log('info', `[${bucket}] Batch ${batchCount}: Scanned ${batchSize} objects | Total scanned: ${totalScanned}`);
-
-      for (const obj of resp.Contents || []) {
-        if (!obj.LastModified) continue;
-        if (obj.LastModified >= startUTC.toJSDate() && obj.LastModified < endUTC.toJSDate()) {
-          if (!obj.Key || obj.Key.endsWith('/')) continue;
-          
-          // Only include PDF files
-          if (!obj.Key.toLowerCase().endsWith('.pdf')) continue;
-          
-          const idx = obj.Key.lastIndexOf('/');
-          const folder = idx === -1 ? '/' : obj.Key.slice(0, idx);
-          folderCounts.set(folder, (folderCounts.get(folder) || 0) + 1);
-          uploads.push(obj);
-        }
-      }
+      log('info', `[${label}] Batch ${batchCount}: Scanned ${batchSize} objects | Total scanned: ${totalScanned}`);
+
+      collectInRange(bucket, contents, startUTC.toJSDate(), endUTC.toJSDate(), uploads, excluded);
 
-      token = resp.NextContinuationToken;
+      token = pastRange === -1 ? resp.NextContinuationToken : undefined;
       
       if (token) {
-        log('debug', `[${bucket}] More data available, continuing...`);
+        log('debug', `[${label}] More data available, continuing...`);
       } else {
         const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
-        log('info', `[${bucket}] Scan complete! Total objects scanned: ${totalScanned} in ${elapsed}s`);
+        log('info', `[${label}] Scan complete! Total objects scanned: ${totalScanned} in ${elapsed}s`);
       }
     } while (token);
 
-    return { uploads, folderCounts };
+    return { uploads, excluded, folderCounts: countFolders(uploads), coveredUntil: endUTC.toJSDate() };
   } catch (error) {
     const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
-    log('error', `[${bucket}] Error after scanning ${totalScanned} objects in ${elapsed}s`);
-    log('error', `[${bucket}] Error details: ${error.message}`);
-    if (error.Code) log('error', `[${bucket}] AWS Error Code: ${error.Code}`);
-    if (error.$metadata) {
-      log('error', `[${bucket}] HTTP Status: ${error.$metadata.httpStatusCode}`);
-      log('error', `[${bucket}] Request ID: ${error.$metadata.requestId}`);
-    }
+    log('error', `[${label}] Error after scanning ${totalScanned} objects in ${elapsed}s`);
+    logS3Error(label, error);
+    error.resumeFrom = { token, uploads, excluded, totalScanned };
     throw error;
   }
 }
 
-function buildWorkbook(allUploads, perBucketFolderCounts, windowIST, saveDir) {
+/**
+ * Top-level "folders" of a bucket plus the objects stored at its root.
+ */
+async function listTopLevelPrefixes(bucket) {
+  const prefixes = [];
+  const rootObjects = [];
+  let token;
+
+  do {
+    const resp = await sendWithRetry(new ListObjectsV2Command({
+      Bucket: bucket,
+      Delimiter: '/',
+      ContinuationToken: token,
+    }), bucket);
+    prefixes.push(...(resp.CommonPrefixes || []).map(p => p.Prefix));
+    rootObjects.push(...(resp.Contents || []));
+    token = resp.NextContinuationToken;
+  } while (token);
+
+  return { prefixes, rootObjects };
+}
+
+async function listBucketUploadsFromInventory(bucket, inventory, startUTC, endUTC) {
+  const startTime = Date.now();
+  log('info', `[${bucket}] Reading S3 Inventory from s3://${inventory.bucket}/${inventory.prefix}`);
+
+  const { objects, manifest, snapshotTime, coveredUntil, totalRead } = await readInventoryRange(
+    s3, inventory, startUTC.toJSDate(), endUTC.toJSDate(), retryOptions(`${bucket} inventory`));
+  log('info', `[${bucket}] Inventory snapshot: ${DateTime.fromJSDate(snapshotTime).setZone(WINDOW_CONFIG.zone).toFormat('dd LLL yyyy, hh:mm a')} (${manifest.fileFormat}, ${(manifest.files || []).length} file(s))`);
+
+  // Objects newer than the snapshot are not in it; the watermark stops at the
+  // snapshot, so the next run starts there and reports them
+  if (coveredUntil < endUTC.toJSDate()) {
+    log('warn', `[${bucket}] Snapshot predates the window end; later uploads roll into the next report`);
+  }
+
+  const uploads = [];
+  const excluded = [];
+  collectInRange(bucket, objects, startUTC.toJSDate(), coveredUntil, uploads, excluded);
+
+  const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
+  log('info', `[${bucket}] Inventory read! Total objects: ${totalRead} in ${elapsed}s`);
+  return { uploads, excluded, folderCounts: countFolders(uploads), coveredUntil };
+}
+
+function rangeStartFor(scanState, bucket, prefix, scanStartUTC) {
+  const watermark = scanState && getWatermark(scanState, bucket, prefix);
+  if (watermark && watermark < scanStartUTC.toJSDate()) {
+    const label = prefix ? `${bucket}/${prefix}` : bucket;
+    const startUTC = DateTime.fromJSDate(watermark).toUTC();
+    log('info', `[${label}] Continuing from watermark ${startUTC.setZone(WINDOW_CONFIG.zone).toFormat('dd LLL yyyy, hh:mm a')}`);
+    return startUTC;
+  }
+  return scanStartUTC;
+}
+
+/**
+ * Scan every bucket: one listing per bucket and top-level prefix, at most
+ * S3_SCAN_CONCURRENCY at a time. A listing that still fails after its page
+ * retries is continued from its last continuation token for up to
+ * S3_RESUME_ROUNDS more rounds; only then is that prefix given up.
+ * Resolves to Map(bucket → { uploads, excluded, scanned, errors }).
+ */
+async function scanBuckets(buckets, scanStartUTC, scanEndUTC, scanState) {
+  const results = new Map(buckets.map(b => [b, { uploads: [], excluded: [], scanned: [], errors: [] }]));
+
+  const record = (bucket, prefix, listing) => {
+    let uploads = listing.uploads;
+    if (scanState) {
+      uploads = uploads.filter(u => !wasSeen(scanState, bucket, prefix, u.Key, u.ETag));
+      const alreadyReported = listing.uploads.length - uploads.length;
+      if (alreadyReported > 0) {
+        log('info', `[${prefix ? `${bucket}/${prefix}` : bucket}] ${alreadyReported} upload(s) already reported by an earlier run`);
+      }
+    }
+    const result = results.get(bucket);
+    result.scanned.push({ bucket, prefix, coveredUntil: listing.coveredUntil, uploads });
+    result.uploads.push(...uploads.map(u => ({ ...u, Bucket: bucket })));
+    result.excluded.push(...listing.excluded.map(e => ({ ...e, Bucket: bucket })));
+  };
+
+  // Plan the listings: top-level prefixes per bucket, discovered in parallel
+  const plans = await mapWithConcurrency(buckets, S3_SCAN_CONCURRENCY, async bucket => {
+    // A date layout reads fewer objects than a snapshot, so it wins over the inventory
+    const layout = DATE_LAYOUTS.get(bucket) || null;
+    const inventory = !layout && SCAN_MODE === 'inventory' && S3_INVENTORY[bucket];
+    if (layout || inventory || !S3_SCAN_BY_PREFIX) {
+      return { inventory, layout, prefixes: [BUCKET_WIDE], rootObjects: null };
+    }
+    const { prefixes, rootObjects } = await listTopLevelPrefixes(bucket);
+    log('info', `[${bucket}] ${prefixes.length} top-level prefix(es), ${rootObjects.length} object(s) at the root`);
+    return { inventory: null, layout: null, prefixes, rootObjects };
+  });
+
+  const tasks = [];
+  plans.forEach((plan, i) => {
+    const bucket = buckets[i];
+    if (plan.status === 'rejected') {
+      log('error', `✗ [${bucket}] Failed to list top-level prefixes`);
+      logS3Error(bucket, plan.reason);
+      results.get(bucket).errors.push({ prefix: BUCKET_WIDE, error: plan.reason });
+      return;
+    }
+    const { inventory, layout, prefixes, rootObjects } = plan.value;
+    if (rootObjects) {
+      // Objects at the root came back with the prefix listing itself
+      const startUTC = rangeStartFor(scanState, bucket, ROOT_OBJECTS, scanStartUTC);
+      const uploads = [];
+      const excluded = [];
+      collectInRange(bucket, rootObjects, startUTC.toJSDate(), scanEndUTC.toJSDate(), uploads, excluded);
+      record(bucket, ROOT_OBJECTS, { uploads, excluded, coveredUntil: scanEndUTC.toJSDate() });
+    }
+    for (const prefix of prefixes) {
+      tasks.push({ bucket, prefix, inventory, layout, resumeFrom: null, error: null });
+    }
+  });
+
+  log('info', `Listing ${tasks.length} bucket prefix(es) with concurrency ${S3_SCAN_CONCURRENCY}`);
+
+  let pending = tasks;
+  for (let round = 0; round <= S3_RESUME_ROUNDS && pending.length > 0; round++) {
+    if (round > 0) {
+      log('warn', `Resuming ${pending.length} failed listing(s) from their last page (round ${round}/${S3_RESUME_ROUNDS})`);
+    }
+
+    const settled = await mapWithConcurrency(pending, S3_SCAN_CONCURRENCY, task => {
+      const startUTC = rangeStartFor(scanState, task.bucket, task.prefix, scanStartUTC);
+      return task.inventory
+        ? listBucketUploadsFromInventory(task.bucket, task.inventory, startUTC, scanEndUTC)
+        : listBucketUploadsInWindow(task.bucket, startUTC, scanEndUTC, task.prefix, task.resumeFrom, task.layout);
+    });
+
+    const failed = [];
+    settled.forEach((outcome, i) => {
+      const task = pending[i];
+      if (outcome.status === 'fulfilled') {
+        record(task.bucket, task.prefix, outcome.value);
+        return;
+      }
+      task.error = outcome.reason;
+      task.resumeFrom = outcome.reason.resumeFrom || null;
+      if (isRetryableS3Error(task.error)) {
+        failed.push(task);
+      } else {
+        results.get(task.bucket).errors.push({ prefix: task.prefix, error: task.error });
+      }
+    });
+    pending = failed;
+  }
+
+  for (const task of pending) {
+    results.get(task.bucket).errors.push({ prefix: task.prefix, error: task.error });
+  }
+
+  return results;
+}
+
+function formatSize(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes || 0;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return unit === 0 ? `${value} B` : `${value.toFixed(1)} ${units[unit]}`;
+}
+
+// Opens the object (or folder) in the S3 console
+function consoleLink(bucket, key, text = key) {
+  const url = key.endsWith('/')
+    ? `https://s3.console.aws.amazon.com/s3/buckets/${encodeURIComponent(bucket)}?region=${AWS_REGION}&prefix=${encodeURIComponent(key)}`
+    : `https://s3.console.aws.amazon.com/s3/object/${encodeURIComponent(bucket)}?region=${AWS_REGION}&prefix=${encodeURIComponent(key)}`;
+  return { t: 's', v: text, l: { Target: url } };
+}
+
+// Folders of each bucket, most uploads first, as { bucket, folder ("a/b/"), count }
+function folderList(perBucketFolderCounts) {
+  const folders = [];
+  for (const [bucket, folderMap] of perBucketFolderCounts.entries()) {
+    const sorted = [...folderMap.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    for (const [folder, count] of sorted) {
+      folders.push({ bucket, folder: folder === '/' ? '/' : `${folder}/`, count });
+    }
+  }
+  return folders;
+}
+
+// Change cells of the High-Level and Detailed sheets, blank without history
+function trendValues(trend) {
+  return [
+    trend.previous === null ? '' : trend.count - trend.previous,
+    trend.average === null ? '' : Math.round((trend.count - trend.average) * 10) / 10,
+  ];
+}
+
+/**
+ * The upload report: Uploads (read back by the summarizer, which needs
+ * Bucket, Key, Size and ETag), the email's High-Level and Detailed tables,
+ * Per-Bucket Folders, Duplicates and Trends. Every sheet has a frozen header
+ * row, an autofilter and fitted column widths (lib/sheet_format.js).
+ */
+function buildWorkbook(allUploads, perBucketFolderCounts, reportWindow, saveDir, duplicateGroups = [], trends = null) {
   try {
     log('info', `Building Excel workbook with ${allUploads.length} upload records...`);
     const wb = XLSX.utils.book_new();
+    wb.Props = {
+      Title: reportTitle(WINDOW_CONFIG),
+      Subject: `Window: ${formatWindow(reportWindow)}`,
+      Author: 'NeurasixAI',
+      CreatedDate: new Date(),
+    };
+    const dimensions = TAXONOMY.dimensions;
+    const uploadedHeader = `Uploaded (${WINDOW_CONFIG.zoneLabel})`;
 
-    const uploadRows = allUploads.map(u => ({
-      Bucket: u.Bucket,
-      Key: u.Key,
-      Size: u.Size,
-    }));
+    const uploadRows = allUploads.map(u => {
+      const classified = classifyFolder(TAXONOMY, u.Bucket, folderOf(u.Key));
+      return [
+        u.Bucket,
+        consoleLink(u.Bucket, u.Key),
+        ...dimensions.map(d => classified[d.name]),
+        u.LastModified ? DateTime.fromJSDate(u.LastModified).setZone(WINDOW_CONFIG.zone).toFormat('yyyy-LL-dd HH:mm:ss') : '',
+        u.Size || 0,
+        formatSize(u.Size),
+        // Lets the summarizer recognize content it has already summarized
+        u.ETag || '',
+        u.StorageClass || '',
+      ];
+    });
+    XLSX.utils.book_append_sheet(wb, tableSheet(
+      ['Bucket', 'Key', ...dimensions.map(d => d.label), uploadedHeader, 'Size', 'Size (readable)', 'ETag', 'Storage Class'],
+      uploadRows,
+    ), 'Uploads');
+
+    if (trends) {
+      const [primary] = dimensions;
+      const changeHeaders = ['vs Prev. Day', `vs ${AVERAGE_DAYS}-Day Avg`];
+      XLSX.utils.book_append_sheet(wb, tableSheet(
+        [primary.label, 'Total Files', ...changeHeaders],
+        trends.primary.map(t => [t[primary.name], t.count, ...trendValues(t)]),
+      ), 'High-Level');
+      XLSX.utils.book_append_sheet(wb, tableSheet(
+        [...dimensions.map(d => d.label), 'No. of Files', ...changeHeaders],
+        trends.detailed.map(t => [...dimensions.map(d => t[d.name]), t.count, ...trendValues(t)]),
+      ), 'Detailed');
+    }
 
-    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(uploadRows), 'Uploads');
+    XLSX.utils.book_append_sheet(wb, tableSheet(
+      ['Bucket', 'Folder', 'Uploads'],
+      folderList(perBucketFolderCounts).map(f => [f.bucket, f.folder === '/' ? '/' : consoleLink(f.bucket, f.folder), f.count]),
+    ), 'Per-Bucket Folders');
+
+    XLSX.utils.book_append_sheet(wb, formatTable(XLSX.utils.json_to_sheet(duplicateRows(duplicateGroups), { header: DUPLICATE_COLUMNS })), DUPLICATES_SHEET);
+    if (trends) {
+      const { header, rows } = trendSheet(trends);
+      XLSX.utils.book_append_sheet(wb, formatTable(XLSX.utils.json_to_sheet(rows, { header })), 'Trends');
+    }
 
     if (!fs.existsSync(saveDir)) {
       log('debug', `Creating reports directory: ${saveDir}`);
       fs.mkdirSync(saveDir, { recursive: true });
     }
 
-    const filename = `s3_daily_uploads_${windowIST.endIST.toFormat('yyyyLLdd')}.xlsx`;
+    const filename = uploadReportFilename(reportWindow);
     const out = path.join(saveDir, filename);
     
     log('debug', `Writing workbook to: ${out}`);
-    XLSX.writeFile(wb, out);
+    writeWorkbook(wb, out);
     log('info', `Excel workbook created successfully: ${filename}`);
     return out;
   } catch (error) {
@@ -216,123 +605,157 @@ function buildWorkbook(allUploads, perBucketFolderCounts, windowIST, saveDir) {
   }
 }
 
-/* ===========================
-   FOLDER PATH PARSING
-   =========================== */
-function parseCaseType(folderPath) {
-  const firstFolder = folderPath.split('/')[0];
-  
-  if (firstFolder.includes('Direct-Taxes') || firstFolder.includes('Direct-Tax')) {
-    return 'Direct Tax Cases';
-  } else if (firstFolder.includes('Indirect-Taxes') || firstFolder.includes('Indirect-Tax')) {
-    return 'Indirect Tax Cases';
-  } else if (firstFolder.includes('commercial')) {
-    return 'Commercial Cases';
-  }
-  
-  // Default fallback
-  return firstFolder || 'Other Cases';
-}
-
-function extractCountry(folderPath) {
-  const parts = folderPath.split('/').filter(Boolean);
-  
-  // Country is the second folder (index 1)
-  if (parts.length > 1) {
-    return parts[1];
-  }
-  
-  return 'Unknown';
-}
+/**
+ * The report's tables as CSV/JSON Lines/JSON next to it, in the formats of
+ * exports.formats (lib/dataset_export.js). Returns the file names written.
+ */
+function exportUploadDataset(reportPath, allUploads, perBucketFolderCounts, reportWindow, trends) {
+  // exportDataset keeps only each table's fields, so the trend rows go in whole
+  const rounded = t => ({ ...t, average: t.average === null ? null : Math.round(t.average * 100) / 100 });
 
-function extractCourtAuthority(folderPath) {
-  const parts = folderPath.split('/').filter(Boolean);
-  
-  // Skip first folder (case type) and second folder (country)
-  const relevantParts = parts.slice(2);
-  
-  if (relevantParts.length === 0) {
-    return 'General';
-  }
-  
-  // Join remaining parts with ' – ' (en dash)
-  return relevantParts.join(' – ');
+  const written = exportDataset(reportPath, {
+    dataset: 's3_daily_uploads',
+    reportDate: reportWindow.end.toISODate(),
+    window: { start: reportWindow.startUTC.toISO(), end: reportWindow.endUTC.toISO() },
+    dimensions: TAXONOMY.dimensions.map(d => ({ name: d.name, label: d.label })),
+  }, {
+    uploads: allUploads.map(u => ({
+      bucket: u.Bucket,
+      key: u.Key,
+      folder: folderOf(u.Key) === '/' ? '/' : `${folderOf(u.Key)}/`,
+      ...classifyFolder(TAXONOMY, u.Bucket, folderOf(u.Key)),
+      lastModified: u.LastModified ? u.LastModified.toISOString() : null,
+      size: u.Size || 0,
+      etag: u.ETag,
+      storageClass: u.StorageClass,
+    })),
+    highLevel: trends.primary.map(rounded),
+    detailed: trends.detailed.map(rounded),
+    folders: folderList(perBucketFolderCounts),
+  }, EXPORT_FORMATS);
+  if (written.length > 0) log('info', `Exported ${written.length} file(s): ${written.join(', ')}`);
+  return written;
 }
 
+/* ===========================
+   FOLDER PATH PARSING
+   =========================== */
 function buildDetailedSummaryTable(perBucketFolderCounts) {
   const data = [];
   
-  // Collect all folder data from all buckets
+  // Collect all folder data from all buckets, classified by the case taxonomy
   for (const [bucket, folderMap] of perBucketFolderCounts.entries()) {
     for (const [folder, count] of folderMap.entries()) {
       if (folder === '/') continue; // Skip root folder
       
-      const caseType = parseCaseType(folder);
-      const country = extractCountry(folder);
-      const courtAuthority = extractCourtAuthority(folder);
-      
-      data.push({
-        caseType,
-        country,
-        courtAuthority,
-        count
-      });
+      data.push({ ...classifyFolder(TAXONOMY, bucket, folder), bucket, count });
     }
   }
   
-  // Sort by case type, then country, then court authority
+  // Sort by the dimensions, in the order the taxonomy declares them
   data.sort((a, b) => {
-    if (a.caseType !== b.caseType) {
-      return a.caseType.localeCompare(b.caseType);
+    for (const { name } of TAXONOMY.dimensions) {
+      const order = a[name].localeCompare(b[name]);
+      if (order !== 0) return order;
     }
-    if (a.country !== b.country) {
-      return a.country.localeCompare(b.country);
-    }
-    return a.courtAuthority.localeCompare(b.courtAuthority);
+    return 0;
   });
   
   return data;
 }
 
-function buildHighLevelSummary(detailedData) {
-  const summary = new Map();
-  
-  for (const item of detailedData) {
-    const current = summary.get(item.caseType) || 0;
-    summary.set(item.caseType, current + item.count);
-  }
-  
-  // Convert to array and sort by case type
-  return [...summary.entries()]
-    .sort((a, b) => a[0].localeCompare(b[0]))
-    .map(([caseType, total]) => ({ caseType, total }));
-}
-
 /* ===========================
    EMAIL SAFE HTML
    =========================== */
-function buildHtmlSummary(perBucketFolderCounts, windowIST, totalUploads) {
-  const escapeHtml = (s) => String(s)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
-
-  const windowText = `${windowIST.startIST.toFormat('dd LLL yyyy, hh:mm a')} → ${windowIST.endIST.toFormat('dd LLL yyyy, hh:mm a')} IST`;
-  const generatedAt = DateTime.now().setZone('Asia/Kolkata').toFormat('dd LLL yyyy, hh:mm a');
-
-  // Generate business-friendly summaries
-  const detailedData = buildDetailedSummaryTable(perBucketFolderCounts);
-  const highLevelData = buildHighLevelSummary(detailedData);
-
-  // Build High-Level Summary Table (Case Type → Total Files)
+// The layout every email shares: a coloured title bar, the body and a footer line
+function emailFrame({ title, subtitle = '', color = '#2563eb', body, footer }) {
+  return `
+<table width="100%" cellpadding="0" cellspacing="0" style="background:#f6f8fb;">
+<tr>
+<td align="center">
+<table width="800" cellpadding="0" cellspacing="0" style="background:#ffffff;border:1px solid #e5e7eb;">
+<tr>
+<td style="padding:20px;background:${color};color:#ffffff;">
+<h1 style="margin:0;">${title}</h1>
+${subtitle ? `<p style="margin:6px 0 0;">${subtitle}</p>` : ''}
+</td>
+</tr>
+
+<tr>
+<td style="padding:20px;">
+${body}
+</td>
+</tr>
+
+<tr>
+<td style="padding:14px;font-size:12px;color:#64748b;background:#fafafa;">
+${footer}
+</td>
+</tr>
+
+</table>
+</td>
+</tr>
+</table>`;
+}
+
+// Change against an earlier count: green up, red down, grey when there is no history
+function deltaCell(delta) {
+  let text = '—';
+  let color = '#94a3b8';
+  if (delta !== null) {
+    const rounded = Math.round(delta * 10) / 10;
+    text = rounded > 0 ? `+${rounded}` : rounded < 0 ? `−${-rounded}` : '0';
+    color = rounded > 0 ? '#15803d' : rounded < 0 ? '#b91c1c' : '#64748b';
+  }
+  return `<td style="padding:8px;border:1px solid #e5e7eb;text-align:right;color:${color};white-space:nowrap;">${text}</td>`;
+}
+
+function trendCells(trend) {
+  const vsPrevious = trend.previous === null ? null : trend.count - trend.previous;
+  const vsAverage = trend.average === null ? null : trend.count - trend.average;
+  return `${deltaCell(vsPrevious)}
+        ${deltaCell(vsAverage)}
+        <td style="padding:8px;border:1px solid #e5e7eb;font-family:Consolas,Menlo,monospace;color:#2563eb;white-space:nowrap;" title="${trend.series.join(', ')}">${sparkline(trend.series)}</td>`;
+}
+
+const TREND_HEADERS = `
+        <th style="padding:10px;border:1px solid #e5e7eb;background:#1e40af;color:#ffffff;text-align:right;">vs Prev. Day</th>
+        <th style="padding:10px;border:1px solid #e5e7eb;background:#1e40af;color:#ffffff;text-align:right;">vs ${AVERAGE_DAYS}-Day Avg</th>
+        <th style="padding:10px;border:1px solid #e5e7eb;background:#1e40af;color:#ffffff;text-align:left;">Last ${SPARKLINE_DAYS} Days</th>`;
+
+function buildTrendNote(trends) {
+  if (!trends.previousDate) {
+    return '<p style="color:#64748b;">No earlier report days recorded yet; the comparisons start with the next report.</p>';
+  }
+  const previous = DateTime.fromISO(trends.previousDate).toFormat('dd LLL yyyy');
+  return `<p style="color:#64748b;">Compared with the previous report day (${previous}) and the average of the last ${trends.averageDays} report day(s). Rows at 0 had uploads in that period but none in this window.</p>`;
+}
+
+function buildScanExclusionsHtml(exclusions) {
+  return buildExclusionsHtml(
+    exclusions,
+    '🚫 Excluded by Scan Filters',
+    `in this window were left out of the report by the scan filters (${FILE_FILTERS.source ? path.basename(FILE_FILTERS.source) : 'default: PDF files only'}).`,
+  );
+}
+
+function buildHtmlSummary(perBucketFolderCounts, reportWindow, totalUploads, duplicateGroups, trends, anomalies = [], exclusions = []) {
+  const windowText = formatWindow(reportWindow);
+  const generatedAt = DateTime.now().setZone(WINDOW_CONFIG.zone).toFormat('dd LLL yyyy, hh:mm a');
+
+  const [primary] = TAXONOMY.dimensions;
+  const headerCell = (label, align = 'left') =>
+    `<th style="padding:10px;border:1px solid #e5e7eb;background:#1e40af;color:#ffffff;text-align:${align};">${escapeHtml(label)}</th>`;
+
+  // Build High-Level Summary Table (first dimension, e.g. Case Type → Total Files)
   let highLevelRows = '';
-  for (const item of highLevelData) {
+  for (const item of trends.primary) {
     highLevelRows += `
       <tr>
-        <td style="padding:8px;border:1px solid #e5e7eb;">${escapeHtml(item.caseType)}</td>
-        <td style="padding:8px;border:1px solid #e5e7eb;text-align:right;">${item.total}</td>
+        <td style="padding:8px;border:1px solid #e5e7eb;">${escapeHtml(item[primary.name])}</td>
+        <td style="padding:8px;border:1px solid #e5e7eb;text-align:right;">${item.count}</td>
+        ${trendCells(item)}
       </tr>`;
   }
 
@@ -340,21 +763,21 @@ function buildHtmlSummary(perBucketFolderCounts, windowIST, totalUploads) {
     <h2 style="margin-top:24px;color:#1e40af;">📈 High-Level Summary</h2>
     <table width="100%" cellpadding="0" cellspacing="0" style="border-collapse:collapse;">
       <tr>
-        <th style="padding:10px;border:1px solid #e5e7eb;background:#1e40af;color:#ffffff;text-align:left;">Case Type</th>
-        <th style="padding:10px;border:1px solid #e5e7eb;background:#1e40af;color:#ffffff;text-align:right;">Total Files</th>
+        ${headerCell(primary.label)}
+        ${headerCell('Total Files', 'right')}${TREND_HEADERS}
       </tr>
-      ${highLevelRows || `<tr><td colspan="2" style="padding:8px;">No data</td></tr>`}
-    </table>`;
+      ${highLevelRows || `<tr><td colspan="5" style="padding:8px;">No data</td></tr>`}
+    </table>
+    ${buildTrendNote(trends)}`;
 
-  // Build Detailed Summary Table (Case Type → Country → Court/Authority → Files)
+  // Build Detailed Summary Table (every dimension, e.g. Case Type → Country → Court/Authority → Files)
   let detailedRows = '';
-  for (const item of detailedData) {
+  for (const item of trends.detailed) {
     detailedRows += `
       <tr>
-        <td style="padding:8px;border:1px solid #e5e7eb;">${escapeHtml(item.caseType)}</td>
-        <td style="padding:8px;border:1px solid #e5e7eb;">${escapeHtml(item.country)}</td>
-        <td style="padding:8px;border:1px solid #e5e7eb;">${escapeHtml(item.courtAuthority)}</td>
+        ${TAXONOMY.dimensions.map(d => `<td style="padding:8px;border:1px solid #e5e7eb;">${escapeHtml(item[d.name])}</td>`).join('')}
         <td style="padding:8px;border:1px solid #e5e7eb;text-align:right;">${item.count}</td>
+        ${trendCells(item)}
       </tr>`;
   }
 
@@ -362,12 +785,10 @@ function buildHtmlSummary(perBucketFolderCounts, windowIST, totalUploads) {
     <h2 style="margin-top:32px;color:#1e40af;">📋 Detailed Summary</h2>
     <table width="100%" cellpadding="0" cellspacing="0" style="border-collapse:collapse;">
       <tr>
-        <th style="padding:10px;border:1px solid #e5e7eb;background:#1e40af;color:#ffffff;text-align:left;">Case Type</th>
-        <th style="padding:10px;border:1px solid #e5e7eb;background:#1e40af;color:#ffffff;text-align:left;">Country</th>
-        <th style="padding:10px;border:1px solid #e5e7eb;background:#1e40af;color:#ffffff;text-align:left;">Court / Authority</th>
-        <th style="padding:10px;border:1px solid #e5e7eb;background:#1e40af;color:#ffffff;text-align:right;">No. of Files</th>
+        ${TAXONOMY.dimensions.map(d => headerCell(d.label)).join('')}
+        ${headerCell('No. of Files', 'right')}${TREND_HEADERS}
       </tr>
-      ${detailedRows || `<tr><td colspan="4" style="padding:8px;">No data</td></tr>`}
+      ${detailedRows || `<tr><td colspan="${TAXONOMY.dimensions.length + 4}" style="padding:8px;">No data</td></tr>`}
     </table>`;
 
   let bucketSections = '';
@@ -385,7 +806,7 @@ function buildHtmlSummary(perBucketFolderCounts, windowIST, totalUploads) {
     }
 
     bucketSections += `
-      <h3 style="margin-top:24px;">🪣 ${bucket} (Total: ${total})</h3>
+      <h3 style="margin-top:24px;">🪣 ${escapeHtml(bucket)} (Total: ${total})</h3>
       <table width="100%" cellpadding="0" cellspacing="0" style="border-collapse:collapse;">
         <tr>
           <th style="padding:8px;border:1px solid #e5e7eb;background:#f1f5f9;">Folder</th>
@@ -395,51 +816,109 @@ function buildHtmlSummary(perBucketFolderCounts, windowIST, totalUploads) {
       </table>`;
   }
 
-  return `
-<table width="100%" cellpadding="0" cellspacing="0" style="background:#f6f8fb;">
-<tr>
-<td align="center">
-<table width="800" cellpadding="0" cellspacing="0" style="background:#ffffff;border:1px solid #e5e7eb;">
-<tr>
-<td style="padding:20px;background:#2563eb;color:#ffffff;">
-<h1 style="margin:0;">📊 Daily S3 Ingestion Summary</h1>
-<p style="margin:6px 0 0;">Window: ${windowText}</p>
-</td>
-</tr>
-
-<tr>
-<td style="padding:20px;">
+  return emailFrame({
+    title: `📊 ${reportTitle(WINDOW_CONFIG)}`,
+    subtitle: `Window: ${windowText}`,
+    body: `
+${buildAttentionHtml(anomalies, ANOMALY_CONFIG, trends.averageDays)}
 <p><b>Total Uploads:</b> ${totalUploads}</p>
 <p><b>Buckets Scanned:</b> ${perBucketFolderCounts.size}</p>
-<p><b>Generated (IST):</b> ${generatedAt}</p>
+<p><b>Generated (${WINDOW_CONFIG.zoneLabel}):</b> ${generatedAt}</p>
 
 <!-- Business-Friendly Summary Tables -->
 ${highLevelTable}
 ${detailedTable}
+${buildDuplicatesHtml(duplicateGroups)}
+${buildScanExclusionsHtml(exclusions)}
 
 <!-- Original Per-bucket summaries below -->
 <h2 style="margin-top:32px;color:#1e40af;">🪣 Bucket-wise Raw Folder Counts</h2>
-${bucketSections}
+${bucketSections}`,
+    footer: 'Sent automatically by NeurasixAI · XLSX report attached.',
+  });
+}
 
-</td>
-</tr>
+/**
+ * Sent in place of the summary for a window without uploads, so "nothing was
+ * uploaded" cannot be mistaken for "the job did not run".
+ */
+function buildNoUploadsHtml(reportWindow, bucketsScanned, scanFailed, trends, anomalies, exclusions) {
+  const generatedAt = DateTime.now().setZone(WINDOW_CONFIG.zone).toFormat('dd LLL yyyy, hh:mm a');
+  const where = scanFailed
+    ? 'in the buckets that could be scanned (see the scan failures above)'
+    : `in any of the ${bucketsScanned} bucket(s) scanned`;
 
-<tr>
-<td style="padding:14px;font-size:12px;color:#64748b;background:#fafafa;">
-Sent automatically by NeurasixAI · XLSX report attached.
-</td>
-</tr>
+  return emailFrame({
+    title: `📭 ${reportTitle(WINDOW_CONFIG)}: No Uploads`,
+    subtitle: `Window: ${formatWindow(reportWindow)}`,
+    body: `
+${buildAttentionHtml(anomalies, ANOMALY_CONFIG, trends.averageDays)}
+<p>The scan ran and found <b>no new uploads</b> matching the scan filters ${where}.</p>
+<p><b>Buckets Scanned:</b> ${bucketsScanned}</p>
+<p><b>Generated (${WINDOW_CONFIG.zoneLabel}):</b> ${generatedAt}</p>
+${buildScanExclusionsHtml(exclusions)}`,
+    footer: 'Sent automatically by NeurasixAI · No XLSX report for an empty window.',
+  });
+}
 
+function describeS3Error(error) {
+  return {
+    code: error.Code || error.name || error.code || 'Error',
+    status: (error.$metadata && error.$metadata.httpStatusCode) || null,
+    requestId: (error.$metadata && error.$metadata.requestId) || null,
+    message: isClockSkewError(error) ? `${error.message} ${CLOCK_SKEW_HINT}.` : error.message,
+  };
+}
+
+/**
+ * Section listing the bucket prefixes that could not be scanned, with the AWS
+ * error code and request ID (empty string when everything was scanned). Only a
+ * scheduled incremental or inventory run resumes from the failed locations'
+ * watermarks; in list mode and for backfills the days are re-run.
+ */
+function buildScanFailuresHtml(failures, windows, isBackfill) {
+  if (failures.length === 0) return '';
+
+  const dates = windows.map(w => w.end.toISODate());
+  const rerun = dates.length === 1 ? `--date ${dates[0]}` : `--from ${dates[0]} --to ${dates[dates.length - 1]}`;
+  const recovery = SCAN_MODE !== 'list' && !isBackfill
+    ? 'are picked up by the next run once the error is fixed, which starts from the last watermark of each failed location'
+    : `are not scanned again by later runs. Once the error is fixed, report them with <code>node run_complete_pipeline.js ${rerun}</code>`;
+
+  const buckets = new Set(failures.map(f => f.bucket)).size;
+  let rows = '';
+  for (const f of failures) {
+    rows += `
+      <tr>
+        <td style="padding:6px 8px;border:1px solid #fde68a;">${escapeHtml(f.bucket)}</td>
+        <td style="padding:6px 8px;border:1px solid #fde68a;">${escapeHtml(f.prefix || '(whole bucket)')}</td>
+        <td style="padding:6px 8px;border:1px solid #fde68a;">${escapeHtml(f.code)}${f.status ? ` (HTTP ${f.status})` : ''}</td>
+        <td style="padding:6px 8px;border:1px solid #fde68a;font-family:Consolas,Menlo,monospace;">${escapeHtml(f.requestId || '—')}</td>
+        <td style="padding:6px 8px;border:1px solid #fde68a;">${escapeHtml(f.message)}</td>
+      </tr>`;
+  }
+
+  return `
+<div style="margin:0 0 20px;padding:14px;background:#fffbeb;border:2px solid #f59e0b;">
+<h2 style="margin:0 0 6px;color:#b45309;">⚠️ Scan failures: ${buckets} bucket(s) not fully scanned</h2>
+<p style="margin:0 0 10px;color:#78350f;">Uploads in these locations are missing from the counts below and ${recovery}.</p>
+<table width="100%" cellpadding="0" cellspacing="0" style="border-collapse:collapse;background:#ffffff;">
+  <tr>
+    <th style="padding:6px 8px;border:1px solid #fde68a;background:#f59e0b;color:#ffffff;text-align:left;">Bucket</th>
+    <th style="padding:6px 8px;border:1px solid #fde68a;background:#f59e0b;color:#ffffff;text-align:left;">Prefix</th>
+    <th style="padding:6px 8px;border:1px solid #fde68a;background:#f59e0b;color:#ffffff;text-align:left;">Error Code</th>
+    <th style="padding:6px 8px;border:1px solid #fde68a;background:#f59e0b;color:#ffffff;text-align:left;">Request ID</th>
+    <th style="padding:6px 8px;border:1px solid #fde68a;background:#f59e0b;color:#ffffff;text-align:left;">Message</th>
+  </tr>
+  ${rows}
 </table>
-</td>
-</tr>
-</table>`;
+</div>`;
 }
 
-async function sendEmail({ subject, html, attachments }) {
+async function sendEmail({ to = TO_EMAIL, subject, html, attachments }) {
   try {
-    log('info', `Preparing to send email to ${TO_EMAIL.length} recipient(s)...`);
-    log('debug', `Recipients: ${TO_EMAIL.join(', ')}`);
+    log('info', `Preparing to send email to ${to.length} recipient(s)...`);
+    log('debug', `Recipients: ${to.join(', ')}`);
     
     const transporter = nodemailer.createTransport({
       host: SMTP_SERVER,
@@ -451,7 +930,7 @@ async function sendEmail({ subject, html, attachments }) {
     log('info', 'Sending email...');
     const info = await transporter.sendMail({
       from: FROM_EMAIL,
-      to: TO_EMAIL,
+      to,
       subject,
       html,
       attachments,
@@ -466,6 +945,65 @@ async function sendEmail({ subject, html, attachments }) {
   }
 }
 
+function buildAnomalyAlertHtml(alerts) {
+  let sections = '';
+  for (const { reportWindow, anomalies, averageDays } of alerts) {
+    sections += `
+<p><b>Window:</b> ${formatWindow(reportWindow)}</p>
+${buildAttentionHtml(anomalies, ANOMALY_CONFIG, averageDays)}`;
+  }
+
+  return emailFrame({
+    title: `🚨 ${reportTitle(WINDOW_CONFIG)}: Upload Anomalies`,
+    color: '#b91c1c',
+    body: sections,
+    footer: 'Sent automatically by NeurasixAI · The full report goes to the usual recipients.',
+  });
+}
+
+function buildFailureAlertHtml(error, elapsedSeconds) {
+  const failedAt = DateTime.now().setZone(WINDOW_CONFIG.zone).toFormat('dd LLL yyyy, hh:mm a');
+  const aws = error.$metadata ? describeS3Error(error) : null;
+  return emailFrame({
+    title: `❌ ${reportTitle(WINDOW_CONFIG)}: Run Failed`,
+    color: '#b91c1c',
+    body: `
+<p>The daily scan stopped after ${elapsedSeconds}s and <b>no report was sent</b> for this run.</p>
+<p><b>Failed at (${WINDOW_CONFIG.zoneLabel}):</b> ${failedAt}</p>
+<p><b>Host:</b> ${escapeHtml(os.hostname())}</p>
+<p><b>Command:</b> ${escapeHtml(process.argv.slice(1).map(a => path.basename(a)).join(' '))}</p>
+<p><b>Error:</b> ${escapeHtml(error.message)}</p>
+${aws ? `<p><b>AWS Error Code:</b> ${escapeHtml(aws.code)}${aws.status ? ` (HTTP ${aws.status})` : ''} · <b>Request ID:</b> ${escapeHtml(aws.requestId || '—')}</p>` : ''}
+<pre style="padding:10px;background:#f1f5f9;font-size:12px;white-space:pre-wrap;">${escapeHtml(error.stack || '')}</pre>`,
+    footer: 'Sent automatically by NeurasixAI · Rerun the job (or backfill with --date) once the cause is fixed.',
+  });
+}
+
+function inWindow(upload, reportWindow) {
+  return upload.LastModified >= reportWindow.startUTC.toJSDate() && upload.LastModified < reportWindow.endUTC.toJSDate();
+}
+
+function buildSubject(windows, isBackfill) {
+  const first = windows[0].end.toFormat('dd LLL yyyy');
+  const last = windows[windows.length - 1].end.toFormat('dd LLL yyyy');
+  const title = reportTitle(WINDOW_CONFIG);
+  if (!isBackfill) {
+    return `${title} — ${last}`;
+  }
+  return `${title} (catch-up) — ${first === last ? first : `${first} → ${last}`}`;
+}
+
+function buildCatchUpBanner(windows) {
+  const generatedAt = DateTime.now().setZone(WINDOW_CONFIG.zone).toFormat('dd LLL yyyy, hh:mm a');
+  return `
+<p style="padding:12px;background:#fef3c7;border:1px solid #f59e0b;">
+<b>Catch-up report</b> regenerated on ${generatedAt} ${WINDOW_CONFIG.zoneLabel} for ${windows.length} missed window(s).
+</p>`;
+}
+
+// The manifest of the current run, so a failure can still be recorded
+let runManifest = null;
+
 async function main() {
   log('info', '========================================');
   log('info', '🚀 Starting S3 Daily Summary Process');
@@ -474,44 +1012,112 @@ async function main() {
   const startTime = Date.now();
   
   try {
-    const windowIST = computeISTWindow();
-    log('info', `Window (IST): ${windowIST.startIST.toFormat('dd LLL yyyy, hh:mm a')} → ${windowIST.endIST.toFormat('dd LLL yyyy, hh:mm a')}`);
-    log('info', `Window (UTC): ${windowIST.startUTC.toFormat('dd LLL yyyy, hh:mm a')} → ${windowIST.endUTC.toFormat('dd LLL yyyy, hh:mm a')}`);
+    // --date / --from --to regenerate past windows; default is today's window
+    const backfillWindows = parseBackfillWindows(process.argv, WINDOW_CONFIG);
+    const isBackfill = Boolean(backfillWindows);
+    const windows = backfillWindows || [computeReportWindow(DateTime.now(), WINDOW_CONFIG)];
+
+    runManifest = {
+      // Set by run_complete_pipeline.js so the run record can claim this manifest
+      runId: process.env.PIPELINE_RUN_ID || null,
+      startedAt: new Date(startTime).toISOString(),
+      mode: isBackfill ? 'backfill' : 'scheduled',
+      scanMode: SCAN_MODE,
+      dryRun: DRY_RUN,
+      status: 'running',
+      windows: windows.map(w => ({
+        date: w.end.toISODate(),
+        start: w.start.toISO(),
+        end: w.end.toISO(),
+        report: null,
+        exports: [],
+        uploads: 0,
+        excluded: 0,
+      })),
+    };
+
+    // Recorded, so step 2 and the run record see this day's scan, not an older one
+    if (windows[0].skipped) {
+      log('info', `${windows[0].end.toFormat('dd LLL yyyy')} is a skipped day (weekend/holiday); its uploads roll into the next report.`);
+      Object.assign(runManifest, {
+        status: 'skipped',
+        totalUploads: 0,
+        finishedAt: new Date().toISOString(),
+        durationSeconds: Number(((Date.now() - startTime) / 1000).toFixed(2)),
+      });
+      writeScanManifest(SCAN_MANIFEST_FILE, runManifest);
+      return;
+    }
+    const scanStartUTC = windows[0].startUTC;
+    const scanEndUTC = windows[windows.length - 1].endUTC;
+
+    if (isBackfill) {
+      log('info', `🕰️ Backfill mode: ${windows.length} window(s)`);
+    }
+    for (const reportWindow of windows) {
+      log('info', `Window: ${formatWindow(reportWindow)}`);
+    }
+    log('info', `Configuration: ${CONFIG.source ? `${path.basename(CONFIG.source)} and environment` : 'environment only'}`);
+    log('info', `Case taxonomy${TAXONOMY.source ? ` (${path.basename(TAXONOMY.source)})` : ' (default)'}: ${TAXONOMY.dimensions.map(d => d.label).join(' › ')}`);
+    log('info', `Scan filters${FILE_FILTERS.source ? ` (${path.basename(FILE_FILTERS.source)})` : ' (defaults)'}: ${describeStage(FILE_FILTERS.scan)}`);
+    log('info', `Scan range (UTC): ${scanStartUTC.toFormat('dd LLL yyyy, hh:mm a')} → ${scanEndUTC.toFormat('dd LLL yyyy, hh:mm a')}`);
     
-    const buckets = parseEnvBuckets() || await listAllBuckets();
+    const buckets = scan.buckets.length > 0 ? scan.buckets : await listAllBuckets();
     log('info', `Buckets to scan: ${buckets.length} (${buckets.join(', ')})`);
 
-    const perBucketFolderCounts = new Map();
+    // Scheduled runs in incremental/inventory mode continue from the watermark;
+    // backfills report exactly the requested windows and leave the state alone
+    const scanStateFile = path.join(__dirname, 'reports', 'scan_state.json');
+    const scanState = SCAN_MODE !== 'list' && !isBackfill ? loadScanState(scanStateFile) : null;
+    const scanned = [];
+    log('info', `Scan mode: ${SCAN_MODE}${isBackfill && SCAN_MODE !== 'list' ? ' (watermarks ignored for backfill)' : ''}`);
+
+    const commitScanState = () => {
+      if (!scanState || DRY_RUN) return;
+      for (const { bucket, prefix, coveredUntil, uploads } of scanned) {
+        advanceWatermark(scanState, bucket, prefix, coveredUntil, uploads);
+      }
+      saveScanState(scanStateFile, scanState);
+      log('info', `Scan state saved (${scanned.length} prefix watermark(s) advanced)`);
+    };
+
+    // Each bucket is listed once for the whole range, then split per window
+    const scanResults = await scanBuckets(buckets, scanStartUTC, scanEndUTC, scanState);
+    const uploadsByBucket = new Map();
     const allUploads = [];
+    const allExcluded = [];
+    const scanFailures = [];
     let totalErrors = 0;
 
-    for (let i = 0; i < buckets.length; i++) {
-      const bucket = buckets[i];
-      log('info', `\n[${i + 1}/${buckets.length}] Scanning bucket: ${bucket}`);
-      
-      try {
-        const { uploads, folderCounts } =
-          await listBucketUploadsInWindow(bucket, windowIST.startUTC, windowIST.endUTC);
-        perBucketFolderCounts.set(bucket, folderCounts);
-        allUploads.push(...uploads.map(u => ({ ...u, Bucket: bucket })));
-
-        const folderCount = folderCounts.size;
-        const uploadCount = uploads.length;
-        log('info', `✓ [${bucket}] Summary: ${uploadCount} uploads across ${folderCount} folder(s)`);
-
-        if (folderCount > 0) {
-          const top5 = [...folderCounts.entries()]
-            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
-            .slice(0, 5)
-            .map(([f, c]) => `${f === '/' ? '/' : f + '/'}: ${c}`)
-            .join(' | ');
-          log('info', `  Top folders: ${top5}`);
-        }
-      } catch (error) {
+    for (const [bucket, result] of scanResults.entries()) {
+      scanned.push(...result.scanned);
+
+      if (result.errors.length > 0) {
         totalErrors++;
-        log('error', `✗ [${bucket}] Failed to scan bucket`);
-        log('error', `  Error: ${error.message}`);
-        // Continue with other buckets
+        const failedPrefixes = result.errors.map(e => e.prefix || '(whole bucket)').join(', ');
+        log('error', `✗ [${bucket}] Failed to scan: ${failedPrefixes}`);
+        for (const { prefix, error } of result.errors) {
+          log('error', `  Error: ${error.message}`);
+          scanFailures.push({ bucket, prefix, ...describeS3Error(error) });
+        }
+      }
+
+      // Keep what was listed, even if some prefixes of the bucket failed
+      if (result.scanned.length === 0) continue;
+      uploadsByBucket.set(bucket, result.uploads);
+      allUploads.push(...result.uploads);
+      allExcluded.push(...result.excluded);
+
+      const folderCounts = countFolders(result.uploads);
+      log('info', `${result.errors.length ? '⚠' : '✓'} [${bucket}] Summary: ${result.uploads.length} uploads across ${folderCounts.size} folder(s)${result.excluded.length ? `, ${result.excluded.length} excluded by the scan filters` : ''}`);
+
+      if (folderCounts.size > 0) {
+        const top5 = [...folderCounts.entries()]
+          .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+          .slice(0, 5)
+          .map(([f, c]) => `${f === '/' ? '/' : f + '/'}: ${c}`)
+          .join(' | ');
+        log('info', `  Top folders: ${top5}`);
       }
     }
 
@@ -519,25 +1125,162 @@ async function main() {
     log('info', '📊 Scan Summary');
     log('info', '========================================');
     log('info', `Total uploads found: ${allUploads.length}`);
-    log('info', `Buckets successfully scanned: ${perBucketFolderCounts.size}/${buckets.length}`);
+    if (allExcluded.length > 0) {
+      log('info', `Files excluded by the scan filters: ${allExcluded.length}`);
+    }
+    log('info', `Buckets successfully scanned: ${buckets.length - totalErrors}/${buckets.length}`);
     if (totalErrors > 0) {
       log('warn', `Buckets with errors: ${totalErrors}`);
     }
 
-    if (allUploads.length === 0) {
-      log('warn', 'No uploads found in the specified time window!');
-      log('info', 'Skipping report generation and email.');
-      return;
+    const reportsDir = path.join(__dirname, 'reports');
+    const reports = [];
+    const alerts = [];
+
+    // Every reported day's counts, for the trend columns; a dry run reads it but never saves
+    const historyFile = path.join(reportsDir, 'upload_history.json');
+    let uploadHistory;
+    let historyWritable = !DRY_RUN;
+    try {
+      uploadHistory = loadHistory(historyFile);
+    } catch (err) {
+      log('warn', `Upload history cannot be read (${err.message}); trends start from scratch and the file is left as it is`);
+      uploadHistory = emptyHistory();
+      historyWritable = false;
     }
 
-    const reportsDir = path.join(__dirname, 'reports');
-    const attachmentPath = buildWorkbook(allUploads, perBucketFolderCounts, windowIST, reportsDir);
+    // A scheduled run reports everything scanned, including uploads since the
+    // watermark; a backfill splits the scan into its windows
+    const selectUploads = (uploads, reportWindow) =>
+      isBackfill ? uploads.filter(u => inWindow(u, reportWindow)) : uploads;
+    // Folders of a failed bucket or prefix would count as 0; such days are never
+    // compared with, and the folders of failed buckets are not checked for anomalies
+    const partialDay = scanFailures.length > 0;
+    const failedBuckets = [...new Set(scanFailures.map(f => f.bucket))];
+    if (failedBuckets.length > 0) {
+      log('warn', `Folders with uploads from ${failedBuckets.join(', ')} are not checked for unusual upload volume`);
+    }
+    let recordedDays = 0;
+    let partialDays = 0;
+
+    for (const reportWindow of windows) {
+      const windowLabel = reportWindow.end.toFormat('dd LLL yyyy');
+      const windowUploads = selectUploads(allUploads, reportWindow);
+      const windowExcluded = selectUploads(allExcluded, reportWindow);
+      const exclusions = countExclusions(windowExcluded.map(e => ({ bucket: e.Bucket, reason: e.reason })));
+      const earlier = windowUploads.filter(u => u.LastModified < reportWindow.startUTC.toJSDate()).length;
+      if (earlier > 0) {
+        log('info', `[${windowLabel}] Includes ${earlier} upload(s) from before the window start (since the last watermark)`);
+      }
+
+      const perBucketFolderCounts = new Map();
+      for (const [bucket, uploads] of uploadsByBucket.entries()) {
+        perBucketFolderCounts.set(bucket, countFolders(selectUploads(uploads, reportWindow)));
+      }
+
+      // Compared only with earlier report days, so backfilled days line up too
+      const historyDate = historyKey(reportWindow);
+      const detailedData = buildDetailedSummaryTable(perBucketFolderCounts);
+      const trends = buildTrends(uploadHistory, historyDate, detailedData, TAXONOMY.dimensions);
+      const recorded = recordDay(uploadHistory, historyDate, detailedData, TAXONOMY.dimensions.map(d => d.name), { partial: partialDay });
+      if (recorded) recordedDays++;
+      if (recorded && partialDay) partialDays++;
+      if (partialDay) {
+        log('warn', `[${windowLabel}] Scan failures: ${recorded ? 'recorded as a partial day in the upload history' : 'not recorded; the upload history keeps its complete record of this day'}`);
+      }
+
+      // Checked before the empty-window skip: a day with no uploads at all is the worst case
+      const anomalies = findAnomalies(trends, ANOMALY_CONFIG, { failedBuckets });
+      if (anomalies.length > 0) {
+        log('warn', `[${windowLabel}] ${anomalies.length} folder(s) with unusual upload volume: ${anomalies.map(a => `${a.line} (${a.kind})`).join(' | ')}`);
+        alerts.push({ reportWindow, anomalies, averageDays: trends.averageDays });
+      }
+
+      if (windowUploads.length === 0) {
+        log('warn', `No uploads found in the window ending ${windowLabel}!`);
+        const html = buildNoUploadsHtml(reportWindow, buckets.length - totalErrors, scanFailures.length > 0, trends, anomalies, exclusions);
+        reports.push({ reportWindow, attachmentPath: null, exported: [], html, uploads: 0, excluded: windowExcluded.length });
+        continue;
+      }
+
+      log('info', `\n[${windowLabel}] ${windowUploads.length} upload(s)`);
+      const duplicateGroups = findDuplicateGroups(windowUploads);
+      if (duplicateGroups.length > 0) {
+        const exact = duplicateGroups.filter(g => g.match === 'exact').length;
+        log('warn', `[${windowLabel}] Possible duplicates: ${exact} exact group(s), ${duplicateGroups.length - exact} same-name group(s)`);
+      }
+      const attachmentPath = buildWorkbook(windowUploads, perBucketFolderCounts, reportWindow, reportsDir, duplicateGroups, trends);
+      const exported = exportUploadDataset(attachmentPath, windowUploads, perBucketFolderCounts, reportWindow, trends);
+
+      log('info', 'Generating HTML summary...');
+      const html = buildHtmlSummary(perBucketFolderCounts, reportWindow, windowUploads.length, duplicateGroups, trends, anomalies, exclusions);
+      log('info', 'HTML summary generated successfully');
 
-    log('info', '\nGenerating HTML summary...');
-    const html = buildHtmlSummary(perBucketFolderCounts, windowIST, allUploads.length);
-    log('info', 'HTML summary generated successfully');
+      reports.push({ reportWindow, attachmentPath, exported, html, uploads: windowUploads.length, excluded: windowExcluded.length });
+    }
+
+    if (historyWritable) {
+      saveHistory(historyFile, uploadHistory);
+      log('info', `Upload history saved (${recordedDays} report day(s) recorded${partialDays > 0 ? `, ${partialDays} partial` : ''})`);
+    }
+
+    // Backfills flag anomalies in their reports but do not page anyone about past days
+    if (alerts.length > 0 && OPS_EMAIL.length > 0 && !isBackfill) {
+      const count = alerts.reduce((sum, a) => sum + a.anomalies.length, 0);
+      const alertSubject = `🚨 Upload anomalies — ${alerts[alerts.length - 1].reportWindow.end.toFormat('dd LLL yyyy')} (${count} folder(s))`;
+      if (DRY_RUN) {
+        log('info', `🔍 DRY RUN - anomaly alert not sent: ${alertSubject} → ${OPS_EMAIL.join(', ')}`);
+      } else {
+        try {
+          await sendEmail({ to: OPS_EMAIL, subject: alertSubject, html: buildAnomalyAlertHtml(alerts) });
+        } catch (err) {
+          // Already logged; the report below still carries the Attention block
+          log('warn', 'Anomaly alert email failed; continuing with the report');
+        }
+      }
+    }
+
+    // Empty windows still get an email (a no-uploads notice), and so do failed scans
+    let subject = buildSubject(reports.map(r => r.reportWindow), isBackfill);
+    if (reports.every(r => r.uploads === 0)) {
+      log('warn', 'No uploads found in the specified time window! Sending a no-uploads notice.');
+      subject += ' (no uploads)';
+    }
+    if (totalErrors > 0) {
+      subject += ` ⚠️ ${totalErrors} bucket(s) failed to scan`;
+    }
+    const html = (isBackfill ? buildCatchUpBanner(reports.map(r => r.reportWindow)) : '') +
+      buildScanFailuresHtml(scanFailures, reports.map(r => r.reportWindow), isBackfill) +
+      reports.map(r => r.html).join('\n<br>\n');
+    const attachments = reports.filter(r => r.attachmentPath).map(r => ({
+      filename: path.basename(r.attachmentPath),
+      path: r.attachmentPath,
+    }));
 
-    const subject = `Daily S3 Ingestion Summary — ${windowIST.endIST.toFormat('dd LLL yyyy')}`;
+    reports.forEach((r, i) => {
+      runManifest.windows[i].report = r.attachmentPath ? path.basename(r.attachmentPath) : null;
+      runManifest.windows[i].exports = r.exported;
+      runManifest.windows[i].uploads = r.uploads;
+      runManifest.windows[i].excluded = r.excluded;
+    });
+    Object.assign(runManifest, {
+      status: reports.every(r => r.uploads === 0) ? 'no-uploads' : totalErrors > 0 ? 'partial' : 'ok',
+      totalUploads: reports.reduce((sum, r) => sum + r.uploads, 0),
+      buckets: {
+        names: buckets,
+        scanned: buckets.length - totalErrors,
+        failed: failedBuckets,
+        errors: scanFailures,
+      },
+      email: null,
+    });
+    const finishManifest = () => {
+      Object.assign(runManifest, {
+        finishedAt: new Date().toISOString(),
+        durationSeconds: Number(((Date.now() - startTime) / 1000).toFixed(2)),
+      });
+      writeScanManifest(SCAN_MANIFEST_FILE, runManifest);
+    };
 
     if (DRY_RUN) {
       log('info', '\n========================================');
@@ -545,7 +1288,8 @@ async function main() {
       log('info', '========================================');
       log('info', `Subject: ${subject}`);
       log('info', `Recipients: ${TO_EMAIL.join(', ')}`);
-      log('info', `Attachment: ${path.basename(attachmentPath)}`);
+      log('info', `Attachments: ${attachments.map(a => a.filename).join(', ') || '(none)'}`);
+      finishManifest();
       return;
     }
 
@@ -553,13 +1297,22 @@ async function main() {
     log('info', '📧 Sending Email');
     log('info', '========================================');
     
-    await sendEmail({
-      subject,
-      html,
-      attachments: [
-        { filename: path.basename(attachmentPath), path: attachmentPath }
-      ],
-    });
+    let info;
+    try {
+      info = await sendEmail({ subject, html, attachments });
+    } catch (error) {
+      // The scan and its report are complete: the batch step may still
+      // summarize the report, so only the delivery is recorded as failed
+      runManifest.emailError = error.message;
+      commitScanState();
+      finishManifest();
+      log('error', `Upload email not sent; the report is kept for the batch step. Exiting with code ${EXIT_EMAIL_FAILED}`);
+      process.exitCode = EXIT_EMAIL_FAILED;
+      return;
+    }
+    runManifest.email = { messageId: info.messageId, recipients: TO_EMAIL, subject };
+    commitScanState();
+    finishManifest();
 
     const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
     log('info', '\n========================================');
@@ -576,8 +1329,33 @@ async function main() {
   }
 }
 
-main().catch(err => {
-  // Error already logged in main()
+// Silence after a crash looks the same as a day without uploads, so say it failed
+async function sendFailureAlert(error) {
+  const to = OPS_EMAIL.length > 0 ? OPS_EMAIL : TO_EMAIL;
+  const subject = `❌ ${reportTitle(WINDOW_CONFIG)} failed — ${DateTime.now().setZone(WINDOW_CONFIG.zone).toFormat('dd LLL yyyy')}`;
+  if (DRY_RUN) {
+    log('info', `🔍 DRY RUN - failure alert not sent: ${subject} → ${to.join(', ')}`);
+    return;
+  }
+  try {
+    await sendEmail({ to, subject, html: buildFailureAlertHtml(error, process.uptime().toFixed(2)) });
+  } catch {
+    // Already logged by sendEmail
+    log('error', 'Failure alert could not be sent either');
+  }
+}
+
+main().catch(async err => {
+  // Error already logged in main(); a finished manifest keeps its status
+  if (runManifest && !runManifest.finishedAt) {
+    try {
+      // Written before anything else can fail, so the batch step never takes an older report
+      writeScanManifest(SCAN_MANIFEST_FILE, { ...runManifest, status: 'failed', error: err.message, finishedAt: new Date().toISOString() });
+    } catch (writeErr) {
+      log('error', `Could not write the scan manifest: ${writeErr.message}`);
+    }
+  }
+  await sendFailureAlert(err);
   log('error', '\nExiting with error code 1');
   process.exit(1);
 });
@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+/**
+ * Result Cache Tool
+ *
+ * Inspects and invalidates the result cache written by process_in_batches.js
+ * (reports/result_cache.json; --dry works on the dry-run cache instead).
+ *
+ *   node summary_cache.js status                  Entries per prompt version, current one marked
+ *   node summary_cache.js show <sha256|bucket/key>  Cached results for a document
+ *   node summary_cache.js invalidate --stale      Drop entries from other prompt versions
+ *   node summary_cache.js invalidate --version <v>  Drop one prompt version
+ *   node summary_cache.js invalidate <sha256|bucket/key>  Drop one document
+ *   node summary_cache.js clear                   Archive the whole cache
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DateTime } = require('luxon');
+const { loadCache, saveCache, invalidateEntries } = require('./lib/result_cache');
+const { promptVersion } = require('./lib/summary_prompt');
+const { getLlmConfig, createProvider } = require('./lib/llm_provider');
+const { getDocumentConfig } = require('./lib/pdf_document');
+const { getVerificationConfig } = require('./lib/answer_verification');
+const { getWindowConfig } = require('./lib/report_window');
+const { loadConfig } = require('./lib/config');
+
+require('dotenv').config({ path: path.resolve(__dirname, '.env') });
+
+let CONFIG;
+try {
+  CONFIG = loadConfig();
+} catch (error) {
+  console.error(`Invalid configuration: ${error.message}`);
+  process.exit(1);
+}
+
+const REPORTS_DIR = path.join(__dirname, 'reports');
+const DRY_RUN = process.argv.includes('--dry');
+const CACHE_FILE = path.join(REPORTS_DIR, `result_cache${DRY_RUN ? '_dry' : ''}.json`);
+const args = process.argv.slice(3).filter(a => a !== '--dry');
+
+let WINDOW_CONFIG;
+try {
+  WINDOW_CONFIG = getWindowConfig(CONFIG.env);
+} catch (error) {
+  console.error(`Invalid reporting window configuration: ${error.message}`);
+  process.exit(1);
+}
+
+function log(level, msg) {
+  const ts = DateTime.now().setZone(WINDOW_CONFIG.zone).toFormat('HH:mm:ss');
+  console.log(`[${ts}] [${level.toUpperCase()}] ${msg}`);
+}
+
+function formatTime(iso) {
+  return DateTime.fromISO(iso).setZone(WINDOW_CONFIG.zone).toFormat('dd LLL yyyy, HH:mm:ss');
+}
+
+// The version process_in_batches.js would use with the current configuration
+function currentPromptVersion() {
+  try {
+    const env = DRY_RUN ? { ...CONFIG.env, LLM_PROVIDER: 'fake' } : CONFIG.env;
+    const llmConfig = getLlmConfig(env);
+    const documentConfig = getDocumentConfig(env);
+    // Providers that cannot read PDFs get extracted text whatever the mode
+    if (!createProvider(llmConfig).supportsDocuments) documentConfig.mode = 'text';
+    return promptVersion(llmConfig, documentConfig, getVerificationConfig(env), CONFIG.values.summaries.maxContentChars);
+  } catch (error) {
+    log('error', `Invalid configuration: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+function readCache() {
+  if (!fs.existsSync(CACHE_FILE)) {
+    log('info', `No result cache found (${path.relative(__dirname, CACHE_FILE)}).`);
+    return null;
+  }
+  try {
+    return loadCache(CACHE_FILE);
+  } catch (err) {
+    log('error', `Result cache cannot be read: ${err.message}`);
+    log('info', 'Run "node summary_cache.js clear" to archive it.');
+    process.exit(1);
+  }
+}
+
+// A document is named by (a prefix of) its SHA-256 or by the bucket/key it was cached from
+function matchesTarget(target) {
+  const byHash = /^[0-9a-f]{6,64}$/i.test(target);
+  return entry => (byHash ? entry.sha256.startsWith(target.toLowerCase()) : entry.source === target);
+}
+
+function status() {
+  const cache = readCache();
+  if (!cache) return;
+
+  const current = currentPromptVersion();
+  const byVersion = new Map();
+  for (const entry of Object.values(cache.entries)) {
+    const stats = byVersion.get(entry.promptVersion) || { count: 0, newest: entry.cachedAt };
+    stats.count++;
+    if (entry.cachedAt > stats.newest) stats.newest = entry.cachedAt;
+    byVersion.set(entry.promptVersion, stats);
+  }
+
+  console.log('');
+  console.log(`Cache file:       ${path.relative(__dirname, CACHE_FILE)}`);
+  console.log(`Cached results:   ${Object.keys(cache.entries).length}`);
+  console.log(`ETag aliases:     ${Object.keys(cache.etags).length}`);
+  console.log(`Prompt version:   ${current} (current)`);
+  console.log('');
+  console.log('Entries by prompt version:');
+  for (const [version, stats] of [...byVersion.entries()].sort((a, b) => b[1].newest.localeCompare(a[1].newest))) {
+    const note = version === current ? ' (current, reused)' : ' (stale, never reused)';
+    console.log(`  ${version}  ${String(stats.count).padStart(6)}  last cached ${formatTime(stats.newest)}${note}`);
+  }
+  if (byVersion.size === 0) console.log('  (none)');
+  console.log('');
+}
+
+function show() {
+  const [target] = args;
+  if (!target) {
+    console.log('Usage: node summary_cache.js show <sha256|bucket/key>');
+    process.exit(1);
+  }
+  const cache = readCache();
+  if (!cache) return;
+
+  const entries = Object.values(cache.entries).filter(matchesTarget(target));
+  if (entries.length === 0) {
+    log('info', `No cached result for ${target}`);
+    return;
+  }
+  for (const entry of entries) {
+    console.log('');
+    console.log(`SHA-256:          ${entry.sha256}`);
+    console.log(`Prompt version:   ${entry.promptVersion}`);
+    console.log(`Cached from:      ${entry.source}, ${formatTime(entry.cachedAt)}`);
+    console.log(`Input mode:       ${entry.inputMode || ''}`);
+    console.log(`Question:         ${entry.briefing}`);
+    if (entry.verification) console.log(`Verified answer:  ${entry.verification.answer}`);
+  }
+  console.log('');
+}
+
+function invalidate() {
+  const [option, value] = args;
+  let predicate;
+  let description;
+  if (option === '--stale') {
+    const current = currentPromptVersion();
+    predicate = entry => entry.promptVersion !== current;
+    description = `entries from prompt versions other than ${current}`;
+  } else if (option === '--version' && value) {
+    predicate = entry => entry.promptVersion === value;
+    description = `entries from prompt version ${value}`;
+  } else if (option && !option.startsWith('--')) {
+    predicate = matchesTarget(option);
+    description = `entries for ${option}`;
+  } else {
+    console.log('Usage: node summary_cache.js invalidate <--stale | --version <v> | sha256 | bucket/key>');
+    process.exit(1);
+  }
+
+  const cache = readCache();
+  if (!cache) return;
+
+  const removed = invalidateEntries(cache, predicate);
+  if (removed > 0) saveCache(CACHE_FILE, cache);
+  log('info', `Removed ${removed} ${description}; ${Object.keys(cache.entries).length} cached result(s) left`);
+}
+
+function clear() {
+  if (!fs.existsSync(CACHE_FILE)) {
+    log('info', 'No result cache found - nothing to clear.');
+    return;
+  }
+  const archiveDir = path.join(REPORTS_DIR, 'archive');
+  fs.mkdirSync(archiveDir, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const archived = path.join(archiveDir, `${path.basename(CACHE_FILE, '.json')}_cleared_${stamp}.json`);
+  fs.renameSync(CACHE_FILE, archived);
+  log('info', `Result cache archived to ${path.relative(__dirname, archived)}`);
+  log('info', 'Every document will be summarized again on the next run.');
+}
+
+const COMMANDS = { status, show, invalidate, clear };
+
+const command = process.argv[2];
+if (!COMMANDS[command]) {
+  console.log('Usage: node summary_cache.js <status|show|invalidate|clear> [--dry]');
+  process.exit(command ? 1 : 0);
+}
+
+COMMANDS[command]();
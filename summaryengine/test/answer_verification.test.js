@@ -0,0 +1,88 @@
+/**
+ * lib/answer_verification.js, and the question rejection and reply repair
+ * loop of process_in_batches.js run on the fake provider (test/helpers).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const XLSX = require('xlsx');
+const { getVerificationConfig, isGenericQuestion, parseVerificationResponse, checkVerification } = require('../lib/answer_verification');
+const { createSandbox } = require('./helpers/sandbox');
+
+const TEXT = 'The appeal is allowed. The addition under section 68 is deleted as the "creditworthiness" was proved.';
+
+function reply(fields) {
+  return { answerable: true, specific: true, answer: 'It is deleted.', excerpt: 'The addition under section 68 is deleted', ...fields };
+}
+
+test('settings are validated with the variable name', () => {
+  assert.deepEqual(getVerificationConfig({}), { enabled: true, maxRegenerations: 2 });
+  assert.throws(() => getVerificationConfig({ QUESTION_VERIFICATION: 'maybe' }), /QUESTION_VERIFICATION/);
+  assert.throws(() => getVerificationConfig({ QUESTION_MAX_REGENERATIONS: '11' }), /QUESTION_MAX_REGENERATIONS/);
+});
+
+test('generic questions are caught without asking the model', () => {
+  assert.equal(isGenericQuestion('What is this judgment about?'), true);
+  assert.equal(isGenericQuestion('Summarize the order.'), true);
+  assert.equal(isGenericQuestion('Why was the section 68 addition deleted?'), false);
+});
+
+test('a reply is verified only when answered, specific and quoted from the text', () => {
+  assert.deepEqual(checkVerification(reply(), TEXT), { verified: true, answer: 'It is deleted.', excerpt: 'The addition under section 68 is deleted' });
+  assert.equal(checkVerification(reply({ excerpt: 'the  ADDITION under section 68 … "creditworthiness"' }), TEXT).verified, true);
+
+  assert.deepEqual(checkVerification(reply({ specific: false }), TEXT), { verified: false, reason: 'generic question' });
+  assert.deepEqual(checkVerification(reply({ answerable: false }), TEXT), { verified: false, reason: 'not answered by the document' });
+  assert.deepEqual(checkVerification(reply({ excerpt: null }), TEXT), { verified: false, reason: 'no supporting excerpt' });
+  assert.deepEqual(checkVerification(reply({ excerpt: 'The appeal is dismissed' }), TEXT), { verified: false, reason: 'excerpt not found in the document' });
+  // A PDF sent as a document: the excerpt cannot be checked
+  assert.equal(checkVerification(reply({ excerpt: 'The appeal is dismissed' }), null).verified, true);
+});
+
+test('verifier replies are validated against the schema', () => {
+  assert.deepEqual(parseVerificationResponse(JSON.stringify(reply())).value, reply());
+  assert.ok(parseVerificationResponse(JSON.stringify({ answerable: 'yes' })).error);
+});
+
+const UPLOADS = [
+  { bucket: 'bucket-a', key: 'Direct-Taxes/India/ITAT/repaired.txt', text: 'The appeal of the assessee is allowed on the question of section 68 additions.' },
+  { bucket: 'bucket-a', key: 'Direct-Taxes/India/ITAT/rejected.txt', text: 'The revenue appeal is dismissed; the penalty under section 271(1)(c) is deleted.' },
+  { bucket: 'bucket-a', key: 'Direct-Taxes/India/ITAT/unverified.txt', text: 'The service tax demand is set aside as time-barred under section 73.' },
+  { bucket: 'bucket-a', key: 'Direct-Taxes/India/ITAT/garbled.txt', text: 'The writ petition is disposed of with a direction to decide the refund claim.' },
+];
+
+test('rejected questions are regenerated and invalid replies repaired, up to their limits', async (t) => {
+  const sandbox = createSandbox();
+  t.after(() => sandbox.remove());
+  const report = sandbox.writeUploadReport('s3_daily_uploads_20261019.xlsx', UPLOADS);
+
+  // Each file's calls alternate: question, verification, question, verification
+  const run = sandbox.run('process_in_batches.js', ['--report', report], {
+    LLM_PROVIDER: 'fake',
+    CLAUDE_CONCURRENCY: '1',
+    QUESTION_MAX_REGENERATIONS: '1',
+    STUB_FAKE: JSON.stringify({
+      'repaired.txt': ['invalid'],
+      'rejected.txt': ['ok', 'unanswerable'],
+      'unverified.txt': ['ok', 'unanswerable', 'ok', 'unanswerable'],
+      'garbled.txt': ['invalid', 'invalid', 'invalid'],
+    }),
+  });
+  assert.equal(run.status, 0, run.output);
+  assert.match(run.output, /Invalid structured reply \(attempt 1\/3\)/);
+  assert.match(run.output, /Question rejected \(not answered by the document, 1\/2\): What is the key finding of rejected\.txt\?/);
+
+  const rows = XLSX.utils.sheet_to_json(XLSX.readFile(path.join(sandbox.reports, 'file_summaries_20261019.xlsx')).Sheets['File Summaries']);
+  const byName = Object.fromEntries(rows.map(r => [r['File Name'], r]));
+
+  assert.match(byName['repaired.txt']['Question Generated by LLM'], /^What is the key finding of repaired\.txt\?/);
+  assert.ok(byName['repaired.txt']['Verified Answer']);
+  assert.match(byName['rejected.txt']['Question Generated by LLM'], /^What is the key finding of rejected\.txt\?/);
+  assert.ok(byName['rejected.txt']['Verified Answer']);
+  assert.match(byName['unverified.txt']['Question Generated by LLM'], /^Unverified question \(not answered by the document\): What is the key finding/);
+  assert.equal(byName['unverified.txt']['Verified Answer'] || '', '');
+  assert.match(byName['garbled.txt']['Question Generated by LLM'], /^Error generating question \(invalid structured reply\)/);
+
+  assert.deepEqual(sandbox.readJson('summary_manifest.json').counts, { summarized: 2, unverified: 1, 'invalid-output': 1 });
+});
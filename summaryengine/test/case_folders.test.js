@@ -0,0 +1,62 @@
+/**
+ * lib/case_folders.js: the shipped taxonomy classifies folders as the
+ * hard-coded <case type>/<country>/<court or authority> reading did.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getCaseTaxonomy, classifyFolder, caseTypeOf, lineLabel } = require('../lib/case_folders');
+
+// Folder → [caseType, country, courtAuthority] as the baseline parseCaseType,
+// extractCountry and extractCourtAuthority returned them
+const BASELINE = {
+  'Direct-Taxes/India/ITAT/Mumbai': ['Direct Tax Cases', 'India', 'ITAT – Mumbai'],
+  'Direct-Tax/India': ['Direct Tax Cases', 'India', 'General'],
+  'Direct-Taxes/India/': ['Direct Tax Cases', 'India', 'General'],
+  'Indirect-Taxes/India/CESTAT': ['Indirect Tax Cases', 'India', 'CESTAT'],
+  'commercial-disputes/UK': ['Commercial Cases', 'UK', 'General'],
+  'direct-taxes/India/ITAT': ['direct-taxes', 'India', 'ITAT'],
+  'Customs/India/High Court/Delhi/2026': ['Customs', 'India', 'High Court – Delhi – 2026'],
+  'Misc': ['Misc', 'Unknown', 'General'],
+};
+
+test('the shipped taxonomy reproduces the baseline folder reading', () => {
+  const taxonomy = getCaseTaxonomy({});
+
+  assert.deepEqual(taxonomy.dimensions.map(d => d.label), ['Case Type', 'Country', 'Court / Authority']);
+  for (const [folder, [caseType, country, courtAuthority]] of Object.entries(BASELINE)) {
+    assert.deepEqual(classifyFolder(taxonomy, 'any-bucket', folder), { caseType, country, courtAuthority }, folder);
+  }
+  assert.equal(caseTypeOf(taxonomy, 'b', 'Indirect-Taxes/India/CESTAT'), 'Indirect Tax Cases');
+  assert.equal(
+    lineLabel(taxonomy.dimensions, classifyFolder(taxonomy, 'b', 'Direct-Taxes/India/ITAT/Mumbai')),
+    'Direct Tax Cases › India › ITAT – Mumbai'
+  );
+});
+
+test('a bucket rule with a pattern and fixed values comes before the general one', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'case-taxonomy-'));
+  const file = path.join(dir, 'case_taxonomy.json');
+  fs.writeFileSync(file, JSON.stringify({
+    dimensions: [
+      { name: 'caseType', default: 'Other Cases' },
+      { name: 'courtAuthority', default: 'General' },
+    ],
+    rules: [
+      {
+        buckets: ['judgments-archive'],
+        pattern: '^(?<courtAuthority>[^/]+)/\\d{4}',
+        set: { caseType: 'Direct Tax Cases' },
+      },
+      { template: '{caseType}/*/{courtAuthority}' },
+    ],
+  }));
+  const taxonomy = getCaseTaxonomy({ CASE_TAXONOMY_FILE: file });
+
+  assert.deepEqual(classifyFolder(taxonomy, 'judgments-archive', 'ITAT/2026/Mumbai'), { caseType: 'Direct Tax Cases', courtAuthority: 'ITAT' });
+  assert.deepEqual(classifyFolder(taxonomy, 'uploads', 'ITAT/2026/Mumbai'), { caseType: 'ITAT', courtAuthority: 'Mumbai' });
+  assert.deepEqual(classifyFolder(taxonomy, 'judgments-archive', 'ITAT/drafts'), { caseType: 'ITAT', courtAuthority: 'General' });
+});
@@ -0,0 +1,82 @@
+/**
+ * lib/config.js: file and environment precedence and the schema errors, and
+ * "node config.js check" in a sandbox (test/helpers).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../lib/config');
+const { createSandbox } = require('./helpers/sandbox');
+
+function writeConfig(config) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+  const file = path.join(dir, 'config.json');
+  fs.writeFileSync(file, JSON.stringify(config));
+  return file;
+}
+
+test('the environment wins over the file, which wins over the defaults', () => {
+  const file = writeConfig({ scan: { concurrency: 8, mode: 'incremental' }, email: { to: ['a@example.com'] } });
+
+  const config = loadConfig({ CONFIG_FILE: file, S3_SCAN_CONCURRENCY: '2', TO_EMAIL: '["b@example.com","c@example.com"]' });
+
+  assert.equal(config.source, file);
+  assert.equal(config.values.scan.concurrency, 2);
+  assert.equal(config.origins['scan.concurrency'], 'env');
+  assert.deepEqual(config.values.email.to, ['b@example.com', 'c@example.com']);
+  assert.equal(config.values.scan.mode, 'incremental');
+  assert.equal(config.origins['scan.mode'], 'file');
+  assert.equal(config.values.scan.maxAttempts, 6);
+  assert.equal(config.origins['scan.maxAttempts'], 'default');
+  // The lib getters read file values under their variable names
+  assert.equal(config.env.SCAN_MODE, 'incremental');
+  assert.equal(config.env.S3_MAX_ATTEMPTS, undefined);
+});
+
+test('schema errors name the file and setting, or the variable', () => {
+  const file = writeConfig({ scan: { concurrency: 100, mode: 'sometimes' } });
+
+  assert.throws(() => loadConfig({ CONFIG_FILE: file }), (error) => {
+    assert.match(error.message, /^2 problems:/);
+    assert.match(error.message, /config\.json: scan\.concurrency must be <= 64/);
+    assert.match(error.message, /config\.json: scan\.mode must be one of list, incremental, inventory/);
+    return true;
+  });
+  assert.throws(
+    () => loadConfig({ CONFIG_FILE: file, S3_SCAN_CONCURRENCY: 'four', SCAN_MODE: 'list' }),
+    /S3_SCAN_CONCURRENCY must be integer \(got "four"\)$/
+  );
+});
+
+test('unknown sections and settings are errors', () => {
+  const file = writeConfig({ scan: { concurency: 2 }, mail: {} });
+
+  assert.throws(() => loadConfig({ CONFIG_FILE: file }), (error) => {
+    assert.match(error.message, /config\.json: scan: unknown setting "concurency"/);
+    assert.match(error.message, /config\.json: unknown setting "mail"/);
+    return true;
+  });
+});
+
+test('config check lists where each setting came from and fails on an invalid one', async (t) => {
+  const sandbox = createSandbox();
+  t.after(() => sandbox.remove());
+  fs.writeFileSync(path.join(sandbox.dir, 'config.json'), JSON.stringify({ scan: { mode: 'incremental' } }));
+
+  // No objects to stub: the check never reads S3
+  const ok = sandbox.run('config.js', ['check'], { STUB_OBJECTS: '', S3_SCAN_CONCURRENCY: '2' });
+
+  assert.equal(ok.status, 0, ok.output);
+  assert.match(ok.output, /scan\.mode +SCAN_MODE +file +incremental/);
+  assert.match(ok.output, /scan\.concurrency +S3_SCAN_CONCURRENCY +env +2/);
+  assert.match(ok.output, /aws\.secretAccessKey +AWS_SECRET_ACCESS_KEY +env +\*\*\*\*\n/);
+  assert.match(ok.output, /Configuration OK\./);
+
+  const bad = sandbox.run('config.js', ['check'], { STUB_OBJECTS: '', REPORT_SKIP_WEEKENDS: 'sometimes' });
+
+  assert.equal(bad.status, 1, bad.output);
+  assert.match(bad.output, /✗ Invalid configuration: REPORT_SKIP_WEEKENDS must be boolean \(got "sometimes"\)/);
+});
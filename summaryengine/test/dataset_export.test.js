@@ -0,0 +1,152 @@
+/**
+ * lib/dataset_export.js: a small export written in every format and read
+ * back.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EXPORT_SCHEMA_VERSION, exportDataset } = require('../lib/dataset_export');
+
+const META = {
+  dataset: 's3_daily_uploads',
+  reportDate: '2026-10-19',
+  window: { start: '2026-10-18T12:00:00.000+05:30', end: '2026-10-19T12:00:00.000+05:30' },
+  dimensions: [{ name: 'caseType', label: 'Case Type' }, { name: 'country', label: 'Country' }],
+};
+
+const UPLOADS = [
+  {
+    bucket: 'bucket-a',
+    key: 'Direct-Taxes/India/"Smith, J".pdf',
+    folder: 'Direct-Taxes/India',
+    caseType: 'Direct Tax Cases',
+    country: 'India',
+    lastModified: '2026-10-19T01:00:00.000Z',
+    size: 1024,
+    etag: '"abc"',
+    storageClass: '',
+    notExported: 'dropped',
+  },
+  {
+    bucket: 'bucket-a',
+    key: 'Direct-Taxes/India/two.pdf',
+    folder: 'Direct-Taxes/India',
+    caseType: 'Direct Tax Cases',
+    country: 'India',
+    lastModified: '2026-10-19T02:00:00.000Z',
+    size: 2048,
+    etag: 'def',
+    storageClass: 'STANDARD',
+  },
+];
+const HIGH_LEVEL = [{ caseType: 'Direct Tax Cases', count: 2, previous: null, average: 1.5 }];
+
+function exportTo(formats) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dataset-export-'));
+  const reportPath = path.join(dir, 's3_daily_uploads_20261019.xlsx');
+  const written = exportDataset(reportPath, META, { uploads: UPLOADS, highLevel: HIGH_LEVEL }, formats);
+  return { dir, written };
+}
+
+// Enough of RFC 4180 to read the export back: quoted fields, "" escapes
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n') {
+      rows.push([...row, field]);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  return rows;
+}
+
+test('nothing is written without formats', () => {
+  assert.deepEqual(exportTo([]).written, []);
+});
+
+test('CSV quotes commas and quotes and keeps the documented columns', () => {
+  const { dir, written } = exportTo(['csv']);
+
+  assert.deepEqual(written, ['s3_daily_uploads_20261019.uploads.csv', 's3_daily_uploads_20261019.highLevel.csv']);
+  const text = fs.readFileSync(path.join(dir, written[0]), 'utf-8');
+  assert.match(text, /,"Direct-Taxes\/India\/""Smith, J"".pdf",/);
+
+  const [header, ...rows] = parseCsv(text);
+  assert.deepEqual(header, [
+    'schemaVersion', 'reportDate', 'bucket', 'key', 'folder', 'caseType', 'country',
+    'lastModified', 'size', 'etag', 'storageClass',
+  ]);
+  assert.equal(rows.length, 2);
+  assert.equal(rows[0][3], 'Direct-Taxes/India/"Smith, J".pdf');
+  assert.equal(rows[0][9], '"abc"');
+  assert.equal(rows[0][10], '', 'empty values are empty in CSV');
+  assert.deepEqual(rows[1].slice(0, 2), [String(EXPORT_SCHEMA_VERSION), '2026-10-19']);
+
+  const highLevel = parseCsv(fs.readFileSync(path.join(dir, written[1]), 'utf-8'));
+  assert.deepEqual(highLevel, [
+    ['schemaVersion', 'reportDate', 'caseType', 'count', 'previous', 'average'],
+    [String(EXPORT_SCHEMA_VERSION), '2026-10-19', 'Direct Tax Cases', '2', '', '1.5'],
+  ]);
+});
+
+test('JSON Lines has one record per row with only the table fields', () => {
+  const { dir, written } = exportTo(['jsonl']);
+
+  const lines = fs.readFileSync(path.join(dir, written[0]), 'utf-8').split('\n').filter(Boolean);
+  assert.equal(lines.length, UPLOADS.length);
+  const records = lines.map(line => JSON.parse(line));
+  assert.equal(records[0].key, UPLOADS[0].key);
+  assert.equal(records[0].storageClass, null, 'empty values are null in JSON');
+  assert.equal('notExported' in records[0], false);
+  assert.deepEqual(Object.keys(records[1]).slice(0, 3), ['schemaVersion', 'reportDate', 'bucket']);
+});
+
+test('the JSON document carries the schema version, window, dimensions and every table', () => {
+  const { dir, written } = exportTo(['json']);
+
+  assert.deepEqual(written, ['s3_daily_uploads_20261019.json']);
+  const document = JSON.parse(fs.readFileSync(path.join(dir, written[0]), 'utf-8'));
+  assert.deepEqual(Object.keys(document), ['schemaVersion', 'dataset', 'reportDate', 'window', 'generatedAt', 'dimensions', 'tables']);
+  assert.equal(document.schemaVersion, EXPORT_SCHEMA_VERSION);
+  assert.deepEqual(document.window, META.window);
+  assert.deepEqual(document.dimensions, META.dimensions);
+  assert.deepEqual(Object.keys(document.tables), ['uploads', 'highLevel']);
+  assert.equal(document.tables.uploads.length, 2);
+  assert.deepEqual(document.tables.highLevel[0], {
+    schemaVersion: EXPORT_SCHEMA_VERSION, reportDate: '2026-10-19', caseType: 'Direct Tax Cases', count: 2, previous: null, average: 1.5,
+  });
+  assert.equal(fs.readdirSync(dir).some(name => name.endsWith('.tmp')), false);
+});
+
+test('an unknown table is an error', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dataset-export-'));
+
+  assert.throws(
+    () => exportDataset(path.join(dir, 'r.xlsx'), META, { trends: [] }, ['csv']),
+    /Unknown export table "trends"/
+  );
+});
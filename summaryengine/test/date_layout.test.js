@@ -0,0 +1,65 @@
+/**
+ * lib/date_layout.js: which keys a date-partitioned listing reads.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getDateLayouts, layoutListing } = require('../lib/date_layout');
+
+const LAYOUT = getDateLayouts({ S3_DATE_LAYOUT: '{"archive":"uploads/{yyyy}/{MM}/{dd}/"}' }).get('archive');
+
+// Every key a StartAfter listing of the prefix would return before stopping
+function listed(keys, listing) {
+  return [...keys].sort()
+    .filter(key => key.startsWith(listing.prefix) && key > listing.startAfter)
+    .filter(key => key < listing.stopAt);
+}
+
+test('only the days of the range, plus one on either side, are listed', () => {
+  const keys = [
+    'uploads/2025/12/31/old.pdf',
+    'uploads/2026/10/15/a.pdf',
+    'uploads/2026/10/16/',
+    'uploads/2026/10/16/b.pdf',
+    'uploads/2026/10/17/c.pdf',
+    'uploads/2026/10/18/d/e.pdf',
+    'uploads/2026/10/19/f.pdf',
+    'uploads/2026/10/20/g.pdf',
+    'uploads/2026/11/01/h.pdf',
+    'other/2026/10/17/i.pdf',
+  ];
+  // Watermark 17 Oct 06:30 UTC to 18 Oct 06:30 UTC (12:00 IST)
+  const listing = layoutListing(LAYOUT, new Date('2026-10-17T06:30:00Z'), new Date('2026-10-18T06:30:00Z'));
+
+  assert.equal(listing.prefix, 'uploads/');
+  assert.equal(listing.startAfter, 'uploads/2026/10/16/');
+  assert.equal(listing.stopAt, 'uploads/2026/10/20/');
+  assert.deepEqual([listing.firstDay, listing.lastDay], ['2026-10-16', '2026-10-19']);
+  assert.deepEqual(listed(keys, listing), [
+    'uploads/2026/10/16/b.pdf',
+    'uploads/2026/10/17/c.pdf',
+    'uploads/2026/10/18/d/e.pdf',
+    'uploads/2026/10/19/f.pdf',
+  ]);
+});
+
+test('a range across a month and year end stays in key order', () => {
+  const listing = layoutListing(LAYOUT, new Date('2025-12-30T12:00:00Z'), new Date('2026-01-01T12:00:00Z'));
+
+  assert.equal(listing.startAfter, 'uploads/2025/12/29/');
+  assert.equal(listing.stopAt, 'uploads/2026/01/03/');
+  assert.deepEqual(listed(['uploads/2025/12/31/a.pdf', 'uploads/2026/01/02/b.pdf', 'uploads/2026/01/10/c.pdf'], listing), [
+    'uploads/2025/12/31/a.pdf',
+    'uploads/2026/01/02/b.pdf',
+  ]);
+});
+
+test('layouts are checked', () => {
+  assert.deepEqual(getDateLayouts({}), new Map());
+  assert.equal(getDateLayouts({ S3_DATE_LAYOUT: '{"b":"{yyyy}-{MM}-{dd}/"}' }).get('b').prefix, '');
+  assert.throws(() => getDateLayouts({ S3_DATE_LAYOUT: '{"b":"uploads/{dd}/{MM}/{yyyy}/"}' }), /S3_DATE_LAYOUT\.b must contain \{yyyy\}, \{MM\} and \{dd\} in that order/);
+  assert.throws(() => getDateLayouts({ S3_DATE_LAYOUT: '{"b":"uploads/{yyyy}/{MM}/{dd}"}' }), /must end with the day's folder/);
+  assert.throws(() => getDateLayouts({ S3_DATE_LAYOUT: '{"b":"{yyyy}/{MM}/{dd}/{hh}/"}' }), /may only use/);
+  assert.throws(() => getDateLayouts({ S3_DATE_LAYOUT: '["uploads"]' }), /S3_DATE_LAYOUT must be an object keyed by bucket name/);
+  assert.throws(() => getDateLayouts({ S3_DATE_LAYOUT: '{' }), /S3_DATE_LAYOUT is not valid JSON/);
+});
@@ -0,0 +1,107 @@
+/**
+ * lib/duplicates.js: exact, same-name and same-text groups.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  findDuplicateGroups,
+  textFingerprint,
+  findTextDuplicateGroups,
+  duplicateRows,
+  buildDuplicatesHtml,
+} = require('../lib/duplicates');
+
+function upload(Bucket, Key, ETag, Size = 100) {
+  return { Bucket, Key, ETag, Size };
+}
+
+function keys(group) {
+  return group.items.map(u => `${u.Bucket}/${u.Key}`);
+}
+
+// Long enough to be fingerprinted
+const JUDGMENT = 'The appeal of the assessee is allowed and the addition under section 68 is deleted. '.repeat(8);
+
+test('copies with the same ETag and size are one exact group, across buckets', () => {
+  const groups = findDuplicateGroups([
+    upload('bucket-a', 'itat/order.pdf', '"e1"'),
+    upload('bucket-b', 'cases/itat-order-copy.pdf', '"e1"'),
+    upload('bucket-a', 'itat/other.pdf', '"e2"'),
+    upload('bucket-a', 'itat/same-etag-other-size.pdf', '"e1"', 999),
+  ]);
+
+  assert.deepEqual(groups.map(g => [g.match, keys(g)]), [
+    ['exact', ['bucket-a/itat/order.pdf', 'bucket-b/cases/itat-order-copy.pdf']],
+  ]);
+});
+
+test('a name shared by different content is a same-name group, but not by copies only', () => {
+  const groups = findDuplicateGroups([
+    upload('bucket-a', 'mumbai/Order.pdf', '"e1"'),
+    upload('bucket-b', 'delhi/order.pdf', '"e2"'),
+    upload('bucket-a', 'copies/a/copy.pdf', '"e3"'),
+    upload('bucket-b', 'copies/b/copy.pdf', '"e3"'),
+  ]);
+
+  assert.deepEqual(groups.map(g => [g.match, keys(g)]), [
+    ['exact', ['bucket-a/copies/a/copy.pdf', 'bucket-b/copies/b/copy.pdf']],
+    ['same name', ['bucket-a/mumbai/Order.pdf', 'bucket-b/delhi/order.pdf']],
+  ]);
+});
+
+test('files without a hash are never exact duplicates', () => {
+  const groups = findDuplicateGroups([
+    upload('bucket-a', 'a/one.pdf', undefined),
+    upload('bucket-b', 'b/two.pdf', undefined),
+    upload('bucket-a', 'a/empty.pdf', '"e0"', 0),
+    upload('bucket-b', 'b/empty-too.pdf', '"e0"', 0),
+  ]);
+  assert.deepEqual(groups, []);
+
+  // Unhashed files with one name still differ from each other
+  const named = findDuplicateGroups([upload('bucket-a', 'a/x.pdf', undefined), upload('bucket-b', 'b/x.pdf', undefined)]);
+  assert.deepEqual(named.map(g => g.match), ['same name']);
+});
+
+test('the text fingerprint ignores case, spacing and punctuation, and needs enough text', () => {
+  const resaved = JUDGMENT.toUpperCase().replace(/ /g, '\n  ').replace(/\./g, ' ;');
+  assert.equal(textFingerprint(resaved), textFingerprint(JUDGMENT));
+  assert.match(textFingerprint(JUDGMENT), /^[0-9a-f]{64}$/);
+  assert.notEqual(textFingerprint(`${JUDGMENT} Dismissed.`), textFingerprint(JUDGMENT));
+
+  assert.equal(textFingerprint('IN THE SUPREME COURT OF INDIA'), null);
+  assert.equal(textFingerprint(null), null);
+});
+
+test('near duplicates across buckets are grouped by text, unless they are the same bytes', () => {
+  const fingerprint = textFingerprint(JUDGMENT);
+  const groups = findTextDuplicateGroups([
+    { ...upload('bucket-a', 'itat/order.pdf', '"e1"'), fingerprint },
+    { ...upload('bucket-b', 'itat/order-resaved.pdf', '"e2"', 140), fingerprint },
+    { ...upload('bucket-a', 'itat/short.pdf', '"e3"'), fingerprint: null },
+    { ...upload('bucket-b', 'itat/short-too.pdf', '"e4"'), fingerprint: null },
+  ]);
+  assert.deepEqual(groups.map(g => [g.match, keys(g)]), [
+    ['same text', ['bucket-a/itat/order.pdf', 'bucket-b/itat/order-resaved.pdf']],
+  ]);
+
+  // Same bytes too: already an exact group
+  assert.deepEqual(findTextDuplicateGroups([
+    { ...upload('bucket-a', 'x.pdf', '"e1"'), fingerprint },
+    { ...upload('bucket-b', 'y.pdf', '"e1"'), fingerprint },
+  ]), []);
+});
+
+test('sheet rows are numbered per group and the email escapes keys', () => {
+  const groups = findDuplicateGroups([
+    upload('bucket-a', 'a/<b>.pdf', '"e1"'),
+    upload('bucket-b', 'b/<b>.pdf', '"e1"'),
+  ]);
+
+  assert.deepEqual(duplicateRows(groups, 3).map(r => [r.Group, r.Match, r.Key]), [[3, 'exact', 'a/<b>.pdf'], [3, 'exact', 'b/<b>.pdf']]);
+  const html = buildDuplicatesHtml(groups);
+  assert.match(html, /1 group\(s\) of files that look like the same document \(1 exact\)/);
+  assert.match(html, /bucket-a\/a\/&lt;b&gt;\.pdf/);
+  assert.equal(buildDuplicatesHtml([]), '');
+});
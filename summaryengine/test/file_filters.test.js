@@ -0,0 +1,75 @@
+/**
+ * lib/file_filters.js: glob matching and how a bucket's rule combines with
+ * the stage defaults.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getFileFilters, exclusionReason } = require('../lib/file_filters');
+
+function filtersFrom(config) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-filters-'));
+  const file = path.join(dir, 'file_filters.json');
+  fs.writeFileSync(file, JSON.stringify(config));
+  return getFileFilters({ FILE_FILTERS_FILE: file });
+}
+
+test('** spans any number of folders, including none', () => {
+  const { summarize } = filtersFrom({ summarize: { exclude: ['**/*commercial-case-laws*/**'] } });
+  const reason = 'excluded by **/*commercial-case-laws*/**';
+
+  assert.equal(exclusionReason(summarize, 'b', 'commercial-case-laws/a.pdf'), reason);
+  assert.equal(exclusionReason(summarize, 'b', '2026/Delhi/old-commercial-case-laws-set/x/a.pdf'), reason);
+  assert.equal(exclusionReason(summarize, 'b', 'Commercial-Case-Laws/a.pdf'), reason, 'case-insensitive');
+  assert.equal(exclusionReason(summarize, 'b', 'commercial-case-laws.pdf'), null, 'a file, not a folder');
+  assert.equal(exclusionReason(summarize, 'b', 'civil/a.pdf'), null);
+});
+
+test('* and ? stay within a folder', () => {
+  const { summarize } = filtersFrom({ summarize: { exclude: ['drafts/*.pdf', 'v?/a.pdf'] } });
+
+  assert.equal(exclusionReason(summarize, 'b', 'drafts/a.pdf'), 'excluded by drafts/*.pdf');
+  assert.equal(exclusionReason(summarize, 'b', 'drafts/x/a.pdf'), null);
+  assert.equal(exclusionReason(summarize, 'b', 'v1/a.pdf'), 'excluded by v?/a.pdf');
+  assert.equal(exclusionReason(summarize, 'b', 'v10/a.pdf'), null);
+});
+
+test('braces match either alternative and dots are literal', () => {
+  const { scan } = filtersFrom({ scan: { include: ['{supreme,high}-court/**/*.pdf'] } });
+
+  assert.equal(exclusionReason(scan, 'b', 'supreme-court/2026/a.pdf'), null);
+  assert.equal(exclusionReason(scan, 'b', 'high-court/a.pdf'), null);
+  assert.equal(exclusionReason(scan, 'b', 'district-court/a.pdf'), 'not included');
+  assert.equal(exclusionReason(scan, 'b', 'high-court/apdf'), 'not included');
+});
+
+test('an unclosed brace names the setting and the glob', () => {
+  assert.throws(
+    () => filtersFrom({ scan: { buckets: { archive: { exclude: ['{a,b/**'] } } } }),
+    /file_filters\.json: scan\.buckets\.archive\.exclude: unclosed "\{" in glob "\{a,b\/\*\*"/
+  );
+});
+
+test('a bucket replaces the extensions and adds to the excludes', () => {
+  const { scan } = filtersFrom({
+    scan: {
+      extensions: ['.pdf'],
+      exclude: ['**/tmp/**'],
+      buckets: { archive: { extensions: ['.docx', '.HTML'], exclude: ['**/drafts/**'] } },
+    },
+  });
+
+  assert.equal(exclusionReason(scan, 'archive', 'a.docx'), null);
+  assert.equal(exclusionReason(scan, 'archive', 'a.html'), null);
+  assert.equal(exclusionReason(scan, 'archive', 'a.pdf'), 'extension .pdf');
+  assert.equal(exclusionReason(scan, 'archive', 'tmp/a.docx'), 'excluded by **/tmp/**');
+  assert.equal(exclusionReason(scan, 'archive', 'x/drafts/a.docx'), 'excluded by **/drafts/**');
+
+  // Other buckets keep the stage defaults
+  assert.equal(exclusionReason(scan, 'other', 'a.pdf'), null);
+  assert.equal(exclusionReason(scan, 'other', 'a.docx'), 'extension .docx');
+  assert.equal(exclusionReason(scan, 'other', 'drafts/a.pdf'), null);
+});
@@ -0,0 +1,115 @@
+/**
+ * A throwaway copy of the scripts for end-to-end tests. The scripts keep
+ * reports/ next to themselves and read .env, config.json and the JSON
+ * settings files from there, so each test runs a copy in a temp directory
+ * (node_modules linked) and the working tree is never touched.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const XLSX = require('xlsx');
+
+const ROOT = path.join(__dirname, '..', '..');
+const STUBS = path.join(__dirname, 'stub_services.js');
+const COPIED = ['s3_daily_summary.js', 'process_in_batches.js', 'run_complete_pipeline.js', 'run_history.js', 'resume_summaries.js', 'config.js', 'lib', 'case_taxonomy.json', 'file_filters.json'];
+
+// Enough settings for the summarizer to start; nothing here reaches a network
+const BASE_ENV = {
+  AWS_ACCESS_KEY_ID: 'test',
+  AWS_SECRET_ACCESS_KEY: 'test',
+  FROM_EMAIL: 'reports@example.com',
+  TO_EMAIL: 'team@example.com',
+  CLAUDE_API_KEY: 'test',
+  RESULT_CACHE: 'off',
+};
+
+function createSandbox() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'summaryengine-test-'));
+  for (const name of COPIED) {
+    fs.cpSync(path.join(ROOT, name), path.join(dir, name), { recursive: true });
+  }
+  fs.symlinkSync(path.join(ROOT, 'node_modules'), path.join(dir, 'node_modules'), 'dir');
+  fs.mkdirSync(path.join(dir, 'reports'));
+
+  return {
+    dir,
+    reports: path.join(dir, 'reports'),
+
+    /** An upload report with an Uploads sheet, as s3_daily_summary.js writes it. */
+    writeUploadReport(name, uploads) {
+      const wb = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(uploads.map(u => ({
+        Bucket: u.bucket,
+        Key: u.key,
+        Size: Buffer.byteLength(u.text),
+        ETag: `"${u.key.length}"`,
+      }))), 'Uploads');
+      const file = path.join(dir, 'reports', name);
+      XLSX.writeFile(wb, file);
+      fs.writeFileSync(path.join(dir, 'objects.json'), JSON.stringify(Object.fromEntries(uploads.map(u => [`${u.bucket}/${u.key}`, u.text]))));
+      return file;
+    },
+
+    /** The bucket listing ({ bucket: [{ Key, LastModified }] }) the stub S3 serves. */
+    writeListing(listing) {
+      fs.writeFileSync(path.join(dir, 'listing.json'), JSON.stringify(listing));
+    },
+
+    /** The ListObjectsV2 requests made so far, oldest first. */
+    s3Requests() {
+      const file = path.join(dir, 's3.jsonl');
+      if (!fs.existsSync(file)) return [];
+      return fs.readFileSync(file, 'utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    },
+
+    /**
+     * Run a script of the copy with the stubs preloaded (through NODE_OPTIONS,
+     * so the steps run_complete_pipeline.js spawns get them too); resolves to
+     * { status, output }.
+     */
+    run(script, args = [], env = {}) {
+      const listing = path.join(dir, 'listing.json');
+      const result = spawnSync(process.execPath, [script, ...args], {
+        cwd: dir,
+        env: {
+          PATH: process.env.PATH,
+          NODE_OPTIONS: `--require ${STUBS}`,
+          ...BASE_ENV,
+          STUB_OBJECTS: path.join(dir, 'objects.json'),
+          ...(fs.existsSync(listing) ? { STUB_LISTING: listing } : {}),
+          STUB_S3_LOG: path.join(dir, 's3.jsonl'),
+          STUB_MAIL: path.join(dir, 'mail.jsonl'),
+          ...env,
+        },
+        encoding: 'utf-8',
+        timeout: 120000,
+      });
+      return { status: result.status, output: `${result.stdout}${result.stderr}` };
+    },
+
+    /** The emails sent so far, oldest first. */
+    mails() {
+      const file = path.join(dir, 'mail.jsonl');
+      if (!fs.existsSync(file)) return [];
+      return fs.readFileSync(file, 'utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    },
+
+    readJson(name) {
+      return JSON.parse(fs.readFileSync(path.join(dir, 'reports', name), 'utf-8'));
+    },
+
+    exists(name) {
+      return fs.existsSync(path.join(dir, 'reports', name));
+    },
+
+    remove() {
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+module.exports = {
+  createSandbox,
+};
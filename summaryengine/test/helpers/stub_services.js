@@ -0,0 +1,172 @@
+/**
+ * Preloaded (node -r) into the scripts the end-to-end tests run: S3, SMTP
+ * and the Anthropic API are replaced in-process, so nothing leaves the
+ * machine. Driven by environment variables:
+ *
+ *   STUB_OBJECTS   JSON file of { "<bucket>/<key>": "<file text>" } served by GetObject
+ *   STUB_LISTING   JSON file of { "<bucket>": [{ Key, LastModified, Size, ETag }] }
+ *                  served by ListBuckets and ListObjectsV2 (in key order, with
+ *                  Prefix, Delimiter, StartAfter and paging)
+ *   STUB_S3_LOG    file every ListObjectsV2 request is appended to (one JSON per line)
+ *   STUB_MAIL      file that every sent email is appended to (one JSON per line)
+ *   STUB_MAIL_FAIL name of the script (e.g. s3_daily_summary.js) whose emails fail to send
+ *   STUB_BATCHES   JSON options of the message batch endpoint:
+ *                    createFailures  first N batch creations answer 529
+ *                    failing         custom_ids whose requests always error
+ *                    empty           custom_ids whose replies succeed with no content
+ *                    store           file the created batches are kept in, so a
+ *                                    later process can collect them
+ *                    retrieveStatus  status every batch retrieval fails with
+ *   STUB_FAKE      JSON { "<file name>": [<reply>, ...] }: how the fake provider
+ *                  answers its next calls about that file, in order ("ok",
+ *                  "invalid" for a reply that is not JSON, "unanswerable" for
+ *                  a verifier reply saying the document does not answer);
+ *                  later calls answer normally
+ *
+ * Replies to batch requests come from the fake provider, so they parse.
+ * Direct Messages calls fail: no test may reach a paid model.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { S3Client } = require('@aws-sdk/client-s3');
+const nodemailer = require('nodemailer');
+const Anthropic = require('@anthropic-ai/sdk');
+const { createProvider } = require('../../lib/llm_provider');
+const { JUDGMENT_SCHEMA } = require('../../lib/judgment_metadata');
+
+const objects = process.env.STUB_OBJECTS && fs.existsSync(process.env.STUB_OBJECTS) ? JSON.parse(fs.readFileSync(process.env.STUB_OBJECTS, 'utf-8')) : {};
+const listing = process.env.STUB_LISTING ? JSON.parse(fs.readFileSync(process.env.STUB_LISTING, 'utf-8')) : {};
+const batchOptions = { createFailures: 0, failing: [], empty: [], store: null, retrieveStatus: null, ...JSON.parse(process.env.STUB_BATCHES || '{}') };
+
+// One page of a bucket's listing; the continuation token is the last key returned
+function listObjects({ Bucket, Prefix = '', Delimiter, StartAfter, ContinuationToken, MaxKeys = 1000 }) {
+  if (process.env.STUB_S3_LOG) {
+    fs.appendFileSync(process.env.STUB_S3_LOG, `${JSON.stringify({ Bucket, Prefix, Delimiter, StartAfter, ContinuationToken })}\n`);
+  }
+  const after = ContinuationToken || StartAfter || '';
+  const keys = (listing[Bucket] || [])
+    .filter(o => o.Key.startsWith(Prefix) && o.Key > after)
+    .sort((a, b) => (a.Key < b.Key ? -1 : 1))
+    .map(o => ({ Size: 0, ETag: `"${o.Key.length}"`, ...o, LastModified: new Date(o.LastModified) }));
+  if (Delimiter) {
+    const prefixes = new Set();
+    const contents = [];
+    for (const o of keys) {
+      const rest = o.Key.slice(Prefix.length);
+      if (rest.includes(Delimiter)) prefixes.add(Prefix + rest.slice(0, rest.indexOf(Delimiter) + 1));
+      else contents.push(o);
+    }
+    return { Contents: contents, CommonPrefixes: [...prefixes].map(p => ({ Prefix: p })) };
+  }
+  const page = keys.slice(0, MaxKeys);
+  return { Contents: page, NextContinuationToken: keys.length > MaxKeys ? page[page.length - 1].Key : undefined };
+}
+
+S3Client.prototype.send = async function send(command) {
+  const name = command.constructor.name;
+  if (name === 'ListBucketsCommand') return { Buckets: Object.keys(listing).map(Name => ({ Name })) };
+  if (name === 'ListObjectsV2Command') return listObjects(command.input);
+  if (name !== 'GetObjectCommand') throw new Error(`stub S3: unexpected ${name}`);
+  const data = objects[`${command.input.Bucket}/${command.input.Key}`];
+  if (data === undefined) {
+    const error = new Error('The specified key does not exist.');
+    error.name = 'NoSuchKey';
+    error.$metadata = { httpStatusCode: 404 };
+    throw error;
+  }
+  const buffer = Buffer.from(data);
+  return { ContentLength: buffer.length, Body: Readable.from([buffer]) };
+};
+
+nodemailer.createTransport = () => ({
+  async sendMail(mail) {
+    if (process.env.STUB_MAIL_FAIL && path.basename(process.argv[1]) === process.env.STUB_MAIL_FAIL) {
+      throw new Error('stub SMTP: 554 Message rejected');
+    }
+    const attachments = (mail.attachments || []).map(a => a.filename);
+    fs.appendFileSync(process.env.STUB_MAIL, `${JSON.stringify({ to: mail.to, subject: mail.subject, html: mail.html, attachments })}\n`);
+    return { messageId: `<stub-${Date.now()}@test>` };
+  },
+});
+
+const fake = createProvider({ provider: 'fake' });
+const scripted = JSON.parse(process.env.STUB_FAKE || '{}');
+// The script runs its own copy of lib/ (the sandbox is its working directory)
+const scriptFake = require(path.join(process.cwd(), 'lib', 'llm_provider')).createProvider({ provider: 'fake' });
+const fakeComplete = Object.getPrototypeOf(scriptFake).complete;
+
+Object.getPrototypeOf(scriptFake).complete = async function complete(request) {
+  const reply = await fakeComplete.call(this, request);
+  const name = Object.keys(scripted).find(n => request.prompt.includes(n));
+  const action = name ? scripted[name].shift() : undefined;
+  if (action === 'invalid') return { ...reply, text: 'Sorry, here is the question you asked for.' };
+  if (action === 'unanswerable') return { ...reply, text: JSON.stringify({ ...JSON.parse(reply.text), answerable: false }) };
+  return reply;
+};
+const batches = new Map(batchOptions.store && fs.existsSync(batchOptions.store)
+  ? Object.entries(JSON.parse(fs.readFileSync(batchOptions.store, 'utf-8')))
+  : []);
+let creations = 0;
+
+function apiError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+for (const messages of [Anthropic.Messages.prototype, Object.getPrototypeOf(new Anthropic({ apiKey: 'stub' }).beta.messages)]) {
+  messages.create = async () => {
+    throw new Error('stub Anthropic: direct Messages calls are not allowed in tests');
+  };
+}
+
+const batchesApi = Object.getPrototypeOf(new Anthropic({ apiKey: 'stub' }).beta.messages.batches);
+
+batchesApi.create = async function create(body) {
+  creations++;
+  if (creations <= batchOptions.createFailures) throw apiError(529, 'Overloaded');
+  const id = `msgbatch_stub_${process.pid}_${creations}`;
+  batches.set(id, body.requests);
+  if (batchOptions.store) fs.writeFileSync(batchOptions.store, JSON.stringify(Object.fromEntries(batches)));
+  return { id, processing_status: 'in_progress' };
+};
+
+batchesApi.retrieve = async function retrieve(id) {
+  if (batchOptions.retrieveStatus) throw apiError(batchOptions.retrieveStatus, 'Batch retrieval failed');
+  const requests = batches.get(id);
+  if (!requests) throw apiError(404, `No batch ${id}`);
+  const failed = requests.filter(r => batchOptions.failing.includes(r.custom_id)).length;
+  return {
+    id,
+    processing_status: 'ended',
+    request_counts: { succeeded: requests.length - failed, errored: failed, canceled: 0, expired: 0, processing: 0 },
+  };
+};
+
+batchesApi.results = async function results(id) {
+  const requests = batches.get(id);
+  return (async function* entries() {
+    for (const request of requests) {
+      if (batchOptions.failing.includes(request.custom_id)) {
+        yield { custom_id: request.custom_id, result: { type: 'errored', error: { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } } } };
+        continue;
+      }
+      if (batchOptions.empty.includes(request.custom_id)) {
+        yield { custom_id: request.custom_id, result: { type: 'succeeded', message: { model: request.params.model, content: [], usage: { input_tokens: 100, output_tokens: 0 } } } };
+        continue;
+      }
+      const content = request.params.messages[0].content;
+      const prompt = typeof content === 'string' ? content : content[content.length - 1].text;
+      const reply = await fake.complete({ model: request.params.model, prompt, schema: JUDGMENT_SCHEMA });
+      yield {
+        custom_id: request.custom_id,
+        result: {
+          type: 'succeeded',
+          message: { model: request.params.model, content: [{ type: 'text', text: reply.text }], usage: { input_tokens: 100, output_tokens: 50 } },
+        },
+      };
+    }
+  })();
+};
@@ -0,0 +1,107 @@
+/**
+ * The fake provider (LLM_PROVIDER=fake): deterministic, schema-valid replies,
+ * and process_in_batches.js run end to end on it without any paid API.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+const path = require('path');
+const { getLlmConfig, createProvider } = require('../lib/llm_provider');
+const { JUDGMENT_SCHEMA, parseJudgmentResponse } = require('../lib/judgment_metadata');
+const { createSandbox } = require('./helpers/sandbox');
+
+const PROMPT = 'File: order.txt\nContent (text extracted from the document):\nThe appeal is allowed.\n';
+
+test('the fake provider needs no key and answers the same request the same way', async () => {
+  const config = getLlmConfig({ LLM_PROVIDER: 'fake' });
+  assert.equal(config.model, 'fake-model');
+  const provider = createProvider(config);
+
+  const first = await provider.complete({ model: config.model, prompt: PROMPT, schema: JUDGMENT_SCHEMA });
+  const again = await provider.complete({ model: config.model, prompt: PROMPT, schema: JUDGMENT_SCHEMA });
+  const other = await provider.complete({ model: config.model, prompt: `${PROMPT}More.`, schema: JUDGMENT_SCHEMA });
+
+  assert.equal(first.text, again.text);
+  assert.notEqual(first.text, other.text);
+  assert.ok(first.usage.inputTokens > 0);
+});
+
+test('fake replies match the judgment schema', async () => {
+  const provider = createProvider(getLlmConfig({ LLM_PROVIDER: 'fake' }));
+  const { text } = await provider.complete({ model: 'fake-model', prompt: PROMPT, schema: JUDGMENT_SCHEMA });
+  const { value, error } = parseJudgmentResponse(text);
+
+  assert.equal(error, undefined);
+  assert.match(value.question, /^What is the key finding of order\.txt\?/);
+});
+
+const UPLOADS = [
+  { bucket: 'bucket-a', key: 'Direct-Taxes/India/ITAT/Mumbai/one.txt', text: 'The appeal of the assessee is allowed on the question of section 68 additions.' },
+  { bucket: 'bucket-a', key: 'Direct-Taxes/India/Supreme-Court/two.txt', text: 'The revenue appeal is dismissed; the penalty under section 271(1)(c) is deleted.' },
+  { bucket: 'bucket-b', key: 'Indirect-Taxes/India/CESTAT/three.txt', text: 'The service tax demand is set aside as time-barred under section 73.' },
+];
+
+test('process_in_batches.js summarizes a report end to end with the fake provider', async (t) => {
+  const sandbox = createSandbox();
+  t.after(() => sandbox.remove());
+  const report = sandbox.writeUploadReport('s3_daily_uploads_20261019.xlsx', UPLOADS);
+
+  const run = sandbox.run('process_in_batches.js', ['--report', report], { LLM_PROVIDER: 'fake', CLAUDE_API_KEY: '' });
+  assert.equal(run.status, 0, run.output);
+  assert.match(run.output, /LLM: fake, model fake-model/);
+
+  const manifest = sandbox.readJson('summary_manifest.json');
+  assert.equal(manifest.status, 'completed');
+  assert.equal(manifest.provider, 'fake');
+  assert.deepEqual(manifest.counts, { summarized: 3 });
+  assert.equal(sandbox.exists('progress_summaries.json'), false);
+
+  const wb = XLSX.readFile(path.join(sandbox.reports, 'file_summaries_20261019.xlsx'));
+  const rows = XLSX.utils.sheet_to_json(wb.Sheets['File Summaries']);
+  assert.deepEqual(rows.map(r => r['File Name']), ['one.txt', 'two.txt', 'three.txt']);
+  for (const row of rows) {
+    assert.match(row['Question Generated by LLM'], new RegExp(`key finding of ${row['File Name'].replace('.', '\\.')}`));
+    assert.ok(row['Verified Answer'], `${row['File Name']} has a verified answer`);
+  }
+  // Widths fitted to the content (lib/sheet_format.js), long text capped
+  const widths = XLSX.readFile(path.join(sandbox.reports, 'file_summaries_20261019.xlsx'), { cellStyles: true }).Sheets['File Summaries']['!cols'];
+  assert.equal(widths[0].wch, 'File Name'.length + 2);
+  assert.ok(widths.every(c => c.wch <= 60));
+
+  const [mail] = sandbox.mails();
+  assert.deepEqual(mail.attachments, ['s3_daily_uploads_20261019.xlsx', 'file_summaries_20261019.xlsx']);
+});
+
+test('--dry uses the fake provider, its own files and sends no email', async (t) => {
+  const sandbox = createSandbox();
+  t.after(() => sandbox.remove());
+  const report = sandbox.writeUploadReport('s3_daily_uploads_20261019.xlsx', UPLOADS);
+
+  const run = sandbox.run('process_in_batches.js', ['--report', report, '--dry']);
+  assert.equal(run.status, 0, run.output);
+  assert.ok(sandbox.exists('file_summaries_20261019_dry.xlsx'));
+  assert.equal(sandbox.exists('file_summaries_20261019.xlsx'), false);
+  assert.deepEqual(sandbox.mails(), []);
+});
+
+test('windows of a sub-daily span get their own summary report, exports and subject', async (t) => {
+  const sandbox = createSandbox();
+  t.after(() => sandbox.remove());
+  const env = { LLM_PROVIDER: 'fake', CLAUDE_API_KEY: '', REPORT_SPAN: '6h', EXPORT_FORMATS: 'jsonl' };
+
+  for (const name of ['s3_daily_uploads_20261019_0600.xlsx', 's3_daily_uploads_20261019_1200.xlsx']) {
+    const report = sandbox.writeUploadReport(name, UPLOADS);
+    const run = sandbox.run('process_in_batches.js', ['--report', report], env);
+    assert.equal(run.status, 0, run.output);
+  }
+
+  for (const stamp of ['20261019_0600', '20261019_1200']) {
+    assert.ok(sandbox.exists(`file_summaries_${stamp}.xlsx`), stamp);
+    assert.ok(sandbox.exists(`file_summaries_${stamp}.summaries.jsonl`), stamp);
+  }
+  assert.equal(sandbox.exists('file_summaries_20261019.xlsx'), false);
+  const subjects = sandbox.mails().map(mail => mail.subject);
+  assert.match(subjects[0], /19 Oct 2026, 06:00/);
+  assert.match(subjects[1], /19 Oct 2026, 12:00/);
+});
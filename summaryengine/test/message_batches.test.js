@@ -0,0 +1,218 @@
+/**
+ * lib/message_batches.js against a mocked batch endpoint, and
+ * process_in_batches.js --mode batch-api end to end (test/helpers).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { submitBatch, waitForBatch, readBatchResults } = require('../lib/message_batches');
+const { createSandbox } = require('./helpers/sandbox');
+
+// No waiting between attempts
+const FAST_RETRY = { baseMs: 1, capMs: 1 };
+
+function apiError(status) {
+  const error = new Error(`HTTP ${status}`);
+  if (status) error.status = status;
+  return error;
+}
+
+/**
+ * A client whose batch endpoint fails with `errors[method]` (statuses, in
+ * order) before answering, and records every call.
+ */
+function mockClient({ errors = {}, polls = 1, results = [] } = {}) {
+  const calls = [];
+  const failing = method => {
+    const queue = errors[method] || [];
+    if (queue.length > 0) throw apiError(queue.shift());
+  };
+  let retrieved = 0;
+  const batches = {
+    async create(body) {
+      calls.push(['create', body]);
+      failing('create');
+      return { id: 'msgbatch_1', processing_status: 'in_progress' };
+    },
+    async retrieve(id) {
+      calls.push(['retrieve', id]);
+      failing('retrieve');
+      retrieved++;
+      return { id, processing_status: retrieved >= polls ? 'ended' : 'in_progress' };
+    },
+    async results(id) {
+      calls.push(['results', id]);
+      failing('results');
+      return (async function* entries() { yield* results; })();
+    },
+  };
+  return { calls, beta: { messages: { batches } } };
+}
+
+test('submitBatch sends custom IDs and betas', async () => {
+  const client = mockClient();
+  const batch = await submitBatch(client, [{ customId: 'file-0', params: { model: 'm' } }], { betas: ['pdfs-2024-09-25'] });
+
+  assert.equal(batch.id, 'msgbatch_1');
+  assert.deepEqual(client.calls, [['create', {
+    requests: [{ custom_id: 'file-0', params: { model: 'm' } }],
+    betas: ['pdfs-2024-09-25'],
+  }]]);
+});
+
+test('submitBatch retries 429 and 5xx answers', async () => {
+  const client = mockClient({ errors: { create: [529, 429, 500] } });
+  const retries = [];
+  await submitBatch(client, [{ customId: 'file-0', params: {} }], {
+    retry: { ...FAST_RETRY, onRetry: (error, attempt) => retries.push([error.status, attempt]) },
+  });
+
+  assert.deepEqual(retries, [[529, 1], [429, 2], [500, 3]]);
+  assert.equal(client.calls.length, 4);
+});
+
+test('submitBatch does not retry a request error or a dropped connection', async () => {
+  for (const status of [400, undefined]) {
+    const client = mockClient({ errors: { create: [status] } });
+    await assert.rejects(submitBatch(client, [{ customId: 'file-0', params: {} }], { retry: FAST_RETRY }));
+    assert.equal(client.calls.length, 1, `status ${status}`);
+  }
+});
+
+test('submitBatch gives up after maxAttempts', async () => {
+  const client = mockClient({ errors: { create: [503, 503, 503] } });
+  await assert.rejects(submitBatch(client, [{ customId: 'file-0', params: {} }], { retry: { ...FAST_RETRY, maxAttempts: 2 } }), { status: 503 });
+  assert.equal(client.calls.length, 2);
+});
+
+test('waitForBatch polls through transient errors until the batch ends', async () => {
+  const client = mockClient({ polls: 3, errors: { retrieve: [503, undefined] } });
+  const seen = [];
+  const batch = await waitForBatch(client, 'msgbatch_1', { pollMs: 1, onPoll: b => seen.push(b.processing_status), retry: FAST_RETRY });
+
+  assert.equal(batch.processing_status, 'ended');
+  assert.deepEqual(seen, ['in_progress', 'in_progress', 'ended']);
+  assert.equal(client.calls.filter(([method]) => method === 'retrieve').length, 5);
+});
+
+test('waitForBatch stops on a client error', async () => {
+  const client = mockClient({ errors: { retrieve: [404] } });
+  await assert.rejects(waitForBatch(client, 'msgbatch_1', { pollMs: 1, retry: FAST_RETRY }), { status: 404 });
+});
+
+test('readBatchResults retries opening the results and maps every entry', async () => {
+  const message = { content: [{ type: 'text', text: '{}' }] };
+  const client = mockClient({
+    errors: { results: [502] },
+    results: [
+      { custom_id: 'file-0', result: { type: 'succeeded', message } },
+      { custom_id: 'file-1', result: { type: 'errored', error: { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } } } },
+      { custom_id: 'file-2', result: { type: 'expired' } },
+    ],
+  });
+
+  const entries = [];
+  for await (const entry of readBatchResults(client, 'msgbatch_1', { retry: FAST_RETRY })) entries.push(entry);
+
+  assert.deepEqual(entries, [
+    { customId: 'file-0', type: 'succeeded', message, error: null },
+    { customId: 'file-1', type: 'errored', message: null, error: { type: 'overloaded_error', message: 'Overloaded' } },
+    { customId: 'file-2', type: 'expired', message: null, error: null },
+  ]);
+});
+
+const UPLOADS = [
+  { bucket: 'bucket-a', key: 'Direct-Taxes/India/ITAT/Mumbai/one.txt', text: 'The appeal of the assessee is allowed on the question of section 68 additions.' },
+  { bucket: 'bucket-a', key: 'Direct-Taxes/India/ITAT/Mumbai/two.txt', text: 'The revenue appeal is dismissed; the penalty under section 271(1)(c) is deleted.' },
+  { bucket: 'bucket-b', key: 'Indirect-Taxes/India/CESTAT/three.txt', text: 'The service tax demand is set aside as time-barred under section 73.' },
+];
+const BATCH_ENV = { QUESTION_VERIFICATION: 'off', CLAUDE_BATCH_MAX_ROUNDS: '2' };
+
+test('batch-api run: failures after the last round keep the checkpoint and flag the email', async (t) => {
+  const sandbox = createSandbox();
+  t.after(() => sandbox.remove());
+  const report = sandbox.writeUploadReport('s3_daily_uploads_20261019.xlsx', UPLOADS);
+
+  // Two 529s on creation, and the first file's request errors in every round
+  const first = sandbox.run('process_in_batches.js', ['--report', report, '--mode', 'batch-api'], {
+    ...BATCH_ENV,
+    STUB_BATCHES: JSON.stringify({ createFailures: 2, failing: ['file-0'] }),
+  });
+  assert.equal(first.status, 0, first.output);
+  assert.match(first.output, /Creating the batch failed \(529, attempt 1\)/);
+  assert.match(first.output, /1 request\(s\) still failing after 2 batches/);
+
+  assert.ok(sandbox.exists('progress_summaries.json'), 'checkpoint kept for the failed file');
+  const checkpoint = sandbox.readJson('progress_summaries.json');
+  assert.equal(checkpoint.results[`bucket-a/${UPLOADS[0].key}`].status, 'api-error');
+
+  const manifest = sandbox.readJson('summary_manifest.json');
+  assert.equal(manifest.status, 'incomplete');
+  assert.deepEqual(manifest.counts, { 'api-error': 1, summarized: 2 });
+
+  const [mail] = sandbox.mails();
+  assert.match(mail.subject, /\(incomplete: 1 file\(s\) failed\)$/);
+  assert.match(mail.html, /resume_summaries\.js resume/);
+  assert.doesNotMatch(mail.html, /All files have been processed successfully/);
+
+  // Resuming retries only the failed file, then cleans up and reports success
+  const second = sandbox.run('resume_summaries.js', ['resume'], BATCH_ENV);
+  assert.equal(second.status, 0, second.output);
+  assert.match(second.output, /Remaining to process: 1/);
+  assert.match(second.output, /Submitted message batch \S+ with 1 request\(s\)/);
+  assert.equal(sandbox.exists('progress_summaries.json'), false);
+  assert.equal(sandbox.readJson('summary_manifest.json').status, 'completed');
+
+  const mails = sandbox.mails();
+  assert.equal(mails.length, 2);
+  assert.doesNotMatch(mails[1].subject, /incomplete/);
+  assert.match(mails[1].html, /All files have been processed successfully/);
+});
+
+test('batch-api run: a reply without content is recorded as invalid output', async (t) => {
+  const sandbox = createSandbox();
+  t.after(() => sandbox.remove());
+  const report = sandbox.writeUploadReport('s3_daily_uploads_20261019.xlsx', UPLOADS);
+
+  const run = sandbox.run('process_in_batches.js', ['--report', report, '--mode', 'batch-api'], {
+    ...BATCH_ENV,
+    CLAUDE_BATCH_MAX_ROUNDS: '1',
+    STUB_BATCHES: JSON.stringify({ empty: ['file-1'] }),
+  });
+  assert.equal(run.status, 0, run.output);
+  assert.match(run.output, /two\.txt: invalid structured reply: no JSON object in the reply/);
+
+  const checkpoint = sandbox.readJson('progress_summaries.json');
+  assert.equal(checkpoint.results[`bucket-a/${UPLOADS[1].key}`].status, 'invalid-output');
+  assert.deepEqual(sandbox.readJson('summary_manifest.json').counts, { 'invalid-output': 1, summarized: 2 });
+});
+
+test('batch-api run: a batch collected by a new process is cached under its content hashes', async (t) => {
+  const sandbox = createSandbox();
+  t.after(() => sandbox.remove());
+  const report = sandbox.writeUploadReport('s3_daily_uploads_20261019.xlsx', UPLOADS);
+  const store = `${sandbox.dir}/batches.json`;
+  const env = { ...BATCH_ENV, RESULT_CACHE: 'on' };
+
+  // The batch is submitted, then the process stops before it can collect it
+  const first = sandbox.run('process_in_batches.js', ['--report', report, '--mode', 'batch-api'], {
+    ...env,
+    STUB_BATCHES: JSON.stringify({ store, retrieveStatus: 401 }),
+  });
+  assert.notEqual(first.status, 0, first.output);
+  const { batch } = sandbox.readJson('progress_summaries.json');
+  assert.equal(Object.keys(batch.hashes).length, 3);
+  assert.match(batch.hashes['file-0'].sha256, /^[0-9a-f]{64}$/);
+
+  const second = sandbox.run('process_in_batches.js', ['--report', report, '--mode', 'batch-api'], {
+    ...env,
+    STUB_BATCHES: JSON.stringify({ store }),
+  });
+  assert.equal(second.status, 0, second.output);
+  assert.match(second.output, new RegExp(`Resuming message batch ${batch.id} from checkpoint`));
+
+  const cache = sandbox.readJson('result_cache.json');
+  const cached = Object.values(cache.entries).map(e => ({ sha256: e.sha256, textFingerprint: e.textFingerprint }));
+  const sort = list => [...list].sort((a, b) => a.sha256.localeCompare(b.sha256));
+  assert.deepEqual(sort(cached), sort(Object.values(batch.hashes)));
+});
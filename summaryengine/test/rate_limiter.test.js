@@ -0,0 +1,104 @@
+/**
+ * lib/rate_limiter.js on a fake clock: burst capacity, refill, waiter order
+ * and 429 handling.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimiter, retryAfterMs } = require('../lib/rate_limiter');
+
+// A limiter whose sleeps advance its clock instead of waiting
+function fakeLimiter(limits) {
+  const clock = { time: 0, sleeps: [] };
+  const limiter = new RateLimiter({
+    ...limits,
+    now: () => clock.time,
+    sleep: async ms => {
+      clock.sleeps.push(ms);
+      clock.time += ms;
+    },
+  });
+  return { limiter, clock };
+}
+
+test('a full bucket serves a burst without waiting, then one request per refill', async () => {
+  const { limiter, clock } = fakeLimiter({ requestsPerMinute: 3, tokensPerMinute: 1000 });
+
+  for (let i = 0; i < 3; i++) await limiter.acquire(10);
+  assert.deepEqual(clock.sleeps, []);
+
+  await limiter.acquire(10);
+  assert.deepEqual(clock.sleeps, [20000]);
+});
+
+test('the buckets refill continuously, up to their size', async () => {
+  const { limiter, clock } = fakeLimiter({ requestsPerMinute: 60, tokensPerMinute: 6000 });
+  await limiter.acquire(6000);
+
+  clock.time += 30000;
+  limiter.refill();
+  assert.equal(limiter.available.tokens, 3000);
+
+  clock.time += 10 * 60000;
+  limiter.refill();
+  assert.deepEqual(limiter.available, { requests: 60, tokens: 6000 });
+});
+
+test('a request waits for the tokens it needs; a larger one only for a full bucket', async () => {
+  const { limiter, clock } = fakeLimiter({ requestsPerMinute: 100, tokensPerMinute: 1000 });
+  await limiter.acquire(1000);
+
+  await limiter.acquire(250);
+  assert.deepEqual(clock.sleeps, [15000]);
+
+  await limiter.acquire(5000);
+  assert.deepEqual(clock.sleeps, [15000, 60000]);
+});
+
+test('waiters are served in arrival order, whatever they ask for', async () => {
+  // The third would fit at once, but waits behind the second
+  const { limiter } = fakeLimiter({ requestsPerMinute: 100, tokensPerMinute: 1000 });
+  const served = [];
+
+  await Promise.all([
+    limiter.acquire(900).then(() => served.push('first')),
+    limiter.acquire(900).then(() => served.push('second')),
+    limiter.acquire(1).then(() => served.push('third')),
+  ]);
+
+  assert.deepEqual(served, ['first', 'second', 'third']);
+});
+
+test('settle gives back tokens that were overestimated', async () => {
+  const { limiter } = fakeLimiter({ requestsPerMinute: 10, tokensPerMinute: 1000 });
+  await limiter.acquire(800);
+
+  limiter.settle(800, 300);
+  assert.equal(limiter.available.tokens, 700);
+  limiter.settle(100, undefined);
+  assert.equal(limiter.available.tokens, 700);
+});
+
+test('a 429 pauses everyone and cuts the rate, successes win it back', async () => {
+  const { limiter, clock } = fakeLimiter({ requestsPerMinute: 100, tokensPerMinute: 10000 });
+
+  limiter.onRateLimited(5000);
+  assert.deepEqual(limiter.currentRate(), { requestsPerMinute: 75, tokensPerMinute: 7500 });
+  await limiter.acquire(10);
+  assert.ok(clock.sleeps[0] >= 5000, `waited ${clock.sleeps[0]}ms`);
+
+  for (let i = 0; i < 20; i++) limiter.onSuccess();
+  assert.deepEqual(limiter.currentRate(), { requestsPerMinute: 100, tokensPerMinute: 10000 });
+
+  for (let i = 0; i < 50; i++) limiter.onRateLimited(0);
+  assert.deepEqual(limiter.currentRate(), { requestsPerMinute: 10, tokensPerMinute: 1000 });
+});
+
+test('retryAfterMs reads seconds or an HTTP date', () => {
+  assert.equal(retryAfterMs({ 'retry-after': '7' }), 7000);
+  assert.equal(retryAfterMs(new Map([['retry-after', '0.5']])), 500);
+  assert.equal(retryAfterMs({}), null);
+  assert.equal(retryAfterMs(null), null);
+  const inAMinute = retryAfterMs({ 'retry-after': new Date(Date.now() + 60000).toUTCString() });
+  assert.ok(inAMinute > 58000 && inAMinute <= 60000, String(inAMinute));
+});
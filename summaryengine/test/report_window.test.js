@@ -0,0 +1,110 @@
+/**
+ * lib/report_window.js: window boundaries across zones and DST, sub-daily
+ * spans, skipped days and backfill ranges.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DateTime } = require('luxon');
+const { getWindowConfig, computeReportWindow, historyKey, uploadReportFilename, parseBackfillWindows } = require('../lib/report_window');
+
+function at(iso, zone) {
+  return DateTime.fromISO(iso, { zone });
+}
+
+function bounds(window) {
+  return [window.start.toISO(), window.end.toISO()];
+}
+
+test('the default window is the 24 hours before 12:00 IST', () => {
+  const window = computeReportWindow(at('2026-10-19T15:00', 'Asia/Kolkata'), getWindowConfig({}));
+
+  assert.deepEqual(bounds(window), ['2026-10-18T12:00:00.000+05:30', '2026-10-19T12:00:00.000+05:30']);
+  assert.equal(window.startUTC.toISO(), '2026-10-18T06:30:00.000Z');
+  assert.equal(window.zoneLabel, 'IST');
+  assert.equal(uploadReportFilename(window), 's3_daily_uploads_20261019.xlsx');
+  assert.equal(historyKey(window), '2026-10-19');
+});
+
+test('settings are validated with the variable name', () => {
+  assert.throws(() => getWindowConfig({ REPORT_TIMEZONE: 'Mars/Olympus' }), /REPORT_TIMEZONE/);
+  assert.throws(() => getWindowConfig({ REPORT_CUTOFF: '24:00' }), /REPORT_CUTOFF/);
+  assert.throws(() => getWindowConfig({ REPORT_SPAN: '0d' }), /REPORT_SPAN/);
+  assert.throws(() => getWindowConfig({ REPORT_HOLIDAYS: '["2026-02-30"]' }), /REPORT_HOLIDAYS/);
+});
+
+test('a 1d span keeps the cutoff across DST changes, a 24h span keeps the length', () => {
+  const zone = 'Europe/Berlin';
+  // Clocks go forward on 29 Mar 2026 and back on 25 Oct 2026
+  const spring = computeReportWindow(at('2026-03-29T18:00', zone), getWindowConfig({ REPORT_TIMEZONE: zone, REPORT_SPAN: '1d' }));
+  assert.deepEqual(bounds(spring), ['2026-03-28T12:00:00.000+01:00', '2026-03-29T12:00:00.000+02:00']);
+  assert.equal(spring.endUTC.diff(spring.startUTC, 'hours').hours, 23);
+
+  const autumn = computeReportWindow(at('2026-10-25T18:00', zone), getWindowConfig({ REPORT_TIMEZONE: zone, REPORT_SPAN: '1d' }));
+  assert.equal(autumn.endUTC.diff(autumn.startUTC, 'hours').hours, 25);
+
+  const hours = computeReportWindow(at('2026-03-29T18:00', zone), getWindowConfig({ REPORT_TIMEZONE: zone, REPORT_SPAN: '24h' }));
+  assert.deepEqual(bounds(hours), ['2026-03-28T11:00:00.000+01:00', '2026-03-29T12:00:00.000+02:00']);
+});
+
+test('a sub-daily span ends at the last boundary, crossing midnight back to the day before', () => {
+  const config = getWindowConfig({ REPORT_SPAN: '6h' });
+
+  const night = computeReportWindow(at('2026-10-19T03:00', 'Asia/Kolkata'), config);
+  assert.deepEqual(bounds(night), ['2026-10-18T18:00:00.000+05:30', '2026-10-19T00:00:00.000+05:30']);
+  assert.equal(uploadReportFilename(night), 's3_daily_uploads_20261019_0000.xlsx');
+
+  const evening = computeReportWindow(at('2026-10-19T23:59', 'Asia/Kolkata'), config);
+  assert.deepEqual(bounds(evening), ['2026-10-19T12:00:00.000+05:30', '2026-10-19T18:00:00.000+05:30']);
+  assert.equal(historyKey(evening), '2026-10-19T18:00');
+});
+
+test('skipped days roll into the next window', () => {
+  const config = getWindowConfig({ REPORT_SKIP_WEEKENDS: 'true', REPORT_HOLIDAYS: '2026-10-16' });
+
+  // Monday 19 Oct: back over the weekend and the Friday holiday
+  const monday = computeReportWindow(at('2026-10-19T15:00', 'Asia/Kolkata'), config);
+  assert.deepEqual(bounds(monday), ['2026-10-15T12:00:00.000+05:30', '2026-10-19T12:00:00.000+05:30']);
+  assert.equal(monday.skipped, false);
+  assert.equal(computeReportWindow(at('2026-10-18T15:00', 'Asia/Kolkata'), config).skipped, true);
+});
+
+test('a backfill range gives one window per span, leaving out skipped days', () => {
+  const config = getWindowConfig({ REPORT_SKIP_WEEKENDS: 'true' });
+  const windows = parseBackfillWindows(['--from', '2026-10-15', '--to', '2026-10-19'], config);
+
+  assert.deepEqual(windows.map(w => w.end.toISODate()), ['2026-10-15', '2026-10-16', '2026-10-19']);
+  assert.equal(windows[2].start.toISODate(), '2026-10-16');
+  assert.equal(parseBackfillWindows(['--date', '2026-10-15'], config).length, 1);
+  assert.equal(parseBackfillWindows([], config), null);
+});
+
+test('a sub-daily backfill steps through midnight', () => {
+  const windows = parseBackfillWindows(['--from', '2026-10-15', '--to', '2026-10-16'], getWindowConfig({ REPORT_SPAN: '12h' }));
+  assert.deepEqual(windows.map(w => w.end.toISO()), [
+    '2026-10-15T12:00:00.000+05:30',
+    '2026-10-16T00:00:00.000+05:30',
+    '2026-10-16T12:00:00.000+05:30',
+  ]);
+});
+
+test('a window that has not closed cannot be backfilled', () => {
+  const config = getWindowConfig({});
+  const tomorrow = DateTime.now().setZone(config.zone).plus({ days: 1 }).toISODate();
+  assert.throws(() => parseBackfillWindows(['--date', tomorrow], config), /has not closed yet/);
+});
+
+test('a backfill is capped at 62 windows', () => {
+  const config = getWindowConfig({});
+  assert.equal(parseBackfillWindows(['--from', '2026-01-01', '--to', '2026-03-03'], config).length, 62);
+  assert.throws(() => parseBackfillWindows(['--from', '2026-01-01', '--to', '2026-03-04'], config), /limited to 62 windows/);
+});
+
+test('backfill arguments are checked', () => {
+  const config = getWindowConfig({});
+  assert.throws(() => parseBackfillWindows(['--date', '2026-10-15', '--from', '2026-10-14'], config), /either --date or --from\/--to/);
+  assert.throws(() => parseBackfillWindows(['--from', '2026-10-15'], config), /must be given together/);
+  assert.throws(() => parseBackfillWindows(['--from', '2026-10-15', '--to', '2026-10-14'], config), /--to must not be before --from/);
+  assert.throws(() => parseBackfillWindows(['--date', '15-10-2026'], config), /--date must be a date in YYYY-MM-DD format/);
+  assert.throws(() => parseBackfillWindows(['--from', '2026-10-17', '--to', '2026-10-18'], getWindowConfig({ REPORT_SKIP_WEEKENDS: 'true' })), /skipped day/);
+});
@@ -0,0 +1,73 @@
+/**
+ * lib/result_cache.js and promptVersion (lib/summary_prompt.js): which
+ * cached results a run may reuse.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getLlmConfig } = require('../lib/llm_provider');
+const { getDocumentConfig } = require('../lib/pdf_document');
+const { getVerificationConfig } = require('../lib/answer_verification');
+const { promptVersion } = require('../lib/summary_prompt');
+const { lookupResult, storeResult, invalidateEntries } = require('../lib/result_cache');
+
+function versionFor(env, maxContentChars = 50000) {
+  return promptVersion(getLlmConfig({ LLM_PROVIDER: 'fake', ...env }), getDocumentConfig(env), getVerificationConfig(env), maxContentChars);
+}
+
+function cacheWith(version) {
+  const cache = { version: 1, entries: {}, etags: {} };
+  storeResult(cache, { sha256: 'abc', etag: '"e1"', bucket: 'bucket-a', key: 'cases/a.pdf' }, version, { question: 'Q?' });
+  return cache;
+}
+
+test('the prompt version is stable for the same settings', () => {
+  assert.equal(versionFor({}), versionFor({}));
+  assert.match(versionFor({}), /^[0-9a-f]{12}$/);
+});
+
+test('a result cached from extracted text is not served in document mode, and back', () => {
+  const text = versionFor({ CLAUDE_PDF_MODE: 'text' });
+  const document = versionFor({ CLAUDE_PDF_MODE: 'document' });
+  const auto = versionFor({ CLAUDE_PDF_MODE: 'auto' });
+  assert.equal(new Set([text, document, auto]).size, 3);
+
+  assert.equal(lookupResult(cacheWith(text), { sha256: 'abc' }, text).question, 'Q?');
+  assert.equal(lookupResult(cacheWith(text), { sha256: 'abc' }, document), null);
+  assert.equal(lookupResult(cacheWith(document), { etag: '"e1"' }, text), null);
+});
+
+test('the PDF limits only count when PDFs are sent', () => {
+  assert.notEqual(versionFor({ CLAUDE_PDF_MODE: 'auto' }), versionFor({ CLAUDE_PDF_MODE: 'auto', PDF_MIN_CHARS_PER_PAGE: '50' }));
+  assert.equal(versionFor({ CLAUDE_PDF_MODE: 'text' }), versionFor({ CLAUDE_PDF_MODE: 'text', PDF_DOCUMENT_MAX_PAGES: '5' }));
+});
+
+test('models, model settings, the text limit and verification change the version', () => {
+  assert.notEqual(versionFor({}), versionFor({ LLM_MODEL: 'other-model' }));
+  assert.notEqual(versionFor({}), versionFor({ QUESTION_VERIFICATION: 'off' }));
+  assert.notEqual(versionFor({}), versionFor({ LLM_MAX_TOKENS: '2048' }));
+  assert.notEqual(versionFor({}), versionFor({ LLM_TEMPERATURE: '0' }));
+  assert.notEqual(versionFor({}), versionFor({}, 20000));
+});
+
+test('the provider changes the version even with the same model name', () => {
+  const settings = { LLM_MODEL: 'shared-model', LLM_BASE_URL: 'http://localhost:1/v1' };
+  assert.notEqual(versionFor(settings), versionFor({ ...settings, LLM_PROVIDER: 'openai' }));
+});
+
+test('lookups go by sha256, or by a known ETag before download', () => {
+  const cache = cacheWith('v1');
+
+  assert.equal(lookupResult(cache, { etag: '"e1"' }, 'v1').source, 'bucket-a/cases/a.pdf');
+  assert.equal(lookupResult(cache, { etag: '"other"' }, 'v1'), null);
+  assert.equal(lookupResult(cache, {}, 'v1'), null);
+});
+
+test('invalidating entries drops the ETags left pointing at nothing', () => {
+  const cache = cacheWith('v1');
+  storeResult(cache, { sha256: 'def', etag: '"e2"', bucket: 'bucket-b', key: 'cases/b.pdf' }, 'v2', { question: 'Q2?' });
+
+  assert.equal(invalidateEntries(cache, entry => entry.promptVersion !== 'v2'), 1);
+  assert.deepEqual(Object.keys(cache.entries), ['def:v2']);
+  assert.deepEqual(cache.etags, { '"e2"': 'def' });
+});
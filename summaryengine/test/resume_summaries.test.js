@@ -0,0 +1,41 @@
+/**
+ * resume_summaries.js status against checkpoints in a sandbox (test/helpers).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createSandbox } = require('./helpers/sandbox');
+
+const UPLOADS = [
+  { bucket: 'bucket-a', key: 'Direct-Taxes/India/ITAT/one.txt', text: 'The appeal of the assessee is allowed.' },
+  { bucket: 'bucket-a', key: 'Direct-Taxes/India/ITAT/two.txt', text: 'The revenue appeal is dismissed.' },
+];
+
+function checkpoint(excelPath, results = {}) {
+  const now = new Date().toISOString();
+  return JSON.stringify({ version: 2, excelPath, startedAt: now, timestamp: now, lastProcessed: 0, results });
+}
+
+test('status shows every checkpoint even when one cannot be read', async (t) => {
+  const sandbox = createSandbox();
+  t.after(() => sandbox.remove());
+  const report = sandbox.writeUploadReport('s3_daily_uploads_20261017.xlsx', UPLOADS);
+
+  // Listed in this order: the first two cannot be shown, the last one can
+  fs.writeFileSync(path.join(sandbox.reports, 'progress_summaries.json'), checkpoint(path.join(sandbox.reports, 'gone.xlsx')));
+  fs.writeFileSync(path.join(sandbox.reports, 'progress_summaries_backfill_20261016.json'), '{ not json');
+  fs.writeFileSync(path.join(sandbox.reports, 'progress_summaries_backfill_20261017.json'), checkpoint(report, {
+    [`bucket-a/${UPLOADS[0].key}`]: { status: 'summarized' },
+  }));
+
+  const { status, output } = sandbox.run('resume_summaries.js', ['status']);
+
+  assert.equal(status, 1, output);
+  assert.match(output, /progress_summaries\.json: source report not found: .*gone\.xlsx/);
+  assert.match(output, /progress_summaries_backfill_20261016\.json is not valid JSON/);
+  assert.match(output, /Checkpoint: +progress_summaries_backfill_20261017\.json/);
+  assert.match(output, /Processed: +1\/2/);
+  assert.match(output, /2 of 3 checkpoint\(s\) could not be shown/);
+});
@@ -0,0 +1,100 @@
+/**
+ * run_complete_pipeline.js end to end in a sandbox (test/helpers): the stub
+ * S3 listing, the fake provider and the stub SMTP server.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { DateTime } = require('luxon');
+const { getWindowConfig, computeReportWindow, uploadReportFilename } = require('../lib/report_window');
+const { createSandbox } = require('./helpers/sandbox');
+
+const WINDOW = computeReportWindow(DateTime.now(), getWindowConfig({}));
+const KEY = 'Direct-Taxes/India/ITAT/order.txt';
+const ENV = { S3_BUCKETS: 'bucket-a', LLM_PROVIDER: 'fake', CLAUDE_API_KEY: '', PIPELINE_STEP_DELAY_SECONDS: '0' };
+
+function withUpload(sandbox) {
+  const lastModified = WINDOW.startUTC.plus({ hours: 1 }).toISO();
+  sandbox.writeListing({ 'bucket-a': [{ Key: KEY, LastModified: lastModified, Size: 60 }] });
+  fs.writeFileSync(path.join(sandbox.dir, 'objects.json'), JSON.stringify({
+    [`bucket-a/${KEY}`]: 'The appeal of the assessee is allowed on the question of section 68 additions.',
+  }));
+}
+
+function runRecord(sandbox) {
+  const dir = path.join(sandbox.reports, 'runs');
+  const [file] = fs.readdirSync(dir);
+  return JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8'));
+}
+
+test('both steps run and the run is recorded', async (t) => {
+  const sandbox = createSandbox();
+  t.after(() => sandbox.remove());
+  withUpload(sandbox);
+
+  const run = sandbox.run('run_complete_pipeline.js', [], ENV);
+
+  assert.equal(run.status, 0, run.output);
+  const record = runRecord(sandbox);
+  assert.equal(record.status, 'ok');
+  assert.deepEqual(record.steps.map(s => [s.script, s.status]), [['s3_daily_summary.js', 'ok'], ['process_in_batches.js', 'ok']]);
+  assert.equal(sandbox.mails().length, 2);
+});
+
+test('when only the upload email fails, step 2 still summarizes the report', async (t) => {
+  const sandbox = createSandbox();
+  t.after(() => sandbox.remove());
+  withUpload(sandbox);
+
+  const run = sandbox.run('run_complete_pipeline.js', [], { ...ENV, STUB_MAIL_FAIL: 's3_daily_summary.js' });
+
+  assert.equal(run.status, 2, run.output);
+  const scan = sandbox.readJson('scan_manifest.json');
+  assert.equal(scan.status, 'ok');
+  assert.match(scan.emailError, /554 Message rejected/);
+  assert.equal(scan.windows[0].report, uploadReportFilename(WINDOW));
+
+  const record = runRecord(sandbox);
+  assert.equal(record.status, 'partial');
+  assert.match(record.error, /^Upload email not sent: .*554/);
+  assert.deepEqual(record.steps.map(s => [s.script, s.status]), [['s3_daily_summary.js', 'email-failed'], ['process_in_batches.js', 'ok']]);
+  assert.deepEqual(record.summaries[0].counts, { summarized: 1 });
+
+  // Only the summary email went out, with the upload report attached
+  const mails = sandbox.mails();
+  assert.equal(mails.length, 1);
+  assert.deepEqual(mails[0].attachments, [uploadReportFilename(WINDOW), uploadReportFilename(WINDOW).replace('s3_daily_uploads_', 'file_summaries_')]);
+});
+
+test('a failed scan stops the pipeline before step 2', async (t) => {
+  const sandbox = createSandbox();
+  t.after(() => sandbox.remove());
+  withUpload(sandbox);
+
+  const run = sandbox.run('run_complete_pipeline.js', [], { ...ENV, S3_BUCKETS: 'bucket-a', S3_SCAN_CONCURRENCY: 'many' });
+
+  assert.equal(run.status, 1, run.output);
+  assert.equal(sandbox.mails().length, 0);
+});
+
+test('on a skipped day step 1 records a skipped scan and step 2 does not run', async (t) => {
+  const sandbox = createSandbox();
+  t.after(() => sandbox.remove());
+  withUpload(sandbox);
+
+  const run = sandbox.run('run_complete_pipeline.js', [], { ...ENV, REPORT_HOLIDAYS: WINDOW.end.toISODate() });
+
+  assert.equal(run.status, 0, run.output);
+  const scan = sandbox.readJson('scan_manifest.json');
+  assert.equal(scan.status, 'skipped');
+  assert.equal(scan.windows[0].report, null);
+  assert.equal(sandbox.s3Requests().length, 0);
+
+  const record = runRecord(sandbox);
+  assert.equal(record.status, 'skipped');
+  assert.equal(scan.runId, record.runId);
+  assert.deepEqual(record.steps.map(s => s.script), ['s3_daily_summary.js']);
+  assert.equal(sandbox.mails().length, 0);
+});
@@ -0,0 +1,104 @@
+/**
+ * lib/run_record.js and run_history.js: run IDs, which records are read, and
+ * how runs are looked up and compared.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { newRunId, saveRunRecord, loadRunRecords, diffRuns } = require('../lib/run_record');
+const { createSandbox } = require('./helpers/sandbox');
+
+function record(runId, files) {
+  return {
+    runId,
+    startedAt: '2026-10-19T06:30:00.000Z',
+    status: 'ok',
+    argv: [],
+    code: { package: '1.0.0', commit: null, dirty: null },
+    durationSeconds: 1,
+    steps: [],
+    scan: null,
+    summaries: [{ report: 's3_daily_uploads_20261019.xlsx', status: 'completed', counts: {}, files }],
+  };
+}
+
+function file(key, status, reason = null) {
+  return { bucket: 'bucket-a', key, status, reason };
+}
+
+test('run IDs sort in start order, and runs in the same second stay apart', () => {
+  const ids = ['2026-10-19T06:30:00Z', '2026-10-19T06:30:01Z', '2026-10-20T00:00:00Z', '2027-01-01T00:00:00Z']
+    .map(iso => newRunId(new Date(iso)));
+
+  assert.match(ids[0], /^20261019-063000-[0-9a-f]{4}$/);
+  assert.deepEqual([...ids].reverse().sort(), ids);
+  const sameSecond = new Set(Array.from({ length: 20 }, () => newRunId(new Date('2026-10-19T06:30:00Z'))));
+  assert.ok(sameSecond.size > 1);
+});
+
+test('only readable records of the current version are loaded, oldest first', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'summaryengine-runs-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  saveRunRecord(dir, record('20261020-063000-bbbb', []));
+  saveRunRecord(dir, record('20261019-063000-aaaa', []));
+  fs.writeFileSync(path.join(dir, '20261018-063000-cccc.json'), JSON.stringify({ ...record('20261018-063000-cccc', []), version: 0 }));
+  fs.writeFileSync(path.join(dir, '20261017-063000-dddd.json'), '{ truncated');
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a record');
+
+  assert.deepEqual(loadRunRecords(dir).map(r => r.runId), ['20261019-063000-aaaa', '20261020-063000-bbbb']);
+  assert.deepEqual(loadRunRecords(path.join(dir, 'missing')), []);
+});
+
+test('the diff lists added and removed files and changes of status or reason', () => {
+  const a = record('a', [
+    file('kept.pdf', 'summarized'),
+    file('gone.pdf', 'summarized'),
+    file('fixed.pdf', 'api-error', 'Error generating question (API failure)'),
+    file('other-failure.pdf', 'skipped', 'too large'),
+  ]);
+  const b = record('b', [
+    file('kept.pdf', 'summarized'),
+    file('new.pdf', 'cached', 'bucket-b/new.pdf, 18 Oct 2026'),
+    file('fixed.pdf', 'summarized'),
+    file('other-failure.pdf', 'skipped', 'excluded by file filters'),
+  ]);
+
+  assert.deepEqual(diffRuns(a, b), {
+    added: ['bucket-a/new.pdf'],
+    removed: ['bucket-a/gone.pdf'],
+    changed: [
+      { file: 'bucket-a/fixed.pdf', from: 'api-error (Error generating question (API failure))', to: 'summarized' },
+      { file: 'bucket-a/other-failure.pdf', from: 'skipped (too large)', to: 'skipped (excluded by file filters)' },
+    ],
+  });
+});
+
+test('run_history.js finds a run by a unique ID prefix and diffs two runs', (t) => {
+  const sandbox = createSandbox();
+  t.after(() => sandbox.remove());
+  const runs = path.join(sandbox.reports, 'runs');
+  saveRunRecord(runs, record('20261019-063000-aaaa', [file('one.pdf', 'skipped', 'too large')]));
+  saveRunRecord(runs, record('20261020-063000-bbbb', [file('one.pdf', 'skipped', 'excluded by file filters')]));
+  saveRunRecord(runs, record('20261020-070000-cccc', []));
+
+  const show = sandbox.run('run_history.js', ['show', '20261019']);
+  assert.equal(show.status, 0, show.output);
+  assert.match(show.output, /Run ID:\s+20261019-063000-aaaa/);
+
+  const ambiguous = sandbox.run('run_history.js', ['show', '20261020']);
+  assert.equal(ambiguous.status, 1);
+  assert.match(ambiguous.output, /Run ID 20261020 is ambiguous \(2 runs\)/);
+
+  const unknown = sandbox.run('run_history.js', ['show', '2025']);
+  assert.equal(unknown.status, 1);
+  assert.match(unknown.output, /No run 2025/);
+
+  const diff = sandbox.run('run_history.js', ['diff', '20261019', '20261020-06']);
+  assert.equal(diff.status, 0, diff.output);
+  assert.match(diff.output, /0 added, 0 removed, 1 with another outcome/);
+  assert.match(diff.output, /~ bucket-a\/one\.pdf: skipped \(too large\) → skipped \(excluded by file filters\)/);
+});
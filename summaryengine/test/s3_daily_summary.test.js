@@ -0,0 +1,63 @@
+/**
+ * s3_daily_summary.js run against a stub S3 listing in a sandbox
+ * (test/helpers).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const { DateTime } = require('luxon');
+const { getWindowConfig, computeReportWindow, uploadReportFilename } = require('../lib/report_window');
+const { createSandbox } = require('./helpers/sandbox');
+
+const WINDOW = computeReportWindow(DateTime.now(), getWindowConfig({}));
+const HOUR = 60 * 60 * 1000;
+
+// A time inside the current window, hours after its start (negative: before it)
+function inWindow(hours) {
+  return new Date(WINDOW.startUTC.toMillis() + hours * HOUR);
+}
+
+function dayFolder(date) {
+  return `uploads/${DateTime.fromJSDate(date, { zone: 'utc' }).toFormat('yyyy/LL/dd')}/`;
+}
+
+function reportKeys(sandbox) {
+  const wb = XLSX.readFile(path.join(sandbox.reports, uploadReportFilename(WINDOW)));
+  return XLSX.utils.sheet_to_json(wb.Sheets.Uploads).map(row => row.Key).sort();
+}
+
+test('a bucket with a date layout is listed from the watermark\'s day, not in full', async (t) => {
+  const sandbox = createSandbox();
+  t.after(() => sandbox.remove());
+  const watermark = inWindow(-48);
+  const missed = inWindow(-30);
+  const today = inWindow(2);
+  const objects = [
+    { Key: 'uploads/2020/01/01/Direct-Taxes/India/ITAT/old.pdf', LastModified: '2020-01-01T00:00:00Z' },
+    { Key: `${dayFolder(missed)}Direct-Taxes/India/ITAT/missed.pdf`, LastModified: missed.toISOString() },
+    { Key: `${dayFolder(today)}Direct-Taxes/India/ITAT/today.pdf`, LastModified: today.toISOString() },
+    { Key: 'uploads/2099/01/01/Direct-Taxes/India/ITAT/future.pdf', LastModified: today.toISOString() },
+  ];
+  sandbox.writeListing({ archive: objects });
+  fs.writeFileSync(path.join(sandbox.reports, 'scan_state.json'), JSON.stringify({
+    version: 1,
+    buckets: { archive: { prefixes: { '': { watermark: watermark.toISOString(), seen: {} } } } },
+  }));
+
+  const run = sandbox.run('s3_daily_summary.js', [], {
+    S3_BUCKETS: 'archive',
+    SCAN_MODE: 'incremental',
+    S3_DATE_LAYOUT: '{"archive":"uploads/{yyyy}/{MM}/{dd}/"}',
+  });
+
+  assert.equal(run.status, 0, run.output);
+  const requests = sandbox.s3Requests();
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].Prefix, 'uploads/');
+  assert.equal(requests[0].StartAfter, dayFolder(new Date(watermark.getTime() - 24 * HOUR)));
+  assert.match(run.output, /Scanned 2 objects/);
+  assert.deepEqual(reportKeys(sandbox), [objects[1].Key, objects[2].Key].sort());
+});
@@ -0,0 +1,242 @@
+/**
+ * lib/s3_inventory.js against a stubbed S3 client: snapshot selection,
+ * retries, CSV/Parquet inventory files and how far a snapshot covers a range.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { findLatestManifest, readManifest, iterateInventoryObjects, readInventoryRange } = require('../lib/s3_inventory');
+const { getWatermark, wasSeen, advanceWatermark } = require('../lib/scan_state');
+
+// No waiting between attempts
+const FAST_RETRY = { maxAttempts: 3, baseMs: 1, capMs: 1 };
+
+function slowDown() {
+  const error = new Error('Please reduce your request rate.');
+  error.name = 'SlowDown';
+  return error;
+}
+
+function body(data) {
+  const stream = Readable.from([Buffer.from(data)]);
+  stream.transformToString = async () => Buffer.from(data).toString('utf-8');
+  return stream;
+}
+
+/**
+ * A client that answers ListObjectsV2 from `prefixes` (two per page) and
+ * GetObject from `objects`, failing the first `failures` requests.
+ */
+function stubS3({ prefixes = [], objects = {}, failures = 0 } = {}) {
+  const calls = [];
+  return {
+    calls,
+    async send(command) {
+      const name = command.constructor.name;
+      calls.push([name, command.input]);
+      if (calls.length <= failures) throw slowDown();
+      if (name === 'ListObjectsV2Command') {
+        const start = Number(command.input.ContinuationToken || 0);
+        const page = prefixes.filter(p => p.startsWith(command.input.Prefix)).slice(start, start + 2);
+        const more = start + 2 < prefixes.length;
+        return { CommonPrefixes: page.map(Prefix => ({ Prefix })), NextContinuationToken: more ? String(start + 2) : undefined };
+      }
+      if (name === 'GetObjectCommand') {
+        if (!(command.input.Key in objects)) throw new Error(`NoSuchKey: ${command.input.Key}`);
+        return { Body: body(objects[command.input.Key]) };
+      }
+      throw new Error(`Unexpected command ${name}`);
+    },
+  };
+}
+
+const INVENTORY = { bucket: 'inventory-dest', prefix: 'inv/source-bucket/daily' };
+
+test('findLatestManifest picks the newest snapshot not after the window end', async () => {
+  const s3 = stubS3({
+    prefixes: [
+      'inv/source-bucket/daily/2026-10-17T01-00Z/',
+      'inv/source-bucket/daily/2026-10-18T01-00Z/',
+      'inv/source-bucket/daily/hive/',
+      'inv/source-bucket/daily/2026-10-19T01-00Z/',
+      'inv/source-bucket/daily/2026-10-20T01-00Z/',
+    ],
+  });
+
+  const latest = await findLatestManifest(s3, INVENTORY, new Date('2026-10-19T06:30:00Z'), FAST_RETRY);
+
+  assert.deepEqual(latest, {
+    manifestKey: 'inv/source-bucket/daily/2026-10-19T01-00Z/manifest.json',
+    snapshotTime: new Date('2026-10-19T01:00:00Z'),
+  });
+  assert.equal(s3.calls.length, 3, 'follows every continuation token');
+  assert.equal(s3.calls[0][1].Prefix, 'inv/source-bucket/daily/');
+});
+
+test('findLatestManifest resolves to null without a snapshot in time', async () => {
+  const s3 = stubS3({ prefixes: ['inv/source-bucket/daily/2026-10-20T01-00Z/'] });
+  assert.equal(await findLatestManifest(s3, INVENTORY, new Date('2026-10-19T06:30:00Z'), FAST_RETRY), null);
+});
+
+test('findLatestManifest retries a throttled listing', async () => {
+  const s3 = stubS3({ prefixes: ['inv/source-bucket/daily/2026-10-18T01-00Z/'], failures: 2 });
+  const retries = [];
+
+  const latest = await findLatestManifest(s3, INVENTORY, new Date('2026-10-19T06:30:00Z'), {
+    ...FAST_RETRY,
+    onRetry: (error, attempt) => retries.push([error.name, attempt]),
+  });
+
+  assert.equal(latest.manifestKey, 'inv/source-bucket/daily/2026-10-18T01-00Z/manifest.json');
+  assert.deepEqual(retries, [['SlowDown', 1], ['SlowDown', 2]]);
+});
+
+test('readManifest retries, then gives up after maxAttempts', async () => {
+  const manifest = JSON.stringify({ fileFormat: 'CSV', creationTimestamp: '1760835600000', files: [] });
+
+  const flaky = stubS3({ objects: { 'm.json': manifest }, failures: 1 });
+  const read = await readManifest(flaky, 'inventory-dest', 'm.json', FAST_RETRY);
+  assert.equal(read.snapshotTime.getTime(), 1760835600000);
+  assert.equal(flaky.calls.length, 2);
+
+  const down = stubS3({ objects: { 'm.json': manifest }, failures: 10 });
+  await assert.rejects(readManifest(down, 'inventory-dest', 'm.json', FAST_RETRY), { name: 'SlowDown' });
+  assert.equal(down.calls.length, FAST_RETRY.maxAttempts);
+});
+
+test('readManifest does not retry errors shouldRetry rejects', async () => {
+  const s3 = stubS3({ objects: {} });
+  await assert.rejects(
+    readManifest(s3, 'inventory-dest', 'missing.json', { ...FAST_RETRY, shouldRetry: e => e.name === 'SlowDown' }),
+    /NoSuchKey/,
+  );
+  assert.equal(s3.calls.length, 1);
+});
+
+test('iterateInventoryObjects reads gzipped CSV files', async () => {
+  const csv = [
+    '"source-bucket","cases/India/a%20b+c.pdf","1200","2026-10-19T02:00:00.000Z","abc123","STANDARD"',
+    '"source-bucket","cases/India/quoted.pdf","34","2026-10-18T22:15:00.000Z","def456","GLACIER"',
+    '',
+  ].join('\n');
+  const s3 = stubS3({ objects: { 'data/1.csv.gz': zlib.gzipSync(csv) } });
+  const manifest = {
+    destinationBucket: 'arn:aws:s3:::inventory-dest',
+    fileFormat: 'CSV',
+    fileSchema: 'Bucket, Key, Size, LastModifiedDate, ETag, StorageClass',
+    files: [{ key: 'data/1.csv.gz' }],
+  };
+
+  const objects = [];
+  for await (const obj of iterateInventoryObjects(s3, manifest, FAST_RETRY)) objects.push(obj);
+
+  assert.deepEqual(objects, [
+    { Bucket: 'source-bucket', Key: 'cases/India/a b c.pdf', Size: 1200, LastModified: new Date('2026-10-19T02:00:00Z'), ETag: '"abc123"', StorageClass: 'STANDARD' },
+    { Bucket: 'source-bucket', Key: 'cases/India/quoted.pdf', Size: 34, LastModified: new Date('2026-10-18T22:15:00Z'), ETag: '"def456"', StorageClass: 'GLACIER' },
+  ]);
+  assert.equal(s3.calls[0][1].Bucket, 'inventory-dest');
+});
+
+for (const timestampType of ['TIMESTAMP_MILLIS', 'TIMESTAMP_MICROS']) {
+  test(`iterateInventoryObjects reads Parquet files (${timestampType})`, async () => {
+    const { ParquetSchema, ParquetWriter } = require('parquetjs-lite');
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'inventory-test-')), 'data.parquet');
+    const writer = await ParquetWriter.openFile(new ParquetSchema({
+      bucket: { type: 'UTF8' },
+      key: { type: 'UTF8' },
+      size: { type: 'INT64' },
+      last_modified_date: { type: timestampType },
+      e_tag: { type: 'UTF8' },
+      storage_class: { type: 'UTF8' },
+    }), file);
+    await writer.appendRow({
+      bucket: 'source-bucket',
+      key: 'cases/India/p.pdf',
+      size: 2048,
+      last_modified_date: new Date('2026-10-19T03:00:00Z'),
+      e_tag: 'aa11',
+      storage_class: 'STANDARD',
+    });
+    await writer.close();
+
+    const s3 = stubS3({ objects: { 'data/1.parquet': fs.readFileSync(file) }, failures: 1 });
+    const manifest = { destinationBucket: 'inventory-dest', fileFormat: 'Parquet', files: [{ key: 'data/1.parquet' }] };
+
+    const objects = [];
+    for await (const obj of iterateInventoryObjects(s3, manifest, FAST_RETRY)) objects.push(obj);
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+
+    assert.deepEqual(objects, [
+      { Bucket: 'source-bucket', Key: 'cases/India/p.pdf', Size: 2048, LastModified: new Date('2026-10-19T03:00:00Z'), ETag: '"aa11"', StorageClass: 'STANDARD' },
+    ]);
+  });
+}
+
+test('iterateInventoryObjects rejects ORC inventories', async () => {
+  const manifest = { destinationBucket: 'inventory-dest', fileFormat: 'ORC', files: [{ key: 'data/1.orc' }] };
+  await assert.rejects(async () => {
+    for await (const obj of iterateInventoryObjects(stubS3(), manifest, FAST_RETRY)) assert.fail(obj);
+  }, /Unsupported inventory format: ORC/);
+});
+
+// A CSV snapshot folder (manifest and data file) listing `rows` as [key, lastModified]
+function snapshot(folder, rows) {
+  const csv = rows.map(([key, lastModified]) => `"source-bucket","${key}","10","${lastModified}","${key.length}","STANDARD"`).join('\n');
+  const stamp = /(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})Z/.exec(folder);
+  return {
+    [`${INVENTORY.prefix}/${folder}/manifest.json`]: JSON.stringify({
+      destinationBucket: 'inventory-dest',
+      fileFormat: 'CSV',
+      fileSchema: 'Bucket, Key, Size, LastModifiedDate, ETag, StorageClass',
+      creationTimestamp: String(Date.parse(`${stamp[1]}T${stamp[2]}:${stamp[3]}:00Z`)),
+      files: [{ key: `data/${folder}.csv.gz` }],
+    }),
+    [`data/${folder}.csv.gz`]: zlib.gzipSync(csv),
+  };
+}
+
+test('an upload after the snapshot is left to the next run, which starts at the snapshot', async () => {
+  const s3 = stubS3({
+    prefixes: [`${INVENTORY.prefix}/2026-10-18T20-00Z/`, `${INVENTORY.prefix}/2026-10-19T20-00Z/`],
+    objects: {
+      ...snapshot('2026-10-18T20-00Z', [['cases/a.pdf', '2026-10-18T05:00:00.000Z']]),
+      ...snapshot('2026-10-19T20-00Z', [['cases/a.pdf', '2026-10-18T05:00:00.000Z'], ['cases/late.pdf', '2026-10-18T22:00:00.000Z']]),
+    },
+  });
+  const state = { version: 1, buckets: {} };
+
+  const first = await readInventoryRange(s3, INVENTORY, new Date('2026-10-18T01:00:00Z'), new Date('2026-10-19T01:00:00Z'), FAST_RETRY);
+  assert.deepEqual(first.objects.map(o => o.Key), ['cases/a.pdf']);
+  assert.deepEqual(first.coveredUntil, new Date('2026-10-18T20:00:00Z'), 'the window end is not covered');
+  advanceWatermark(state, 'source-bucket', '', first.coveredUntil, first.objects);
+
+  const start = getWatermark(state, 'source-bucket', '');
+  const second = await readInventoryRange(s3, INVENTORY, start, new Date('2026-10-20T01:00:00Z'), FAST_RETRY);
+  const reported = second.objects.filter(o => !wasSeen(state, 'source-bucket', '', o.Key, o.ETag));
+  assert.deepEqual(reported.map(o => o.Key), ['cases/late.pdf']);
+  assert.deepEqual(second.coveredUntil, new Date('2026-10-19T20:00:00Z'));
+});
+
+test('a snapshot older than the range covers none of it', async () => {
+  const s3 = stubS3({
+    prefixes: [`${INVENTORY.prefix}/2026-10-17T20-00Z/`],
+    objects: snapshot('2026-10-17T20-00Z', [['cases/old.pdf', '2026-10-17T05:00:00.000Z']]),
+  });
+
+  const range = await readInventoryRange(s3, INVENTORY, new Date('2026-10-18T01:00:00Z'), new Date('2026-10-19T01:00:00Z'), FAST_RETRY);
+
+  assert.deepEqual(range.objects, []);
+  assert.deepEqual(range.coveredUntil, new Date('2026-10-18T01:00:00Z'));
+});
+
+test('readInventoryRange fails without a snapshot', async () => {
+  await assert.rejects(
+    readInventoryRange(stubS3(), INVENTORY, new Date('2026-10-18T01:00:00Z'), new Date('2026-10-19T01:00:00Z'), FAST_RETRY),
+    /No inventory snapshot found at or before 2026-10-19T01:00:00.000Z/,
+  );
+});
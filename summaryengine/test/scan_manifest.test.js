@@ -0,0 +1,57 @@
+/**
+ * lib/scan_manifest.js: which window of the last scan the batch step takes.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DateTime } = require('luxon');
+const { writeScanManifest, readScanManifest, manifestWindow, manifestReportPath } = require('../lib/scan_manifest');
+
+function window(start, end, report) {
+  return { date: end.slice(0, 10), start, end, report, exports: [], uploads: report ? 1 : 0, excluded: 0 };
+}
+
+// REPORT_SPAN=6h: several windows end on 19 Oct
+const MANIFEST = {
+  status: 'ok',
+  windows: [
+    window('2026-10-19T00:00:00.000+05:30', '2026-10-19T06:00:00.000+05:30', 's3_daily_uploads_20261019_0600.xlsx'),
+    window('2026-10-19T06:00:00.000+05:30', '2026-10-19T12:00:00.000+05:30', 's3_daily_uploads_20261019_1200.xlsx'),
+    window('2026-10-19T12:00:00.000+05:30', '2026-10-19T18:00:00.000+05:30', null),
+  ],
+};
+
+test('windows ending on the same day are told apart by their end', () => {
+  const end = DateTime.fromISO('2026-10-19T12:00:00', { zone: 'Asia/Kolkata' });
+
+  assert.equal(manifestWindow(MANIFEST, end).report, 's3_daily_uploads_20261019_1200.xlsx');
+  assert.equal(manifestWindow(MANIFEST, new Date('2026-10-19T12:30:00Z')).report, null);
+  assert.equal(manifestWindow(MANIFEST, end.plus({ hours: 12 })), null);
+});
+
+test('the end matches whatever zone it is given in', () => {
+  const end = DateTime.fromISO('2026-10-19T00:30:00Z').setZone('UTC');
+  assert.equal(manifestWindow(MANIFEST, end).report, 's3_daily_uploads_20261019_0600.xlsx');
+});
+
+test('a written manifest reads back, with reports next to it', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scan-manifest-test-'));
+  const file = path.join(dir, 'scan_manifest.json');
+  try {
+    assert.equal(readScanManifest(file), null);
+    writeScanManifest(file, MANIFEST);
+    const manifest = readScanManifest(file);
+
+    assert.equal(manifest.version, 1);
+    assert.equal(manifestReportPath(file, manifest.windows[1]), path.join(dir, 's3_daily_uploads_20261019_1200.xlsx'));
+    assert.equal(manifestReportPath(file, manifest.windows[2]), null);
+
+    fs.writeFileSync(file, JSON.stringify({ version: 2, windows: [] }));
+    assert.throws(() => readScanManifest(file), /Unsupported scan manifest format/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
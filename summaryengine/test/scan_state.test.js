@@ -0,0 +1,92 @@
+/**
+ * lib/scan_state.js: watermarks and seen keys of the incremental scan.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  BUCKET_WIDE,
+  loadScanState,
+  saveScanState,
+  getWatermark,
+  getBucketWatermark,
+  wasSeen,
+  advanceWatermark,
+} = require('../lib/scan_state');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function upload(Key, ETag, LastModified) {
+  return { Key, ETag, LastModified: new Date(LastModified) };
+}
+
+test('an unscanned bucket has no watermark and no seen keys', () => {
+  const state = { version: 1, buckets: {} };
+  assert.equal(getWatermark(state, 'bucket-a', 'cases/'), null);
+  assert.equal(getBucketWatermark(state, 'bucket-a'), null);
+  assert.equal(wasSeen(state, 'bucket-a', 'cases/', 'cases/a.pdf', '"e1"'), false);
+});
+
+test('advanceWatermark records the watermark and the reported versions', () => {
+  const state = { version: 1, buckets: {} };
+  advanceWatermark(state, 'bucket-a', 'cases/', new Date('2026-10-19T06:30:00Z'), [
+    upload('cases/a.pdf', '"e1"', '2026-10-19T01:00:00Z'),
+  ]);
+
+  assert.deepEqual(getWatermark(state, 'bucket-a', 'cases/'), new Date('2026-10-19T06:30:00Z'));
+  assert.equal(wasSeen(state, 'bucket-a', 'cases/', 'cases/a.pdf', '"e1"'), true);
+  // A new version of the same key is reported again
+  assert.equal(wasSeen(state, 'bucket-a', 'cases/', 'cases/a.pdf', '"e2"'), false);
+});
+
+test('a prefix without an entry falls back to the bucket-wide one and inherits its keys', () => {
+  const state = { version: 1, buckets: {} };
+  advanceWatermark(state, 'bucket-a', BUCKET_WIDE, new Date('2026-10-18T06:30:00Z'), [
+    upload('cases/a.pdf', '"e1"', '2026-10-18T01:00:00Z'),
+    upload('other/b.pdf', '"e2"', '2026-10-18T02:00:00Z'),
+  ]);
+
+  assert.deepEqual(getWatermark(state, 'bucket-a', 'cases/'), new Date('2026-10-18T06:30:00Z'));
+  assert.equal(wasSeen(state, 'bucket-a', 'cases/', 'cases/a.pdf', '"e1"'), true);
+
+  advanceWatermark(state, 'bucket-a', 'cases/', new Date('2026-10-19T06:30:00Z'), []);
+  const seen = Object.keys(state.buckets['bucket-a'].prefixes['cases/'].seen);
+  assert.deepEqual(seen, ['cases/a.pdf']);
+  assert.deepEqual(getBucketWatermark(state, 'bucket-a'), new Date('2026-10-18T06:30:00Z'));
+});
+
+test('seen keys older than the retention are pruned', () => {
+  const state = { version: 1, buckets: {} };
+  const watermark = new Date('2026-10-19T06:30:00Z');
+  advanceWatermark(state, 'bucket-a', 'cases/', watermark, [
+    upload('cases/old.pdf', '"e1"', watermark.getTime() - 8 * DAY),
+    upload('cases/recent.pdf', '"e2"', watermark.getTime() - 6 * DAY),
+  ]);
+
+  assert.equal(wasSeen(state, 'bucket-a', 'cases/', 'cases/old.pdf', '"e1"'), false);
+  assert.equal(wasSeen(state, 'bucket-a', 'cases/', 'cases/recent.pdf', '"e2"'), true);
+});
+
+test('the state survives a save and load, and other versions are refused', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scan-state-test-'));
+  const stateFile = path.join(dir, 'reports', 'scan_state.json');
+  try {
+    assert.deepEqual(loadScanState(stateFile), { version: 1, buckets: {} });
+
+    const state = loadScanState(stateFile);
+    advanceWatermark(state, 'bucket-a', 'cases/', new Date('2026-10-19T06:30:00Z'), [
+      upload('cases/a.pdf', '"e1"', '2026-10-19T01:00:00Z'),
+    ]);
+    saveScanState(stateFile, state);
+    assert.deepEqual(loadScanState(stateFile), state);
+    assert.equal(fs.existsSync(`${stateFile}.tmp`), false);
+
+    fs.writeFileSync(stateFile, JSON.stringify({ version: 0, buckets: {} }));
+    assert.throws(() => loadScanState(stateFile), /Unsupported scan state format/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,87 @@
+/**
+ * lib/sheet_format.js: the frozen header, autofilter and links of the upload
+ * report, as s3_daily_summary.js writes it and after process_in_batches.js
+ * reads it back to add same-text duplicates.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const { DateTime } = require('luxon');
+const os = require('os');
+const { tableSheet, readWorkbook, writeWorkbook } = require('../lib/sheet_format');
+const { getWindowConfig, computeReportWindow, uploadReportFilename } = require('../lib/report_window');
+const { createSandbox } = require('./helpers/sandbox');
+
+const WINDOW = computeReportWindow(DateTime.now(), getWindowConfig({}));
+const JUDGMENT = 'The assessee appealed against the addition under section 68 of the Income Tax Act. '.repeat(10);
+const UPLOADS = [
+  { bucket: 'bucket-a', key: 'Direct-Taxes/India/ITAT/order.txt', text: JUDGMENT },
+  { bucket: 'bucket-b', key: 'Direct-Taxes/India/ITAT/order-resaved.txt', text: JUDGMENT.toUpperCase().replace(/\./g, ' ;') },
+];
+
+// Worksheet and relationship XML of an XLSX file, by path inside the zip
+function workbookXml(file) {
+  const zip = XLSX.CFB.read(fs.readFileSync(file), { type: 'buffer' });
+  const parts = {};
+  zip.FullPaths.forEach((name, i) => {
+    if (/\/xl\/worksheets\/(_rels\/)?sheet\d+\.xml(\.rels)?$/.test(name)) {
+      parts[name.replace(/^.*\/xl\//, '')] = Buffer.from(zip.FileIndex[i].content).toString('utf-8');
+    }
+  });
+  return parts;
+}
+
+function check(file) {
+  const parts = workbookXml(file);
+  const sheets = Object.keys(parts).filter(name => !name.includes('_rels'));
+  for (const name of sheets) {
+    assert.match(parts[name], /<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"\/>/, `${name} keeps its frozen header`);
+    assert.match(parts[name], /<autoFilter ref="A1:/, `${name} keeps its autofilter`);
+  }
+  const links = Object.entries(parts).filter(([name]) => name.includes('_rels')).map(([, xml]) => xml).join('');
+  assert.match(links, /\?region=[^"]+&amp;prefix=Direct-Taxes%2FIndia%2FITAT%2Forder\.txt"/);
+  assert.doesNotMatch(links, /&amp;amp;/);
+  return sheets.length;
+}
+
+test('the upload report keeps its frozen headers, autofilters and links when step 2 adds duplicates', async (t) => {
+  const sandbox = createSandbox();
+  t.after(() => sandbox.remove());
+  const lastModified = WINDOW.startUTC.plus({ hours: 1 }).toISO();
+  sandbox.writeListing(Object.fromEntries(UPLOADS.map(u => [u.bucket, [{ Key: u.key, LastModified: lastModified, Size: u.text.length }]])));
+  fs.writeFileSync(path.join(sandbox.dir, 'objects.json'), JSON.stringify(Object.fromEntries(UPLOADS.map(u => [`${u.bucket}/${u.key}`, u.text]))));
+  const env = { S3_BUCKETS: 'bucket-a,bucket-b', LLM_PROVIDER: 'fake', CLAUDE_API_KEY: '' };
+
+  const scan = sandbox.run('s3_daily_summary.js', [], env);
+  assert.equal(scan.status, 0, scan.output);
+  const report = path.join(sandbox.reports, uploadReportFilename(WINDOW));
+  const before = check(report);
+
+  const summarize = sandbox.run('process_in_batches.js', [], env);
+  assert.equal(summarize.status, 0, summarize.output);
+  assert.match(summarize.output, /Same-text duplicates added/);
+  assert.equal(check(report), before);
+  assert.deepEqual(
+    XLSX.utils.sheet_to_json(XLSX.readFile(report).Sheets.Duplicates).map(row => row.Match),
+    ['same text', 'same text'],
+  );
+});
+
+test('links of a new workbook are written as they are; only links read back are unescaped', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'summaryengine-sheets-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'links.xlsx');
+  const target = 'https://example.com/search?q=R%26D&amp;x&page=2';
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, tableSheet(['Link'], [[{ t: 's', v: 'open', l: { Target: target } }]]), 'Links');
+
+  writeWorkbook(wb, file);
+  const reread = readWorkbook(file);
+  assert.equal(reread.Sheets.Links.A2.l.Target, target);
+
+  writeWorkbook(reread, file);
+  assert.equal(readWorkbook(file).Sheets.Links.A2.l.Target, target);
+});
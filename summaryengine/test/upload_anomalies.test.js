@@ -0,0 +1,55 @@
+/**
+ * lib/upload_anomalies.js: which lines of the trends are flagged.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { emptyHistory, recordDay, buildTrends } = require('../lib/upload_history');
+const { findAnomalies } = require('../lib/upload_anomalies');
+
+const DIMENSIONS = [{ name: 'caseType', label: 'Case Type' }, { name: 'court', label: 'Court' }];
+const CONFIG = { threshold: 50, minAverage: 3, minHistoryDays: 3 };
+
+function rows(itat, cestat) {
+  return [
+    { caseType: 'Direct Taxes', court: 'ITAT', bucket: 'bucket-a', count: itat },
+    { caseType: 'Indirect Taxes', court: 'CESTAT', bucket: 'bucket-b', count: cestat },
+  ].filter(r => r.count > 0);
+}
+
+function trendsFor(today) {
+  const history = emptyHistory();
+  for (const date of ['2026-10-13', '2026-10-14', '2026-10-15', '2026-10-16']) {
+    recordDay(history, date, rows(10, 10), DIMENSIONS.map(d => d.name));
+  }
+  return buildTrends(history, '2026-10-19', today, DIMENSIONS);
+}
+
+test('lines with no uploads or far from their average are flagged, no uploads first', () => {
+  const anomalies = findAnomalies(trendsFor(rows(30, 0)), CONFIG);
+
+  assert.deepEqual(anomalies.map(a => [a.line, a.kind, a.change]), [
+    ['Indirect Taxes › CESTAT', 'no uploads', -100],
+    ['Direct Taxes › ITAT', 'above normal', 200],
+  ]);
+});
+
+test('nothing is flagged without enough history', () => {
+  assert.deepEqual(findAnomalies(trendsFor(rows(30, 0)), { ...CONFIG, minHistoryDays: 5 }), []);
+});
+
+test('lines of a bucket that failed to scan are not checked', () => {
+  const anomalies = findAnomalies(trendsFor(rows(30, 0)), CONFIG, { failedBuckets: ['bucket-b'] });
+  assert.deepEqual(anomalies.map(a => a.line), ['Direct Taxes › ITAT']);
+});
+
+test('while a bucket failed, lines the history has no buckets for are not checked', () => {
+  const history = emptyHistory();
+  for (const date of ['2026-10-14', '2026-10-15', '2026-10-16']) {
+    history.days[date] = { dimensions: ['caseType', 'court'], total: 10, rows: [{ caseType: 'Direct Taxes', court: 'ITAT', count: 10 }] };
+  }
+  const trends = buildTrends(history, '2026-10-19', [], DIMENSIONS);
+
+  assert.equal(findAnomalies(trends, CONFIG).length, 1);
+  assert.deepEqual(findAnomalies(trends, CONFIG, { failedBuckets: ['bucket-b'] }), []);
+});
@@ -0,0 +1,89 @@
+/**
+ * lib/upload_history.js: recorded days and the comparisons built from them.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { emptyHistory, recordDay, buildTrends } = require('../lib/upload_history');
+
+const DIMENSIONS = [{ name: 'caseType', label: 'Case Type' }, { name: 'court', label: 'Court' }];
+const FIELDS = DIMENSIONS.map(d => d.name);
+
+function rows(itat, cestat) {
+  return [
+    { caseType: 'Direct Taxes', court: 'ITAT', bucket: 'bucket-a', count: itat },
+    { caseType: 'Indirect Taxes', court: 'CESTAT', bucket: 'bucket-b', count: cestat },
+  ];
+}
+
+function line(trends, court) {
+  return trends.detailed.find(t => t.court === court);
+}
+
+test('trends compare with the previous report day and the average', () => {
+  const history = emptyHistory();
+  recordDay(history, '2026-10-15', rows(10, 4), FIELDS);
+  recordDay(history, '2026-10-16', rows(20, 6), FIELDS);
+
+  const trends = buildTrends(history, '2026-10-19', rows(12, 0), DIMENSIONS);
+
+  assert.equal(trends.previousDate, '2026-10-16');
+  assert.deepEqual(line(trends, 'ITAT'), {
+    caseType: 'Direct Taxes', court: 'ITAT', buckets: ['bucket-a'], count: 12, previous: 20, average: 15, series: [10, 20, 12],
+  });
+  assert.deepEqual(line(trends, 'CESTAT').series, [4, 6, 0]);
+});
+
+test('windows of a sub-daily span are kept apart and compared with the same window on earlier days', () => {
+  const history = emptyHistory();
+  recordDay(history, '2026-10-18T12:00', rows(10, 4), FIELDS);
+  recordDay(history, '2026-10-18T18:00', rows(30, 8), FIELDS);
+  recordDay(history, '2026-10-19T06:00', rows(2, 1), FIELDS);
+
+  const trends = buildTrends(history, '2026-10-19T12:00', rows(12, 5), DIMENSIONS);
+  recordDay(history, '2026-10-19T12:00', rows(12, 5), FIELDS);
+
+  assert.deepEqual(trends.dates, ['2026-10-18T12:00', '2026-10-19T12:00']);
+  assert.equal(line(trends, 'ITAT').previous, 10);
+  assert.equal(history.days['2026-10-19T06:00'].total, 3);
+  assert.equal(history.days['2026-10-19T12:00'].total, 17);
+});
+
+test('partial days are kept but never compared with', () => {
+  const history = emptyHistory();
+  recordDay(history, '2026-10-15', rows(10, 4), FIELDS);
+  // The CESTAT bucket failed to scan on the 16th
+  assert.equal(recordDay(history, '2026-10-16', rows(20, 0), FIELDS, { partial: true }), true);
+  assert.equal(history.days['2026-10-16'].partial, true);
+
+  const trends = buildTrends(history, '2026-10-19', rows(12, 5), DIMENSIONS);
+
+  assert.equal(trends.previousDate, '2026-10-15');
+  assert.deepEqual(trends.dates, ['2026-10-15', '2026-10-19']);
+  assert.equal(line(trends, 'CESTAT').average, 4);
+});
+
+test('lines keep the buckets of the day and of the average, older days have none', () => {
+  const history = emptyHistory();
+  history.days['2026-10-14'] = { dimensions: FIELDS, total: 3, rows: [{ caseType: 'Direct Taxes', court: 'ITAT', count: 3 }] };
+  recordDay(history, '2026-10-15', [...rows(10, 4), { caseType: 'Direct Taxes', court: 'ITAT', bucket: 'bucket-c', count: 1 }], FIELDS);
+  assert.deepEqual(history.days['2026-10-15'].rows[0].buckets, ['bucket-a', 'bucket-c']);
+
+  const trends = buildTrends(history, '2026-10-19', [{ caseType: 'Direct Taxes', court: 'ITAT', bucket: 'bucket-d', count: 2 }], DIMENSIONS);
+
+  assert.deepEqual(line(trends, 'ITAT').buckets, ['bucket-a', 'bucket-c', 'bucket-d']);
+  assert.deepEqual(line(trends, 'CESTAT').buckets, ['bucket-b']);
+});
+
+test('a partial run does not replace a complete record, and a complete one replaces a partial', () => {
+  const history = emptyHistory();
+  recordDay(history, '2026-10-16', rows(20, 6), FIELDS);
+  assert.equal(recordDay(history, '2026-10-16', rows(20, 0), FIELDS, { partial: true }), false);
+  assert.equal(history.days['2026-10-16'].total, 26);
+  assert.equal(history.days['2026-10-16'].partial, undefined);
+
+  recordDay(history, '2026-10-17', rows(8, 0), FIELDS, { partial: true });
+  assert.equal(recordDay(history, '2026-10-17', rows(8, 3), FIELDS), true);
+  assert.equal(history.days['2026-10-17'].partial, undefined);
+  assert.deepEqual(buildTrends(history, '2026-10-19', rows(1, 1), DIMENSIONS).dates, ['2026-10-16', '2026-10-17', '2026-10-19']);
+});